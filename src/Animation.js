@@ -12,12 +12,15 @@ export class Animation {
     this.playing = false;
   }
 
-  _updateRegionTransform() {
-    if (!this.region) return;
-
+  /**
+   * Region transform at a given animation time, without touching playback state.
+   *
+   * @param {number} time Time in seconds since the start of the animation
+   * @returns {Float32Array} Accumulated transform of all keyframes up to `time`
+   */
+  transformAt(time) {
     let matrix = Mat4.identity();
     let totalTime = 0;
-    let time = this.time;
     
     // If animation is complete and not looping, clamp to final duration
     const duration = this.getTotalDuration();
@@ -67,8 +70,14 @@ export class Animation {
       }
     }
 
+    return matrix;
+  }
+
+  _updateRegionTransform() {
+    if (!this.region) return;
+
     // Update the region's transform
-    this.region.transform = matrix;
+    this.region.transform = this.transformAt(this.time);
   }
 
   update(dt) {
@@ -16,16 +16,19 @@ export class AnimationRegion {
   }
 
   toJSON() {
-    return {
+    const json = {
       min: [...this.min],
       max: [...this.max]
     };
+    if (this.initialState) json.state = this.initialState;
+    return json;
   }
 
   static fromJSON(name, json) {
     const region = new AnimationRegion(name);
     region.min = [...json.min];
     region.max = [...json.max];
+    region.state = region.initialState = json.state || null;
     return region;
   }
 }
@@ -7,6 +7,7 @@ import { AnimationRegion } from './AnimationRegion.js';
 import { Emitter } from './Emitter.js';
 import { AnimationGroup } from './AnimationGroup.js';
 import { Mat4 } from './math.js';
+import { parseDSL, toDSL } from './animation-dsl.js';
 
 export class AnimationSystem {
   constructor() {
@@ -247,12 +248,24 @@ export class AnimationSystem {
     }
   }
 
-  parseArray(line) {
-    const match = line.match(/\[(.*?)\]/);
-    if (match) {
-      return match[1].split(',').map(s => parseFloat(s.trim()));
-    }
-    return [0, 0, 0];
+  /**
+   * Replaces everything with the contents of DSL source.
+   * Nothing changes if the source has an error.
+   *
+   * @param {string} source DSL text
+   * @throws {Error} With `line` and `column` properties on syntax or reference errors
+   */
+  parse(source) {
+    this.fromJSON(parseDSL(source));
+  }
+
+  /**
+   * Writes the current regions, animations, emitters and groups as DSL text.
+   *
+   * @returns {string} DSL source that parses back to the same toJSON()
+   */
+  toDSL() {
+    return toDSL(this.toJSON());
   }
 
   fromJSON(data) {
@@ -6,7 +6,7 @@ export class Particle {
   constructor(position, velocity, color, lifetime, size = 0.2) {
     this.position = [...position]; // [x, y, z]
     this.velocity = [...velocity]; // [vx, vy, vz]
-    this.color = color; // Material ID (0-15)
+    this.color = color; // Material ID (0-255)
     this.lifetime = lifetime; // Total lifetime in seconds
     this.age = 0; // Current age in seconds
     this.size = size; // Size of particle cube
@@ -39,6 +39,7 @@ export function initializeUI(state) {
     
     // Functions
     exportToJSON,
+    exportToGLB,
     importFromJSON,
     decodePickAt,
 
@@ -133,6 +134,16 @@ export function initializeUI(state) {
     a.click();
     URL.revokeObjectURL(url);
   });
+
+  document.getElementById('btnExportGLB').addEventListener('click', () => {
+    const blob = new Blob([exportToGLB()], { type: 'model/gltf-binary' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'voxels.glb';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
   
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0]; 
@@ -1121,10 +1132,10 @@ export function initializeUI(state) {
       colorInput.className = 'form-input';
       colorInput.placeholder = '0, 1, 2';
       colorInput.value = emitter.colorIds.join(', ');
-      colorInput.title = 'Material IDs to randomly use (0-15)';
+      colorInput.title = 'Material IDs to randomly use (0-255)';
       colorInput.addEventListener('change', (e) => {
         const values = e.target.value.split(',').map(s => Math.floor(parseFloat(s.trim())) || 0);
-        emitter.colorIds = values.filter(v => v >= 0 && v <= 15);
+        emitter.colorIds = values.filter(v => v >= 0 && v <= 255);
         if (emitter.colorIds.length === 0) emitter.colorIds = [0];
       });
       
@@ -1844,4 +1855,13 @@ export function initializeUI(state) {
   document.getElementById('btnResetAll')?.addEventListener('click', () => {
     state.animSystem.resetAll();
   });
+
+  // Ambient occlusion toggle
+  const chkAO = document.getElementById('chkAO');
+  if (chkAO) {
+    chkAO.checked = state.getAOEnabled();
+    chkAO.addEventListener('change', (e) => {
+      state.setAOEnabled(e.target.checked);
+    });
+  }
 }
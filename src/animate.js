@@ -1,7 +1,7 @@
 import './animate-style.css'
 import { Mat4, Vec3, toRadians } from './math.js';
 import { makeCubeEdges, makeAxisGizmo, makeParticleCube, OrbitCamera } from './3d.js';
-import { createProgram } from './webgl.js';
+import { createProgram, createPaletteTexture, updatePaletteTexture, bindPaletteTexture, uploadRenderMesh, uploadPickMesh } from './webgl.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
 import wireframeFrag from './wireframe.frag';
@@ -19,6 +19,10 @@ import {
 } from './palette.js';
 import { AnimationSystem } from './AnimationSystem.js';
 import { VoxelChunk } from './voxel-chunk.js';
+import { MeshWorkerClient } from './mesh-worker-client.js';
+import { unpackPickId } from './mesher.js';
+import { exportVoxelJSON, parseVoxelJSON } from './voxel-format.js';
+import { exportGLB } from './gltf-export.js';
 import { initializeUI } from './animate-ui.js';
 
 /*** ======= App ======= ***/
@@ -38,7 +42,10 @@ function main() {
   const renderProg = createProgram(gl, lambertVert, lambertFrag);
   renderProg.meta.visible = true;
   renderProg.meta.regions = {};
+  renderProg.meta.renderIndexCount = 0;
   const pickProg = createProgram(gl, pickVert, pickFrag);
+  pickProg.meta.pickVoxelCount = 0;
+  pickProg.meta.pickGroundCount = 0;
   const wireProg = createProgram(gl, wireframeVert, wireframeFrag);
   const axisProg = createProgram(gl, axisVert, axisFrag);
   const particleProg = createProgram(gl, particleVert, particleFrag);
@@ -141,6 +148,7 @@ function main() {
   const model = Mat4.identity();
   let proj = Mat4.perspective(60 * Math.PI / 180, 1, 0.01, 100);
   const ambient = 0.22;
+  let aoEnabled = true;
 
   /*** ---- Resize & Pick Targets ---- ***/
   let dpr = 1, pickFBO = null, pickTex = null, pickDepth = null, pickW = 0, pickH = 0;
@@ -220,13 +228,9 @@ function main() {
     gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     const packed = (px[0]) | (px[1] << 8) | (px[2] << 16);
-    if (packed === 0) {
-      return { voxel: -1, face: -1 };
-    }
-    const face = packed & 7;
-    const vId = (packed >> 4) - 1;
-    if (vId < 0 || vId >= chunk.length) return { voxel: -1, face: -1 };
-    return { voxel: vId, face };
+    const { voxel, face } = unpackPickId(packed);
+    if (voxel < 0 || voxel >= chunk.length) return { voxel: -1, face: -1 };
+    return { voxel, face };
   }
 
   /*** ---- Wireframe drawing ---- ***/
@@ -272,86 +276,21 @@ function main() {
     }
   );
 
-  /*** ---- Import/Export JSON ---- ***/
-
-  function intToHexChar(i) {
-    if (i >= 0 && i <= 9) return String.fromCharCode('0'.charCodeAt(0) + i);
-    if (i >= 10 && i <= 15) return String.fromCharCode('a'.charCodeAt(0) + (i - 10));
-    return '0';
-  }
+  const paletteTex = createPaletteTexture(gl, palette.colors);
 
-  function intToHex2(i) {
-    // Convert integer (0-255) to 2-character hex string
-    const val = Math.max(0, Math.min(255, i));
-    return val.toString(16).padStart(2, '0');
-  }
+  /*** ---- Import/Export JSON ---- ***/
 
   function exportToJSON() {
-    const palHex = [];
-
-    for (let i = 0; i < 16; i++) palHex.push(rgbToHexF(palette.colors[i * 3 + 0], palette.colors[i * 3 + 1], palette.colors[i * 3 + 2]));
-
-    const voxels = [];
-    const maxSize = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    const use4CharFormat = maxSize <= 16; // Use 4-char format for <=16, 7-char for >16
-    
-    for (let z = 0; z < chunk.sizeZ; z++) {
-      for (let y = 0; y < chunk.sizeY; y++) {
-        for (let x = 0; x < chunk.sizeX; x++) {
-          const id = chunk.idx3(x, y, z);
-          if (chunk.isSolid(id)) {
-            if (use4CharFormat) {
-              // 4-char format: "xyzm" (single hex digit each, 0-15)
-              voxels.push(`${intToHexChar(x)}${intToHexChar(y)}${intToHexChar(z)}${intToHexChar(chunk.material(id))}`);
-            } else {
-              // 7-char format: "xxyyzzm" (2 hex digits for x,y,z, 1 for material, 0-255 for coords)
-              voxels.push(`${intToHex2(x)}${intToHex2(y)}${intToHex2(z)}${intToHexChar(chunk.material(id))}`);
-            }
-          }
-        }
-      }
-    }
-
-    return Object.assign({ 
-      version: 1, 
-      size: [chunk.sizeX, chunk.sizeY, chunk.sizeZ], 
-      palette: palHex, 
-      voxels
-    }, animSystem.toJSON());
-  }
-
-  function hexCharToInt(hex) {
-    // Convert a single hex character (0-9, a-f, A-F) to integer (0-15)
-    const c = hex.toLowerCase();
-    if (c >= '0' && c <= '9') {
-      return c.charCodeAt(0) - '0'.charCodeAt(0);
-    }
-    if (c >= 'a' && c <= 'f') {
-      return 10 + (c.charCodeAt(0) - 'a'.charCodeAt(0));
-    }
-    return 0; // Invalid hex character
+    return Object.assign(exportVoxelJSON(chunk, palette.colors), animSystem.toJSON());
   }
 
-  function hex2ToInt(hex) {
-    // Convert a 2-character hex string to integer (0-255)
-    return parseInt(hex, 16) || 0;
+  function exportToGLB() {
+    return exportGLB(chunk, palette.colors, animSystem);
   }
 
   function importFromJSON(obj) {
-    if (!obj || typeof obj !== 'object') throw new Error('Root must be object');
-    if (!Array.isArray(obj.voxels)) throw new Error('Missing "voxels"');
-    
-    // Handle size as either a number or [x, y, z] array
-    let sizeX, sizeY, sizeZ;
-    if (Array.isArray(obj.size)) {
-      if (obj.size.length !== 3) throw new Error('Size array must have 3 elements [x, y, z]');
-      [sizeX, sizeY, sizeZ] = obj.size;
-    } else if (typeof obj.size === 'number') {
-      // Old format: single number for cubic chunk
-      sizeX = sizeY = sizeZ = obj.size;
-    } else {
-      throw new Error('Invalid "size" field');
-    }
+    const data = parseVoxelJSON(obj);
+    const [sizeX, sizeY, sizeZ] = data.size;
 
     // Reset chunk to the imported size
     if (sizeX === 16 && sizeY === 16 && sizeZ === 16) {
@@ -370,54 +309,15 @@ function main() {
     // Rebuild grid and axes for new size
     buildAxisGizmo();
 
-    if (Array.isArray(obj.palette)) {
-      for (let i = 0; i < Math.min(16, obj.palette.length); i++) {
-        const e = obj.palette[i];
-        let rgb;
-
-        if (typeof e === 'string') rgb = hexToRgbF(e);
-        else if (Array.isArray(e) && e.length >= 3) rgb = [+e[0], +e[1], +e[2]];
-
-        if (rgb) {
-          palette.setPaletteColor(i, [
-            Math.max(0, Math.min(1, rgb[0])),
-            Math.max(0, Math.min(1, rgb[1])),
-            Math.max(0, Math.min(1, rgb[2]))
-          ]);
-        }
-      }
-    }
+    palette.reset();
+    data.palette.forEach((rgb, i) => {
+      if (rgb) palette.setPaletteColor(i, rgb);
+    });
 
     chunk.fill(false);
     chunk.setMaterialAll(0);
 
-    for (const v of obj.voxels) {
-      if (!v) continue;
-      
-      let x, y, z, m;
-      if (typeof v === 'string') {
-        if (v.length === 4) {
-          // 4-char format: "xyzm" (single hex digit each, 0-15)
-          x = hexCharToInt(v[0]);
-          y = hexCharToInt(v[1]);
-          z = hexCharToInt(v[2]);
-          m = (hexCharToInt(v[3]) | 0) & 15;
-        } else if (v.length === 7) {
-          // 7-char format: "xxyyzzm" (2 hex digits for x,y,z, 1 for material, 0-255)
-          x = hex2ToInt(v.substring(0, 2));
-          y = hex2ToInt(v.substring(2, 4));
-          z = hex2ToInt(v.substring(4, 6));
-          m = (hexCharToInt(v[6]) | 0) & 15;
-        } else {
-          continue; // Skip invalid format
-        }
-      } else if (Array.isArray(v) && v.length >= 4) {
-        // Array format: [x, y, z, m] (for backward compatibility)
-        [x, y, z, m] = v;
-      } else {
-        continue; // Skip invalid entries
-      }
-      
+    for (const [x, y, z, m] of data.voxels) {
       if (chunk.within(x, y, z)) {
         const id = chunk.idx3(x, y, z);
         chunk.setSolid(id, true);
@@ -469,19 +369,31 @@ function main() {
   const COLOR_SHOW = [0.0, 0.0, 0.0];
   /*** ======= Regioning Meshes ======= ***/
 
+  // Meshing runs in a worker; results are uploaded when they arrive
+  const meshWorker = new MeshWorkerClient();
+
   function buildAllMeshes() {
+    meshWorker.build(chunk.toMeshData()).then((meshes) => {
+      if (meshes) uploadAllMeshes(meshes);
+    }).catch((err) => console.error('Meshing failed:', err));
+  }
 
-    renderProg.meta.renderIndexCount = chunk.buildGreedyRenderMeshMain(gl, renderProg, renderProg.vao);
+  function uploadAllMeshes(meshes) {
+    renderProg.meta.renderIndexCount = uploadRenderMesh(gl, renderProg, renderProg.vao, meshes.main);
     // TODO: build pick for regions and when animated
-    chunk.buildPickFaces(gl, pickProg);
-
-    renderProg.meta.regions = {};
-    for (const [name, region] of animSystem.regions.entries()) {
-      renderProg.meta.regions[name] = {};
-      renderProg.meta.regions[name].vao = gl.createVertexArray();
-      renderProg.meta.regions[name].visible = true;
-      renderProg.meta.regions[name].indexCount = chunk.buildGreedyRenderMeshRegion(gl, renderProg, renderProg.meta.regions[name].vao, name);
+    uploadPickMesh(gl, pickProg, meshes.pick);
+
+    // Reuse VAOs of regions that still exist, delete the rest
+    const regions = {};
+    for (const [name, mesh] of Object.entries(meshes.regions)) {
+      const prev = renderProg.meta.regions[name];
+      const vao = prev ? prev.vao : gl.createVertexArray();
+      regions[name] = { vao, visible: true, indexCount: uploadRenderMesh(gl, renderProg, vao, mesh) };
+    }
+    for (const [name, region] of Object.entries(renderProg.meta.regions)) {
+      if (!regions[name]) gl.deleteVertexArray(region.vao);
     }
+    renderProg.meta.regions = regions;
   }
 
   buildAllMeshes();
@@ -555,12 +467,14 @@ function main() {
     gl.clearColor(0.07, 0.08, 0.1, 1);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     gl.useProgram(renderProg.program);
-    renderProg.uPalette.set(palette.colors);
+    updatePaletteTexture(gl, paletteTex, palette.colors);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uView.set(camera.view());
     renderProg.uProj.set(proj);
     renderProg.uNormalMat.set(new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]));
     renderProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
     renderProg.uAmbient.set(ambient);
+    renderProg.uAOStrength.set(aoEnabled ? 1 : 0);
 
     // Render main mesh (non-animated voxels) with identity transform
     if (renderProg.meta.visible) {
@@ -603,7 +517,7 @@ function main() {
       gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
       
       gl.useProgram(particleProg.program);
-      particleProg.uPalette.set(palette.colors);
+      bindPaletteTexture(gl, particleProg.uPalette, paletteTex);
       particleProg.uView.set(camera.view());
       particleProg.uProj.set(proj);
       particleProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
@@ -681,11 +595,14 @@ function main() {
     setSelectedRegionName: (val) => { selectedRegionName = val; },
     getRegionOverlaysVisible: () => regionOverlaysVisible,
     setRegionOverlaysVisible: (val) => { regionOverlaysVisible = val; },
+    getAOEnabled: () => aoEnabled,
+    setAOEnabled: (val) => { aoEnabled = val; },
 
     // Functions
     buildAllMeshes,
     buildAxisGizmo,
     exportToJSON,
+    exportToGLB,
     importFromJSON,
     decodePickAt,
   };
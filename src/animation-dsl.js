@@ -0,0 +1,449 @@
+/**
+ * Text DSL for regions, animations, emitters and groups.
+ *
+ * `parseDSL()` turns source text into the same plain object layout that
+ * `AnimationSystem.toJSON()` produces, so loading either format goes through
+ * `AnimationSystem.fromJSON()`. `toDSL()` is the inverse.
+ *
+ * ```
+ * region door {
+ *   min [0, 0, 0]
+ *   max [2, 4, 1]
+ *   state closed
+ * }
+ *
+ * anim door_open {
+ *   region door
+ *   rotate 0 to 90 for 2 pivot [0, 0, 0] axis [0, 1, 0] easing ease-out
+ * }
+ *
+ * group open {
+ *   anim door_open
+ *   guard closed
+ *   state open
+ * }
+ * ```
+ *
+ * Comments start with `//` or `#`. Names are bare words (letters, digits,
+ * `_`, `-` and `.`, not starting with a digit) or double-quoted strings.
+ */
+
+import { Emitter } from './Emitter.js';
+import { getEasingNames } from './easing.js';
+
+const NAME_RE = /^[A-Za-z_][\w.-]*$/;
+const NUMBER_RE = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const WORD_RE = /[A-Za-z_][\w.-]*/y;
+const STRING_RE = /"(?:[^"\\\n]|\\.)*"/y;
+
+/**
+ * Builds an error carrying the source position.
+ *
+ * @param {string} message Error description
+ * @param {{line: number, column: number}} at Position (1-based)
+ * @returns {Error} Error with `line` and `column` properties
+ */
+function dslError(message, at) {
+  const err = new Error(`Line ${at.line}, column ${at.column}: ${message}`);
+  err.line = at.line;
+  err.column = at.column;
+  return err;
+}
+
+/*** ---- Tokenizer ---- ***/
+
+/**
+ * Splits DSL source into tokens.
+ *
+ * @param {string} source DSL text
+ * @returns {Array<{type: string, value: *, line: number, column: number}>}
+ *   Types are 'word', 'string', 'number', 'punct' and a final 'eof'
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let line = 1, column = 1, pos = 0;
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[pos++] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+  };
+
+  const match = (re) => {
+    re.lastIndex = pos;
+    const m = re.exec(source);
+    return m ? m[0] : null;
+  };
+
+  while (pos < source.length) {
+    const c = source[pos];
+
+    if (/\s/.test(c)) {
+      advance(1);
+      continue;
+    }
+    if (c === '#' || (c === '/' && source[pos + 1] === '/')) {
+      while (pos < source.length && source[pos] !== '\n') advance(1);
+      continue;
+    }
+
+    const at = { line, column };
+    let text;
+    if ('{}[],'.includes(c)) {
+      tokens.push({ type: 'punct', value: c, ...at });
+      advance(1);
+    } else if ((text = match(NUMBER_RE))) {
+      tokens.push({ type: 'number', value: parseFloat(text), ...at });
+      advance(text.length);
+    } else if ((text = match(WORD_RE))) {
+      tokens.push({ type: 'word', value: text, ...at });
+      advance(text.length);
+    } else if (c === '"') {
+      text = match(STRING_RE);
+      if (!text) throw dslError('Unterminated string', at);
+      tokens.push({ type: 'string', value: JSON.parse(text), ...at });
+      advance(text.length);
+    } else {
+      throw dslError(`Unexpected character "${c}"`, at);
+    }
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column });
+  return tokens;
+}
+
+/*** ---- Parser ---- ***/
+
+const describe = (token) => token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Parses DSL source.
+ *
+ * Anything wrong (syntax, unknown properties or easings, duplicate names,
+ * references to undefined regions, animations or emitters) throws an Error
+ * whose message starts with `Line <n>, column <m>:` and which has numeric
+ * `line` and `column` properties.
+ *
+ * An animation may also contain `guard <state>` and `state <state>`; these
+ * create a group of the same name that plays just that animation.
+ *
+ * @param {string} source DSL text
+ * @returns {{regions: Object, animations: Object, emitters: Object, groups: Object}}
+ *   Same layout as AnimationSystem.toJSON()
+ */
+export function parseDSL(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const isWord = (value) => peek().type === 'word' && peek().value === value;
+
+  const expectPunct = (value) => {
+    const token = next();
+    if (token.type !== 'punct' || token.value !== value) {
+      throw dslError(`Expected "${value}" but found ${describe(token)}`, token);
+    }
+    return token;
+  };
+
+  const expectWord = (value) => {
+    const token = next();
+    if (token.type !== 'word' || token.value !== value) {
+      throw dslError(`Expected "${value}" but found ${describe(token)}`, token);
+    }
+    return token;
+  };
+
+  const number = () => {
+    const token = next();
+    if (token.type !== 'number') throw dslError(`Expected a number but found ${describe(token)}`, token);
+    return token.value;
+  };
+
+  const name = () => {
+    const token = next();
+    if (token.type !== 'word' && token.type !== 'string') {
+      throw dslError(`Expected a name but found ${describe(token)}`, token);
+    }
+    return token.value;
+  };
+
+  const list = () => {
+    expectPunct('[');
+    const values = [];
+    if (peek().type === 'punct' && peek().value === ']') {
+      next();
+      return values;
+    }
+    for (;;) {
+      values.push(number());
+      const token = next();
+      if (token.type === 'punct' && token.value === ']') return values;
+      if (token.type !== 'punct' || token.value !== ',') {
+        throw dslError(`Expected "," or "]" but found ${describe(token)}`, token);
+      }
+    }
+  };
+
+  const vec3 = () => {
+    const at = peek();
+    const values = list();
+    if (values.length !== 3) throw dslError(`Expected 3 numbers but found ${values.length}`, at);
+    return values;
+  };
+
+  // Parses `{ property* }`, dispatching each property word to a handler
+  const body = (kind, handlers) => {
+    expectPunct('{');
+    for (;;) {
+      const token = next();
+      if (token.type === 'punct' && token.value === '}') return;
+      if (token.type !== 'word') throw dslError(`Expected a ${kind} property but found ${describe(token)}`, token);
+      if (!own(handlers, token.value)) throw dslError(`Unknown ${kind} property "${token.value}"`, token);
+      handlers[token.value](token);
+    }
+  };
+
+  const easingNames = getEasingNames();
+  const easing = (kf) => {
+    const token = peek();
+    const type = name();
+    if (!easingNames.includes(type)) throw dslError(`Unknown easing "${type}"`, token);
+    kf.easing = type;
+    if (type === 'steps' && peek().type === 'number') kf.steps = number();
+  };
+
+  const result = { regions: {}, animations: {}, emitters: {}, groups: {} };
+  const references = []; // { kind, name, token } checked once everything is defined
+  const implicitGroups = []; // { name, guard, endState, token }
+
+  const declare = (collection, kind, token, value) => {
+    if (own(collection, value)) {
+      throw dslError(`Duplicate ${kind} "${value}"`, token);
+    }
+  };
+
+  const parseRegion = () => {
+    const token = peek();
+    const regionName = name();
+    declare(result.regions, 'region', token, regionName);
+
+    const region = {};
+    body('region', {
+      min: () => { region.min = vec3(); },
+      max: () => { region.max = vec3(); },
+      state: () => { region.state = name(); }
+    });
+    if (!region.min) throw dslError(`Region "${regionName}" needs a min`, token);
+    if (!region.max) throw dslError(`Region "${regionName}" needs a max`, token);
+    result.regions[regionName] = { min: region.min, max: region.max, ...(region.state ? { state: region.state } : {}) };
+  };
+
+  const parseAnimation = () => {
+    const token = peek();
+    const animName = name();
+    declare(result.animations, 'animation', token, animName);
+
+    const anim = { regionName: null, loop: false, keyframes: [] };
+    let guard = null, endState = null, guardToken = null;
+    body('animation', {
+      region: () => {
+        const at = peek();
+        anim.regionName = name();
+        references.push({ kind: 'region', name: anim.regionName, token: at });
+      },
+      loop: () => { anim.loop = true; },
+      guard: (at) => { guard = name(); guardToken = guardToken || at; },
+      state: (at) => { endState = name(); guardToken = guardToken || at; },
+      wait: () => {
+        anim.keyframes.push({ type: 'wait', duration: number() });
+      },
+      rotate: () => {
+        const kf = { type: 'rotate', from: number() };
+        expectWord('to');
+        kf.to = number();
+        expectWord('for');
+        kf.duration = number();
+        const options = {};
+        while (isWord('pivot') || isWord('axis') || isWord('easing')) {
+          const option = next().value;
+          if (option === 'easing') easing(options);
+          else options[option] = vec3();
+        }
+        if (options.pivot) kf.pivot = options.pivot;
+        if (options.axis) kf.axis = options.axis;
+        if (options.easing) kf.easing = options.easing;
+        if (options.steps !== undefined) kf.steps = options.steps;
+        anim.keyframes.push(kf);
+      },
+      move: () => {
+        const at = peek();
+        const axis = name();
+        if (!['x', 'y', 'z'].includes(axis)) throw dslError(`Expected x, y or z but found "${axis}"`, at);
+        const kf = { type: 'move', axis, delta: number() };
+        expectWord('for');
+        kf.duration = number();
+        if (isWord('easing')) {
+          next();
+          easing(kf);
+        }
+        anim.keyframes.push(kf);
+      }
+    });
+
+    result.animations[animName] = anim;
+    if (guardToken) implicitGroups.push({ name: animName, guard, endState, token: guardToken });
+  };
+
+  const parseEmitter = () => {
+    const token = peek();
+    const emitterName = name();
+    declare(result.emitters, 'emitter', token, emitterName);
+
+    const emitter = new Emitter(emitterName).toJSON();
+    body('emitter', {
+      pos: () => { emitter.position = vec3(); },
+      rate: () => { emitter.rate = number(); },
+      lifetime: () => { emitter.particleLifetime = number(); },
+      size: () => { emitter.particleSize = number(); },
+      velocity: () => { emitter.velocityBase = vec3(); },
+      spread: () => { emitter.velocitySpread = vec3(); },
+      colors: () => {
+        const at = peek();
+        emitter.colorIds = list();
+        if (emitter.colorIds.length === 0) throw dslError('Expected at least one color', at);
+      },
+      gravity: () => { emitter.gravity = vec3(); },
+      max: () => { emitter.maxParticles = number(); }
+    });
+    result.emitters[emitterName] = emitter;
+  };
+
+  const parseGroup = () => {
+    const token = peek();
+    const groupName = name();
+    declare(result.groups, 'group', token, groupName);
+
+    const group = { animations: [], emitters: [], guard: null, endState: null };
+    body('group', {
+      anim: () => {
+        const at = peek();
+        const animName = name();
+        if (!group.animations.includes(animName)) group.animations.push(animName);
+        references.push({ kind: 'animation', name: animName, token: at });
+      },
+      emitter: () => {
+        const at = peek();
+        const emitterName = name();
+        if (!group.emitters.includes(emitterName)) group.emitters.push(emitterName);
+        references.push({ kind: 'emitter', name: emitterName, token: at });
+      },
+      guard: () => { group.guard = name(); },
+      state: () => { group.endState = name(); }
+    });
+    result.groups[groupName] = group;
+  };
+
+  const blocks = { region: parseRegion, anim: parseAnimation, animation: parseAnimation, emitter: parseEmitter, group: parseGroup };
+  while (peek().type !== 'eof') {
+    const token = next();
+    if (token.type !== 'word' || !own(blocks, token.value)) throw dslError(`Expected region, anim, emitter or group but found ${describe(token)}`, token);
+    blocks[token.value]();
+  }
+
+  for (const implicit of implicitGroups) {
+    declare(result.groups, 'group', implicit.token, implicit.name);
+    result.groups[implicit.name] = { animations: [implicit.name], emitters: [], guard: implicit.guard, endState: implicit.endState };
+  }
+
+  const collections = { region: result.regions, animation: result.animations, emitter: result.emitters };
+  for (const ref of references) {
+    if (!own(collections[ref.kind], ref.name)) {
+      throw dslError(`Unknown ${ref.kind} "${ref.name}"`, ref.token);
+    }
+  }
+
+  return result;
+}
+
+/*** ---- Serializer ---- ***/
+
+const formatName = (name) => NAME_RE.test(name) ? name : JSON.stringify(name);
+const formatList = (values) => `[${values.join(', ')}]`;
+
+function formatKeyframe(kf) {
+  const easing = kf.easing ? ` easing ${kf.easing}${kf.steps !== undefined ? ` ${kf.steps}` : ''}` : '';
+  switch (kf.type) {
+    case 'rotate':
+      return `rotate ${kf.from} to ${kf.to} for ${kf.duration}` +
+        (kf.pivot ? ` pivot ${formatList(kf.pivot)}` : '') +
+        (kf.axis ? ` axis ${formatList(kf.axis)}` : '') + easing;
+    case 'move':
+      return `move ${kf.axis} ${kf.delta} for ${kf.duration}${easing}`;
+    case 'wait':
+      return `wait ${kf.duration}`;
+    default:
+      throw new Error(`Cannot write keyframe type "${kf.type}"`);
+  }
+}
+
+/**
+ * Writes an animation system snapshot as DSL text.
+ * `parseDSL(toDSL(json))` gives back an object equal to `json`.
+ *
+ * @param {Object} json Output of AnimationSystem.toJSON()
+ * @returns {string} DSL source
+ */
+export function toDSL(json) {
+  const blocks = [];
+
+  for (const [name, region] of Object.entries(json.regions || {})) {
+    const lines = [`min ${formatList(region.min)}`, `max ${formatList(region.max)}`];
+    if (region.state) lines.push(`state ${formatName(region.state)}`);
+    blocks.push(['region', name, lines]);
+  }
+
+  for (const [name, anim] of Object.entries(json.animations || {})) {
+    const lines = [];
+    if (anim.regionName) lines.push(`region ${formatName(anim.regionName)}`);
+    if (anim.loop) lines.push('loop');
+    for (const kf of anim.keyframes) lines.push(formatKeyframe(kf));
+    blocks.push(['anim', name, lines]);
+  }
+
+  for (const [name, emitter] of Object.entries(json.emitters || {})) {
+    blocks.push(['emitter', name, [
+      `pos ${formatList(emitter.position)}`,
+      `rate ${emitter.rate}`,
+      `lifetime ${emitter.particleLifetime}`,
+      `size ${emitter.particleSize}`,
+      `velocity ${formatList(emitter.velocityBase)}`,
+      `spread ${formatList(emitter.velocitySpread)}`,
+      `colors ${formatList(emitter.colorIds)}`,
+      `gravity ${formatList(emitter.gravity)}`,
+      `max ${emitter.maxParticles}`
+    ]]);
+  }
+
+  for (const [name, group] of Object.entries(json.groups || {})) {
+    const lines = [
+      ...(group.animations || []).map(a => `anim ${formatName(a)}`),
+      ...(group.emitters || []).map(e => `emitter ${formatName(e)}`)
+    ];
+    if (group.guard) lines.push(`guard ${formatName(group.guard)}`);
+    if (group.endState) lines.push(`state ${formatName(group.endState)}`);
+    blocks.push(['group', name, lines]);
+  }
+
+  return blocks
+    .map(([kind, name, lines]) => `${kind} ${formatName(name)} {\n${lines.map(l => `  ${l}\n`).join('')}}\n`)
+    .join('\n');
+}
@@ -0,0 +1,48 @@
+/**
+ * Boolean operations between the chunk and a second model.
+ *
+ * The second model is a block (see selection.js) placed with its (0, 0, 0)
+ * at an offset in chunk cells; parts outside the chunk are ignored. Where
+ * both models are solid the chunk keeps its own material.
+ */
+
+import { placeBlock } from './selection.js';
+
+export const BOOLEAN_OPS = ['union', 'subtract', 'intersect', 'xor'];
+
+/**
+ * Voxel changes that turn the chunk into `chunk <op> block`.
+ *
+ * - union: cells solid in either model
+ * - subtract: chunk cells the block does not cover
+ * - intersect: chunk cells the block also covers
+ * - xor: cells solid in exactly one model
+ *
+ * @param {VoxelChunk} chunk
+ * @param {{size: number[], voxels: number[][]}} block Second model
+ * @param {number[]} offset Chunk cell of the block's (0, 0, 0)
+ * @param {string} op One of BOOLEAN_OPS
+ * @returns {{id: number, solid: boolean, material: number}[]} One change per affected cell
+ * @throws {Error} If the operation is unknown
+ */
+export function booleanChanges(chunk, block, offset, op) {
+  if (!BOOLEAN_OPS.includes(op)) throw new Error(`Unknown boolean operation "${op}"`);
+
+  const other = new Map(); // chunk id -> block material
+  for (const { id, material } of placeBlock(chunk, block, offset)) other.set(id, material);
+
+  const changes = [];
+  if (op === 'intersect') {
+    for (let id = 0; id < chunk.length; id++) {
+      if (chunk.isSolid(id) && !other.has(id)) changes.push({ id, solid: false, material: chunk.material(id) });
+    }
+    return changes;
+  }
+
+  for (const [id, material] of other) {
+    const solid = chunk.isSolid(id);
+    if (solid && op !== 'union') changes.push({ id, solid: false, material: chunk.material(id) });
+    else if (!solid && op !== 'subtract') changes.push({ id, solid: true, material });
+  }
+  return changes;
+}
@@ -0,0 +1,100 @@
+/**
+ * Brush patterns: paint strokes that choose a material per voxel.
+ *
+ * - flat: the brush material everywhere
+ * - gradient: bands of `materials` along an axis of the chunk, or along the
+ *   drag from its first to its last cell
+ * - dither: a seeded random pick from `materials` per cell
+ * - noise: `materials` as bands of fbm noise (see terrain.js), for stone or
+ *   fur textures
+ *
+ * Every pattern is a pure function of the cell, so strokes are repeatable and
+ * neighbouring strokes join up.
+ */
+
+import { fbm } from './terrain.js';
+
+export const PATTERN_KINDS = ['flat', 'gradient', 'dither', 'noise'];
+export const GRADIENT_DIRECTIONS = ['x', 'y', 'z', 'drag'];
+
+export const DEFAULT_PATTERN = {
+  kind: 'flat',
+  materials: [],     // palette indices; the brush material when empty
+  direction: 'y',    // gradient: axis name or 'drag'
+  seed: 1,           // dither / noise
+  scale: 0.15        // noise: frequency per voxel
+};
+
+// Averaging three planes of 2D noise narrows its range; this spreads it back out
+const NOISE_CONTRAST = 1.5;
+
+// Integer hash of a cell and seed to [0, 1)
+function hash3(x, y, z, seed) {
+  let n = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 1440662683) ^ Math.imul(seed, 982451653);
+  n = Math.imul(n ^ (n >>> 13), 1274126177);
+  n ^= n >>> 16;
+  return (n >>> 0) / 4294967296;
+}
+
+const clamp01 = (t) => Math.max(0, Math.min(1, t));
+
+// Position 0..1 of a cell along the gradient
+function gradientT(pattern, cell, context) {
+  const { drag } = context;
+  if (pattern.direction === 'drag' && drag) {
+    const d = [0, 1, 2].map(i => drag.to[i] - drag.from[i]);
+    const length2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    if (length2 === 0) return 0;
+    return clamp01([0, 1, 2].reduce((sum, i) => sum + (cell[i] - drag.from[i]) * d[i], 0) / length2);
+  }
+  // 'drag' without a drag falls back to Y
+  const axis = Math.max(0, GRADIENT_DIRECTIONS.indexOf(pattern.direction)) % 3;
+  const size = context.size[axis];
+  return size > 1 ? cell[axis] / (size - 1) : 0;
+}
+
+/**
+ * Material a pattern gives a cell.
+ *
+ * @param {Object} pattern See DEFAULT_PATTERN
+ * @param {number[]} cell [x, y, z]
+ * @param {Object} context
+ * @param {number} context.brush Current brush material, used by 'flat' and when `materials` is empty
+ * @param {number[]} context.size Chunk size, for axis gradients
+ * @param {{from: number[], to: number[]}} [context.drag] First and last cell of a drag
+ * @returns {number} Palette index
+ * @throws {Error} If the pattern kind is unknown
+ */
+export function patternMaterial(pattern, cell, context) {
+  const materials = pattern.materials || [];
+  if (pattern.kind === 'flat' || materials.length === 0) return context.brush;
+  const n = materials.length;
+  const [x, y, z] = cell;
+
+  let t;
+  if (pattern.kind === 'gradient') {
+    t = gradientT(pattern, cell, context);
+  } else if (pattern.kind === 'dither') {
+    t = hash3(x, y, z, pattern.seed | 0);
+  } else if (pattern.kind === 'noise') {
+    const s = pattern.scale, seed = pattern.seed | 0;
+    const v = (fbm(x * s, y * s, 4, 0.5, 2, seed) + fbm(y * s, z * s, 4, 0.5, 2, seed + 17) + fbm(z * s, x * s, 4, 0.5, 2, seed + 31)) / 3;
+    t = clamp01(0.5 + v * NOISE_CONTRAST);
+  } else {
+    throw new Error(`Unknown brush pattern "${pattern.kind}"`);
+  }
+  return materials[Math.min(n - 1, Math.floor(t * n))];
+}
+
+/**
+ * Reads a material list such as "3, 7 12" into palette indices.
+ *
+ * @param {string} text
+ * @returns {number[]} Indices 0-255; anything else is dropped
+ */
+export function parseMaterialList(text) {
+  return text.split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(m => Number.isInteger(m) && m >= 0 && m < 256);
+}
@@ -1,7 +1,7 @@
 import './style.css'
 import { Mat4, Vec3, toRadians } from './math.js';
 import { makeCubeEdges, makeAxisGizmo, makeParticleCube, OrbitCamera } from './3d.js';
-import { createProgram } from './webgl.js';
+import { createProgram, createPaletteTexture, updatePaletteTexture, bindPaletteTexture, uploadRenderMesh, uploadPickMesh } from './webgl.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
 import wireframeFrag from './wireframe.frag';
@@ -19,6 +19,40 @@ import {
 } from './palette.js';
 import { AnimationSystem } from './AnimationSystem.js';
 import { VoxelChunk } from './voxel-chunk.js';
+import { MeshWorkerClient } from './mesh-worker-client.js';
+import { unpackPickId } from './mesher.js';
+import { exportVoxelJSON, parseVoxelJSON } from './voxel-format.js';
+import { exportGLB } from './gltf-export.js';
+import { importVox, exportVox } from './vox-format.js';
+import { exportOBJ, exportSTL } from './mesh-export.js';
+import { SHAPES, shapeCells, cellBounds } from './shapes.js';
+import {
+  selectBox,
+  selectConnected,
+  combineSelection,
+  extractBlock,
+  rotateBlock,
+  mirrorBlock,
+  placeBlock,
+  blockToJSON,
+  blockFromJSON
+} from './selection.js';
+import { mirrorCoord, symmetricCells } from './symmetry.js';
+import { FLOOD_LIMIT, floodFill, materialIds } from './fill.js';
+import { clipMeshData } from './slice.js';
+import { SlicePanel } from './slice-panel.js';
+import { snapshotChunk, restoreChunk } from './chunk-snapshot.js';
+import { resizeAnchored, shiftAnimationData } from './chunk-resize.js';
+import { recordChange, recordMirroredChange, replayChanges } from './voxel-changes.js';
+import { rotationMatrix, flipMatrix, transformModel, upscaleModel, downscaleModel } from './model-transform.js';
+import { stampFromJSON, stampCells, stampOutline, mergeAnimationData } from './merge.js';
+import { booleanChanges } from './boolean.js';
+import { hollowChanges, thickenChanges, erodeChanges, dilateChanges, smoothChanges } from './morphology.js';
+import { imageToVoxels } from './image-import.js';
+import { parseOBJ, parseSTL, parseGLTF } from './mesh-import.js';
+import { voxelizeTriangles } from './voxelize.js';
+import { BUILTIN_FONT, parseBDF, layoutText, textCells } from './text.js';
+import { DEFAULT_PATTERN, patternMaterial, parseMaterialList } from './brush-pattern.js';
 import { initializeUI } from './ui.js';
 
 /*** ======= App ======= ***/
@@ -38,7 +72,10 @@ function main() {
   const renderProg = createProgram(gl, lambertVert, lambertFrag);
   renderProg.meta.visible = true;
   renderProg.meta.regions = {};
+  renderProg.meta.renderIndexCount = 0;
   const pickProg = createProgram(gl, pickVert, pickFrag);
+  pickProg.meta.pickVoxelCount = 0;
+  pickProg.meta.pickGroundCount = 0;
   const wireProg = createProgram(gl, wireframeVert, wireframeFrag);
   const axisProg = createProgram(gl, axisVert, axisFrag);
   const particleProg = createProgram(gl, particleVert, particleFrag);
@@ -144,6 +181,7 @@ function main() {
   const model = Mat4.identity();
   let proj = Mat4.perspective(60 * Math.PI / 180, 1, 0.01, 100);
   const ambient = 0.22;
+  let aoEnabled = true;
 
   /*** ---- Resize & Pick Targets ---- ***/
   let dpr = 1, pickFBO = null, pickTex = null, pickDepth = null, pickW = 0, pickH = 0;
@@ -229,13 +267,9 @@ function main() {
     gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     const packed = (px[0]) | (px[1] << 8) | (px[2] << 16);
-    if (packed === 0) {
-      return { voxel: -1, face: -1 };
-    }
-    const face = packed & 7;
-    const vId = (packed >> 4) - 1;
-    if (vId < 0 || vId >= chunk.length) return { voxel: -1, face: -1 };
-    return { voxel: vId, face };
+    const { voxel, face } = unpackPickId(packed);
+    if (voxel < 0 || voxel >= chunk.length) return { voxel: -1, face: -1 };
+    return { voxel, face };
   }
 
   /*** ---- Wireframe drawing ---- ***/
@@ -281,89 +315,40 @@ function main() {
     }
   );
 
+  const paletteTex = createPaletteTexture(gl, palette.colors);
+
   let mode = document.querySelector('input[name="modeSelect"]:checked').value;
   let option = document.querySelector('input[name="optionSelect"]:checked').value;
 
   /*** ---- Import/Export JSON ---- ***/
 
-  function intToHexChar(i) {
-    if (i >= 0 && i <= 9) return String.fromCharCode('0'.charCodeAt(0) + i);
-    if (i >= 10 && i <= 15) return String.fromCharCode('a'.charCodeAt(0) + (i - 10));
-    return '0';
+  function exportToJSON() {
+    return Object.assign(exportVoxelJSON(chunk, palette.colors), animSystem.toJSON());
   }
 
-  function intToHex2(i) {
-    // Convert integer (0-255) to 2-character hex string
-    const val = Math.max(0, Math.min(255, i));
-    return val.toString(16).padStart(2, '0');
+  function exportToGLB() {
+    return exportGLB(chunk, palette.colors, animSystem);
   }
 
-  function exportToJSON() {
-    const palHex = [];
-
-    for (let i = 0; i < 16; i++) palHex.push(rgbToHexF(palette.colors[i * 3 + 0], palette.colors[i * 3 + 1], palette.colors[i * 3 + 2]));
-
-    const voxels = [];
-    const maxSize = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    const use4CharFormat = maxSize <= 16; // Use 4-char format for <=16, 7-char for >16
-    
-    for (let z = 0; z < chunk.sizeZ; z++) {
-      for (let y = 0; y < chunk.sizeY; y++) {
-        for (let x = 0; x < chunk.sizeX; x++) {
-          const id = chunk.idx3(x, y, z);
-          if (chunk.isSolid(id)) {
-            if (use4CharFormat) {
-              // 4-char format: "xyzm" (single hex digit each, 0-15)
-              voxels.push(`${intToHexChar(x)}${intToHexChar(y)}${intToHexChar(z)}${intToHexChar(chunk.material(id))}`);
-            } else {
-              // 7-char format: "xxyyzzm" (2 hex digits for x,y,z, 1 for material, 0-255 for coords)
-              voxels.push(`${intToHex2(x)}${intToHex2(y)}${intToHex2(z)}${intToHexChar(chunk.material(id))}`);
-            }
-          }
-        }
-      }
-    }
+  function exportToVox() {
+    return exportVox(chunk, palette.colors);
+  }
 
-    return Object.assign({ 
-      version: 1, 
-      size: [chunk.sizeX, chunk.sizeY, chunk.sizeZ], 
-      palette: palHex, 
-      voxels
-    }, animSystem.toJSON());
+  function exportToOBJ(scale) {
+    return exportOBJ(chunk, palette.colors, { scale });
   }
 
-  function hexCharToInt(hex) {
-    // Convert a single hex character (0-9, a-f, A-F) to integer (0-15)
-    const c = hex.toLowerCase();
-    if (c >= '0' && c <= '9') {
-      return c.charCodeAt(0) - '0'.charCodeAt(0);
-    }
-    if (c >= 'a' && c <= 'f') {
-      return 10 + (c.charCodeAt(0) - 'a'.charCodeAt(0));
-    }
-    return 0; // Invalid hex character
+  function exportToSTL(scale) {
+    return exportSTL(chunk, { scale });
   }
 
-  function hex2ToInt(hex) {
-    // Convert a 2-character hex string to integer (0-255)
-    return parseInt(hex, 16) || 0;
+  function importFromVox(buffer) {
+    importFromJSON(importVox(buffer));
   }
 
   function importFromJSON(obj) {
-    if (!obj || typeof obj !== 'object') throw new Error('Root must be object');
-    if (!Array.isArray(obj.voxels)) throw new Error('Missing "voxels"');
-    
-    // Handle size as either a number or [x, y, z] array
-    let sizeX, sizeY, sizeZ;
-    if (Array.isArray(obj.size)) {
-      if (obj.size.length !== 3) throw new Error('Size array must have 3 elements [x, y, z]');
-      [sizeX, sizeY, sizeZ] = obj.size;
-    } else if (typeof obj.size === 'number') {
-      // Old format: single number for cubic chunk
-      sizeX = sizeY = sizeZ = obj.size;
-    } else {
-      throw new Error('Invalid "size" field');
-    }
+    const data = parseVoxelJSON(obj);
+    const [sizeX, sizeY, sizeZ] = data.size;
 
     // Reset chunk to the imported size
     if (sizeX === 16 && sizeY === 16 && sizeZ === 16) {
@@ -382,54 +367,15 @@ function main() {
     // Rebuild grid and axes for new size
     buildAxisGizmo();
 
-    if (Array.isArray(obj.palette)) {
-      for (let i = 0; i < Math.min(16, obj.palette.length); i++) {
-        const e = obj.palette[i];
-        let rgb;
-
-        if (typeof e === 'string') rgb = hexToRgbF(e);
-        else if (Array.isArray(e) && e.length >= 3) rgb = [+e[0], +e[1], +e[2]];
-
-        if (rgb) {
-          palette.setPaletteColor(i, [
-            Math.max(0, Math.min(1, rgb[0])),
-            Math.max(0, Math.min(1, rgb[1])),
-            Math.max(0, Math.min(1, rgb[2]))
-          ]);
-        }
-      }
-    }
+    palette.reset();
+    data.palette.forEach((rgb, i) => {
+      if (rgb) palette.setPaletteColor(i, rgb);
+    });
 
     chunk.fill(false);
     chunk.setMaterialAll(0);
 
-    for (const v of obj.voxels) {
-      if (!v) continue;
-      
-      let x, y, z, m;
-      if (typeof v === 'string') {
-        if (v.length === 4) {
-          // 4-char format: "xyzm" (single hex digit each, 0-15)
-          x = hexCharToInt(v[0]);
-          y = hexCharToInt(v[1]);
-          z = hexCharToInt(v[2]);
-          m = (hexCharToInt(v[3]) | 0) & 15;
-        } else if (v.length === 7) {
-          // 7-char format: "xxyyzzm" (2 hex digits for x,y,z, 1 for material, 0-255)
-          x = hex2ToInt(v.substring(0, 2));
-          y = hex2ToInt(v.substring(2, 4));
-          z = hex2ToInt(v.substring(4, 6));
-          m = (hexCharToInt(v[6]) | 0) & 15;
-        } else {
-          continue; // Skip invalid format
-        }
-      } else if (Array.isArray(v) && v.length >= 4) {
-        // Array format: [x, y, z, m] (for backward compatibility)
-        [x, y, z, m] = v;
-      } else {
-        continue; // Skip invalid entries
-      }
-      
+    for (const [x, y, z, m] of data.voxels) {
       if (chunk.within(x, y, z)) {
         const id = chunk.idx3(x, y, z);
         chunk.setSolid(id, true);
@@ -573,6 +519,683 @@ function main() {
     return res;
   }
 
+  /*** ---- Symmetry ---- ***/
+
+  // Mirror planes per axis; a null position follows the chunk centre
+  const symmetry = { enabled: [false, false, false], planes: [null, null, null] };
+
+  function getSymmetryPlane(axis) {
+    const size = [chunk.sizeX, chunk.sizeY, chunk.sizeZ][axis];
+    return symmetry.planes[axis] ?? size / 2;
+  }
+
+  function setSymmetryEnabled(axis, on) {
+    symmetry.enabled[axis] = on;
+  }
+
+  // Steps a plane in half voxels, keeping it inside the chunk
+  function moveSymmetryPlane(axis, delta) {
+    const size = [chunk.sizeX, chunk.sizeY, chunk.sizeZ][axis];
+    symmetry.planes[axis] = Math.max(0, Math.min(size, getSymmetryPlane(axis) + delta));
+    updateSymmetryUI();
+  }
+
+  function centreSymmetryPlanes() {
+    symmetry.planes = [null, null, null];
+    updateSymmetryUI();
+  }
+
+  function updateSymmetryUI() {
+    ['X', 'Y', 'Z'].forEach((name, axis) => {
+      document.getElementById(`symPlane${name}`).textContent = getSymmetryPlane(axis);
+    });
+  }
+
+  // The voxel and its mirror images inside the chunk
+  function symmetricIds(id) {
+    const planes = [0, 1, 2].map(axis => symmetry.enabled[axis] ? getSymmetryPlane(axis) : null);
+    return symmetricCells(chunk.coordsOf(id), planes)
+      .filter(c => chunk.within(...c))
+      .map(c => chunk.idx3(...c));
+  }
+
+  // Records an edit and its mirror images; see recordMirroredChange(). Pass
+  // brushMaterialAt as `toMat` so each image gets its own pattern material.
+  function recordSymmetricChange(act, idx, toSolid, toMat = chunk.material(idx)) {
+    recordMirroredChange(chunk, act, symmetricIds(idx), toSolid, toMat);
+  }
+
+  /*** ---- Slice view ---- ***/
+
+  // Voxels beyond `level` along `axis` are hidden from rendering and picking
+  const slice = { enabled: false, axis: 1, level: 0 };
+  let sliceStroke = null; // undo action of the current drag in the layer editor
+
+  const slicePanel = new SlicePanel(document.getElementById('sliceCanvas'), editSliceCell, endSliceStroke);
+
+  function setSliceEnabled(on) {
+    slice.enabled = on;
+    updateSliceUI();
+    buildAllMeshes();
+  }
+
+  function toggleSlice() {
+    setSliceEnabled(!slice.enabled);
+  }
+
+  function setSliceAxis(axis) {
+    slice.axis = axis;
+    updateSliceUI();
+    if (slice.enabled) buildAllMeshes();
+  }
+
+  function moveSlice(delta) {
+    slice.level += delta;
+    updateSliceUI();
+    if (slice.enabled) buildAllMeshes();
+  }
+
+  // Keeps the level inside the chunk and refreshes the slice controls and layer editor
+  function updateSliceUI() {
+    const size = [chunk.sizeX, chunk.sizeY, chunk.sizeZ][slice.axis];
+    slice.level = Math.max(0, Math.min(size - 1, slice.level));
+
+    document.getElementById('slicePanel').classList.toggle('open', slice.enabled);
+    document.getElementById('chkSlice').checked = slice.enabled;
+    document.getElementById(`sliceAxis${'XYZ'[slice.axis]}`).checked = true;
+    document.getElementById('sliceLevel').textContent = slice.level;
+    if (slice.enabled) slicePanel.setSlice(chunk, palette.colors, slice.axis, slice.level);
+  }
+
+  // Layer editor clicks apply the current mode straight to the chunk; a drag is one undo action
+  function editSliceCell(cell) {
+    if (!chunk.within(...cell)) return;
+    const id = chunk.idx3(...cell);
+    if (!sliceStroke) {
+      const label = mode === 'add' ? 'Add' : mode === 'carve' ? 'Remove' : 'Paint';
+      sliceStroke = beginVoxelAction(`${label} in slice`);
+    }
+
+    if (mode === 'add' && !chunk.isSolid(id)) recordSymmetricChange(sliceStroke, id, true, brushMaterialAt);
+    else if (mode === 'carve' && chunk.isSolid(id)) recordSymmetricChange(sliceStroke, id, false, chunk.material(id));
+    else if (mode === 'paint' && chunk.isSolid(id)) recordSymmetricChange(sliceStroke, id, true, brushMaterialAt);
+    else return;
+    buildAllMeshes();
+  }
+
+  function endSliceStroke() {
+    if (!sliceStroke) return;
+    const act = sliceStroke;
+    sliceStroke = null;
+    commitAction(act);
+  }
+
+  /*** ---- Shape Tools ---- ***/
+
+  // Active shape drag: tool, mode and face at mouse down, first and current cell
+  let shapeDrag = null;
+  let shapePreview = null; // { min, max, ids } of the shape under the mouse
+
+  function isShapeOption(opt = option) {
+    return SHAPES.includes(opt);
+  }
+
+  // Cell a shape acts on: the empty neighbour when adding, the picked voxel otherwise
+  function shapeCellOf(voxel, face, shapeMode = mode) {
+    const c = chunk.coordsOf(voxel);
+    if (shapeMode === 'add') {
+      const d = FACE_DIRS[face];
+      return [c[0] + d[0], c[1] + d[1], c[2] + d[2]];
+    }
+    return c;
+  }
+
+  // Box selection reuses the box drag with a 'select' mode; `op` says how it combines
+  function beginShape(voxel, face, op = 'replace') {
+    if (voxel < 0 || face < 0) return false;
+    const shapeMode = option === 'select' ? 'select' : mode;
+    const cell = shapeCellOf(voxel, face, shapeMode);
+    if (!chunk.within(...cell)) return false;
+    const shape = option === 'select' ? 'box' : option;
+    shapeDrag = { shape, mode: shapeMode, op, face, start: cell, end: cell };
+    shapePreview = getShapeTargets();
+    return true;
+  }
+
+  function updateShape(voxel, face) {
+    if (!shapeDrag || voxel < 0 || face < 0) return;
+    const cell = shapeCellOf(voxel, face, shapeDrag.mode);
+    const size = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+    shapeDrag.end = cell.map((v, i) => Math.max(0, Math.min(size[i] - 1, v)));
+    shapePreview = getShapeTargets();
+  }
+
+  function getShapeTargets() {
+    const { shape, mode: shapeMode, face, start, end } = shapeDrag;
+    const axis = face === 6 ? 1 : FACE_INFO[face].axis;
+    const a = start.slice(), b = end.slice();
+
+    // Spheres and cylinders drawn on a single surface grow out of it (into it
+    // when carving or painting) by the smaller dragged extent
+    if ((shape === 'sphere' || shape === 'cylinder') && a[axis] === b[axis]) {
+      const depth = Math.min(...[0, 1, 2].filter(i => i !== axis).map(i => Math.abs(b[i] - a[i]) + 1));
+      const out = face === 6 ? 1 : FACE_DIRS[face][axis];
+      b[axis] = a[axis] + (depth - 1) * (shapeMode === 'add' ? out : -out);
+    }
+
+    const ids = [];
+    for (const [x, y, z] of shapeCells(shape, a, b, { axis })) {
+      if (!chunk.within(x, y, z)) continue;
+      const id = chunk.idx3(x, y, z);
+      if (chunk.isSolid(id) !== (shapeMode === 'add')) ids.push(id);
+    }
+    return { ...cellBounds(a, b), ids };
+  }
+
+  function finishShape() {
+    if (!shapeDrag) return;
+    const { shape, mode: shapeMode, op, start, end } = shapeDrag;
+    const { ids } = getShapeTargets();
+    shapeDrag = null;
+    shapePreview = null;
+
+    if (shapeMode === 'select') {
+      setSelection(ids, op);
+      return;
+    }
+
+    const label = shapeMode === 'add' ? 'Add' : shapeMode === 'carve' ? 'Remove' : 'Paint';
+    const act = beginVoxelAction(`${label} ${shape}`);
+    const drag = { from: start, to: end };
+    for (const id of ids) {
+      if (shapeMode === 'carve') recordSymmetricChange(act, id, false, chunk.material(id));
+      else recordSymmetricChange(act, id, true, i => brushMaterialAt(i, drag));
+    }
+    commitAction(act);
+  }
+
+  function cancelShape() {
+    shapeDrag = null;
+    shapePreview = null;
+  }
+
+  /*** ---- Brush Patterns ---- ***/
+  // Picks the material per voxel for add and paint strokes (brush-pattern.js)
+  let brushPattern = { ...DEFAULT_PATTERN };
+
+  function setBrushPattern(changes) {
+    brushPattern = { ...brushPattern, ...changes };
+  }
+
+  // Takes the pattern materials from text such as "3, 7 12"; returns the indices kept
+  function setPatternMaterials(text) {
+    setBrushPattern({ materials: parseMaterialList(text) });
+    return brushPattern.materials;
+  }
+
+  // `drag` is the first and last cell of a shape drag, for 'drag' gradients
+  function brushMaterialAt(id, drag = null) {
+    return patternMaterial(brushPattern, chunk.coordsOf(id), {
+      brush: palette.getBrush(),
+      size: [chunk.sizeX, chunk.sizeY, chunk.sizeZ],
+      drag
+    });
+  }
+
+  /*** ---- Text Tool ---- ***/
+  // A null material follows the brush
+  const textOptions = { text: 'TEXT', font: BUILTIN_FONT, depth: 1, align: 'left', material: null };
+  let textLayout = layoutText(textOptions.font, textOptions.text);
+
+  function setTextOption(key, value) {
+    textOptions[key] = value;
+    if (key === 'text' || key === 'font') textLayout = layoutText(textOptions.font, textOptions.text);
+    needsPick = true;
+  }
+
+  // Loads a BDF font from its text, or goes back to the built-in font for null; returns the font name
+  function setTextFont(bdfText) {
+    setTextOption('font', bdfText ? parseBDF(bdfText) : BUILTIN_FONT);
+    return textOptions.font.name;
+  }
+
+  // Cells the text covers at a picked face: embossed out of it when adding,
+  // engraved or painted into it otherwise
+  function getTextTargets(voxel, face) {
+    if (voxel < 0 || face < 0 || textLayout.pixels.length === 0) return [];
+    const adding = mode === 'add';
+    const normal = face === 6 ? [0, 1, 0] : FACE_DIRS[face];
+    const anchor = shapeCellOf(voxel, face);
+    const direction = adding ? normal : normal.map(c => -c);
+    const ids = new Set();
+    for (const [x, y, z] of textCells(textLayout, anchor, normal, { align: textOptions.align, depth: textOptions.depth, direction })) {
+      if (!chunk.within(x, y, z)) continue;
+      const id = chunk.idx3(x, y, z);
+      if (chunk.isSolid(id) !== adding) ids.add(id);
+    }
+    return [...ids];
+  }
+
+  function applyTextAt(voxel, face) {
+    const ids = getTextTargets(voxel, face);
+    if (ids.length === 0) return;
+    const label = mode === 'add' ? 'Add' : mode === 'carve' ? 'Engrave' : 'Paint';
+    const act = beginVoxelAction(`${label} text "${textOptions.text}"`);
+    for (const id of ids) {
+      if (mode === 'carve') recordVoxelChange(act, id, false, chunk.material(id));
+      else recordVoxelChange(act, id, true, textOptions.material ?? brushMaterialAt(id));
+    }
+    commitAction(act);
+  }
+
+  /*** ---- Fill & Replace ---- ***/
+
+  function isFillOption(opt = option) {
+    return opt === 'fill' || opt === 'surface';
+  }
+
+  // Paints the voxels connected to `voxel` that share its material
+  // Returns whether the fill stopped at FLOOD_LIMIT, leaving part of the region unpainted
+  function floodPaintAt(voxel) {
+    if (mode !== 'paint' || voxel < 0 || !chunk.isSolid(voxel)) return false;
+    const surfaceOnly = option === 'surface';
+    const { ids, truncated } = floodFill(chunk, voxel, { surfaceOnly });
+
+    const act = beginVoxelAction(surfaceOnly ? 'Fill surface' : 'Fill');
+    for (const id of ids) recordVoxelChange(act, id, true, brushMaterialAt(id));
+    commitAction(act);
+    return truncated;
+  }
+
+  // Recolours every voxel of material `from`; returns how many changed
+  function replaceMaterial(from, to) {
+    if (from === to) return 0;
+    const ids = materialIds(chunk, from);
+    const act = beginVoxelAction(`Replace material ${from} with ${to}`);
+    for (const id of ids) recordVoxelChange(act, id, true, to);
+    commitAction(act);
+    return ids.length;
+  }
+
+  /*** ---- Selection ---- ***/
+
+  let selection = new Set();
+  let selectionDims = [chunk.sizeX, chunk.sizeY, chunk.sizeZ]; // chunk size the ids were taken in
+  let clipboardBlock = null; // last copy, for when the system clipboard is unavailable
+  let selectionMove = null; // { axis, startX, startY, dir, offset } while dragging a move handle
+
+  function isSelectOption(opt = option) {
+    return opt === 'select' || opt === 'wand';
+  }
+
+  function setSelection(ids, op = 'replace') {
+    selection = combineSelection(selection, ids, op);
+    selectionDims = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  }
+
+  function getSelectionCount() {
+    return selection.size;
+  }
+
+  function selectAll() {
+    setSelection(selectBox(chunk, [0, 0, 0], [chunk.sizeX - 1, chunk.sizeY - 1, chunk.sizeZ - 1]));
+  }
+
+  function clearSelection() {
+    selection = new Set();
+    selectionMove = null;
+  }
+
+  function selectConnectedAt(voxel, op = 'replace') {
+    if (voxel < 0 || !chunk.isSolid(voxel)) return;
+    setSelection(selectConnected(chunk, voxel), op);
+  }
+
+  // Drops ids that no longer hold a voxel (undo, carving) or whose meaning changed with the chunk size
+  function pruneSelection() {
+    if (selectionDims[0] !== chunk.sizeX || selectionDims[1] !== chunk.sizeY || selectionDims[2] !== chunk.sizeZ) {
+      clearSelection();
+      selectionDims = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+      return;
+    }
+    for (const id of selection) {
+      if (!chunk.isSolid(id)) selection.delete(id);
+    }
+  }
+
+  // Writes `block` at `origin` as one undo action, optionally clearing the
+  // current selection first; the placed voxels become the new selection
+  function placeSelection(label, block, origin, replaceSelected = true) {
+    const targets = new Map(); // id -> material, or -1 to clear
+    if (replaceSelected) {
+      for (const id of selection) targets.set(id, -1);
+    }
+    const placed = placeBlock(chunk, block, origin);
+    for (const { id, material } of placed) targets.set(id, material);
+
+    const act = beginVoxelAction(label);
+    for (const [id, material] of targets) {
+      if (material < 0) recordVoxelChange(act, id, false, chunk.material(id));
+      else recordVoxelChange(act, id, true, material);
+    }
+    setSelection(placed.map(c => c.id));
+    commitAction(act);
+  }
+
+  function deleteSelection(label = 'Delete selection') {
+    const act = beginVoxelAction(label);
+    for (const id of selection) recordVoxelChange(act, id, false, chunk.material(id));
+    clearSelection();
+    commitAction(act);
+  }
+
+  // Returns the selection as voxel JSON (with its origin), or null when nothing is selected
+  function copySelection() {
+    const block = extractBlock(chunk, selection);
+    if (!block) return null;
+    clipboardBlock = block;
+    return blockToJSON(block, palette.colors);
+  }
+
+  function cutSelection() {
+    const json = copySelection();
+    if (json) deleteSelection('Cut selection');
+    return json;
+  }
+
+  // Pastes voxel JSON (or the last copy) with its corner on the hovered add
+  // cell, or where it was copied from when nothing is hovered
+  function pasteVoxels(obj = null) {
+    const block = obj ? blockFromJSON(obj, palette.colors) : clipboardBlock;
+    if (!block || !block.voxels.length) return false;
+    let origin = block.origin;
+    if (hoverVoxel >= 0 && hoverFace >= 0) {
+      const cell = shapeCellOf(hoverVoxel, hoverFace, 'add');
+      if (chunk.within(...cell)) origin = cell;
+    }
+    clipboardBlock = block;
+    placeSelection('Paste', block, origin, false);
+    return true;
+  }
+
+  function moveSelection(dx, dy, dz) {
+    const block = extractBlock(chunk, selection);
+    if (!block || (dx === 0 && dy === 0 && dz === 0)) return;
+    const origin = [block.origin[0] + dx, block.origin[1] + dy, block.origin[2] + dz];
+    placeSelection('Move selection', block, origin);
+  }
+
+  function rotateSelection(axis) {
+    const block = extractBlock(chunk, selection);
+    if (!block) return;
+    const rotated = rotateBlock(block, axis);
+    placeSelection(`Rotate selection ${'XYZ'[axis]}`, rotated, rotated.origin);
+  }
+
+  function mirrorSelection(axis) {
+    const block = extractBlock(chunk, selection);
+    if (!block) return;
+    placeSelection(`Mirror selection ${'XYZ'[axis]}`, mirrorBlock(block, axis), block.origin);
+  }
+
+  /*** ---- Selection move handles ---- ***/
+
+  const HANDLE_COLORS = [[1.0, 0.35, 0.35], [0.35, 1.0, 0.35], [0.4, 0.6, 1.0]];
+  const HANDLE_PICK_PX = 10;
+
+  // Centre of the selection bounds and how far the handles reach out of it
+  function selectionHandles() {
+    if (selection.size === 0) return null;
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (const id of selection) {
+      const c = chunk.coordsOf(id);
+      for (let i = 0; i < 3; i++) {
+        if (c[i] < min[i]) min[i] = c[i];
+        if (c[i] > max[i]) max[i] = c[i];
+      }
+    }
+    const offset = selectionMove ? selectionMove.offset : [0, 0, 0];
+    const centre = [0, 1, 2].map(i => (min[i] + max[i] + 1) / 2 + offset[i]);
+    const length = Math.max(...[0, 1, 2].map(i => max[i] - min[i] + 1)) / 2 + 2;
+    return { centre, length };
+  }
+
+  function toClient(p) {
+    const viewProj = Mat4.multiply(proj, camera.view());
+    const clip = Mat4.transform(viewProj, [p[0], p[1], p[2], 1]);
+    if (clip[3] <= 0) return null;
+    const r = canvas.getBoundingClientRect();
+    return [r.left + (clip[0] / clip[3] + 1) / 2 * r.width, r.top + (1 - clip[1] / clip[3]) / 2 * r.height];
+  }
+
+  // Axis of the move handle under the mouse, or -1
+  function pickSelectionHandle(clientX, clientY) {
+    const handles = selectionHandles();
+    if (!handles) return -1;
+    const { centre, length } = handles;
+    const a = toClient(centre);
+    if (!a) return -1;
+
+    let best = -1, bestDist = HANDLE_PICK_PX;
+    for (let axis = 0; axis < 3; axis++) {
+      const tip = centre.slice();
+      tip[axis] += length;
+      const b = toClient(tip);
+      if (!b) continue;
+      const abx = b[0] - a[0], aby = b[1] - a[1];
+      const len2 = abx * abx + aby * aby;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((clientX - a[0]) * abx + (clientY - a[1]) * aby) / len2)) : 0;
+      const dist = Math.hypot(clientX - (a[0] + t * abx), clientY - (a[1] + t * aby));
+      if (dist < bestDist) {
+        best = axis;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  function beginSelectionMove(clientX, clientY) {
+    const axis = pickSelectionHandle(clientX, clientY);
+    if (axis < 0) return false;
+    const { centre } = selectionHandles();
+    const step = centre.slice();
+    step[axis] += 1;
+    const a = toClient(centre), b = toClient(step);
+    selectionMove = { axis, startX: clientX, startY: clientY, dir: [b[0] - a[0], b[1] - a[1]], offset: [0, 0, 0] };
+    return true;
+  }
+
+  // Projects the mouse travel onto the handle's on-screen direction, in whole voxels
+  function updateSelectionMove(clientX, clientY) {
+    if (!selectionMove) return false;
+    const { axis, startX, startY, dir } = selectionMove;
+    const len2 = dir[0] * dir[0] + dir[1] * dir[1];
+    const offset = [0, 0, 0];
+    if (len2 > 1e-6) offset[axis] = Math.round(((clientX - startX) * dir[0] + (clientY - startY) * dir[1]) / len2);
+    selectionMove.offset = offset;
+    return true;
+  }
+
+  function finishSelectionMove() {
+    if (!selectionMove) return;
+    const { offset } = selectionMove;
+    selectionMove = null;
+    moveSelection(...offset);
+  }
+
+  function drawSelectionHandles() {
+    const handles = selectionHandles();
+    if (!handles) return;
+    const { centre, length } = handles;
+    const t = 0.06, knob = 0.3;
+
+    gl.disable(gl.DEPTH_TEST);
+    for (let axis = 0; axis < 3; axis++) {
+      const color = selectionMove && selectionMove.axis !== axis ? HANDLE_COLORS[axis].map(c => c * 0.4) : HANDLE_COLORS[axis];
+      const lo = centre.map(c => c - t), hi = centre.map(c => c + t);
+      hi[axis] = centre[axis] + length;
+      drawWireAABB(...lo, ...hi.map(v => v - 1), color, 1);
+
+      const tip = centre.slice();
+      tip[axis] += length;
+      drawWireAABB(...tip.map(c => c - knob), ...tip.map(c => c + knob - 1), color, 1);
+    }
+    gl.enable(gl.DEPTH_TEST);
+  }
+
+  /*** ---- Import into scene ---- ***/
+  // Another model floats under the cursor until a click merges it in
+  let stamp = null; // { block, data, outline, origin }
+  let stampKeepExisting = false;
+
+  function beginStamp(obj) {
+    const block = stampFromJSON(obj, palette.colors);
+    cancelShape();
+    stamp = { block, data: obj, outline: stampOutline(block), origin: [0, 0, 0] };
+    updateStampOrigin();
+  }
+
+  function cancelStamp() {
+    stamp = null;
+  }
+
+  function isStamping() {
+    return stamp !== null;
+  }
+
+  function setStampKeepExisting(on) {
+    stampKeepExisting = on;
+  }
+
+  // Centres the stamp's footprint on the hovered add cell, resting on it
+  function updateStampOrigin() {
+    if (!stamp || hoverVoxel < 0 || hoverFace < 0) return;
+    const [x, y, z] = shapeCellOf(hoverVoxel, hoverFace, 'add');
+    const [sx, , sz] = stamp.block.size;
+    stamp.origin = [x - Math.floor(sx / 2), y, z - Math.floor(sz / 2)];
+  }
+
+  // Copy of the animation data that later edits cannot reach into
+  function animationState() {
+    return JSON.parse(JSON.stringify(animSystem.toJSON()));
+  }
+
+  function commitStamp() {
+    if (!stamp) return;
+    const { block, data, origin } = stamp;
+    stamp = null;
+
+    const act = beginVoxelAction('Import into scene');
+    const before = animationState();
+    for (const { id, material } of stampCells(chunk, block, origin, stampKeepExisting)) {
+      recordVoxelChange(act, id, true, material);
+    }
+    mergeAnimationData(animSystem, data, origin, block.remap);
+    act.anim = { before, after: animationState() };
+    syncChunkRegions();
+    commitAction(act);
+  }
+
+  /*** ---- Image import ---- ***/
+  // Writes an image (heightmap or sprite, see image-import.js) into the chunk
+  // from (0, 0, 0), growing the chunk where it does not fit
+  function importImage(image, options) {
+    const { size, voxels } = imageToVoxels(image, palette.colors, options);
+    editChunkLayout(options.mode === 'sprite' ? 'Import sprite' : 'Import heightmap', () => {
+      const current = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+      const fit = current.map((s, i) => Math.max(s, size[i]));
+      if (fit.some((s, i) => s !== current[i])) chunk.expandSize(...fit);
+      for (const [x, y, z, m] of voxels) chunk.set(x, y, z, true, m);
+    });
+  }
+
+  // Replaces the model with a voxelized triangle mesh.
+  // file: { format: 'obj' | 'stl' | 'gltf', data: string | ArrayBuffer, mtl?: string }
+  function importMesh(file, resolution, options) {
+    const mesh = file.format === 'obj' ? parseOBJ(file.data, file.mtl)
+      : file.format === 'stl' ? parseSTL(file.data)
+        : parseGLTF(file.data);
+    const voxels = voxelizeTriangles(mesh, palette.colors, resolution, options);
+    editChunkLayout('Import mesh', () => {
+      chunk.expandSize(voxels.sizeX, voxels.sizeY, voxels.sizeZ);
+      chunk.fill(false);
+      chunk.setMaterialAll(0);
+      for (let id = 0; id < voxels.length; id++) {
+        if (voxels.isSolid(id)) chunk.set(...voxels.coordsOf(id), true, voxels.material(id));
+      }
+    });
+  }
+
+  /*** ---- Boolean operations ---- ***/
+  let booleanOperand = null; // block combined with the chunk by applyBoolean
+
+  // Takes the second model from voxel JSON (file or clipboard text), or the
+  // last in-app copy when obj is null. Returns the block, or null if there is none.
+  function setBooleanOperand(obj) {
+    const block = obj ? stampFromJSON(obj, palette.colors) : clipboardBlock;
+    if (!block) return null;
+    if (obj && Array.isArray(obj.origin) && obj.origin.length === 3) block.origin = obj.origin.map(v => v | 0);
+    booleanOperand = block;
+    return block;
+  }
+
+  function applyBoolean(op, offset) {
+    if (!booleanOperand) return;
+    const act = beginVoxelAction(`Boolean ${op}`);
+    for (const { id, solid, material } of booleanChanges(chunk, booleanOperand, offset, op)) {
+      recordVoxelChange(act, id, solid, material);
+    }
+    commitAction(act);
+  }
+
+  /*** ---- Filters ---- ***/
+  // A filter is previewed until applied or cancelled; it works on the selection if there is one
+  let filterPreview = null; // { name, changes, removed: Set, added: Set }
+  const filterOptions = { thickness: 1, connectivity: 6 };
+  const FILTER_LABELS = { hollow: 'Hollow', thicken: 'Thicken', erode: 'Erode', dilate: 'Dilate', smooth: 'Smooth' };
+
+  function filterChanges(name) {
+    const ids = selection.size > 0 ? selection : null;
+    if (name === 'hollow') return hollowChanges(chunk, filterOptions.thickness, ids);
+    if (name === 'thicken') return thickenChanges(chunk, filterOptions.thickness, ids);
+    if (name === 'erode') return erodeChanges(chunk, filterOptions.connectivity, ids);
+    if (name === 'dilate') return dilateChanges(chunk, filterOptions.connectivity, ids);
+    return smoothChanges(chunk, ids);
+  }
+
+  // Returns the number of voxels the filter would change
+  function previewFilter(name) {
+    const changes = filterChanges(name);
+    filterPreview = {
+      name,
+      changes,
+      removed: new Set(changes.filter(c => !c.solid).map(c => c.id)),
+      added: new Set(changes.filter(c => c.solid).map(c => c.id))
+    };
+    return changes.length;
+  }
+
+  function getFilterPreview() {
+    return filterPreview && { name: filterPreview.name, count: filterPreview.changes.length };
+  }
+
+  function setFilterOption(key, value) {
+    filterOptions[key] = value;
+    if (filterPreview) previewFilter(filterPreview.name);
+  }
+
+  function cancelFilter() {
+    filterPreview = null;
+  }
+
+  function applyFilter() {
+    if (!filterPreview) return;
+    const act = beginVoxelAction(FILTER_LABELS[filterPreview.name]);
+    for (const { id, solid, material } of filterPreview.changes) recordVoxelChange(act, id, solid, material);
+    filterPreview = null;
+    commitAction(act);
+  }
+
   /*** ---- UNDO/REDO system ---- ***/
   const undoStack = [];
   const redoStack = [];
@@ -594,13 +1217,25 @@ function main() {
     return { type: 'voxels', label, vox: [] };
   }
 
+  // Applies immediately (compose effect)
   function recordVoxelChange(act, idx, toSolid, toMat = chunk.material(idx)) {
-    const fromS = chunk.isSolid(idx), fromM = chunk.material(idx);
-    if (fromS === toSolid && fromM === toMat) return;
-    act.vox.push({ idx, fromS, fromM, toS: toSolid, toM: toMat });
-    // apply immediately (compose effect)
-    chunk.setSolid(idx, toSolid);
-    chunk.setMaterial(idx, toMat);
+    recordChange(chunk, act, idx, toSolid, toMat);
+  }
+
+  // Layout edits (resize, shift) store whole-model snapshots instead of voxel changes.
+  // Hand-placed mirror planes move with the model, so they are kept alongside.
+  function snapshotLayout() {
+    return { ...snapshotChunk(chunk, animSystem), planes: symmetry.planes.slice() };
+  }
+
+  function beginChunkAction(label) {
+    return { type: 'chunk', label, before: snapshotLayout(), after: null };
+  }
+
+  // Call once the layout edit has been applied
+  function commitChunkAction(act) {
+    act.after = snapshotLayout();
+    commitAction(act, false);
   }
 
   function beginPaletteAction(label) {
@@ -617,17 +1252,21 @@ function main() {
 
   function applyAction(action, mode /* 'do' | 'undo' */) {
     if (action.type === 'voxels') {
-      const arr = action.vox;
-      if (mode === 'undo') {
-        for (const c of arr) {
-          chunk.setSolid(c.idx, c.fromS);
-          chunk.setMaterial(c.idx, c.fromM);
-        }
-      } else {
-        for (const c of arr) {
-          chunk.setSolid(c.idx, c.toS);
-          chunk.setMaterial(c.idx, c.toM);
-        }
+      replayChanges(chunk, action.vox, mode);
+      // Merges also carry the animation data from before and after
+      if (action.anim) {
+        animSystem.fromJSON(mode === 'undo' ? action.anim.before : action.anim.after);
+        syncChunkRegions();
+      }
+    } else if (action.type === 'chunk') {
+      const snapshot = mode === 'undo' ? action.before : action.after;
+      const resized = restoreChunk(chunk, animSystem, snapshot);
+      symmetry.planes = snapshot.planes.slice();
+      if (resized) refreshChunkLayout();
+      else {
+        syncChunkRegions();
+        buildAllMeshes();
+        updateSymmetryUI();
       }
     } else if (action.type === 'palette') {
       const arr = action.pal;
@@ -645,7 +1284,7 @@ function main() {
   }
 
   function commitAction(action, rebuild = true) {
-    if (action.type === 'voxels' && action.vox.length === 0) return;
+    if (action.type === 'voxels' && action.vox.length === 0 && !action.anim) return;
     if (action.type === 'palette' && (!action.pal || action.pal.length === 0)) return;
     undoStack.push(action);
     redoStack.length = 0;
@@ -653,6 +1292,7 @@ function main() {
     if (action.type === 'voxels' && rebuild) buildAllMeshes();
   }
 
+  // Both return the action they applied, if any
   function undo() {
     if (undoStack.length === 0) return;
     const act = undoStack.pop();
@@ -660,6 +1300,7 @@ function main() {
     redoStack.push(act);
     updateUndoUI();
     if (act.type === 'voxels') buildAllMeshes();
+    return act;
   }
 
   function redo() {
@@ -669,6 +1310,7 @@ function main() {
     undoStack.push(act);
     updateUndoUI();
     if (act.type === 'voxels') buildAllMeshes();
+    return act;
   }
 
   /*** ---- Chunk Size Management ---- ***/
@@ -676,6 +1318,10 @@ function main() {
     document.getElementById('sizeX').textContent = chunk.sizeX;
     document.getElementById('sizeY').textContent = chunk.sizeY;
     document.getElementById('sizeZ').textContent = chunk.sizeZ;
+    document.getElementById('inpSizeX').value = chunk.sizeX;
+    document.getElementById('inpSizeY').value = chunk.sizeY;
+    document.getElementById('inpSizeZ').value = chunk.sizeZ;
+    updateSymmetryUI(); // planes at the centre follow the size
   }
 
   /*** ---- Camera Target Management ---- ***/
@@ -700,159 +1346,143 @@ function main() {
     updateCameraTargetUI();
   }
 
-  function expandChunkX() {
-    const newSize = chunk.sizeX + 1;
-    chunk.expandSize(newSize, chunk.sizeY, chunk.sizeZ);
+  // Brings everything that depends on the chunk size up to date
+  function refreshChunkLayout(regionNames) {
     N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    // Update camera target to center on expanded chunk
+
+    // Update camera target to center on the resized chunk
     camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
+
+    syncChunkRegions(regionNames);
     buildAxisGizmo(); // Rebuild grid and axes
     buildAllMeshes();
     updateChunkSizeUI();
     updateCameraTargetUI();
-    clearHistory(); // Clear undo/redo as chunk structure changed
+  }
+
+  // Re-creates the chunk's region boxes from the animation regions they belong to.
+  // Pass the names taken before expandSize(), which clears them.
+  function syncChunkRegions(names = chunk.regionNames) {
+    chunk.clearRegions();
+    for (const name of names) {
+      const region = animSystem.regions.get(name);
+      if (region) chunk.addRegion(name, region.min, region.max);
+    }
+    animSystem.assignVoxelsToRegions(chunk);
+  }
+
+  const resizeAnchors = ['min', 'min', 'min']; // per axis: 'min', 'centre' or 'max' (see chunk-resize.js)
+
+  function setResizeAnchor(axis, anchor) {
+    resizeAnchors[axis] = anchor;
+  }
+
+  // Runs an edit that may change the chunk size as one undoable chunk action
+  function editChunkLayout(label, apply) {
+    const act = beginChunkAction(label);
+    const regionNames = chunk.regionNames;
+    apply();
+    refreshChunkLayout(regionNames);
+    commitChunkAction(act);
+  }
+
+  function resizeChunk(sizeX, sizeY, sizeZ, label = 'Resize') {
+    if (sizeX === chunk.sizeX && sizeY === chunk.sizeY && sizeZ === chunk.sizeZ) return;
+    editChunkLayout(label, () => {
+      const offset = resizeAnchored(chunk, animSystem, [sizeX, sizeY, sizeZ], resizeAnchors);
+
+      // Mirror planes placed by hand stay on the model
+      symmetry.planes = symmetry.planes.map((p, a) => p === null ? null : p + offset[a]);
+    });
+  }
+
+  function expandChunkX() {
+    resizeChunk(chunk.sizeX + 1, chunk.sizeY, chunk.sizeZ, 'Expand X');
   }
 
   function expandChunkY() {
-    const newSize = chunk.sizeY + 1;
-    chunk.expandSize(chunk.sizeX, newSize, chunk.sizeZ);
-    N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
-    buildAllMeshes();
-    updateChunkSizeUI();
-    updateCameraTargetUI();
-    clearHistory();
+    resizeChunk(chunk.sizeX, chunk.sizeY + 1, chunk.sizeZ, 'Expand Y');
   }
 
   function expandChunkZ() {
-    const newSize = chunk.sizeZ + 1;
-    chunk.expandSize(chunk.sizeX, chunk.sizeY, newSize);
-    N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
-    buildAxisGizmo(); // Rebuild grid and axes
-    buildAllMeshes();
-    updateChunkSizeUI();
-    updateCameraTargetUI();
-    clearHistory();
+    resizeChunk(chunk.sizeX, chunk.sizeY, chunk.sizeZ + 1, 'Expand Z');
   }
 
   function shrinkChunkX() {
     if (chunk.sizeX <= 1) return; // Minimum size is 1
-    const newSize = chunk.sizeX - 1;
-    chunk.expandSize(newSize, chunk.sizeY, chunk.sizeZ);
-    N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
-    buildAxisGizmo();
-    buildAllMeshes();
-    updateChunkSizeUI();
-    updateCameraTargetUI();
-    clearHistory();
+    resizeChunk(chunk.sizeX - 1, chunk.sizeY, chunk.sizeZ, 'Shrink X');
   }
 
   function shrinkChunkY() {
     if (chunk.sizeY <= 1) return;
-    const newSize = chunk.sizeY - 1;
-    chunk.expandSize(chunk.sizeX, newSize, chunk.sizeZ);
-    N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
-    buildAllMeshes();
-    updateChunkSizeUI();
-    updateCameraTargetUI();
-    clearHistory();
+    resizeChunk(chunk.sizeX, chunk.sizeY - 1, chunk.sizeZ, 'Shrink Y');
   }
 
   function shrinkChunkZ() {
     if (chunk.sizeZ <= 1) return;
-    const newSize = chunk.sizeZ - 1;
-    chunk.expandSize(chunk.sizeX, chunk.sizeY, newSize);
-    N = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ);
-    
-    camera.target = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
-    
-    buildAxisGizmo();
-    buildAllMeshes();
-    updateChunkSizeUI();
-    updateCameraTargetUI();
-    clearHistory();
+    resizeChunk(chunk.sizeX, chunk.sizeY, chunk.sizeZ - 1, 'Shrink Z');
+  }
+
+  /*** ---- Whole-model rotate, flip, rescale ---- ***/
+  function transformWholeModel(label, matrix) {
+    const oldSize = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+    editChunkLayout(label, () => {
+      transformModel(chunk, animSystem, matrix);
+
+      // Hand-placed mirror planes follow the axis they land on
+      const planes = symmetry.planes;
+      symmetry.planes = matrix.map(row => {
+        const from = row.findIndex(c => c !== 0);
+        if (planes[from] === null) return null;
+        return row[from] > 0 ? planes[from] : oldSize[from] - planes[from];
+      });
+      clearSelection();
+    });
+  }
+
+  function rotateModel(axis, turns = 1) {
+    transformWholeModel(`Rotate ${'XYZ'[axis]} ${turns > 0 ? '+' : '-'}90°`, rotationMatrix(axis, turns));
+  }
+
+  function flipModel(axis) {
+    transformWholeModel(`Flip ${'XYZ'[axis]}`, flipMatrix(axis));
+  }
+
+  // Integer rescale; 'up' turns every voxel into k×k×k, 'down' merges k×k×k blocks by majority vote
+  function rescaleModel(k, direction) {
+    if (!Number.isInteger(k) || k < 2) return;
+    editChunkLayout(direction === 'up' ? `Upscale ×${k}` : `Downscale ÷${k}`, () => {
+      if (direction === 'up') upscaleModel(chunk, animSystem, k);
+      else downscaleModel(chunk, animSystem, k);
+      // Planes stay on half-voxel steps when a downscale would leave them between
+      const scale = direction === 'up' ? k : 1 / k;
+      symmetry.planes = symmetry.planes.map(p => p === null ? null : Math.round(p * scale * 2) / 2);
+      clearSelection();
+    });
   }
 
   /*** ---- Shift all voxels ---- ***/
   function shiftVoxels(dx, dy, dz) {
-    const act = beginVoxelAction(`Shift ${dx !== 0 ? (dx > 0 ? '+X' : '-X') : dy !== 0 ? (dy > 0 ? '+Y' : '-Y') : (dz > 0 ? '+Z' : '-Z')}`);
-    
-    // Create temporary copy of voxel data
-    const tempSolid = new Array(chunk.length);
-    const tempMaterial = new Uint8Array(chunk.length);
-    
-    for (let i = 0; i < chunk.length; i++) {
-      tempSolid[i] = chunk.isSolid(i);
-      tempMaterial[i] = chunk.material(i);
-    }
-    
-    // Clear the chunk first
-    for (let i = 0; i < chunk.length; i++) {
-      chunk.setSolid(i, false);
-      chunk.setMaterial(i, 0);
-    }
-    
-    // Copy voxels to new positions
+    const act = beginChunkAction(`Shift ${dx !== 0 ? (dx > 0 ? '+X' : '-X') : dy !== 0 ? (dy > 0 ? '+Y' : '-Y') : (dz > 0 ? '+Z' : '-Z')}`);
+    const { solid, material } = act.before;
+
+    // Clear the chunk, then copy voxels to their new positions; those shifted out of bounds are dropped
+    chunk.fill(false);
+    chunk.setMaterialAll(0);
     for (let z = 0; z < chunk.sizeZ; z++) {
       for (let y = 0; y < chunk.sizeY; y++) {
         for (let x = 0; x < chunk.sizeX; x++) {
           const oldIdx = chunk.idx3(x, y, z);
-          if (!tempSolid[oldIdx]) continue;
-          
-          const newX = x + dx;
-          const newY = y + dy;
-          const newZ = z + dz;
-          
-          // TODO: undo is not working ... fix this
-          
-          // Only copy if new position is within bounds
-          if (chunk.within(newX, newY, newZ)) {
-            const newIdx = chunk.idx3(newX, newY, newZ);
-            recordVoxelChange(act, newIdx, true, tempMaterial[oldIdx]);
-          } else {
-            // Voxel moved out of bounds - record its removal
-            recordVoxelChange(act, oldIdx, false, tempMaterial[oldIdx]);
-          }
-        }
-      }
-    }
-    
-    // Shift animation region bounding boxes
-    for (const region of animSystem.regions.values()) {
-      region.min[0] += dx;
-      region.min[1] += dy;
-      region.min[2] += dz;
-      
-      region.max[0] += dx;
-      region.max[1] += dy;
-      region.max[2] += dz;
-    }
-    
-    // Shift animation keyframe pivot points
-    for (const anim of animSystem.animations.values()) {
-      for (const kf of anim.keyframes) {
-        if (kf.type === 'rotate' && kf.pivot) {
-          kf.pivot[0] += dx;
-          kf.pivot[1] += dy;
-          kf.pivot[2] += dz;
+          if (solid[oldIdx]) chunk.set(x + dx, y + dy, z + dz, true, material[oldIdx]);
         }
       }
     }
-    
-    commitAction(act, true);
+
+    shiftAnimationData(animSystem, [dx, dy, dz]);
+
+    syncChunkRegions();
+    buildAllMeshes();
+    commitChunkAction(act);
   }
 
   /*** ---- Input, hover, keyboard ---- ***/
@@ -864,6 +1494,7 @@ function main() {
 
   // Hover sets
   let rowHoverSurf = [], rowHoverAdd = [], planeHoverSurf = [], planeHoverAdd = [];
+  let textHover = [];
 
   // Will be set by initializeUI
   let updateHoverUI = () => { };
@@ -878,7 +1509,7 @@ function main() {
     if (currentMode === 'paint') {
       if (currentOption === 'voxel' && chunk.isSolid(voxel)) {
         const act = beginVoxelAction('Paint voxel');
-        recordVoxelChange(act, voxel, true, palette.getBrush());
+        recordSymmetricChange(act, voxel, true, brushMaterialAt);
         commitAction(act);
       }
     } else if (currentMode === 'add') {
@@ -892,7 +1523,7 @@ function main() {
           const id = chunk.idx3(nx, ny, nz);
           if (!chunk.isSolid(id)) {
             const act = beginVoxelAction('Add voxel');
-            recordVoxelChange(act, id, true, palette.getBrush());
+            recordSymmetricChange(act, id, true, brushMaterialAt);
             commitAction(act);
           }
         }
@@ -900,7 +1531,7 @@ function main() {
     } else if (currentMode === 'carve') {
       if (currentOption === 'voxel' && chunk.isSolid(voxel)) {
         const act = beginVoxelAction('Remove voxel');
-        recordVoxelChange(act, voxel, false, chunk.material(voxel));
+        recordSymmetricChange(act, voxel, false, chunk.material(voxel));
         commitAction(act);
       }
     }
@@ -914,6 +1545,8 @@ function main() {
     hoverFace = p.face;
     updateHoverUI();
 
+    if (shapeDrag) updateShape(hoverVoxel, hoverFace);
+
     // Compute previews
     if (hoverVoxel >= 0 && hoverFace >= 0) {
       if (mode === 'add' && option === 'row') {
@@ -940,34 +1573,99 @@ function main() {
         planeHoverSurf = [];
       }
 
+      textHover = option === 'text' ? getTextTargets(hoverVoxel, hoverFace) : [];
+
     } else {
       rowHoverSurf = [];
       rowHoverAdd = [];
       planeHoverSurf = [];
       planeHoverAdd = [];
+      textHover = [];
     }
   }
 
   const COLOR_PAINT = [1.0, 0.60, 0.20];
   const COLOR_CARVE = [1.0, 0.32, 0.32];
   const COLOR_ADD = [0.27, 0.95, 0.42];
+  const COLOR_SELECT = [0.35, 0.75, 1.0];
+  const COLOR_SYMMETRY = [0.8, 0.5, 1.0];
+  const COLOR_SLICE = [1.0, 0.9, 0.3];
+
+  // A hover target and the mirror images an edit there would also change
+  function drawSymmetricWire(id, color, inflate = 1.006) {
+    for (const image of symmetricIds(id)) {
+      if (image === id || chunk.isSolid(image) === chunk.isSolid(id)) drawVoxelWire(image, color, inflate);
+    }
+  }
+
+  // A cell box and its mirror images across every combination of active planes
+  function drawSymmetricAABB(min, max, color, inflate = 1.006) {
+    const axes = [0, 1, 2].filter(axis => symmetry.enabled[axis]);
+    for (let mask = 0; mask < (1 << axes.length); mask++) {
+      const lo = min.slice(), hi = max.slice();
+      axes.forEach((axis, bit) => {
+        if (!(mask & (1 << bit))) return;
+        const plane = getSymmetryPlane(axis);
+        lo[axis] = mirrorCoord(max[axis], plane);
+        hi[axis] = mirrorCoord(min[axis], plane);
+      });
+      drawWireAABB(...lo, ...hi, color, inflate);
+    }
+  }
+
+  function drawSymmetryPlanes() {
+    for (let axis = 0; axis < 3; axis++) {
+      if (!symmetry.enabled[axis]) continue;
+      const lo = [0, 0, 0], hi = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+      lo[axis] = hi[axis] = getSymmetryPlane(axis);
+      drawWireAABB(...lo, ...hi.map(v => v - 1), COLOR_SYMMETRY, 1);
+    }
+  }
+
+  // Outlines only the cells on the outside of a set, optionally shifted by `offset`
+  function drawCellsOutline(ids, color, offset = [0, 0, 0]) {
+    const inside = ids instanceof Set ? ids : new Set(ids);
+    for (const id of inside) {
+      const [x, y, z] = chunk.coordsOf(id);
+      const hidden = FACE_DIRS.slice(0, 6).every(([dx, dy, dz]) =>
+        chunk.within(x + dx, y + dy, z + dz) && inside.has(chunk.idx3(x + dx, y + dy, z + dz)));
+      if (hidden) continue;
+      const px = x + offset[0], py = y + offset[1], pz = z + offset[2];
+      drawWireAABB(px, py, pz, px, py, pz, color, 1.006);
+    }
+  }
 
   /*** ======= Regioning Meshes ======= ***/
 
+  // Meshing runs in a worker; results are uploaded when they arrive
+  const meshWorker = new MeshWorkerClient();
+
   function buildAllMeshes() {
+    pruneSelection();
+    if (filterPreview) previewFilter(filterPreview.name); // keep the preview in step with edits
+    const data = chunk.toMeshData();
+    meshWorker.build(slice.enabled ? clipMeshData(data, slice.axis, slice.level) : data).then((meshes) => {
+      if (meshes) uploadAllMeshes(meshes);
+    }).catch((err) => console.error('Meshing failed:', err));
+    if (slice.enabled) updateSliceUI();
+  }
 
-    renderProg.meta.renderIndexCount = chunk.buildGreedyRenderMeshMain(gl, renderProg, renderProg.vao);
+  function uploadAllMeshes(meshes) {
+    renderProg.meta.renderIndexCount = uploadRenderMesh(gl, renderProg, renderProg.vao, meshes.main);
     // TODO: build pick for regions and when animated
-    chunk.buildPickFaces(gl, pickProg);
-
-    renderProg.meta.regions = {};
-    for (const [name, region] of animSystem.regions.entries()) {
-
-      renderProg.meta.regions[name] = {};
-      renderProg.meta.regions[name].vao = gl.createVertexArray();
-      renderProg.meta.regions[name].visible = true;
-      renderProg.meta.regions[name].indexCount = chunk.buildGreedyRenderMeshRegion(gl, renderProg, renderProg.meta.regions[name].vao, name);
+    uploadPickMesh(gl, pickProg, meshes.pick);
+
+    // Reuse VAOs of regions that still exist, delete the rest
+    const regions = {};
+    for (const [name, mesh] of Object.entries(meshes.regions)) {
+      const prev = renderProg.meta.regions[name];
+      const vao = prev ? prev.vao : gl.createVertexArray();
+      regions[name] = { vao, visible: true, indexCount: uploadRenderMesh(gl, renderProg, vao, mesh) };
+    }
+    for (const [name, region] of Object.entries(renderProg.meta.regions)) {
+      if (!regions[name]) gl.deleteVertexArray(region.vao);
     }
+    renderProg.meta.regions = regions;
   }
 
   buildAllMeshes();
@@ -1041,12 +1739,14 @@ function main() {
     gl.clearColor(0.07, 0.08, 0.1, 1);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     gl.useProgram(renderProg.program);
-    renderProg.uPalette.set(palette.colors);
+    updatePaletteTexture(gl, paletteTex, palette.colors);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uView.set(camera.view());
     renderProg.uProj.set(proj);
     renderProg.uNormalMat.set(new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]));
     renderProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
     renderProg.uAmbient.set(ambient);
+    renderProg.uAOStrength.set(aoEnabled ? 1 : 0);
 
     // Render main mesh (non-animated voxels) with identity transform
     if (renderProg.meta.visible) {
@@ -1089,7 +1789,7 @@ function main() {
       gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
       
       gl.useProgram(particleProg.program);
-      particleProg.uPalette.set(palette.colors);
+      bindPaletteTexture(gl, particleProg.uPalette, paletteTex);
       particleProg.uView.set(camera.view());
       particleProg.uProj.set(proj);
       particleProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
@@ -1127,20 +1827,23 @@ updateParticleTexture(particles);
     if (mode !== 'move' && hoverVoxel >= 0 && hoverFace >= 0) {
       if (option === 'plane') {
         if (mode === 'add') {
-          for (const t of planeHoverAdd) drawVoxelWire(t, COLOR_ADD, 1.006);
+          for (const t of planeHoverAdd) drawSymmetricWire(t, COLOR_ADD, 1.006);
         } else if (mode === 'carve') {
-          for (const id of planeHoverSurf) drawVoxelWire(id, COLOR_CARVE, 1.006);
+          for (const id of planeHoverSurf) drawSymmetricWire(id, COLOR_CARVE, 1.006);
         } else if (mode === 'paint') {
-          for (const id of planeHoverSurf) drawVoxelWire(id, COLOR_PAINT, 1.006);
+          for (const id of planeHoverSurf) drawSymmetricWire(id, COLOR_PAINT, 1.006);
         }
       } else if (option === 'row') {
         if (mode === 'add') {
-          for (const t of rowHoverAdd) drawVoxelWire(t, COLOR_ADD, 1.006);
+          for (const t of rowHoverAdd) drawSymmetricWire(t, COLOR_ADD, 1.006);
         } else if (mode === 'carve') {
-          for (const id of rowHoverSurf) drawVoxelWire(id, COLOR_CARVE, 1.006);
+          for (const id of rowHoverSurf) drawSymmetricWire(id, COLOR_CARVE, 1.006);
         } else if (mode === 'paint') {
-          for (const id of rowHoverSurf) drawVoxelWire(id, COLOR_PAINT, 1.006);
+          for (const id of rowHoverSurf) drawSymmetricWire(id, COLOR_PAINT, 1.006);
         }
+      } else if (option === 'text') {
+        const color = mode === 'add' ? COLOR_ADD : mode === 'carve' ? COLOR_CARVE : COLOR_PAINT;
+        for (const id of textHover) drawVoxelWire(id, color, 1.006);
       } else if (option === 'voxel') {
         if (mode === 'add') {
           const [x, y, z] = chunk.coordsOf(hoverVoxel);
@@ -1148,19 +1851,61 @@ updateParticleTexture(particles);
           const nx = x + d[0];
           const ny = y + d[1];
           const nz = z + d[2];
-          if (chunk.within(nx, ny, nz) && !chunk.isSolid(chunk.idx3(nx, ny, nz))) drawVoxelWire(chunk.idx3(nx, ny, nz), COLOR_ADD, 1.006);
+          if (chunk.within(nx, ny, nz) && !chunk.isSolid(chunk.idx3(nx, ny, nz))) drawSymmetricWire(chunk.idx3(nx, ny, nz), COLOR_ADD, 1.006);
         } else if (mode === 'carve') {
           const [x, y, z] = chunk.coordsOf(hoverVoxel);
           const id = chunk.idx3(x, y, z);
-          if (chunk.isSolid(id)) drawVoxelWire(hoverVoxel, COLOR_CARVE, 1.006);
+          if (chunk.isSolid(id)) drawSymmetricWire(hoverVoxel, COLOR_CARVE, 1.006);
         } else if (mode === 'paint') {
           const [x, y, z] = chunk.coordsOf(hoverVoxel);
           const id = chunk.idx3(x, y, z);
-          if (chunk.isSolid(id)) drawVoxelWire(hoverVoxel, COLOR_PAINT, 1.006);
+          if (chunk.isSolid(id)) drawSymmetricWire(hoverVoxel, COLOR_PAINT, 1.006);
         }
       }
     }
 
+    if (shapePreview) {
+      const color = shapeDrag.mode === 'select' ? COLOR_SELECT : shapeDrag.mode === 'add' ? COLOR_ADD : shapeDrag.mode === 'carve' ? COLOR_CARVE : COLOR_PAINT;
+      if (shapeDrag.mode === 'select') drawWireAABB(...shapePreview.min, ...shapePreview.max, color, 1.01);
+      else drawSymmetricAABB(shapePreview.min, shapePreview.max, color, 1.01);
+      if (shapeDrag.shape !== 'box') drawCellsOutline(shapePreview.ids, color);
+    } else if (isSelectOption() && hoverVoxel >= 0 && hoverFace >= 0) {
+      if (chunk.isSolid(hoverVoxel)) drawVoxelWire(hoverVoxel, COLOR_SELECT, 1.006);
+    } else if (isFillOption() && mode === 'paint' && hoverVoxel >= 0 && hoverFace >= 0) {
+      if (chunk.isSolid(hoverVoxel)) drawVoxelWire(hoverVoxel, COLOR_PAINT, 1.006);
+    } else if (isShapeOption() && mode !== 'move' && hoverVoxel >= 0 && hoverFace >= 0) {
+      const cell = shapeCellOf(hoverVoxel, hoverFace);
+      const color = mode === 'add' ? COLOR_ADD : mode === 'carve' ? COLOR_CARVE : COLOR_PAINT;
+      if (chunk.within(...cell)) drawSymmetricAABB(cell, cell, color, 1.006);
+    }
+
+    drawSymmetryPlanes();
+
+    // Outline the visible cut layer
+    if (slice.enabled) {
+      const lo = [0, 0, 0], hi = [chunk.sizeX - 1, chunk.sizeY - 1, chunk.sizeZ - 1];
+      lo[slice.axis] = hi[slice.axis] = slice.level;
+      drawWireAABB(...lo, ...hi, COLOR_SLICE, 1.002);
+    }
+
+    if (selection.size > 0) {
+      drawCellsOutline(selection, COLOR_SELECT, selectionMove ? selectionMove.offset : [0, 0, 0]);
+      drawSelectionHandles();
+    }
+
+    if (filterPreview) {
+      drawCellsOutline(filterPreview.removed, COLOR_CARVE);
+      drawCellsOutline(filterPreview.added, COLOR_ADD);
+    }
+
+    if (stamp) {
+      updateStampOrigin();
+      const [ox, oy, oz] = stamp.origin;
+      for (const [x, y, z] of stamp.outline) drawWireAABB(x + ox, y + oy, z + oz, x + ox, y + oy, z + oz, COLOR_ADD, 1.006);
+      const [sx, sy, sz] = stamp.block.size;
+      drawWireAABB(ox, oy, oz, ox + sx - 1, oy + sy - 1, oz + sz - 1, COLOR_SELECT, 1.002);
+    }
+
     // Render region overlays
     for (const [regionName, region] of animSystem.regions.entries()) {
       if (regionOverlaysVisible.get(regionName)) {
@@ -1225,6 +1970,8 @@ updateParticleTexture(particles);
     setContinuousMode: (val) => { continuousMode = val; },
     getLastAppliedVoxel: () => lastAppliedVoxel,
     setLastAppliedVoxel: (val) => { lastAppliedVoxel = val; },
+    getAOEnabled: () => aoEnabled,
+    setAOEnabled: (val) => { aoEnabled = val; },
 
     // Functions
     buildAllMeshes,
@@ -1245,19 +1992,77 @@ updateParticleTexture(particles);
     shrinkChunkX,
     shrinkChunkY,
     shrinkChunkZ,
+    resizeChunk,
+    setResizeAnchor,
+    rotateModel,
+    flipModel,
+    rescaleModel,
+    beginStamp,
+    cancelStamp,
+    commitStamp,
+    isStamping,
+    setStampKeepExisting,
+    setBooleanOperand,
+    applyBoolean,
+    importImage,
+    importMesh,
+    previewFilter,
+    getFilterPreview,
+    setFilterOption,
+    cancelFilter,
+    applyFilter,
     exportToJSON,
+    exportToGLB,
+    exportToVox,
+    exportToOBJ,
+    exportToSTL,
     importFromJSON,
+    importFromVox,
     decodePickAt,
     getRowSurfaceVoxels,
     getRowAddTargets,
     getPlaneSurfaceVoxels,
     getPlaneAddTargets,
+    isShapeOption,
+    beginShape,
+    finishShape,
+    cancelShape,
+    getSelectionCount,
+    selectAll,
+    clearSelection,
+    selectConnectedAt,
+    deleteSelection,
+    copySelection,
+    cutSelection,
+    pasteVoxels,
+    rotateSelection,
+    mirrorSelection,
+    beginSelectionMove,
+    updateSelectionMove,
+    finishSelectionMove,
     beginVoxelAction,
     recordVoxelChange,
+    recordSymmetricChange,
     commitAction,
+    floodPaintAt,
+    setBrushPattern,
+    setPatternMaterials,
+    brushMaterialAt,
+    setTextOption,
+    setTextFont,
+    applyTextAt,
+    replaceMaterial,
+    setSliceEnabled,
+    toggleSlice,
+    setSliceAxis,
+    moveSlice,
+    setSymmetryEnabled,
+    moveSymmetryPlane,
+    centreSymmetryPlanes,
 
     // Constants
-    FACE_DIRS
+    FACE_DIRS,
+    FLOOD_LIMIT
   };
 
   initializeUI(uiState);
@@ -0,0 +1,68 @@
+/**
+ * Anchored chunk resizing.
+ *
+ * Each axis grows or shrinks at its min side, its max side or evenly at both
+ * ends. The voxel data, animation region bounds and rotate pivots all move by
+ * the same offset so the model stays where it was relative to its regions.
+ */
+
+export const RESIZE_ANCHORS = ['min', 'centre', 'max'];
+
+/**
+ * Where old cell 0 lands along one axis. A centred odd change puts the extra
+ * layer on the max side.
+ *
+ * @param {number} oldSize
+ * @param {number} newSize
+ * @param {string} anchor 'min' keeps the min side fixed, 'max' the max side, 'centre' the middle
+ * @returns {number} Offset to add to old coordinates
+ */
+export function anchorOffset(oldSize, newSize, anchor) {
+  if (anchor === 'max') return newSize - oldSize;
+  if (anchor === 'centre') {
+    const delta = newSize - oldSize;
+    return (delta - delta % 2) / 2;
+  }
+  return 0;
+}
+
+/**
+ * Moves every animation region and rotate-keyframe pivot by an offset.
+ *
+ * @param {AnimationSystem} animSystem
+ * @param {number[]} offset [dx, dy, dz]
+ */
+export function shiftAnimationData(animSystem, offset) {
+  for (const region of animSystem.regions.values()) {
+    for (let a = 0; a < 3; a++) {
+      region.min[a] += offset[a];
+      region.max[a] += offset[a];
+    }
+  }
+
+  for (const anim of animSystem.animations.values()) {
+    for (const kf of anim.keyframes) {
+      if (kf.type === 'rotate' && kf.pivot) {
+        for (let a = 0; a < 3; a++) kf.pivot[a] += offset[a];
+      }
+    }
+  }
+}
+
+/**
+ * Resizes the chunk around per-axis anchors and moves the animation data
+ * with the voxels. Chunk regions are cleared, as with expandSize().
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @param {number[]} size New [sizeX, sizeY, sizeZ], each at least 1
+ * @param {string[]} anchors Anchor per axis (see RESIZE_ANCHORS)
+ * @returns {number[]} Offset applied to old coordinates
+ */
+export function resizeAnchored(chunk, animSystem, size, anchors) {
+  const oldSize = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  const offset = [0, 1, 2].map(a => anchorOffset(oldSize[a], size[a], anchors[a]));
+  chunk.expandSize(size[0], size[1], size[2], offset);
+  shiftAnimationData(animSystem, offset);
+  return offset;
+}
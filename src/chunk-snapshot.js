@@ -0,0 +1,104 @@
+/**
+ * Whole-model snapshots for undoing edits that change the chunk layout
+ * (resize, shift, rotate, rescale), where per-voxel undo records are not
+ * enough: the dimensions change, every voxel can move, and region bounds,
+ * keyframes and emitters move with them.
+ */
+
+// Emitter fields that whole-model transforms change
+const EMITTER_FIELDS = ['position', 'velocityBase', 'velocitySpread', 'gravity', 'particleSize'];
+
+function copyValue(value) {
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+function copyKeyframe(kf) {
+  const copy = {};
+  for (const [key, value] of Object.entries(kf)) copy[key] = copyValue(value);
+  return copy;
+}
+
+/**
+ * Captures the chunk dimensions and voxel data, the bounds of every
+ * animation region, every keyframe and the spatial emitter settings.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @returns {Object} Snapshot for restoreChunk()
+ */
+export function snapshotChunk(chunk, animSystem) {
+  const solid = new Uint8Array(chunk.length);
+  const material = new Uint8Array(chunk.length);
+  for (let i = 0; i < chunk.length; i++) {
+    solid[i] = chunk.isSolid(i) ? 1 : 0;
+    material[i] = chunk.material(i);
+  }
+
+  const regions = {};
+  for (const [name, region] of animSystem.regions) {
+    regions[name] = { min: region.min.slice(), max: region.max.slice() };
+  }
+
+  const keyframes = {};
+  for (const [name, anim] of animSystem.animations) {
+    keyframes[name] = anim.keyframes.map(copyKeyframe);
+  }
+
+  const emitters = {};
+  for (const [name, emitter] of animSystem.emitters) {
+    emitters[name] = {};
+    for (const field of EMITTER_FIELDS) emitters[name][field] = copyValue(emitter[field]);
+  }
+
+  return { size: [chunk.sizeX, chunk.sizeY, chunk.sizeZ], solid, material, regions, keyframes, emitters };
+}
+
+/**
+ * Puts a snapshot back. Regions, animations and emitters that no longer exist are
+ * skipped; ones created since the snapshot keep their current values.
+ * When the dimensions change, the chunk's region boxes are re-created
+ * from the restored bounds, since resizing the chunk drops them.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @param {Object} snapshot From snapshotChunk()
+ * @returns {boolean} Whether the chunk dimensions changed
+ */
+export function restoreChunk(chunk, animSystem, snapshot) {
+  const [sizeX, sizeY, sizeZ] = snapshot.size;
+  const resized = chunk.sizeX !== sizeX || chunk.sizeY !== sizeY || chunk.sizeZ !== sizeZ;
+  const regionNames = chunk.regionNames;
+  if (resized) chunk.expandSize(sizeX, sizeY, sizeZ);
+
+  for (let i = 0; i < chunk.length; i++) {
+    chunk.setSolid(i, snapshot.solid[i] === 1);
+    chunk.setMaterial(i, snapshot.material[i]);
+  }
+
+  for (const [name, bounds] of Object.entries(snapshot.regions)) {
+    const region = animSystem.regions.get(name);
+    if (!region) continue;
+    region.min = bounds.min.slice();
+    region.max = bounds.max.slice();
+  }
+
+  for (const [name, keyframes] of Object.entries(snapshot.keyframes)) {
+    const anim = animSystem.animations.get(name);
+    if (anim) anim.keyframes = keyframes.map(copyKeyframe);
+  }
+
+  for (const [name, fields] of Object.entries(snapshot.emitters)) {
+    const emitter = animSystem.emitters.get(name);
+    if (!emitter) continue;
+    for (const field of EMITTER_FIELDS) emitter[field] = copyValue(fields[field]);
+  }
+
+  if (resized) {
+    for (const name of regionNames) {
+      const region = animSystem.regions.get(name);
+      if (region) chunk.addRegion(name, region.min, region.max);
+    }
+  }
+
+  return resized;
+}
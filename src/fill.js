@@ -0,0 +1,76 @@
+/**
+ * Flood fill and material queries for the fill and replace tools.
+ *
+ * Everything returns chunk indices and leaves the chunk untouched, so the
+ * editor can record the changes as one undo action.
+ */
+
+import { FACE_OFFSETS } from './voxel-chunk.js';
+
+/**
+ * Default cap on flood fills; large enough for whole models, small enough
+ * that a misclick on a huge chunk cannot hang the page.
+ */
+export const FLOOD_LIMIT = 100000;
+
+/**
+ * Whether a solid voxel has at least one face open to empty space or the
+ * chunk boundary.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} id Chunk index
+ * @returns {boolean}
+ */
+export function isSurfaceVoxel(chunk, id) {
+  if (!chunk.isSolid(id)) return false;
+  const [x, y, z] = chunk.coordsOf(id);
+  return FACE_OFFSETS.some(([dx, dy, dz]) =>
+    !chunk.within(x + dx, y + dy, z + dz) || !chunk.isSolid(chunk.idx3(x + dx, y + dy, z + dz)));
+}
+
+/**
+ * Solid voxels of the start voxel's material reachable through shared faces.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} start Chunk index to flood from
+ * @param {Object} [options]
+ * @param {boolean} [options.surfaceOnly=false] Only visit voxels on the surface (see isSurfaceVoxel)
+ * @param {number} [options.limit=FLOOD_LIMIT] Stop after this many voxels
+ * @returns {{ids: number[], truncated: boolean}} Filled ids, and whether the limit cut the fill short
+ */
+export function floodFill(chunk, start, { surfaceOnly = false, limit = FLOOD_LIMIT } = {}) {
+  const accepts = (id) => !surfaceOnly || isSurfaceVoxel(chunk, id);
+  if (!chunk.isSolid(start) || !accepts(start)) return { ids: [], truncated: false };
+
+  const material = chunk.material(start);
+  const seen = new Set([start]);
+  const stack = [start];
+  while (stack.length) {
+    const [x, y, z] = chunk.coordsOf(stack.pop());
+    for (const [dx, dy, dz] of FACE_OFFSETS) {
+      const nx = x + dx, ny = y + dy, nz = z + dz;
+      if (!chunk.within(nx, ny, nz)) continue;
+      const id = chunk.idx3(nx, ny, nz);
+      if (seen.has(id) || !chunk.isSolid(id) || chunk.material(id) !== material || !accepts(id)) continue;
+      if (seen.size >= limit) return { ids: [...seen], truncated: true };
+      seen.add(id);
+      stack.push(id);
+    }
+  }
+  return { ids: [...seen], truncated: false };
+}
+
+/**
+ * All solid voxels of one material.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} material Palette index
+ * @returns {number[]} Chunk indices
+ */
+export function materialIds(chunk, material) {
+  const ids = [];
+  for (let id = 0; id < chunk.length; id++) {
+    if (chunk.isSolid(id) && chunk.material(id) === material) ids.push(id);
+  }
+  return ids;
+}
@@ -0,0 +1,317 @@
+/**
+ * glTF 2.0 export (binary .glb).
+ *
+ * The model is written as a small node tree:
+ *
+ *   root            (centres the model on the origin, applies the voxel scale)
+ *   ├─ main         (greedy mesh of every voxel outside the regions)
+ *   └─ <region>...  (one node per AnimationRegion, mesh in model space)
+ *
+ * Palette colours go into COLOR_0 (converted to linear), so a single white
+ * material covers the whole model. Animations are sampled at a fixed rate
+ * with Animation.transformAt() and written as LINEAR translation/rotation
+ * channels on the region node; pivots and easing are baked into the samples.
+ *
+ * Everything here is pure (no DOM, no WebGL) so it can be tested under vitest.
+ */
+
+import { Quat } from './math.js';
+import { buildGreedyMesh, mainSolidTest, regionSolidTest } from './mesher.js';
+
+export const GLB_MAGIC = 0x46546C67;   // "glTF"
+const CHUNK_JSON = 0x4E4F534A;         // "JSON"
+const CHUNK_BIN = 0x004E4942;          // "BIN\0"
+
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+// Same darkening as lambert.frag at full AO strength
+const AO_STEP = 0.2;
+
+export const DEFAULT_GLTF_OPTIONS = {
+  name: 'voxels',
+  scale: 1,      // Edge length of one voxel in glTF units (metres)
+  center: true,  // Centre the model on X/Z and stand it on y = 0
+  bakeAO: true,  // Darken vertex colours by the mesher's corner occlusion
+  fps: 30        // Animation sample rate
+};
+
+const srgbToLinear = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+
+/**
+ * Collects typed arrays into one binary buffer, 4-byte aligned per view.
+ */
+class BinaryBuilder {
+
+  constructor(json) {
+    this.json = json;
+    this.parts = [];
+    this.byteLength = 0;
+  }
+
+  addView(array, target) {
+    const view = { buffer: 0, byteOffset: this.byteLength, byteLength: array.byteLength };
+    if (target) view.target = target;
+    this.parts.push({ offset: this.byteLength, bytes: new Uint8Array(array.buffer, array.byteOffset, array.byteLength) });
+    this.byteLength += (array.byteLength + 3) & ~3;
+    this.json.bufferViews.push(view);
+    return this.json.bufferViews.length - 1;
+  }
+
+  addAccessor(array, type, componentType, target, withBounds = false) {
+    const components = { SCALAR: 1, VEC3: 3, VEC4: 4 }[type];
+    const accessor = {
+      bufferView: this.addView(array, target),
+      componentType,
+      count: array.length / components,
+      type
+    };
+    if (withBounds) {
+      const min = new Array(components).fill(Infinity);
+      const max = new Array(components).fill(-Infinity);
+      for (let i = 0; i < array.length; i++) {
+        const c = i % components;
+        if (array[i] < min[c]) min[c] = array[i];
+        if (array[i] > max[c]) max[c] = array[i];
+      }
+      accessor.min = min;
+      accessor.max = max;
+    }
+    this.json.accessors.push(accessor);
+    return this.json.accessors.length - 1;
+  }
+
+  toBytes() {
+    const out = new Uint8Array(this.byteLength);
+    for (const part of this.parts) out.set(part.bytes, part.offset);
+    return out;
+  }
+}
+
+/**
+ * Per-vertex linear RGB from palette indices.
+ *
+ * @param {Object} mesh Result of buildGreedyMesh
+ * @param {Float32Array} colors Palette colours (sRGB 0-1, 3 per entry)
+ * @param {boolean} bakeAO Multiply by the corner occlusion factor
+ * @returns {Float32Array}
+ */
+function vertexColors(mesh, colors, bakeAO) {
+  const out = new Float32Array(mesh.matIds.length * 3);
+  for (let i = 0; i < mesh.matIds.length; i++) {
+    const m = mesh.matIds[i];
+    const ao = bakeAO ? 1 - AO_STEP * mesh.occlusion[i] : 1;
+    for (let c = 0; c < 3; c++) {
+      out[i * 3 + c] = srgbToLinear(colors[m * 3 + c] ?? 0) * ao;
+    }
+  }
+  return out;
+}
+
+/**
+ * Samples an animation into glTF keyframe arrays.
+ * The last sample always lands exactly on the end of the animation.
+ *
+ * @param {Animation} anim Animation to sample
+ * @param {number} fps Samples per second
+ * @returns {{times: Float32Array, translations: Float32Array, rotations: Float32Array}}
+ */
+export function sampleAnimation(anim, fps = DEFAULT_GLTF_OPTIONS.fps) {
+  const duration = anim.getTotalDuration();
+  const count = Math.max(1, Math.ceil(duration * fps)) + 1;
+  const times = new Float32Array(count);
+  const translations = new Float32Array(count * 3);
+  const rotations = new Float32Array(count * 4);
+
+  let prev = null;
+  for (let i = 0; i < count; i++) {
+    const time = Math.min(duration, i / fps);
+    const m = anim.transformAt(time);
+    times[i] = time;
+    translations.set([m[12], m[13], m[14]], i * 3);
+
+    let q = Quat.normalize(Quat.fromMat3([m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]]));
+    // Stay in one hemisphere so LINEAR interpolation takes the short way round
+    if (prev && Quat.dot(prev, q) < 0) q = Quat.scale(q, -1);
+    rotations.set(q, i * 4);
+    prev = q;
+  }
+
+  return { times, translations, rotations };
+}
+
+/**
+ * Builds the glTF JSON document and its binary buffer.
+ *
+ * @param {VoxelChunk} chunk Voxel data
+ * @param {Float32Array} colors Palette colours (sRGB 0-1, 3 per entry)
+ * @param {AnimationSystem} [animSystem] Regions and animations to export
+ * @param {Object} [options] See DEFAULT_GLTF_OPTIONS
+ * @returns {{json: Object, bin: Uint8Array}}
+ */
+export function buildGLTF(chunk, colors, animSystem = null, options = {}) {
+  const opts = { ...DEFAULT_GLTF_OPTIONS, ...options };
+
+  const json = {
+    asset: { version: '2.0', generator: 'carvery' },
+    scene: 0,
+    scenes: [{ name: opts.name, nodes: [0] }],
+    nodes: [],
+    meshes: [],
+    materials: [{
+      name: 'palette',
+      pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 }
+    }],
+    accessors: [],
+    bufferViews: [],
+    buffers: []
+  };
+  const bin = new BinaryBuilder(json);
+
+  // Region boxes come from the animation system, the chunk does not track them
+  const data = chunk.toMeshData();
+  const regions = animSystem ? [...animSystem.regions.values()] : [];
+  data.regions = regions.map(r => ({ name: r.name, min: [...r.min], max: [...r.max] }));
+
+  const addMesh = (name, isSolid) => {
+    const mesh = buildGreedyMesh(data, isSolid);
+    if (mesh.indices.length === 0) return undefined;
+
+    json.meshes.push({
+      name,
+      primitives: [{
+        attributes: {
+          POSITION: bin.addAccessor(mesh.positions, 'VEC3', FLOAT, ARRAY_BUFFER, true),
+          NORMAL: bin.addAccessor(mesh.normals, 'VEC3', FLOAT, ARRAY_BUFFER),
+          COLOR_0: bin.addAccessor(vertexColors(mesh, colors, opts.bakeAO), 'VEC3', FLOAT, ARRAY_BUFFER)
+        },
+        indices: bin.addAccessor(mesh.indices, 'SCALAR', UNSIGNED_INT, ELEMENT_ARRAY_BUFFER),
+        material: 0
+      }]
+    });
+    return json.meshes.length - 1;
+  };
+
+  const root = { name: opts.name, children: [] };
+  if (opts.center) root.translation = [-data.sizeX / 2 * opts.scale, 0, -data.sizeZ / 2 * opts.scale];
+  if (opts.scale !== 1) root.scale = [opts.scale, opts.scale, opts.scale];
+  json.nodes.push(root);
+
+  const addNode = (node) => {
+    if (node.mesh === undefined) delete node.mesh;
+    json.nodes.push(node);
+    root.children.push(json.nodes.length - 1);
+    return json.nodes.length - 1;
+  };
+
+  addNode({ name: 'main', mesh: addMesh('main', mainSolidTest(data)) });
+
+  const regionNodes = new Map();
+  for (const region of data.regions) {
+    regionNodes.set(region.name, addNode({ name: region.name, mesh: addMesh(region.name, regionSolidTest(data, region)) }));
+  }
+
+  // One glTF animation per Animation, driving its region node
+  const animations = [];
+  for (const anim of animSystem ? animSystem.animations.values() : []) {
+    const node = regionNodes.get(anim.regionName);
+    if (node === undefined || anim.getTotalDuration() <= 0) continue;
+
+    const { times, translations, rotations } = sampleAnimation(anim, opts.fps);
+    const input = bin.addAccessor(times, 'SCALAR', FLOAT, undefined, true);
+    animations.push({
+      name: anim.name,
+      samplers: [
+        { input, output: bin.addAccessor(translations, 'VEC3', FLOAT), interpolation: 'LINEAR' },
+        { input, output: bin.addAccessor(rotations, 'VEC4', FLOAT), interpolation: 'LINEAR' }
+      ],
+      channels: [
+        { sampler: 0, target: { node, path: 'translation' } },
+        { sampler: 1, target: { node, path: 'rotation' } }
+      ],
+      extras: { loop: anim.loop }
+    });
+  }
+  if (animations.length > 0) json.animations = animations;
+
+  json.buffers.push({ byteLength: bin.byteLength });
+  return { json, bin: bin.toBytes() };
+}
+
+/**
+ * Packs a glTF document and its buffer into a GLB container.
+ *
+ * @param {Object} json glTF JSON
+ * @param {Uint8Array} bin Contents of buffer 0
+ * @returns {Uint8Array}
+ */
+export function packGLB(json, bin) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = (jsonBytes.length + 3) & ~3;
+  const binLength = (bin.length + 3) & ~3;
+  const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  out.set(jsonBytes, 20);
+  out.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength); // JSON is padded with spaces
+
+  if (binLength > 0) {
+    const offset = 20 + jsonLength;
+    view.setUint32(offset, binLength, true);
+    view.setUint32(offset + 4, CHUNK_BIN, true);
+    out.set(bin, offset + 8);
+  }
+  return out;
+}
+
+/**
+ * Splits a GLB container back into its JSON and binary chunks.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer GLB file contents
+ * @returns {{json: Object, bin: Uint8Array|null}}
+ */
+export function parseGLB(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a GLB file');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+
+  const total = Math.min(view.getUint32(8, true), bytes.length);
+  let json = null, bin = null;
+  for (let offset = 12; offset + 8 <= total;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(chunk));
+    else if (type === CHUNK_BIN && !bin) bin = chunk;
+    offset += 8 + length;
+  }
+  if (!json) throw new Error('GLB file has no JSON chunk');
+  return { json, bin };
+}
+
+/**
+ * Exports a model as a binary glTF (.glb) file.
+ *
+ * @param {VoxelChunk} chunk Voxel data
+ * @param {Float32Array} colors Palette colours (sRGB 0-1, 3 per entry)
+ * @param {AnimationSystem} [animSystem] Regions and animations to export
+ * @param {Object} [options] See DEFAULT_GLTF_OPTIONS
+ * @returns {Uint8Array} GLB file contents
+ */
+export function exportGLB(chunk, colors, animSystem = null, options = {}) {
+  const { json, bin } = buildGLTF(chunk, colors, animSystem, options);
+  return packGLB(json, bin);
+}
@@ -1,6 +1,6 @@
 import { Mat4, Vec3, toRadians } from './math.js';
 import { OrbitCamera, createPlane, createGrassBlade, makeParticleCube } from './3d.js';
-import { createProgram } from './webgl.js';
+import { createProgram, createPaletteTexture, bindPaletteTexture } from './webgl.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
 import grassVert from './grass.vert';
@@ -188,6 +188,7 @@ function main() {
     0.8, 0.8, 0.8,  // Material 14: Light Gray (unused)
     0.3, 0.3, 0.3   // Material 15: Dark Gray (unused)
   ]);
+  const paletteTex = createPaletteTexture(gl, palette);
 
   // Setup VAO for plane
   const planeVao = gl.createVertexArray();
@@ -542,7 +543,7 @@ function main() {
     renderProg.uView.set(view);
     renderProg.uProj.set(proj);
     renderProg.uNormalMat.set(normalMat);
-    renderProg.uPalette.set(palette);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uLightDirWS.set(lightDir);
     renderProg.uAmbient.set(0.22);
     
@@ -556,7 +557,7 @@ function main() {
     grassProg.uView.set(view);
     grassProg.uProj.set(proj);
     grassProg.uNormalMat.set(normalMat);
-    grassProg.uPalette.set(palette);
+    bindPaletteTexture(gl, grassProg.uPalette, paletteTex);
     grassProg.uLightDirWS.set(lightDir);
     grassProg.uAmbient.set(0.22);
     grassProg.uTime.set(time);
@@ -579,7 +580,7 @@ function main() {
     renderProg.uView.set(view);
     renderProg.uProj.set(proj);
     renderProg.uNormalMat.set(normalMat);
-    renderProg.uPalette.set(palette);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uLightDirWS.set(lightDir);
     renderProg.uAmbient.set(0.22);
     
@@ -0,0 +1,64 @@
+/**
+ * Image to voxel conversion.
+ *
+ * Works on any ImageData-like object ({ width, height, data } with RGBA
+ * bytes), so it runs under vitest without a canvas. Pixel colors are matched
+ * to the nearest current palette entry; pixels below the alpha threshold stay
+ * empty.
+ */
+
+import { nearestColorIndex } from './palette.js';
+
+/**
+ * Converts an image to voxels, either as a heightmap or an extruded sprite.
+ *
+ * - heightmap: image x → X, image row → Z; each pixel becomes a column whose
+ *   height is its brightness times `maxHeight` (black pixels stay empty)
+ * - sprite: image x → X, image rows top to bottom → Y high to low; each
+ *   pixel is extruded `depth` voxels along Z
+ *
+ * @param {{width: number, height: number, data: Uint8ClampedArray|number[]}} image RGBA pixels
+ * @param {Float32Array} colors Palette colors
+ * @param {Object} [options]
+ * @param {string} [options.mode='heightmap'] 'heightmap' or 'sprite'
+ * @param {number} [options.maxHeight=16] Column height of a white heightmap pixel
+ * @param {number} [options.depth=1] Sprite extrusion depth
+ * @param {number} [options.alphaThreshold=128] Pixels with less alpha are empty
+ * @returns {{size: number[], voxels: number[][]}} Chunk size needed and [x, y, z, material] voxels
+ * @throws {Error} If the mode is unknown or the buffer is too small
+ */
+export function imageToVoxels(image, colors, options = {}) {
+  const { mode = 'heightmap', maxHeight = 16, depth = 1, alphaThreshold = 128 } = options;
+  const { width, height, data } = image;
+  if (mode !== 'heightmap' && mode !== 'sprite') throw new Error(`Unknown image import mode "${mode}"`);
+  if (data.length < width * height * 4) throw new Error('Image data is smaller than width × height × 4');
+
+  const materials = new Map(); // packed RGB -> palette index
+  const materialAt = (i) => {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    if (!materials.has(key)) {
+      materials.set(key, nearestColorIndex(colors, [data[i] / 255, data[i + 1] / 255, data[i + 2] / 255]));
+    }
+    return materials.get(key);
+  };
+
+  const voxels = [];
+  for (let row = 0; row < height; row++) {
+    for (let x = 0; x < width; x++) {
+      const i = (row * width + x) * 4;
+      if (data[i + 3] < alphaThreshold) continue;
+      const m = materialAt(i);
+
+      if (mode === 'heightmap') {
+        const brightness = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+        const top = Math.round(brightness * maxHeight);
+        for (let y = 0; y < top; y++) voxels.push([x, y, row, m]);
+      } else {
+        for (let z = 0; z < depth; z++) voxels.push([x, height - 1 - row, z, m]);
+      }
+    }
+  }
+
+  const size = mode === 'heightmap' ? [width, maxHeight, height] : [width, height, depth];
+  return { size, voxels };
+}
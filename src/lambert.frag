@@ -4,17 +4,40 @@ precision mediump float;
 
 in vec3 vNormalWS;
 flat in uint vMatId;
+in float vOcclusion;
+in highp vec4 vLightPos;
 
-uniform vec3 uPalette[16];
+uniform sampler2D uPalette; // 256x1 palette texture, one texel per material
 uniform vec3 uLightDirWS;
 uniform float uAmbient;
+uniform float uAOStrength; // 0 disables ambient occlusion, 1 is full strength
+uniform highp sampler2D uShadowMap; // depth texture from the shadow pass
+uniform float uShadowStrength; // 0 disables shadows
+uniform float uShadowBias;
+uniform float uShadowTexel; // 1 / shadow map resolution
 
 out vec4 fragColor;
 
+// Fraction of the light reaching this fragment, 3x3 PCF
+float shadowFactor() {
+  highp vec3 p = vLightPos.xyz / vLightPos.w * 0.5 + 0.5;
+  if (p.x < 0.0 || p.x > 1.0 || p.y < 0.0 || p.y > 1.0 || p.z > 1.0) return 1.0;
+  float lit = 0.0;
+  for (int dy = -1; dy <= 1; dy++) {
+    for (int dx = -1; dx <= 1; dx++) {
+      highp float d = texture(uShadowMap, p.xy + vec2(dx, dy) * uShadowTexel).r;
+      lit += (p.z - uShadowBias) > d ? 0.0 : 1.0;
+    }
+  }
+  return lit / 9.0;
+}
+
 void main(){
-  vec3 base = uPalette[int(vMatId)];
+  vec3 base = texelFetch(uPalette, ivec2(int(vMatId), 0), 0).rgb;
   float NdotL = max(dot(normalize(vNormalWS), normalize(-uLightDirWS)), 0.0);
-  float lambert = uAmbient + (1.0 - uAmbient) * NdotL;
-  vec3 rgb = pow(base * lambert, vec3(1.0/1.8));
+  float shadow = uShadowStrength > 0.0 ? mix(1.0, shadowFactor(), uShadowStrength) : 1.0;
+  float lambert = uAmbient + (1.0 - uAmbient) * NdotL * shadow;
+  float ao = 1.0 - uAOStrength * 0.2 * vOcclusion;
+  vec3 rgb = pow(base * lambert * ao, vec3(1.0/1.8));
   fragColor = vec4(rgb, 1.0);
 }
\ No newline at end of file
@@ -2,19 +2,25 @@
 
 precision mediump float;
 
-in vec3 aPosition;
+layout(location = 0) in vec3 aPosition; // fixed so shadow.vert can share VAOs
 in vec3 aNormal;
 in uint aMatId;
+in float aOcclusion; // ambient occlusion level 0 (open) to 3 (fully occluded)
 
 uniform mat4 uModel, uView, uProj;
 uniform mat3 uNormalMat;
+uniform mat4 uLightViewProj; // shadow map projection (see shadow.js)
 
 out vec3 vNormalWS;
 flat out uint vMatId;
+out float vOcclusion;
+out highp vec4 vLightPos;
 
 void main(){
   vec4 worldPos = uModel * vec4(aPosition, 1.0);
   vNormalWS = normalize(uNormalMat * aNormal);
   vMatId = aMatId;
+  vOcclusion = aOcclusion;
+  vLightPos = uLightViewProj * worldPos;
   gl_Position = uProj * uView * worldPos;
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Merging another model into the scene ("Import into scene").
+ *
+ * The incoming voxels become a block (see selection.js) with materials
+ * remapped onto the current palette; its regions, animations, emitters and
+ * groups are added next to the existing ones under unused names.
+ */
+
+import { paletteRemap } from './palette.js';
+import { parseVoxelJSON } from './voxel-format.js';
+import { placeBlock } from './selection.js';
+import { AnimationRegion } from './AnimationRegion.js';
+import { Animation } from './Animation.js';
+import { Emitter } from './Emitter.js';
+import { AnimationGroup } from './AnimationGroup.js';
+
+/**
+ * Reads a voxel JSON model as a block with materials on the current palette.
+ *
+ * @param {Object} obj Parsed .voxels.json
+ * @param {Float32Array} colors Current palette colors
+ * @returns {{origin: number[], size: number[], voxels: number[][], remap: Uint8Array}}
+ * @throws {Error} If the voxel data is malformed
+ */
+export function stampFromJSON(obj, colors) {
+  const { size, palette, voxels } = parseVoxelJSON(obj);
+  const remap = paletteRemap(palette, colors);
+  return {
+    origin: [0, 0, 0],
+    size,
+    voxels: voxels
+      .filter(([x, y, z]) => x < size[0] && y < size[1] && z < size[2])
+      .map(([x, y, z, m]) => [x, y, z, remap[m]]),
+    remap
+  };
+}
+
+/**
+ * Chunk cells a stamp writes at an origin. Cells outside the chunk are
+ * dropped; with `keepExisting`, so are cells that already hold a voxel.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Object} block From stampFromJSON()
+ * @param {number[]} origin Chunk cell of the block's (0, 0, 0)
+ * @param {boolean} keepExisting
+ * @returns {{id: number, material: number}[]}
+ */
+export function stampCells(chunk, block, origin, keepExisting) {
+  const cells = placeBlock(chunk, block, origin);
+  return keepExisting ? cells.filter(c => !chunk.isSolid(c.id)) : cells;
+}
+
+/**
+ * Stamp voxels with at least one face not covered by another stamp voxel,
+ * for drawing the stamp as an outline.
+ *
+ * @param {Object} block From stampFromJSON()
+ * @returns {number[][]} [x, y, z] per outer voxel
+ */
+export function stampOutline(block) {
+  const [sx, sy] = block.size;
+  const key = (x, y, z) => x + sx * (y + sy * z);
+  const filled = new Set(block.voxels.map(([x, y, z]) => key(x, y, z)));
+  const inside = (x, y, z) => x >= 0 && y >= 0 && z >= 0 && x < sx && y < sy && z < block.size[2] && filled.has(key(x, y, z));
+  return block.voxels
+    .filter(([x, y, z]) => !(inside(x + 1, y, z) && inside(x - 1, y, z) && inside(x, y + 1, z) &&
+      inside(x, y - 1, z) && inside(x, y, z + 1) && inside(x, y, z - 1)))
+    .map(([x, y, z]) => [x, y, z]);
+}
+
+/**
+ * Adds the animation data of another model, moved by `offset`. Names that
+ * are taken get a number appended and every reference follows the rename.
+ *
+ * @param {AnimationSystem} animSystem
+ * @param {Object} data Parsed .voxels.json (regions, animations, emitters, groups)
+ * @param {number[]} offset Where the incoming model's (0, 0, 0) lands
+ * @param {Uint8Array} [remap] Material remap for emitter colors
+ * @returns {Object} New name per incoming name: { regions, animations, emitters, groups }
+ */
+export function mergeAnimationData(animSystem, data, offset, remap = null) {
+  const names = { regions: {}, animations: {}, emitters: {}, groups: {} };
+  const shift = (p) => p.map((c, i) => c + offset[i]);
+
+  for (const [name, json] of Object.entries(data.regions || {})) {
+    const newName = animSystem.generateUniqueRegionName(name);
+    const region = AnimationRegion.fromJSON(newName, json);
+    region.min = shift(region.min);
+    region.max = shift(region.max);
+    animSystem.regions.set(newName, region);
+    names.regions[name] = newName;
+  }
+
+  for (const [name, json] of Object.entries(data.animations || {})) {
+    const newName = animSystem.generateUniqueAnimationName(name);
+    const anim = Animation.fromJSON(newName, json);
+    anim.regionName = names.regions[anim.regionName] ?? anim.regionName;
+    for (const kf of anim.keyframes) {
+      if (kf.type === 'rotate') kf.pivot = shift(kf.pivot || [0, 0, 0]);
+    }
+    animSystem.animations.set(newName, anim);
+    names.animations[name] = newName;
+  }
+
+  for (const [name, json] of Object.entries(data.emitters || {})) {
+    const newName = animSystem.generateUniqueEmitterName(name);
+    const emitter = Emitter.fromJSON(newName, json);
+    emitter.position = shift(emitter.position);
+    if (remap) emitter.colorIds = emitter.colorIds.map(m => remap[m]);
+    animSystem.emitters.set(newName, emitter);
+    names.emitters[name] = newName;
+  }
+
+  for (const [name, json] of Object.entries(data.groups || {})) {
+    const newName = animSystem.generateUniqueGroupName(name);
+    const group = AnimationGroup.fromJSON(newName, json);
+    group.animationNames = group.animationNames.map(n => names.animations[n] ?? n);
+    group.emitterNames = group.emitterNames.map(n => names.emitters[n] ?? n);
+    animSystem.groups.set(newName, group);
+    names.groups[name] = newName;
+  }
+
+  animSystem.linkAnimationsToRegions();
+  return names;
+}
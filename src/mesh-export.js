@@ -0,0 +1,357 @@
+/**
+ * Wavefront OBJ and binary STL export for 3D printing.
+ *
+ * Faces come from the same greedy mesher as the renderer, run over every
+ * solid voxel at once (regions included) so there are no internal faces.
+ * Greedy quads of different sizes meet in T-junctions, which slicers treat
+ * as cracks, so each quad is re-triangulated through every quad corner that
+ * lies on its edges. Vertices are then shared by position, except where the
+ * surface only touches itself at an edge or corner: each sheet of faces
+ * around a lattice point gets its own vertex, and edges where two voxels
+ * touch get a midpoint vertex so both ends can be split independently. Every
+ * edge is then used by exactly two triangles.
+ *
+ * The result is a closed, consistently wound (outward) 2-manifold mesh.
+ */
+
+import { buildGreedyMesh } from './mesher.js';
+
+// Outward normal per face id, same order as the mesher's pick faces
+const FACE_NORMALS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+/*** ---- Vertex sheets ---- ***/
+
+// The 2x2x2 cells around a lattice point are indexed by bits (x = 1, y = 2,
+// z = 4). Slot `cell * 3 + axis` is the unit face between `cell` and
+// `cell | (1 << axis)`. Faces meeting along one of the six edges out of the
+// point belong to the same sheet. Where four faces meet (a "crossing": two
+// voxels touching only along that edge) there are two ways to pair them up,
+// and the pairing must leave the two pairs on different sheets, otherwise
+// the edge ends up shared by four triangles.
+const sheetTable = new Array(256);
+
+function edgeFaces(solid, axis, side) {
+  const faces = [];
+  for (let cell = 0; cell < 8; cell++) {
+    if ((cell & (1 << axis)) !== side) continue;
+    for (let b = 0; b < 3; b++) {
+      const bit = 1 << b;
+      if (b === axis || (cell & bit) || solid[cell] === solid[cell | bit]) continue;
+      const inner = solid[cell] ? cell : cell | bit;
+      faces.push({ slot: cell * 3 + b, solid: inner, empty: inner ^ bit });
+    }
+  }
+  return faces;
+}
+
+/**
+ * Sheet label per face slot for one solid pattern around a lattice point.
+ * Crossings are resolved by trying each combination of pairings (at most
+ * 2^6) until every crossing separates its pairs; the result is cached.
+ *
+ * @param {number} config Bit i set if cell i is solid
+ * @returns {number[]} 24 labels; faces with equal labels share a vertex
+ */
+function sheetLabels(config) {
+  if (sheetTable[config]) return sheetTable[config];
+
+  const solid = [0, 1, 2, 3, 4, 5, 6, 7].map(i => !!(config & (1 << i)));
+  const plain = [], crossings = [];
+  for (let axis = 0; axis < 3; axis++) {
+    for (const side of [0, 1 << axis]) {
+      const faces = edgeFaces(solid, axis, side);
+      if (faces.length === 2) plain.push(faces);
+      if (faces.length === 4) crossings.push(faces);
+    }
+  }
+
+  const resolve = (choice) => {
+    const parent = Array.from({ length: 24 }, (_, i) => i);
+    const root = (i) => parent[i] === i ? i : root(parent[i]);
+    const join = (a, b) => {
+      a = root(a); b = root(b);
+      if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+    };
+
+    for (const [a, b] of plain) join(a.slot, b.slot);
+
+    // Pair faces of the same voxel (bit clear) or around the same empty cell (bit set)
+    let separated = true;
+    const split = crossings.map((faces, c) => {
+      const key = (choice >> c) & 1 ? 'empty' : 'solid';
+      const first = faces.filter(f => f[key] === faces[0][key]);
+      const second = faces.filter(f => f[key] !== faces[0][key]);
+      join(first[0].slot, first[1].slot);
+      join(second[0].slot, second[1].slot);
+      return [first[0].slot, second[0].slot];
+    });
+    for (const [a, b] of split) {
+      if (root(a) === root(b)) separated = false;
+    }
+    return { labels: parent.map((_, i) => root(i)), separated };
+  };
+
+  let labels = null;
+  for (let choice = 0; choice < (1 << crossings.length) && !labels; choice++) {
+    const result = resolve(choice);
+    if (result.separated) labels = result.labels;
+  }
+
+  sheetTable[config] = labels || resolve(0).labels;
+  return sheetTable[config];
+}
+
+/*** ---- Export ---- ***/
+
+export const DEFAULT_PRINT_OPTIONS = {
+  scale: 1,    // Millimetres per voxel
+  zUp: true    // STL only: rotate Y-up to the Z-up convention of slicers
+};
+
+/**
+ * Builds a watertight triangle mesh of all solid voxels.
+ *
+ * @param {Object} data Mesh data snapshot (VoxelChunk.toMeshData())
+ * @param {Object} [options]
+ * @param {boolean} [options.byMaterial=true] Keep material boundaries (false merges all faces)
+ * @returns {{positions: Float32Array, indices: Uint32Array, materials: Uint8Array, faces: Uint8Array}}
+ *   `materials` and `faces` (face id 0-5, see FACE_NORMALS) are per triangle
+ */
+export function buildSolidMesh(data, options = {}) {
+  const { sizeX, sizeY, sizeZ } = data;
+  const solidAt = (x, y, z) =>
+    x >= 0 && y >= 0 && z >= 0 && x < sizeX && y < sizeY && z < sizeZ &&
+    !!data.solid[x + sizeX * (y + sizeY * z)];
+
+  const source = options.byMaterial === false ? { ...data, material: new Uint8Array(data.material.length) } : data;
+  const mesh = buildGreedyMesh(source, solidAt, null, { occlusion: false });
+
+  const pointKey = (p) => `${p[0]},${p[1]},${p[2]}`;
+
+  // Quads back as integer rectangles
+  const quads = [];
+  for (let q = 0; q < mesh.positions.length / 12; q++) {
+    const pts = [0, 1, 2, 3].map(i => [0, 1, 2].map(a => Math.round(mesh.positions[q * 12 + i * 3 + a])));
+    const n = [0, 1, 2].map(a => mesh.normals[q * 12 + a]);
+    const axis = n.findIndex(c => c !== 0);
+    const lo = [0, 1, 2].map(a => Math.min(...pts.map(p => p[a])));
+    const hi = [0, 1, 2].map(a => Math.max(...pts.map(p => p[a])));
+    quads.push({ axis, sign: n[axis], lo, hi, material: mesh.matIds[q * 4] });
+  }
+
+  // Unit steps around a quad, counter-clockwise seen from +axis
+  const boundary = ({ axis, lo, hi }) => {
+    const u = (axis + 1) % 3, v = (axis + 2) % 3;
+    const point = (a, b) => { const p = [0, 0, 0]; p[axis] = lo[axis]; p[u] = a; p[v] = b; return p; };
+    const steps = [];
+    for (let a = lo[u]; a < hi[u]; a++) steps.push({ from: point(a, lo[v]), to: point(a + 1, lo[v]), dir: u });
+    for (let b = lo[v]; b < hi[v]; b++) steps.push({ from: point(hi[u], b), to: point(hi[u], b + 1), dir: v });
+    for (let a = hi[u]; a > lo[u]; a--) steps.push({ from: point(a, hi[v]), to: point(a - 1, hi[v]), dir: u });
+    for (let b = hi[v]; b > lo[v]; b--) steps.push({ from: point(lo[u], b), to: point(lo[u], b - 1), dir: v });
+    return steps;
+  };
+
+  // A unit edge where two voxels (or two gaps) touch only along the edge:
+  // four faces meet there and share a vertex at the edge midpoint, so that
+  // each endpoint can pair the faces up on its own
+  const isCrossing = ({ from, to, dir }) => {
+    const start = from[dir] < to[dir] ? from : to;
+    const a = (dir + 1) % 3, b = (dir + 2) % 3;
+    const cell = (da, db) => {
+      const c = start.slice();
+      c[a] += da - 1;
+      c[b] += db - 1;
+      return solidAt(c[0], c[1], c[2]);
+    };
+    const s00 = cell(0, 0), s10 = cell(1, 0), s01 = cell(0, 1), s11 = cell(1, 1);
+    return s00 === s11 && s10 === s01 && s00 !== s10;
+  };
+
+  // Boundary points every quad must keep: all quad corners and crossing ends
+  const junctions = new Set();
+  for (const quad of quads) {
+    for (const step of boundary(quad)) {
+      const corner = step.from[step.dir] === quad.lo[step.dir] || step.from[step.dir] === quad.hi[step.dir];
+      if (corner) junctions.add(pointKey(step.from));
+      if (isCrossing(step)) {
+        junctions.add(pointKey(step.from));
+        junctions.add(pointKey(step.to));
+      }
+    }
+  }
+
+  // Sheet labels per lattice point, from the solid pattern of its 8 cells
+  const sheets = (p) => {
+    let config = 0;
+    for (let i = 0; i < 8; i++) {
+      if (solidAt(p[0] - 1 + (i & 1), p[1] - 1 + ((i >> 1) & 1), p[2] - 1 + ((i >> 2) & 1))) config |= 1 << i;
+    }
+    return sheetLabels(config);
+  };
+
+  const positions = [];
+  const vertexIds = new Map();
+  const vertexAt = (p, cell, axis) => {
+    const key = pointKey(p);
+    const block = (cell[0] - p[0] + 1) | ((cell[1] - p[1] + 1) << 1) | ((cell[2] - p[2] + 1) << 2);
+    const slot = (block & ~(1 << axis)) * 3 + axis;
+    const id = `${key}#${sheets(p)[slot]}`;
+    let index = vertexIds.get(id);
+    if (index === undefined) {
+      index = positions.length / 3;
+      positions.push(p[0], p[1], p[2]);
+      vertexIds.set(id, index);
+    }
+    return index;
+  };
+
+  const midpointAt = (p) => {
+    const id = `${pointKey(p)}#mid`;
+    let index = vertexIds.get(id);
+    if (index === undefined) {
+      index = positions.length / 3;
+      positions.push(p[0], p[1], p[2]);
+      vertexIds.set(id, index);
+    }
+    return index;
+  };
+
+  const indices = [], materials = [], faces = [];
+  for (const quad of quads) {
+    const { axis, sign, lo, hi } = quad;
+    const u = (axis + 1) % 3, v = (axis + 2) % 3;
+    const k = lo[axis];
+    // Boundary walk through every junction, plus crossing midpoints
+    const ring = [];
+    for (const step of boundary(quad)) {
+      if (junctions.has(pointKey(step.from))) ring.push({ p: step.from });
+      if (isCrossing(step)) ring.push({ p: step.from.map((c, i) => (c + step.to[i]) / 2), mid: true });
+    }
+    if (sign < 0) ring.reverse();
+
+    // The voxel behind this face that touches each boundary point
+    const cellOf = (p) => {
+      const c = [0, 0, 0];
+      c[axis] = sign > 0 ? k - 1 : k;
+      c[u] = Math.min(p[u], hi[u] - 1);
+      c[v] = Math.min(p[v], hi[v] - 1);
+      return c;
+    };
+    const ids = ring.map(({ p, mid }) => mid ? midpointAt(p) : vertexAt(p, cellOf(p), axis));
+    const face = axis * 2 + (sign > 0 ? 0 : 1);
+
+    if (ids.length === 4) {
+      indices.push(ids[0], ids[1], ids[2], ids[0], ids[2], ids[3]);
+      materials.push(quad.material, quad.material);
+      faces.push(face, face);
+    } else {
+      // Fan around the quad centre so no triangle degenerates along an edge
+      const centre = positions.length / 3;
+      const c = [0, 0, 0];
+      c[axis] = k;
+      c[u] = (lo[u] + hi[u]) / 2;
+      c[v] = (lo[v] + hi[v]) / 2;
+      positions.push(c[0], c[1], c[2]);
+      for (let i = 0; i < ids.length; i++) {
+        indices.push(centre, ids[i], ids[(i + 1) % ids.length]);
+        materials.push(quad.material);
+        faces.push(face);
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    indices: new Uint32Array(indices),
+    materials: new Uint8Array(materials),
+    faces: new Uint8Array(faces)
+  };
+}
+
+const num = (v) => String(Math.round(v * 1e4) / 1e4);
+const hex2 = (i) => i.toString(16).padStart(2, '0');
+
+/**
+ * Exports a chunk as Wavefront OBJ with a companion MTL file.
+ * Each used palette entry becomes a material named `palette_<hex index>`.
+ *
+ * @param {VoxelChunk} chunk Source chunk
+ * @param {Float32Array} colors Packed palette colors
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] Millimetres per voxel
+ * @param {string} [options.name='voxels'] Object name, also used for the MTL file name
+ * @returns {{obj: string, mtl: string}}
+ */
+export function exportOBJ(chunk, colors, options = {}) {
+  const scale = options.scale ?? DEFAULT_PRINT_OPTIONS.scale;
+  const name = options.name || 'voxels';
+  const mesh = buildSolidMesh(chunk.toMeshData());
+
+  const lines = [
+    '# Exported from Carvery',
+    `# ${mesh.indices.length / 3} triangles, ${scale} mm per voxel`,
+    `mtllib ${name}.mtl`,
+    `o ${name}`
+  ];
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    lines.push(`v ${num(mesh.positions[i] * scale)} ${num(mesh.positions[i + 1] * scale)} ${num(mesh.positions[i + 2] * scale)}`);
+  }
+  for (const n of FACE_NORMALS) lines.push(`vn ${n[0]} ${n[1]} ${n[2]}`);
+
+  // Faces grouped by material; OBJ indices are 1-based
+  const used = [...new Set(mesh.materials)].sort((a, b) => a - b);
+  for (const m of used) {
+    lines.push(`usemtl palette_${hex2(m)}`);
+    for (let t = 0; t < mesh.materials.length; t++) {
+      if (mesh.materials[t] !== m) continue;
+      const n = mesh.faces[t] + 1;
+      const [a, b, c] = [0, 1, 2].map(i => mesh.indices[t * 3 + i] + 1);
+      lines.push(`f ${a}//${n} ${b}//${n} ${c}//${n}`);
+    }
+  }
+
+  const mtl = ['# Exported from Carvery'];
+  for (const m of used) {
+    const rgb = [0, 1, 2].map(c => num(colors[m * 3 + c] ?? 0)).join(' ');
+    mtl.push('', `newmtl palette_${hex2(m)}`, `Kd ${rgb}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1', 'illum 1');
+  }
+
+  return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+}
+
+/**
+ * Exports a chunk as binary STL (single color).
+ *
+ * @param {VoxelChunk} chunk Source chunk
+ * @param {Object} [options] See DEFAULT_PRINT_OPTIONS
+ * @returns {Uint8Array} File contents
+ */
+export function exportSTL(chunk, options = {}) {
+  const { scale, zUp } = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  const mesh = buildSolidMesh(chunk.toMeshData(), { byMaterial: false });
+  const sizeZ = chunk.sizeZ;
+
+  // Y-up (x, y, z) -> Z-up (x, -z, y) is a rotation, so winding is kept
+  const orient = zUp ? (x, y, z) => [x, -z, y] : (x, y, z) => [x, y, z];
+  const offset = zUp ? [0, sizeZ, 0] : [0, 0, 0];
+
+  const count = mesh.indices.length / 3;
+  const out = new Uint8Array(84 + count * 50);
+  const view = new DataView(out.buffer);
+  const header = 'Carvery binary STL';
+  for (let i = 0; i < header.length; i++) out[i] = header.charCodeAt(i);
+  view.setUint32(80, count, true);
+
+  let pos = 84;
+  const float = (v) => { view.setFloat32(pos, v, true); pos += 4; };
+  for (let t = 0; t < count; t++) {
+    orient(...FACE_NORMALS[mesh.faces[t]]).forEach(float);
+    for (let i = 0; i < 3; i++) {
+      const vi = mesh.indices[t * 3 + i] * 3;
+      const p = orient(mesh.positions[vi], mesh.positions[vi + 1], mesh.positions[vi + 2]);
+      p.forEach((c, a) => float((c + offset[a]) * scale));
+    }
+    pos += 2; // attribute byte count
+  }
+  return out;
+}
@@ -0,0 +1,219 @@
+/**
+ * Triangle mesh readers for the voxelizer: Wavefront OBJ (with optional MTL),
+ * ASCII and binary STL, and glTF (.glb or .gltf with embedded buffers).
+ *
+ * Every reader returns a triangle soup: `positions` holds 9 floats per
+ * triangle and `colors` 3 sRGB floats per triangle, or null when the file
+ * has no colours.
+ */
+
+import { parseGLB, GLB_MAGIC } from './gltf-export.js';
+import { Mat4 } from './math.js';
+
+const linearToSrgb = (c) => c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+
+function soup(positions, colors) {
+  const hasColor = colors.some(c => c !== null);
+  return {
+    positions: Float32Array.from(positions),
+    colors: hasColor ? Float32Array.from(colors.flatMap(c => c || [1, 1, 1])) : null
+  };
+}
+
+/**
+ * Reads MTL diffuse colours.
+ *
+ * @param {string} text MTL file contents
+ * @returns {Map<string, number[]>} Material name -> Kd colour
+ */
+export function parseMTL(text) {
+  const materials = new Map();
+  let current = null;
+  for (const raw of text.split('\n')) {
+    const parts = raw.trim().split(/\s+/);
+    if (parts[0] === 'newmtl') current = parts.slice(1).join(' ');
+    else if (parts[0] === 'Kd' && current !== null) materials.set(current, parts.slice(1, 4).map(Number));
+  }
+  return materials;
+}
+
+/**
+ * Reads OBJ faces as triangles (polygons are fanned). Triangle colours come
+ * from vertex colours (`v x y z r g b`) when present, otherwise from the
+ * `usemtl` material's Kd in the MTL file.
+ *
+ * @param {string} text OBJ file contents
+ * @param {string} [mtlText] Companion MTL file contents
+ * @returns {{positions: Float32Array, colors: Float32Array|null}}
+ */
+export function parseOBJ(text, mtlText = null) {
+  const materials = mtlText ? parseMTL(mtlText) : new Map();
+  const vertices = [], vertexColors = [];
+  const positions = [], colors = [];
+  let material = null;
+
+  for (const raw of text.split('\n')) {
+    const parts = raw.trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      vertices.push(parts.slice(1, 4).map(Number));
+      vertexColors.push(parts.length >= 7 ? parts.slice(4, 7).map(Number) : null);
+    } else if (parts[0] === 'usemtl') {
+      material = materials.get(parts.slice(1).join(' ')) || null;
+    } else if (parts[0] === 'f') {
+      // Indices are 1-based, negative ones count back from the last vertex
+      const ids = parts.slice(1).map(p => {
+        const i = parseInt(p.split('/')[0], 10);
+        return i < 0 ? vertices.length + i : i - 1;
+      });
+      if (ids.some(i => !(i >= 0 && i < vertices.length))) throw new Error(`Bad face: ${raw.trim()}`);
+      for (let k = 1; k + 1 < ids.length; k++) {
+        const tri = [ids[0], ids[k], ids[k + 1]];
+        for (const i of tri) positions.push(...vertices[i]);
+        const vc = tri.map(i => vertexColors[i]);
+        colors.push(vc.every(Boolean) ? [0, 1, 2].map(c => (vc[0][c] + vc[1][c] + vc[2][c]) / 3) : material);
+      }
+    }
+  }
+  return soup(positions, colors);
+}
+
+/**
+ * Reads ASCII or binary STL. STL carries no colours.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer File contents
+ * @returns {{positions: Float32Array, colors: null}}
+ */
+export function parseSTL(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const binaryCount = bytes.length >= 84 ? view.getUint32(80, true) : -1;
+
+  if (binaryCount >= 0 && bytes.length === 84 + binaryCount * 50) {
+    const positions = new Float32Array(binaryCount * 9);
+    for (let t = 0; t < binaryCount; t++) {
+      for (let i = 0; i < 9; i++) positions[t * 9 + i] = view.getFloat32(84 + t * 50 + 12 + i * 4, true);
+    }
+    return { positions, colors: null };
+  }
+
+  const text = new TextDecoder().decode(bytes);
+  if (!/^\s*solid/.test(text)) throw new Error('Not an STL file');
+  const positions = [];
+  for (const match of text.matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)) {
+    positions.push(+match[1], +match[2], +match[3]);
+  }
+  if (positions.length % 9 !== 0) throw new Error('STL facets must have three vertices');
+  return { positions: Float32Array.from(positions), colors: null };
+}
+
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+const COMPONENT_READERS = {
+  5120: { size: 1, read: (v, o) => v.getInt8(o), max: 127 },
+  5121: { size: 1, read: (v, o) => v.getUint8(o), max: 255 },
+  5122: { size: 2, read: (v, o) => v.getInt16(o, true), max: 32767 },
+  5123: { size: 2, read: (v, o) => v.getUint16(o, true), max: 65535 },
+  5125: { size: 4, read: (v, o) => v.getUint32(o, true), max: 4294967295 },
+  5126: { size: 4, read: (v, o) => v.getFloat32(o, true), max: 1 }
+};
+
+function decodeDataUri(uri) {
+  const match = /^data:[^,]*;base64,(.*)$/.exec(uri);
+  if (!match) throw new Error('Only embedded glTF buffers are supported');
+  const text = atob(match[1]);
+  const out = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) out[i] = text.charCodeAt(i);
+  return out;
+}
+
+// Accessor contents as an array of element arrays
+function readAccessor(json, buffers, index) {
+  const accessor = json.accessors[index];
+  const n = COMPONENTS[accessor.type];
+  const reader = COMPONENT_READERS[accessor.componentType];
+  if (!n || !reader) throw new Error(`Unsupported glTF accessor ${accessor.type}/${accessor.componentType}`);
+
+  const out = [];
+  if (accessor.bufferView === undefined) {
+    for (let i = 0; i < accessor.count; i++) out.push(new Array(n).fill(0));
+    return out;
+  }
+  const bufferView = json.bufferViews[accessor.bufferView];
+  const bytes = buffers[bufferView.buffer];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const stride = bufferView.byteStride || n * reader.size;
+  const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  const scale = accessor.normalized ? 1 / reader.max : 1;
+  for (let i = 0; i < accessor.count; i++) {
+    const element = [];
+    for (let c = 0; c < n; c++) element.push(reader.read(view, start + i * stride + c * reader.size) * scale);
+    out.push(element);
+  }
+  return out;
+}
+
+function quatToMat4([x, y, z, w]) {
+  return new Float32Array([
+    1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+    2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+    2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+    0, 0, 0, 1
+  ]);
+}
+
+function nodeMatrix(node) {
+  if (node.matrix) return Float32Array.from(node.matrix);
+  return Mat4.fromTRS(node.translation || [0, 0, 0], quatToMat4(node.rotation || [0, 0, 0, 1]), node.scale || [1, 1, 1]);
+}
+
+/**
+ * Reads the triangles of every mesh in the default glTF scene, with node
+ * transforms applied. Colours come from COLOR_0 or the material's base
+ * colour factor (both linear in glTF, converted to sRGB).
+ *
+ * @param {ArrayBuffer|Uint8Array|Object} input .glb bytes, .gltf bytes or parsed .gltf JSON
+ * @returns {{positions: Float32Array, colors: Float32Array|null}}
+ */
+export function parseGLTF(input) {
+  let json, buffers;
+  const bytes = input instanceof Uint8Array ? input : input instanceof ArrayBuffer ? new Uint8Array(input) : null;
+  if (bytes && bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) === GLB_MAGIC) {
+    const glb = parseGLB(bytes);
+    json = glb.json;
+    buffers = (json.buffers || []).map((b, i) => (i === 0 && !b.uri ? glb.bin : decodeDataUri(b.uri)));
+  } else {
+    json = bytes ? JSON.parse(new TextDecoder().decode(bytes)) : input;
+    buffers = (json.buffers || []).map(b => decodeDataUri(b.uri || ''));
+  }
+
+  const positions = [], colors = [];
+  const visit = (nodeIndex, parent) => {
+    const node = json.nodes[nodeIndex];
+    const matrix = Mat4.multiply(parent, nodeMatrix(node));
+    const mesh = node.mesh !== undefined ? json.meshes[node.mesh] : null;
+
+    for (const prim of mesh ? mesh.primitives : []) {
+      if (prim.mode !== undefined && prim.mode !== 4) continue; // triangles only
+      const points = readAccessor(json, buffers, prim.attributes.POSITION).map(p => Mat4.transformPoint(matrix, p));
+      const vertexColors = prim.attributes.COLOR_0 !== undefined ? readAccessor(json, buffers, prim.attributes.COLOR_0) : null;
+      const factor = json.materials?.[prim.material]?.pbrMetallicRoughness?.baseColorFactor;
+      const indices = prim.indices !== undefined
+        ? readAccessor(json, buffers, prim.indices).map(e => e[0])
+        : points.map((_, i) => i);
+
+      for (let t = 0; t + 2 < indices.length; t += 3) {
+        const tri = [indices[t], indices[t + 1], indices[t + 2]];
+        for (const i of tri) positions.push(...points[i]);
+        const linear = vertexColors
+          ? [0, 1, 2].map(c => tri.reduce((sum, i) => sum + vertexColors[i][c], 0) / 3)
+          : factor ? factor.slice(0, 3) : null;
+        colors.push(linear && linear.map(c => linearToSrgb(Math.max(0, Math.min(1, c)))));
+      }
+    }
+    for (const child of node.children || []) visit(child, matrix);
+  };
+
+  const scene = json.scenes?.[json.scene ?? 0];
+  const roots = scene ? scene.nodes : (json.nodes || []).map((_, i) => i);
+  for (const root of roots) visit(root, Mat4.identity());
+  return soup(positions, colors);
+}
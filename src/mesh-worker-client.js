@@ -0,0 +1,72 @@
+/**
+ * Main-thread side of the meshing worker.
+ *
+ * Only the most recent request matters: when edits arrive faster than the
+ * worker can mesh, stale results resolve to null and callers skip the upload.
+ * Falls back to meshing synchronously if Workers are unavailable.
+ */
+
+import { buildChunkMeshes } from './mesher.js';
+
+export class MeshWorkerClient {
+
+  constructor() {
+    this._nextId = 1;
+    this._latestId = 0;
+    this._pending = new Map(); // id -> { resolve, reject }
+    this._worker = null;
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this._worker = new Worker(new URL('./mesh-worker.js', import.meta.url), { type: 'module' });
+        this._worker.onmessage = (e) => this._onMessage(e.data);
+        this._worker.onerror = (e) => {
+          console.warn('Mesh worker failed, meshing on the main thread:', e.message);
+          this._fallback();
+        };
+      } catch (err) {
+        console.warn('Mesh worker unavailable, meshing on the main thread:', err.message);
+        this._worker = null;
+      }
+    }
+  }
+
+  /**
+   * Meshes a chunk snapshot.
+   *
+   * @param {Object} data VoxelChunk.toMeshData() snapshot
+   * @returns {Promise<Object|null>} buildChunkMeshes() result, or null if superseded
+   */
+  build(data) {
+    const id = this._nextId++;
+    this._latestId = id;
+
+    if (!this._worker) {
+      return Promise.resolve(buildChunkMeshes(data));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject, data });
+      this._worker.postMessage({ id, data });
+    });
+  }
+
+  _onMessage({ id, meshes, error }) {
+    const job = this._pending.get(id);
+    if (!job) return;
+    this._pending.delete(id);
+
+    if (error) job.reject(new Error(error));
+    else job.resolve(id === this._latestId ? meshes : null);
+  }
+
+  // Worker died: finish outstanding jobs synchronously and stop using it
+  _fallback() {
+    if (this._worker) this._worker.terminate();
+    this._worker = null;
+    for (const [id, job] of this._pending.entries()) {
+      job.resolve(id === this._latestId ? buildChunkMeshes(job.data) : null);
+    }
+    this._pending.clear();
+  }
+}
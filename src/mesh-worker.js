@@ -0,0 +1,19 @@
+/**
+ * Worker entry for off-main-thread meshing.
+ *
+ * Receives `{ id, data }` where `data` is a VoxelChunk.toMeshData() snapshot
+ * and replies `{ id, meshes }` with the buildChunkMeshes() result. Typed
+ * array buffers are transferred, not copied.
+ */
+
+import { buildChunkMeshes, meshTransferables } from './mesher.js';
+
+self.onmessage = (e) => {
+  const { id, data } = e.data;
+  try {
+    const meshes = buildChunkMeshes(data);
+    self.postMessage({ id, meshes }, meshTransferables(meshes));
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
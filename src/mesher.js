@@ -0,0 +1,330 @@
+/**
+ * Pure mesh generation from voxel data to typed arrays.
+ *
+ * Nothing here touches WebGL or the DOM, so the same functions run on the
+ * main thread, inside mesh-worker.js, or under vitest. Uploading the arrays
+ * is a separate step (see uploadRenderMesh / uploadPickMesh in webgl.js).
+ *
+ * Input is a plain "mesh data" snapshot, as produced by VoxelChunk.toMeshData():
+ *
+ *   {
+ *     sizeX, sizeY, sizeZ,
+ *     solid:    Uint8Array  (1 = solid, indexed like VoxelChunk.idx3)
+ *     material: Uint8Array
+ *     regions:  [{ name, min: [x,y,z], max: [x,y,z] }]  (inclusive boxes)
+ *   }
+ */
+
+// Pick face layout; `id` is the face index packed into pick ids (6 = ground)
+const PICK_FACES = [
+  { axis: 0, sign: +1, u: 2, v: 1, id: 0 }, // +X
+  { axis: 0, sign: -1, u: 2, v: 1, id: 1 }, // -X
+  { axis: 1, sign: +1, u: 0, v: 2, id: 2 }, // +Y
+  { axis: 1, sign: -1, u: 0, v: 2, id: 3 }, // -Y
+  { axis: 2, sign: +1, u: 0, v: 1, id: 4 }, // +Z
+  { axis: 2, sign: -1, u: 0, v: 1, id: 5 }  // -Z
+];
+
+export const GROUND_FACE = 6;
+
+/**
+ * Packs a voxel index and face id into a pick id.
+ * Index 0 is reserved for "nothing", so voxel indices are offset by one.
+ *
+ * @param {number} voxelIndex Voxel index (idx3)
+ * @param {number} face Face id 0-6
+ * @returns {number} Packed id
+ */
+export function packPickId(voxelIndex, face) {
+  return ((voxelIndex + 1) << 4) | (face & 7);
+}
+
+/**
+ * Inverse of packPickId.
+ *
+ * @param {number} packed Packed id
+ * @returns {{voxel: number, face: number}} voxel is -1 for "nothing"
+ */
+export function unpackPickId(packed) {
+  if (packed === 0) return { voxel: -1, face: -1 };
+  return { voxel: (packed >>> 4) - 1, face: packed & 7 };
+}
+
+const idx3 = (data, x, y, z) => x + data.sizeX * (y + data.sizeY * z);
+
+const within = (data, x, y, z) =>
+  x >= 0 && y >= 0 && z >= 0 && x < data.sizeX && y < data.sizeY && z < data.sizeZ;
+
+const inBox = (box, x, y, z) =>
+  x >= box.min[0] && x <= box.max[0] &&
+  y >= box.min[1] && y <= box.max[1] &&
+  z >= box.min[2] && z <= box.max[2];
+
+/**
+ * Solid predicate for voxels outside every region (the main mesh).
+ */
+export function mainSolidTest(data) {
+  const regions = data.regions || [];
+  return (x, y, z) => {
+    if (!data.solid[idx3(data, x, y, z)]) return false;
+    for (const region of regions) {
+      if (inBox(region, x, y, z)) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Solid predicate for voxels inside one region box.
+ */
+export function regionSolidTest(data, region) {
+  return (x, y, z) => !!data.solid[idx3(data, x, y, z)] && !!region && inBox(region, x, y, z);
+}
+
+/**
+ * Classic voxel AO for one face corner: counts solid voxels among the two
+ * edge neighbours and the diagonal neighbour in the layer in front of the face.
+ * Two solid edges fully occlude the corner regardless of the diagonal.
+ *
+ * @returns {number} Occlusion level 0 (open) to 3 (fully occluded)
+ */
+export function cornerOcclusion(side1, side2, corner) {
+  if (side1 && side2) return 3;
+  return (side1 ? 1 : 0) + (side2 ? 1 : 0) + (corner ? 1 : 0);
+}
+
+/**
+ * Greedy-meshes the voxels accepted by `isSolid`.
+ * Adjacent faces are merged into one quad only if they share the material
+ * and all four corner occlusion levels.
+ *
+ * @param {Object} data Mesh data snapshot
+ * @param {Function} isSolid (x, y, z) => boolean for in-bounds voxels
+ * @param {Function} [isSolidOutside] (x, y, z) => boolean for neighbours beyond the bounds
+ * @param {Object} [options]
+ * @param {boolean} [options.occlusion=true] Compute corner occlusion; without it quads merge by material only
+ * @returns {{positions: Float32Array, normals: Float32Array, matIds: Uint8Array, occlusion: Uint8Array, indices: Uint32Array}}
+ */
+export function buildGreedyMesh(data, isSolid, isSolidOutside = null, options = {}) {
+  const withOcclusion = options.occlusion !== false;
+  const positions = [], normals = [], matIds = [], occlusion = [], indices = [];
+  let indexBase = 0;
+
+  const dims = [data.sizeX, data.sizeY, data.sizeZ];
+  const eps = 1e-6;
+
+  const solidAt = (x, y, z) => {
+    if (within(data, x, y, z)) return isSolid(x, y, z);
+    return !!isSolidOutside && isSolidOutside(x, y, z);
+  };
+
+  for (let axis = 0; axis < 3; axis++) {
+    const u = (axis + 1) % 3, v = (axis + 2) % 3;
+
+    for (let side = 0; side < 2; side++) {
+      const n = [0, 0, 0]; n[axis] = (side === 0 ? 1 : -1);
+      for (let k = 0; k <= dims[axis]; k++) {
+        const mask = new Array(dims[u] * dims[v]).fill(null);
+        for (let j = 0; j < dims[v]; j++) for (let i = 0; i < dims[u]; i++) {
+          const c = [0, 0, 0]; c[u] = i; c[v] = j; c[axis] = (side === 0 ? k - 1 : k);
+          if (!within(data, c[0], c[1], c[2])) continue;
+          if (!isSolid(c[0], c[1], c[2])) continue;
+          const neigh = [c[0] + n[0], c[1] + n[1], c[2] + n[2]];
+          if (within(data, neigh[0], neigh[1], neigh[2])) {
+            if (isSolid(neigh[0], neigh[1], neigh[2])) continue;
+          } else if (isSolidOutside && isSolidOutside(neigh[0], neigh[1], neigh[2])) {
+            continue;
+          }
+
+          // Corner occlusion sampled in the layer the face looks into, in quad
+          // vertex order: (-u,-v), (+u,-v), (+u,+v), (-u,+v)
+          const ao = [0, 0, 0, 0];
+          const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+          for (let q = 0; q < 4 && withOcclusion; q++) {
+            const [du, dv] = corners[q];
+            const s1 = neigh.slice(); s1[u] += du;
+            const s2 = neigh.slice(); s2[v] += dv;
+            const cr = neigh.slice(); cr[u] += du; cr[v] += dv;
+            ao[q] = cornerOcclusion(solidAt(s1[0], s1[1], s1[2]), solidAt(s2[0], s2[1], s2[2]), solidAt(cr[0], cr[1], cr[2]));
+          }
+
+          // Material in the low byte, 2 bits of occlusion per corner above it
+          const m = data.material[idx3(data, c[0], c[1], c[2])];
+          mask[i + dims[u] * j] = m | (ao[0] << 8) | (ao[1] << 10) | (ao[2] << 12) | (ao[3] << 14);
+        }
+
+        let jRow = 0;
+        while (jRow < dims[v]) {
+          let iCol = 0;
+          while (iCol < dims[u]) {
+            const key = mask[iCol + dims[u] * jRow];
+            if (key == null) { iCol++; continue; }
+            let w = 1;
+            while (iCol + w < dims[u] && mask[(iCol + w) + dims[u] * jRow] === key) w++;
+            let h = 1;
+            heightLoop: while (jRow + h < dims[v]) { for (let xw = 0; xw < w; xw++) { if (mask[(iCol + xw) + dims[u] * (jRow + h)] !== key) break heightLoop; } h++; }
+            const m = key & 255;
+            const ao0 = (key >> 8) & 3, ao1 = (key >> 10) & 3, ao2 = (key >> 12) & 3, ao3 = (key >> 14) & 3;
+
+            const base = [0, 0, 0];
+            base[u] = iCol;
+            base[v] = jRow;
+            base[axis] = k;
+
+            const v0 = base.slice();
+            const v1 = base.slice(); v1[u] += w;
+            const v2 = v1.slice(); v2[v] += h;
+            const v3 = base.slice(); v3[v] += h;
+
+            // Offset slightly along the normal to avoid z-fighting with neighbours
+            const nrm = [0, 0, 0]; nrm[axis] = n[axis];
+            v0[axis] += n[axis] * eps;
+            v1[axis] += n[axis] * eps;
+            v2[axis] += n[axis] * eps;
+            v3[axis] += n[axis] * eps;
+
+            positions.push(
+              v0[0], v0[1], v0[2],
+              v1[0], v1[1], v1[2],
+              v2[0], v2[1], v2[2],
+              v3[0], v3[1], v3[2]
+            );
+
+            normals.push(nrm[0], nrm[1], nrm[2], nrm[0], nrm[1], nrm[2], nrm[0], nrm[1], nrm[2], nrm[0], nrm[1], nrm[2]);
+            matIds.push(m, m, m, m);
+            occlusion.push(ao0, ao1, ao2, ao3);
+
+            // Split along the diagonal that keeps occlusion interpolation symmetric
+            const flip = ao0 + ao2 < ao1 + ao3;
+            const b = indexBase;
+            if (n[axis] > 0) {
+              if (flip) indices.push(b + 1, b + 2, b + 3, b + 1, b + 3, b);
+              else indices.push(b, b + 1, b + 2, b, b + 2, b + 3);
+            } else {
+              if (flip) indices.push(b + 1, b, b + 3, b + 1, b + 3, b + 2);
+              else indices.push(b, b + 3, b + 2, b, b + 2, b + 1);
+            }
+            indexBase += 4;
+            for (let y2 = 0; y2 < h; y2++) for (let x2 = 0; x2 < w; x2++) mask[(iCol + x2) + dims[u] * (jRow + y2)] = null;
+            iCol += w;
+          }
+          jRow++;
+        }
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    matIds: new Uint8Array(matIds),
+    occlusion: new Uint8Array(occlusion),
+    indices: new Uint32Array(indices)
+  };
+}
+
+/**
+ * Builds pick geometry: one quad per exposed voxel face, plus a ground
+ * quad per cell of the y = 0 plane. Each vertex carries a packed pick id.
+ *
+ * @param {Object} data Mesh data snapshot
+ * @returns {{voxel: Object, ground: Object}} Each is { positions: Float32Array, packed: Uint32Array, indices: Uint32Array }
+ */
+export function buildPickMesh(data) {
+  const voxelPos = [], voxelPacked = [], voxelIndices = [];
+  const groundPos = [], groundPacked = [], groundIndices = [];
+  let voxelBase = 0, groundBase = 0;
+
+  const quad = (plane, f, pos) => {
+    const p0 = plane.slice();
+    const p1 = plane.slice(); p1[f.u] += 1;
+    const p2 = p1.slice(); p2[f.v] += 1;
+    const p3 = plane.slice(); p3[f.v] += 1;
+    pos.push(
+      p0[0], p0[1], p0[2],
+      p1[0], p1[1], p1[2],
+      p2[0], p2[1], p2[2],
+      p3[0], p3[1], p3[2]
+    );
+  };
+
+  const { sizeX, sizeY, sizeZ } = data;
+
+  // Ground plane (uses the +Y face layout)
+  const groundY = 0;
+  for (let z = 0; z < sizeZ; z++) for (let x = 0; x < sizeX; x++) {
+    quad([x, groundY, z], PICK_FACES[2], groundPos);
+    const pack = packPickId(idx3(data, x, groundY, z), GROUND_FACE);
+    groundPacked.push(pack, pack, pack, pack);
+    groundIndices.push(groundBase, groundBase + 1, groundBase + 2, groundBase, groundBase + 2, groundBase + 3);
+    groundBase += 4;
+  }
+
+  // Exposed voxel faces
+  for (let z = 0; z < sizeZ; z++) for (let y = 0; y < sizeY; y++) for (let x = 0; x < sizeX; x++) {
+    const vIdx = idx3(data, x, y, z);
+    if (!data.solid[vIdx]) continue;
+
+    for (const f of PICK_FACES) {
+      const nb = [x, y, z]; nb[f.axis] += f.sign;
+      if (within(data, nb[0], nb[1], nb[2]) && data.solid[idx3(data, nb[0], nb[1], nb[2])]) continue;
+
+      const plane = [x, y, z];
+      plane[f.axis] += (f.sign > 0 ? 1 : 0);
+      quad(plane, f, voxelPos);
+
+      const pack = packPickId(vIdx, f.id);
+      voxelPacked.push(pack, pack, pack, pack);
+      voxelIndices.push(voxelBase, voxelBase + 1, voxelBase + 2, voxelBase, voxelBase + 2, voxelBase + 3);
+      voxelBase += 4;
+    }
+  }
+
+  return {
+    voxel: {
+      positions: new Float32Array(voxelPos),
+      packed: new Uint32Array(voxelPacked),
+      indices: new Uint32Array(voxelIndices)
+    },
+    ground: {
+      positions: new Float32Array(groundPos),
+      packed: new Uint32Array(groundPacked),
+      indices: new Uint32Array(groundIndices)
+    }
+  };
+}
+
+/**
+ * Builds every mesh a chunk needs: the main mesh (voxels outside regions),
+ * one mesh per region, and the pick geometry. This is the unit of work
+ * handled by mesh-worker.js.
+ *
+ * @param {Object} data Mesh data snapshot
+ * @returns {{main: Object, regions: Object<string, Object>, pick: Object}}
+ */
+export function buildChunkMeshes(data) {
+  const regions = {};
+  for (const region of data.regions || []) {
+    regions[region.name] = buildGreedyMesh(data, regionSolidTest(data, region));
+  }
+  return {
+    main: buildGreedyMesh(data, mainSolidTest(data)),
+    regions,
+    pick: buildPickMesh(data)
+  };
+}
+
+/**
+ * ArrayBuffers of a buildChunkMeshes() result, for zero-copy postMessage.
+ */
+export function meshTransferables(meshes) {
+  const out = [];
+  const add = (mesh) => {
+    for (const arr of Object.values(mesh)) out.push(arr.buffer);
+  };
+  add(meshes.main);
+  for (const mesh of Object.values(meshes.regions)) add(mesh);
+  add(meshes.pick.voxel);
+  add(meshes.pick.ground);
+  return out;
+}
@@ -0,0 +1,244 @@
+/**
+ * Whole-model transforms: 90° rotations, mirror flips and integer rescaling.
+ *
+ * Voxels, animation region boxes, keyframe pivots/axes/move deltas and
+ * emitters are transformed together so animations keep working afterwards.
+ * Cell coordinates are voxel indices; points (pivots, emitter positions) are
+ * continuous, with voxel x covering [x, x + 1].
+ */
+
+const AXIS_NAMES = ['x', 'y', 'z'];
+
+/**
+ * Signed permutation matrix (rows are output axes) for a rotation about an
+ * axis by a multiple of 90°, counter-clockwise looking down the axis.
+ *
+ * @param {number} axis 0 = X, 1 = Y, 2 = Z
+ * @param {number} turns Quarter turns, negative for clockwise
+ * @returns {number[][]}
+ */
+export function rotationMatrix(axis, turns = 1) {
+  const u = (axis + 1) % 3, v = (axis + 2) % 3;
+  let m = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  for (let t = 0; t < ((turns % 4) + 4) % 4; t++) {
+    // One quarter turn: u' = -v, v' = u
+    const next = m.map(row => row.slice());
+    next[u] = m[v].map(c => -c);
+    next[v] = m[u].slice();
+    m = next;
+  }
+  return m;
+}
+
+/**
+ * Matrix that mirrors one axis.
+ *
+ * @param {number} axis 0 = X, 1 = Y, 2 = Z
+ * @returns {number[][]}
+ */
+export function flipMatrix(axis) {
+  return [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? (i === axis ? -1 : 1) : 0)));
+}
+
+function determinant(m) {
+  return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+function readVoxels(chunk) {
+  const solid = new Uint8Array(chunk.length);
+  const material = new Uint8Array(chunk.length);
+  for (let i = 0; i < chunk.length; i++) {
+    solid[i] = chunk.isSolid(i) ? 1 : 0;
+    material[i] = chunk.material(i);
+  }
+  return { solid, material };
+}
+
+// Resizes the chunk and leaves it empty
+function resetChunk(chunk, size) {
+  chunk.expandSize(size[0], size[1], size[2]);
+  chunk.fill(false);
+  chunk.setMaterialAll(0);
+}
+
+/**
+ * Applies spatial maps to all animation data.
+ *
+ * @param {AnimationSystem} animSystem
+ * @param {Object} map
+ * @param {Function} map.region (min, max) => [min, max] for inclusive cell boxes
+ * @param {Function} map.point Maps a continuous position
+ * @param {Function} map.vector Maps a direction or velocity
+ * @param {Function} map.rotateAxis Maps a rotate keyframe axis (flips the sense under mirroring)
+ * @param {Function} map.move (axisName, delta) => [axisName, delta]
+ * @param {Function} map.extent Maps a non-negative per-axis amount (velocity spread)
+ * @param {number} map.length Scale factor for lengths (particle size)
+ */
+function transformAnimation(animSystem, map) {
+  for (const region of animSystem.regions.values()) {
+    [region.min, region.max] = map.region(region.min, region.max);
+  }
+
+  for (const anim of animSystem.animations.values()) {
+    for (const kf of anim.keyframes) {
+      if (kf.type === 'rotate') {
+        kf.pivot = map.point(kf.pivot || [0, 0, 0]);
+        kf.axis = map.rotateAxis(kf.axis || [0, 1, 0]);
+      } else if (kf.type === 'move') {
+        [kf.axis, kf.delta] = map.move(kf.axis, kf.delta);
+      }
+    }
+  }
+
+  for (const emitter of animSystem.emitters.values()) {
+    emitter.position = map.point(emitter.position);
+    emitter.velocityBase = map.vector(emitter.velocityBase);
+    emitter.velocitySpread = map.extent(emitter.velocitySpread);
+    emitter.gravity = map.vector(emitter.gravity);
+    emitter.particleSize *= map.length;
+  }
+}
+
+/**
+ * Rotates or mirrors the whole model with a signed permutation matrix from
+ * rotationMatrix() or flipMatrix(). The chunk dimensions are permuted to match.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @param {number[][]} matrix
+ * @returns {number[]} New [sizeX, sizeY, sizeZ]
+ */
+export function transformModel(chunk, animSystem, matrix) {
+  const oldSize = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  // Per output axis: the input axis it reads and the sign
+  const rows = matrix.map(row => {
+    const from = row.findIndex(c => c !== 0);
+    return { from, sign: row[from] };
+  });
+  const size = rows.map(r => oldSize[r.from]);
+  const sense = determinant(matrix);
+
+  const point = (p) => rows.map(({ from, sign }) => (sign > 0 ? p[from] : oldSize[from] - p[from]));
+  const cell = (c) => rows.map(({ from, sign }) => (sign > 0 ? c[from] : oldSize[from] - 1 - c[from]));
+  const vector = (v) => rows.map(({ from, sign }) => sign * v[from]);
+
+  const { solid, material } = readVoxels(chunk);
+  const [sx, sy] = oldSize;
+  resetChunk(chunk, size);
+  for (let i = 0; i < solid.length; i++) {
+    if (!solid[i]) continue;
+    const x = i % sx, y = Math.floor(i / sx) % sy, z = Math.floor(i / (sx * sy));
+    const [nx, ny, nz] = cell([x, y, z]);
+    chunk.set(nx, ny, nz, true, material[i]);
+  }
+
+  transformAnimation(animSystem, {
+    region: (min, max) => {
+      const a = cell(min), b = cell(max);
+      return [a.map((v, i) => Math.min(v, b[i])), a.map((v, i) => Math.max(v, b[i]))];
+    },
+    point,
+    vector,
+    rotateAxis: (axis) => vector(axis).map(c => sense * c),
+    move: (axisName, delta) => {
+      const from = AXIS_NAMES.indexOf(axisName);
+      const to = rows.findIndex(r => r.from === from);
+      return [AXIS_NAMES[to], delta * rows[to].sign];
+    },
+    extent: (v) => rows.map(({ from }) => v[from]),
+    length: 1
+  });
+
+  return size;
+}
+
+/**
+ * Upscales the model by an integer factor: every voxel becomes a k×k×k block.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @param {number} k Integer factor, at least 1
+ * @returns {number[]} New [sizeX, sizeY, sizeZ]
+ */
+export function upscaleModel(chunk, animSystem, k) {
+  const oldSize = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  const size = oldSize.map(s => s * k);
+
+  const { solid, material } = readVoxels(chunk);
+  const [sx, sy] = oldSize;
+  resetChunk(chunk, size);
+  for (let i = 0; i < solid.length; i++) {
+    if (!solid[i]) continue;
+    const x = i % sx, y = Math.floor(i / sx) % sy, z = Math.floor(i / (sx * sy));
+    for (let dz = 0; dz < k; dz++) {
+      for (let dy = 0; dy < k; dy++) {
+        for (let dx = 0; dx < k; dx++) chunk.set(x * k + dx, y * k + dy, z * k + dz, true, material[i]);
+      }
+    }
+  }
+
+  scaleAnimation(animSystem, k, (min, max) => [min.map(c => c * k), max.map(c => c * k + k - 1)]);
+  return size;
+}
+
+/**
+ * Downscales the model by an integer factor. Each k×k×k block (clipped at
+ * the chunk edge) becomes solid when at least half of its cells are solid,
+ * taking the most common material among them (lowest index on ties).
+ *
+ * @param {VoxelChunk} chunk
+ * @param {AnimationSystem} animSystem
+ * @param {number} k Integer factor, at least 1
+ * @returns {number[]} New [sizeX, sizeY, sizeZ]
+ */
+export function downscaleModel(chunk, animSystem, k) {
+  const oldSize = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  const size = oldSize.map(s => Math.ceil(s / k));
+
+  const { solid, material } = readVoxels(chunk);
+  const [sx, sy, sz] = oldSize;
+  resetChunk(chunk, size);
+  const counts = new Uint32Array(256);
+  for (let bz = 0; bz < size[2]; bz++) {
+    for (let by = 0; by < size[1]; by++) {
+      for (let bx = 0; bx < size[0]; bx++) {
+        counts.fill(0);
+        let cells = 0, filled = 0;
+        for (let z = bz * k; z < Math.min(sz, bz * k + k); z++) {
+          for (let y = by * k; y < Math.min(sy, by * k + k); y++) {
+            for (let x = bx * k; x < Math.min(sx, bx * k + k); x++) {
+              const i = x + sx * (y + sy * z);
+              cells++;
+              if (!solid[i]) continue;
+              filled++;
+              counts[material[i]]++;
+            }
+          }
+        }
+        if (filled * 2 < cells) continue;
+
+        let best = 0;
+        for (let m = 1; m < counts.length; m++) if (counts[m] > counts[best]) best = m;
+        chunk.set(bx, by, bz, true, best);
+      }
+    }
+  }
+
+  scaleAnimation(animSystem, 1 / k, (min, max) => [min.map(c => Math.floor(c / k)), max.map(c => Math.floor(c / k))]);
+  return size;
+}
+
+function scaleAnimation(animSystem, factor, region) {
+  const scale = (v) => v.map(c => c * factor);
+  transformAnimation(animSystem, {
+    region,
+    point: scale,
+    vector: scale,
+    rotateAxis: (axis) => axis.slice(),
+    move: (axisName, delta) => [axisName, delta * factor],
+    extent: scale,
+    length: factor
+  });
+}
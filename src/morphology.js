@@ -0,0 +1,205 @@
+/**
+ * Morphological filters over a VoxelChunk.
+ *
+ * Each filter returns the voxel changes it would make, in the same form as
+ * boolean.js, so callers can preview them before recording an undo action.
+ * Cells outside the chunk count as empty. An optional `ids` set limits a
+ * filter to a selection: only those voxels are removed, and only they grow
+ * into neighbouring empty cells.
+ */
+
+import { FACE_OFFSETS } from './voxel-chunk.js';
+
+export const ALL_NEIGHBOURS = (() => {
+  const out = [];
+  for (let z = -1; z <= 1; z++) {
+    for (let y = -1; y <= 1; y++) {
+      for (let x = -1; x <= 1; x++) {
+        if (x || y || z) out.push([x, y, z]);
+      }
+    }
+  }
+  return out;
+})();
+
+function neighbourhood(connectivity) {
+  if (connectivity === 6) return FACE_OFFSETS;
+  if (connectivity === 26) return ALL_NEIGHBOURS;
+  throw new Error(`Neighbourhood must be 6 or 26, got ${connectivity}`);
+}
+
+// Chunk ids of a cell's neighbours; -1 for those outside the chunk
+function neighbourIds(chunk, id, dirs) {
+  const [x, y, z] = chunk.coordsOf(id);
+  return dirs.map(([dx, dy, dz]) =>
+    chunk.within(x + dx, y + dy, z + dz) ? chunk.idx3(x + dx, y + dy, z + dz) : -1);
+}
+
+// Most common material among ids, lowest index on ties
+function majorityMaterial(chunk, ids) {
+  const counts = new Map();
+  for (const id of ids) counts.set(chunk.material(id), (counts.get(chunk.material(id)) || 0) + 1);
+  let best = -1, bestCount = 0;
+  for (const [m, n] of counts) {
+    if (n > bestCount || (n === bestCount && m < best)) {
+      best = m;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+function solidIds(chunk, ids) {
+  const out = [];
+  if (ids) {
+    for (const id of ids) if (chunk.isSolid(id)) out.push(id);
+  } else {
+    for (let id = 0; id < chunk.length; id++) if (chunk.isSolid(id)) out.push(id);
+  }
+  return out;
+}
+
+const removal = (chunk, id) => ({ id, solid: false, material: chunk.material(id) });
+
+/**
+ * Removes voxels deeper than `thickness` below the surface (face steps from
+ * the nearest empty cell), leaving a shell.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} thickness Shell thickness in voxels, at least 1
+ * @param {Set<number>} [ids] Limit to these voxels
+ * @returns {{id: number, solid: boolean, material: number}[]}
+ */
+export function hollowChanges(chunk, thickness, ids = null) {
+  const depth = new Int32Array(chunk.length);
+  const queue = [];
+  for (let id = 0; id < chunk.length; id++) {
+    if (!chunk.isSolid(id)) continue;
+    if (neighbourIds(chunk, id, FACE_OFFSETS).some(n => n < 0 || !chunk.isSolid(n))) {
+      depth[id] = 1;
+      queue.push(id);
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const id = queue[head];
+    for (const n of neighbourIds(chunk, id, FACE_OFFSETS)) {
+      if (n < 0 || depth[n] || !chunk.isSolid(n)) continue;
+      depth[n] = depth[id] + 1;
+      queue.push(n);
+    }
+  }
+  return solidIds(chunk, ids).filter(id => depth[id] > thickness).map(id => removal(chunk, id));
+}
+
+/**
+ * Grows a shell inward: fills empty cells enclosed by the model up to
+ * `thickness` face steps from its voxels, each with the material of the
+ * voxel it grew from. The counterpart of hollowChanges(); cells connected to
+ * the outside of the chunk stay empty.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} thickness Voxels to add, at least 1
+ * @param {Set<number>} [ids] Only grow from these voxels
+ * @returns {{id: number, solid: boolean, material: number}[]}
+ */
+export function thickenChanges(chunk, thickness, ids = null) {
+  const outside = new Uint8Array(chunk.length);
+  const queue = [];
+  for (let id = 0; id < chunk.length; id++) {
+    if (chunk.isSolid(id)) continue;
+    if (neighbourIds(chunk, id, FACE_OFFSETS).some(n => n < 0)) {
+      outside[id] = 1;
+      queue.push(id);
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    for (const n of neighbourIds(chunk, queue[head], FACE_OFFSETS)) {
+      if (n < 0 || outside[n] || chunk.isSolid(n)) continue;
+      outside[n] = 1;
+      queue.push(n);
+    }
+  }
+
+  const grown = new Int32Array(chunk.length).fill(-1); // material per filled cell
+  const changes = [];
+  let front = solidIds(chunk, ids);
+  for (const id of front) grown[id] = chunk.material(id);
+  for (let step = 0; step < thickness && front.length > 0; step++) {
+    const next = [];
+    for (const id of front) {
+      for (const n of neighbourIds(chunk, id, FACE_OFFSETS)) {
+        if (n < 0 || outside[n] || grown[n] >= 0 || chunk.isSolid(n)) continue;
+        grown[n] = grown[id];
+        changes.push({ id: n, solid: true, material: grown[n] });
+        next.push(n);
+      }
+    }
+    front = next;
+  }
+  return changes;
+}
+
+/**
+ * Removes every voxel with an empty neighbour.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} connectivity 6 or 26
+ * @param {Set<number>} [ids] Limit to these voxels
+ * @returns {{id: number, solid: boolean, material: number}[]}
+ */
+export function erodeChanges(chunk, connectivity, ids = null) {
+  const dirs = neighbourhood(connectivity);
+  return solidIds(chunk, ids)
+    .filter(id => neighbourIds(chunk, id, dirs).some(n => n < 0 || !chunk.isSolid(n)))
+    .map(id => removal(chunk, id));
+}
+
+/**
+ * Fills every empty cell next to a voxel, taking the most common material
+ * among its solid neighbours.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} connectivity 6 or 26
+ * @param {Set<number>} [ids] Only grow from these voxels
+ * @returns {{id: number, solid: boolean, material: number}[]}
+ */
+export function dilateChanges(chunk, connectivity, ids = null) {
+  const dirs = neighbourhood(connectivity);
+  const targets = new Set();
+  for (const id of solidIds(chunk, ids)) {
+    for (const n of neighbourIds(chunk, id, dirs)) {
+      if (n >= 0 && !chunk.isSolid(n)) targets.add(n);
+    }
+  }
+
+  const changes = [];
+  for (const id of targets) {
+    const sources = neighbourIds(chunk, id, dirs).filter(n => n >= 0 && chunk.isSolid(n) && (!ids || ids.has(n)));
+    changes.push({ id, solid: true, material: majorityMaterial(chunk, sources) });
+  }
+  return changes;
+}
+
+/**
+ * Removes single-voxel spikes (at most one solid face neighbour) and fills
+ * single-voxel pits (at least five solid face neighbours).
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Set<number>} [ids] Limit spikes to these voxels and pits to cells touching them
+ * @returns {{id: number, solid: boolean, material: number}[]}
+ */
+export function smoothChanges(chunk, ids = null) {
+  const changes = [];
+  const pits = new Set();
+  for (const id of solidIds(chunk, ids)) {
+    const around = neighbourIds(chunk, id, FACE_OFFSETS);
+    if (around.filter(n => n >= 0 && chunk.isSolid(n)).length <= 1) changes.push(removal(chunk, id));
+    for (const n of around) if (n >= 0 && !chunk.isSolid(n)) pits.add(n);
+  }
+
+  for (const id of pits) {
+    const solid = neighbourIds(chunk, id, FACE_OFFSETS).filter(n => n >= 0 && chunk.isSolid(n));
+    if (solid.length >= 5) changes.push({ id, solid: true, material: majorityMaterial(chunk, solid) });
+  }
+  return changes;
+}
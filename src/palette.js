@@ -29,50 +29,235 @@ export const rgbToHexF = (r, g, b) => {
   return '#' + decToHex(r) + decToHex(g) + decToHex(b);
 };
 
+/**
+ * Number of palette entries (material ids 0-255).
+ */
+export const PALETTE_SIZE = 256;
+
+/**
+ * Number of swatches shown per palette page.
+ */
+export const PALETTE_PAGE_SIZE = 16;
+
 /**
  * Default palette colors.
+ *
+ * The first 16 entries are the original hand-picked colors. Entries 16-231
+ * are a 6×6×6 color cube and 232-255 a greyscale ramp, so every material id
+ * has a sensible starting color.
+ */
+export const defaultPaletteHex = (() => {
+  const hex = [
+    '#e76f51', '#f4a261', '#e9c46a', '#2a9d8f',
+    '#264653', '#a8dadc', '#457b9d', '#1d3557',
+    '#ff6b6b', '#ffd93d', '#6bcb77', '#4d96ff',
+    '#b983ff', '#ff4d6d', '#9ef01a', '#00f5d4'
+  ];
+  const levels = [0, 0.37, 0.53, 0.69, 0.84, 1];
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 6; g++) {
+      for (let b = 0; b < 6; b++) {
+        hex.push(rgbToHexF(levels[r], levels[g], levels[b]));
+      }
+    }
+  }
+  for (let i = 0; i < 24; i++) {
+    const v = (8 + i * 10) / 255;
+    hex.push(rgbToHexF(v, v, v));
+  }
+  return hex;
+})();
+
+/**
+ * Index of the palette entry closest to a color (squared RGB distance).
+ *
+ * @param {Float32Array|number[]} colors Packed palette colors
+ * @param {number[]} rgb Color to match, floats in range [0,1]
+ * @param {number} [count] Number of leading entries to search
+ * @returns {number} Palette index
+ */
+export function nearestColorIndex(colors, rgb, count = Math.floor(colors.length / 3)) {
+  let best = 0, bestDist = Infinity;
+  for (let i = 0; i < count; i++) {
+    const dr = colors[i * 3 + 0] - rgb[0];
+    const dg = colors[i * 3 + 1] - rgb[1];
+    const db = colors[i * 3 + 2] - rgb[2];
+    const dist = dr * dr + dg * dg + db * db;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = i;
+      if (dist === 0) break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Maps every incoming material index to the nearest color of the current
+ * palette. Entries missing from the incoming palette use their default color,
+ * as they would when the file is opened on its own.
+ *
+ * @param {Array<number[]|null>} incoming Palette from parseVoxelJSON()
+ * @param {Float32Array} colors Current palette colors
+ * @returns {Uint8Array} Current palette index per incoming index
+ */
+export function paletteRemap(incoming, colors) {
+  const remap = new Uint8Array(PALETTE_SIZE);
+  for (let i = 0; i < PALETTE_SIZE; i++) {
+    remap[i] = nearestColorIndex(colors, incoming[i] || hexToRgbF(defaultPaletteHex[i]));
+  }
+  return remap;
+}
+
+/**
+ * Reduces a set of colors to at most `maxColors` with median cut.
+ * The box with the widest channel range is split at its weighted median
+ * until there are enough boxes; each box becomes its weighted mean color.
+ *
+ * @param {number[][]} rgbs Colors to reduce, floats in range [0,1]
+ * @param {number} maxColors Maximum number of output colors
+ * @param {number[]} [weights] Per-color weight (e.g. voxel count), defaults to 1
+ * @returns {number[][]} Reduced colors
  */
-const defaultPaletteHex = [
-  '#e76f51', '#f4a261', '#e9c46a', '#2a9d8f', 
-  '#264653', '#a8dadc', '#457b9d', '#1d3557',
-  '#ff6b6b', '#ffd93d', '#6bcb77', '#4d96ff', 
-  '#b983ff', '#ff4d6d', '#9ef01a', '#00f5d4'
-];
+export function quantizeColors(rgbs, maxColors, weights = null) {
+  const entries = rgbs.map((rgb, i) => ({ rgb, weight: weights ? weights[i] : 1 }));
+  if (entries.length <= maxColors) return entries.map(e => e.rgb.slice());
+
+  const widest = (box) => {
+    let channel = 0, range = -1;
+    for (let c = 0; c < 3; c++) {
+      let lo = Infinity, hi = -Infinity;
+      for (const e of box) {
+        lo = Math.min(lo, e.rgb[c]);
+        hi = Math.max(hi, e.rgb[c]);
+      }
+      if (hi - lo > range) {
+        range = hi - lo;
+        channel = c;
+      }
+    }
+    return { channel, range };
+  };
+
+  const boxes = [entries];
+  while (boxes.length < maxColors) {
+    let pick = -1, pickRange = 0, pickChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const { channel, range } = widest(box);
+      if (range > pickRange) {
+        pick = i;
+        pickRange = range;
+        pickChannel = channel;
+      }
+    });
+    if (pick < 0) break;
+
+    const box = boxes[pick].sort((a, b) => a.rgb[pickChannel] - b.rgb[pickChannel]);
+    const half = box.reduce((sum, e) => sum + e.weight, 0) / 2;
+    let split = 1, acc = box[0].weight;
+    while (split < box.length - 1 && acc + box[split].weight <= half) acc += box[split++].weight;
+    boxes.splice(pick, 1, box.slice(0, split), box.slice(split));
+  }
+
+  return boxes.map(box => {
+    const sum = [0, 0, 0];
+    let total = 0;
+    for (const e of box) {
+      const w = e.weight || 1e-9;
+      for (let c = 0; c < 3; c++) sum[c] += e.rgb[c] * w;
+      total += w;
+    }
+    return sum.map(v => v / total);
+  });
+}
 
 /**
- * Builds and manages the palette UI
+ * Builds and manages the palette UI.
+ *
+ * The palette holds PALETTE_SIZE colors but only one page of
+ * PALETTE_PAGE_SIZE swatches is shown at a time.
  */
 export class PaletteUI {
   /**
    * @param {HTMLElement} container Container element for palette UI
-   * @param {Float32Array} palette Palette data
    * @param {Function} onBrushChange Callback when brush selection changes
    * @param {Function} onColorChange Callback when color changes with undo data
    */
   constructor(container, onBrushChange, onColorChange) {
     this.container = container;
-    this.colors = new Float32Array(16 * 3);
+    this.colors = new Float32Array(PALETTE_SIZE * 3);
     this.onBrushChange = onBrushChange;
     this.onColorChange = onColorChange;
     this.brushMat = 0;
-    this.pickers = new Map(); // Store pickers for each swatch
+    this.page = 0;
+    this.pickers = new Map(); // Store pickers for each visible swatch
     this.build();
   }
 
+  /**
+   * Number of palette pages.
+   */
+  get pageCount() {
+    return Math.ceil(PALETTE_SIZE / PALETTE_PAGE_SIZE);
+  }
+
   /**
    * Rebuilds the entire palette UI
    */
   build() {
+    this.reset();
+    this.renderPage();
+  }
 
-    for (let i = 0; i < 16; i++) {
-      const [r, g, b] = hexToRgbF(defaultPaletteHex[i]);
-      this.setPaletteColor(i, [r, g, b]);
-    }
+  /**
+   * Switches the visible page of swatches.
+   *
+   * @param {number} page Page index, wrapped into range
+   */
+  setPage(page) {
+    const count = this.pageCount;
+    this.page = ((page % count) + count) % count;
+    this.renderPage();
+  }
+
+  /**
+   * Rebuilds the swatches for the current page.
+   */
+  renderPage() {
+    if (!this.container) return;
 
-    if (this.container) this.container.innerHTML = '';
+    this.container.innerHTML = '';
     this.pickers.clear();
-    
-    for (let i = 0; i < 16; i++) {
+
+    const nav = document.createElement('div');
+    nav.className = 'palette-nav';
+
+    const prev = document.createElement('button');
+    prev.className = 'palette-page-btn';
+    prev.textContent = '‹';
+    prev.title = 'Previous palette page ([)';
+    prev.addEventListener('click', () => this.setPage(this.page - 1));
+
+    const label = document.createElement('span');
+    label.className = 'palette-page-label';
+    label.textContent = `${this.page + 1}/${this.pageCount}`;
+
+    const next = document.createElement('button');
+    next.className = 'palette-page-btn';
+    next.textContent = '›';
+    next.title = 'Next palette page (])';
+    next.addEventListener('click', () => this.setPage(this.page + 1));
+
+    nav.appendChild(prev);
+    nav.appendChild(label);
+    nav.appendChild(next);
+    this.container.appendChild(nav);
+
+    const start = this.page * PALETTE_PAGE_SIZE;
+    const end = Math.min(PALETTE_SIZE, start + PALETTE_PAGE_SIZE);
+
+    for (let i = start; i < end; i++) {
       const hex = rgbToHexF(
         this.colors[i * 3 + 0], 
         this.colors[i * 3 + 1], 
@@ -81,12 +266,13 @@ export class PaletteUI {
 
       const swatch = document.createElement('div');
       swatch.className = 'swatch';
+      swatch.dataset.index = i;
       if (i === this.brushMat) swatch.classList.add('active');
       swatch.title = `Left click: Select material ${i}\n${navigator.platform.includes('Mac') ? 'Control+click' : 'Right click'}: Edit color`;
 
       const idx = document.createElement('div');
       idx.className = 'idx';
-      idx.textContent = i.toString(16).toLowerCase();
+      idx.textContent = i.toString(16).padStart(2, '0');
 
       const color = document.createElement('div');
       color.className = 'color';
@@ -145,7 +331,7 @@ export class PaletteUI {
       swatch.appendChild(idx);
       swatch.appendChild(picker);
       swatch.appendChild(color);
-      if (this.container) this.container.appendChild(swatch);
+      this.container.appendChild(swatch);
     }
 
   }
@@ -154,7 +340,7 @@ export class PaletteUI {
    * Resets palette to default colors and updates UI elements
    */
   reset() {
-    for (let i = 0; i < 16; i++) {
+    for (let i = 0; i < PALETTE_SIZE; i++) {
       const [r, g, b] = hexToRgbF(defaultPaletteHex[i]);
       this.setPaletteColor(i, [r, g, b]);
     }
@@ -165,11 +351,11 @@ export class PaletteUI {
     this.colors[i * 3 + 1] = rgb[1];
     this.colors[i * 3 + 2] = rgb[2];
     
-    // Update UI if it exists
+    // Update UI if the swatch is on the visible page
     const hex = rgbToHexF(rgb[0], rgb[1], rgb[2]);
-    const swatches = this.container?.querySelectorAll('.swatch');
-    if (swatches && swatches[i]) {
-      const colorDiv = swatches[i].querySelector('.color');
+    const swatch = this.container?.querySelector(`.swatch[data-index="${i}"]`);
+    if (swatch) {
+      const colorDiv = swatch.querySelector('.color');
       if (colorDiv) {
         colorDiv.style.background = hex;
       }
@@ -183,27 +369,36 @@ export class PaletteUI {
   }
 
   /**
-   * Updates brush selection.
+   * Updates brush selection, switching to the page that holds it.
    * 
    * @param {number} id New brush material ID
    */
   selectBrush(id) {
-    this.brushMat = id & 15;
+    this.brushMat = id & (PALETTE_SIZE - 1);
+
+    const page = Math.floor(this.brushMat / PALETTE_PAGE_SIZE);
+    if (page !== this.page) {
+      this.setPage(page);
+    }
     
     if (this.container) this.container.querySelectorAll('.swatch').forEach(s => 
-      s.classList.remove('active')
+      s.classList.toggle('active', +s.dataset.index === this.brushMat)
     );
-    
-    const swatches = this.container?.querySelectorAll('.swatch');
-    if (swatches[this.brushMat]) {
-      swatches[this.brushMat].classList.add('active');
-    }
 
     if (this.onBrushChange) {
       this.onBrushChange(this.brushMat);
     }
   }
 
+  /**
+   * Selects a swatch on the current page by its position (0-15).
+   * 
+   * @param {number} slot Swatch position within the page
+   */
+  selectBrushOnPage(slot) {
+    this.selectBrush(this.page * PALETTE_PAGE_SIZE + (slot % PALETTE_PAGE_SIZE));
+  }
+
   /**
    * Gets current brush material
    */
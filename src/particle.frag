@@ -6,14 +6,14 @@ in vec3 vNormalWS;
 flat in uint vMatId;
 flat in float vAlpha;
 
-uniform vec3 uPalette[16];
+uniform sampler2D uPalette; // 256x1 palette texture, one texel per material
 uniform vec3 uLightDirWS;
 uniform float uAmbient;
 
 out vec4 fragColor;
 
 void main(){
-  vec3 base = uPalette[int(vMatId)];
+  vec3 base = texelFetch(uPalette, ivec2(int(vMatId), 0), 0).rgb;
   float NdotL = max(dot(normalize(vNormalWS), normalize(-uLightDirWS)), 0.0);
   float lambert = uAmbient + (1.0 - uAmbient) * NdotL;
   vec3 rgb = pow(base * lambert, vec3(1.0/1.8));
@@ -2,7 +2,7 @@
 
 precision highp float;
 
-in vec3 aPosition;
+layout(location = 0) in vec3 aPosition; // fixed so shadow-particle.vert can share the VAO
 in vec3 aNormal;
 in uint aMatId;
 
@@ -36,7 +36,7 @@ void main(){
   // Extract particle properties
   vec3 particlePos = data0.rgb;
   float particleSize = data0.a;
-  vMatId = uint(data1.r * 255.0);  // Color stored as normalized float
+  vMatId = uint(data1.r * 255.0 + 0.5);  // Color stored as normalized float (0-255)
   vAlpha = data1.g;
   
   // Scale and translate the cube vertex
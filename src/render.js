@@ -1,10 +1,20 @@
 import { Mat4, Vec3, toRadians } from './math.js';
-import { OrbitCamera } from './3d.js';
-import { createProgram } from './webgl.js';
+import { OrbitCamera, makeParticleCube } from './3d.js';
+import { createProgram, createPaletteTexture, updatePaletteTexture, bindPaletteTexture } from './webgl.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
-import { hexToRgbF } from './palette.js';
+import particleFrag from './particle.frag';
+import particleVert from './particle.vert';
+import shadowFrag from './shadow.frag';
+import shadowVert from './shadow.vert';
+import shadowParticleVert from './shadow-particle.vert';
+import {
+  DEFAULT_SHADOW_SETTINGS, createShadowMap, deleteShadowMap, lightViewProjection, bindShadowUniforms
+} from './shadow.js';
+import { AnimationSystem } from './AnimationSystem.js';
+import { hexToRgbF, PALETTE_SIZE } from './palette.js';
 import { VoxelChunk } from './voxel-chunk.js';
+import { decodeVoxel } from './voxel-format.js';
 
 /*** ======= Render-Only Viewer ======= ***/
 function main() {
@@ -23,13 +33,28 @@ function main() {
   renderProg.meta.visible = true;
   renderProg.meta.regions = {};
   renderProg.meta.renderIndexCount = 0; // No voxels initially
+  const particleProg = createProgram(gl, particleVert, particleFrag);
+
+  // Shadow pass programs (depth only)
+  const shadowProg = createProgram(gl, shadowVert, shadowFrag);
+  const shadowParticleProg = createProgram(gl, shadowParticleVert, shadowFrag);
+
+  // Light travels along this direction (shared by shading and the shadow pass)
+  const lightDir = new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]);
+
+  const shadowSettings = { ...DEFAULT_SHADOW_SETTINGS };
+  let shadowMap = createShadowMap(gl, shadowSettings.resolution);
+
+  // Animations and emitters from the loaded model
+  const animSystem = new AnimationSystem();
+  let lastTime = performance.now();
 
   // Initialize chunk
   let chunk = new VoxelChunk(16, 16, 16);
   chunk.fill(false); // Start with empty chunk
   
-  // Default palette (16 colors)
-  const paletteColors = new Float32Array(16 * 3);
+  // Default palette (first 16 colors set, rest black until a model is loaded)
+  const paletteColors = new Float32Array(PALETTE_SIZE * 3);
   const defaultColors = [
     '#FFFFFF', '#FF0000', '#00FF00', '#0000FF',
     '#FFFF00', '#FF00FF', '#00FFFF', '#FFA500',
@@ -42,6 +67,64 @@ function main() {
     paletteColors[i * 3 + 1] = rgb[1];
     paletteColors[i * 3 + 2] = rgb[2];
   }
+  const paletteTex = createPaletteTexture(gl, paletteColors);
+
+  // Particle cube mesh for instanced rendering
+  const particleCube = makeParticleCube();
+
+  gl.bindVertexArray(particleProg.vao);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, particleCube.positions, gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(particleProg.aPosition.location);
+  gl.vertexAttribPointer(particleProg.aPosition.location, 3, gl.FLOAT, false, 0, 0);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, particleCube.normals, gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(particleProg.aNormal.location);
+  gl.vertexAttribPointer(particleProg.aNormal.location, 3, gl.FLOAT, false, 0, 0);
+
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, particleCube.indices, gl.STATIC_DRAW);
+
+  gl.bindVertexArray(null);
+
+  // Particle data texture (same layout as animate.js: 2 RGBA32F pixels per particle)
+  const maxParticles = 1000;
+  const textureWidth = 64;
+  const textureHeight = Math.ceil((maxParticles * 2) / textureWidth);
+
+  const particleDataTexture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, particleDataTexture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, textureWidth, textureHeight, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  function updateParticleTexture(particles) {
+    const data = new Float32Array(textureWidth * textureHeight * 4);
+    const count = Math.min(particles.length, maxParticles);
+    for (let i = 0; i < count; i++) {
+      const p = particles[i];
+      const base0 = (i * 2) * 4;
+      const base1 = (i * 2 + 1) * 4;
+
+      // Pixel 0: position (RGB) + size (A)
+      data[base0 + 0] = p.position[0];
+      data[base0 + 1] = p.position[1];
+      data[base0 + 2] = p.position[2];
+      data[base0 + 3] = p.size;
+
+      // Pixel 1: color (R) + alpha (G)
+      data[base1 + 0] = p.color / 255.0;
+      data[base1 + 1] = p.getAlpha();
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, particleDataTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, data);
+    return count;
+  }
 
   // Camera setup
   const camera = new OrbitCamera();
@@ -92,6 +175,40 @@ function main() {
   const fileInput = document.getElementById('fileInput');
   const btnLoad = document.getElementById('btnLoad');
   const btnScreenshot = document.getElementById('btnScreenshot');
+  const chkAO = document.getElementById('chkAO');
+  let aoEnabled = chkAO.checked;
+
+  chkAO.addEventListener('change', () => {
+    aoEnabled = chkAO.checked;
+  });
+
+  // Shadow settings
+  const chkShadows = document.getElementById('chkShadows');
+  const selShadowRes = document.getElementById('selShadowRes');
+  const rngShadowBias = document.getElementById('rngShadowBias');
+
+  chkShadows.checked = shadowSettings.enabled;
+  selShadowRes.value = String(shadowSettings.resolution);
+  rngShadowBias.value = String(shadowSettings.bias);
+
+  chkShadows.addEventListener('change', () => {
+    shadowSettings.enabled = chkShadows.checked;
+  });
+
+  selShadowRes.addEventListener('change', () => {
+    setShadowResolution(parseInt(selShadowRes.value, 10));
+  });
+
+  rngShadowBias.addEventListener('input', () => {
+    shadowSettings.bias = parseFloat(rngShadowBias.value);
+  });
+
+  function setShadowResolution(resolution) {
+    if (resolution === shadowSettings.resolution) return;
+    deleteShadowMap(gl, shadowMap);
+    shadowSettings.resolution = resolution;
+    shadowMap = createShadowMap(gl, resolution);
+  }
 
   btnLoad.addEventListener('click', () => {
     fileInput.click();
@@ -141,28 +258,12 @@ function main() {
       }
       
       if (obj.voxels && Array.isArray(obj.voxels)) {
-        const maxSize = Math.max(sizeX, sizeY, sizeZ);
-        const use4CharFormat = maxSize <= 16;
-        
         obj.voxels.forEach((v) => {
           if (typeof v === 'string') {
-            // Parse hex string format
-            let x, y, z, mat;
-            if (use4CharFormat && v.length === 4) {
-              // 4-char format: "xyzm"
-              x = parseInt(v[0], 16);
-              y = parseInt(v[1], 16);
-              z = parseInt(v[2], 16);
-              mat = parseInt(v[3], 16);
-            } else if (v.length === 7) {
-              // 7-char format: "xxyyzzm"
-              x = parseInt(v.substring(0, 2), 16);
-              y = parseInt(v.substring(2, 4), 16);
-              z = parseInt(v.substring(4, 6), 16);
-              mat = parseInt(v[6], 16);
-            } else {
-              return; // Invalid format
-            }
+            // Hex string format ("xyzm", "xyzmm", "xxyyzzm" or "xxyyzzmm")
+            const decoded = decodeVoxel(v);
+            if (!decoded) return; // Invalid format
+            const [x, y, z, mat] = decoded;
             
             const idx = chunk.idx3(x, y, z);
             chunk.setSolid(idx, true);
@@ -209,21 +310,112 @@ function main() {
 
     // Import palette if present
     if (obj.palette && Array.isArray(obj.palette)) {
-      for (let i = 0; i < Math.min(16, obj.palette.length); i++) {
+      for (let i = 0; i < Math.min(PALETTE_SIZE, obj.palette.length); i++) {
         const rgb = hexToRgbF(obj.palette[i]);
         paletteColors[i * 3 + 0] = rgb[0];
         paletteColors[i * 3 + 1] = rgb[1];
         paletteColors[i * 3 + 2] = rgb[2];
       }
+      updatePaletteTexture(gl, paletteTex, paletteColors);
+    }
+
+    // Regions, animations and emitters; loops and emitters start playing
+    animSystem.fromJSON(obj.regions ? obj : {});
+    chunk.clearRegions();
+    animSystem.regions.forEach((region, name) => {
+      chunk.addRegion(name, region.min, region.max);
+    });
+    for (const [name, anim] of animSystem.animations.entries()) {
+      if (anim.loop) animSystem.playAnimation(name);
+    }
+    for (const name of animSystem.emitters.keys()) {
+      animSystem.startEmitter(name);
     }
   }
 
   function buildAllMeshes() {
     renderProg.meta.renderIndexCount = chunk.buildGreedyRenderMeshMain(gl, renderProg, renderProg.vao);
+
+    for (const region of Object.values(renderProg.meta.regions)) {
+      gl.deleteVertexArray(region.vao);
+    }
+    renderProg.meta.regions = {};
+    for (const name of animSystem.regions.keys()) {
+      const vao = gl.createVertexArray();
+      renderProg.meta.regions[name] = {
+        vao,
+        visible: true,
+        indexCount: chunk.buildGreedyRenderMeshRegion(gl, renderProg, vao, name)
+      };
+    }
+  }
+
+  // Calls draw(model, vao, indexCount) for the main mesh and every visible region
+  function forEachVoxelMesh(draw) {
+    if (renderProg.meta.renderIndexCount > 0) {
+      draw(Mat4.identity(), renderProg.vao, renderProg.meta.renderIndexCount);
+    }
+    for (const [name, region] of Object.entries(renderProg.meta.regions)) {
+      if (!region.visible || region.indexCount === 0) continue;
+      draw(animSystem.getRegionTransform(name), region.vao, region.indexCount);
+    }
+  }
+
+  // Light projection fitted to the chunk, with headroom for moving regions and particles
+  function computeLightViewProj() {
+    const center = [chunk.sizeX / 2, chunk.sizeY / 2, chunk.sizeZ / 2];
+    const radius = Math.hypot(chunk.sizeX, chunk.sizeY, chunk.sizeZ) * 0.75;
+    return lightViewProjection(lightDir, center, radius);
+  }
+
+  // Depth-only pass from the light into shadowMap
+  function renderShadowPass(lightViewProj, particleCount) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMap.fbo);
+    gl.viewport(0, 0, shadowMap.resolution, shadowMap.resolution);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+
+    // Render back faces only: pushes acne onto surfaces facing away from the light
+    gl.cullFace(gl.FRONT);
+
+    gl.useProgram(shadowProg.program);
+    shadowProg.uLightViewProj.set(lightViewProj);
+    forEachVoxelMesh((model, vao, count) => {
+      shadowProg.uModel.set(model);
+      gl.bindVertexArray(vao);
+      gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, 0);
+    });
+
+    if (particleCount > 0) {
+      gl.useProgram(shadowParticleProg.program);
+      shadowParticleProg.uLightViewProj.set(lightViewProj);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, particleDataTexture);
+      shadowParticleProg.uParticleData.set(0);
+      shadowParticleProg.uTextureWidth.set(textureWidth);
+      gl.bindVertexArray(particleProg.vao);
+      gl.drawElementsInstanced(gl.TRIANGLES, particleCube.count, gl.UNSIGNED_SHORT, 0, particleCount);
+    }
+
+    gl.bindVertexArray(null);
+    gl.cullFace(gl.BACK);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
   }
 
   // Render loop
   function render() {
+    // Advance animations and particles
+    const now = performance.now();
+    const dt = (now - lastTime) / 1000;
+    lastTime = now;
+    animSystem.update(dt);
+
+    const particles = animSystem.getAllParticles();
+    const particleCount = particles.length > 0 ? updateParticleTexture(particles) : 0;
+
+    // Shadow pass
+    const lightViewProj = computeLightViewProj();
+    if (shadowSettings.enabled) renderShadowPass(lightViewProj, particleCount);
+
     // Resize canvas to match display size
     const dpr = window.devicePixelRatio || 1;
     const displayWidth = Math.floor(canvas.clientWidth * dpr);
@@ -246,27 +438,48 @@ function main() {
     const view = camera.view();
 
     // Render ground plane (green)
-    renderGroundPlane(proj, view);
+    renderGroundPlane(proj, view, lightViewProj);
 
-    // Render voxel model
-    if (renderProg.meta.renderIndexCount > 0) {
-      gl.useProgram(renderProg.program);
-      gl.bindVertexArray(renderProg.vao);
+    // Render voxel model: main mesh plus animated regions
+    gl.useProgram(renderProg.program);
+    renderProg.uView.set(view);
+    renderProg.uProj.set(proj);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
+    renderProg.uLightDirWS.set(lightDir);
+    renderProg.uAmbient.set(0.22);
+    renderProg.uAOStrength.set(aoEnabled ? 1 : 0);
+    bindShadowUniforms(gl, renderProg, shadowMap, lightViewProj, shadowSettings);
 
-      const model = Mat4.identity();
-      const normalMat = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
-      
+    forEachVoxelMesh((model, vao, count) => {
       renderProg.uModel.set(model);
-      renderProg.uView.set(view);
-      renderProg.uProj.set(proj);
-      renderProg.uNormalMat.set(normalMat);
-      renderProg.uPalette.set(paletteColors);
-      renderProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
-      renderProg.uAmbient.set(0.22);
-
-      gl.drawElements(gl.TRIANGLES, renderProg.meta.renderIndexCount, gl.UNSIGNED_INT, 0);
+      renderProg.uNormalMat.set(Mat4.normalMatrix(model));
+      gl.bindVertexArray(vao);
+      gl.drawElements(gl.TRIANGLES, count, gl.UNSIGNED_INT, 0);
+    });
+    gl.bindVertexArray(null);
 
+    // Render particles
+    if (particleCount > 0) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+      gl.useProgram(particleProg.program);
+      bindPaletteTexture(gl, particleProg.uPalette, paletteTex);
+      particleProg.uView.set(view);
+      particleProg.uProj.set(proj);
+      particleProg.uLightDirWS.set(lightDir);
+      particleProg.uAmbient.set(0.22);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, particleDataTexture);
+      particleProg.uParticleData.set(0);
+      particleProg.uTextureWidth.set(textureWidth);
+
+      gl.bindVertexArray(particleProg.vao);
+      gl.drawElementsInstanced(gl.TRIANGLES, particleCube.count, gl.UNSIGNED_SHORT, 0, particleCount);
       gl.bindVertexArray(null);
+
+      gl.disable(gl.BLEND);
     }
 
     requestAnimationFrame(render);
@@ -276,6 +489,16 @@ function main() {
   let groundVAO = null;
   let groundIndexCount = 0;
 
+  // Fixed green palette for ground plane
+  const groundPalette = new Float32Array(PALETTE_SIZE * 3);
+  const greenRgb = hexToRgbF('#00FF00'); // Bright green
+  for (let i = 0; i < PALETTE_SIZE; i++) {
+    groundPalette[i * 3 + 0] = greenRgb[0];
+    groundPalette[i * 3 + 1] = greenRgb[1];
+    groundPalette[i * 3 + 2] = greenRgb[2];
+  }
+  const groundPaletteTex = createPaletteTexture(gl, groundPalette);
+
   function buildGroundPlane() {
     const size = 100; // Large ground plane
     const y = -0.01; // Slightly below y=0
@@ -334,7 +557,7 @@ function main() {
     groundIndexCount = indices.length;
   }
 
-  function renderGroundPlane(proj, view) {
+  function renderGroundPlane(proj, view, lightViewProj) {
     if (!groundVAO) {
       buildGroundPlane();
     }
@@ -345,22 +568,16 @@ function main() {
     const model = Mat4.identity();
     const normalMat = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
     
-    // Fixed green palette for ground plane
-    const groundPalette = new Float32Array(16 * 3);
-    const greenRgb = hexToRgbF('#00FF00'); // Bright green
-    for (let i = 0; i < 16; i++) {
-      groundPalette[i * 3 + 0] = greenRgb[0];
-      groundPalette[i * 3 + 1] = greenRgb[1];
-      groundPalette[i * 3 + 2] = greenRgb[2];
-    }
     
     renderProg.uModel.set(model);
     renderProg.uView.set(view);
     renderProg.uProj.set(proj);
     renderProg.uNormalMat.set(normalMat);
-    renderProg.uPalette.set(groundPalette);
-    renderProg.uLightDirWS.set(new Float32Array([0.7 / 1.7, -1.2 / 1.7, 0.9 / 1.7]));
+    bindPaletteTexture(gl, renderProg.uPalette, groundPaletteTex);
+    renderProg.uLightDirWS.set(lightDir);
     renderProg.uAmbient.set(0.22);
+    renderProg.uAOStrength.set(0);
+    bindShadowUniforms(gl, renderProg, shadowMap, lightViewProj, shadowSettings);
 
     gl.drawElements(gl.TRIANGLES, groundIndexCount, gl.UNSIGNED_INT, 0);
 
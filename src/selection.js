@@ -0,0 +1,199 @@
+/**
+ * Voxel selection helpers: picking sets of voxels and moving them around as
+ * detached blocks.
+ *
+ * A selection is a Set of chunk indices. A block is a chunk-independent copy
+ * of selected voxels: `{ origin, size, voxels }` where `voxels` holds
+ * [x, y, z, material] relative to `origin` and every coordinate is inside
+ * `size`. Blocks are what the clipboard, rotate and mirror work on.
+ */
+
+import { VoxelChunk } from './voxel-chunk.js';
+import { exportVoxelJSON, parseVoxelJSON } from './voxel-format.js';
+import { floodFill } from './fill.js';
+import { paletteRemap } from './palette.js';
+
+/**
+ * Solid voxels inside the box spanned by two corners (inclusive, any order).
+ * Corners may lie outside the chunk.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number[]} a First corner [x, y, z]
+ * @param {number[]} b Second corner [x, y, z]
+ * @returns {number[]} Chunk indices
+ */
+export function selectBox(chunk, a, b) {
+  const size = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  const min = [0, 1, 2].map(i => Math.max(0, Math.min(a[i], b[i])));
+  const max = [0, 1, 2].map(i => Math.min(size[i] - 1, Math.max(a[i], b[i])));
+  const ids = [];
+  for (let z = min[2]; z <= max[2]; z++) {
+    for (let y = min[1]; y <= max[1]; y++) {
+      for (let x = min[0]; x <= max[0]; x++) {
+        const id = chunk.idx3(x, y, z);
+        if (chunk.isSolid(id)) ids.push(id);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Solid voxels of the same material face-connected to `start`.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {number} start Chunk index to grow from
+ * @returns {number[]} Chunk indices, empty when `start` is not solid
+ */
+export function selectConnected(chunk, start) {
+  return floodFill(chunk, start, { limit: Infinity }).ids;
+}
+
+/**
+ * Combines new ids into an existing selection.
+ *
+ * @param {Set<number>} selection Current selection (left untouched)
+ * @param {Iterable<number>} ids Newly picked ids
+ * @param {'replace'|'add'|'subtract'} op
+ * @returns {Set<number>} New selection
+ */
+export function combineSelection(selection, ids, op = 'replace') {
+  switch (op) {
+    case 'replace': return new Set(ids);
+    case 'add': return new Set([...selection, ...ids]);
+    case 'subtract': {
+      const out = new Set(selection);
+      for (const id of ids) out.delete(id);
+      return out;
+    }
+    default: throw new Error(`Unknown selection op "${op}"`);
+  }
+}
+
+/**
+ * Copies voxels out of the chunk into a block fitted to their bounds.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Iterable<number>} ids Chunk indices; non-solid ones are skipped
+ * @returns {{origin: number[], size: number[], voxels: number[][]}|null} Block, or null if nothing is solid
+ */
+export function extractBlock(chunk, ids) {
+  const cells = [];
+  for (const id of ids) {
+    if (chunk.isSolid(id)) cells.push([...chunk.coordsOf(id), chunk.material(id)]);
+  }
+  if (!cells.length) return null;
+
+  const origin = cells[0].slice(0, 3), max = cells[0].slice(0, 3);
+  for (const c of cells) {
+    for (let i = 0; i < 3; i++) {
+      if (c[i] < origin[i]) origin[i] = c[i];
+      if (c[i] > max[i]) max[i] = c[i];
+    }
+  }
+  const size = [0, 1, 2].map(i => max[i] - origin[i] + 1);
+  const voxels = cells.map(([x, y, z, m]) => [x - origin[0], y - origin[1], z - origin[2], m]);
+  return { origin, size, voxels };
+}
+
+/**
+ * Rotates a block a quarter turn about an axis (counter-clockwise looking
+ * down the positive axis). The origin moves so the block's centre stays put
+ * as closely as the grid allows.
+ *
+ * @param {{origin: number[], size: number[], voxels: number[][]}} block
+ * @param {number} axis 0 = X, 1 = Y, 2 = Z
+ * @returns {{origin: number[], size: number[], voxels: number[][]}} Rotated block
+ */
+export function rotateBlock(block, axis) {
+  const [sx, sy, sz] = block.size;
+  let size, map;
+  switch (axis) {
+    case 0: size = [sx, sz, sy]; map = ([x, y, z]) => [x, sz - 1 - z, y]; break;
+    case 1: size = [sz, sy, sx]; map = ([x, y, z]) => [z, y, sx - 1 - x]; break;
+    case 2: size = [sy, sx, sz]; map = ([x, y, z]) => [sy - 1 - y, x, z]; break;
+    default: throw new Error(`Invalid axis ${axis}`);
+  }
+  return {
+    origin: [0, 1, 2].map(i => block.origin[i] + Math.trunc((block.size[i] - size[i]) / 2)),
+    size,
+    voxels: block.voxels.map(v => [...map(v), v[3]])
+  };
+}
+
+/**
+ * Mirrors a block along an axis in place of its bounds.
+ *
+ * @param {{origin: number[], size: number[], voxels: number[][]}} block
+ * @param {number} axis 0 = X, 1 = Y, 2 = Z
+ * @returns {{origin: number[], size: number[], voxels: number[][]}} Mirrored block
+ */
+export function mirrorBlock(block, axis) {
+  if (axis !== 0 && axis !== 1 && axis !== 2) throw new Error(`Invalid axis ${axis}`);
+  return {
+    origin: block.origin.slice(),
+    size: block.size.slice(),
+    voxels: block.voxels.map(v => {
+      const out = v.slice();
+      out[axis] = block.size[axis] - 1 - v[axis];
+      return out;
+    })
+  };
+}
+
+/**
+ * Cells a block covers when placed with its origin at `origin`, clipped to
+ * the chunk.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {{voxels: number[][]}} block
+ * @param {number[]} origin Placement of the block's [0, 0, 0] corner
+ * @returns {{id: number, material: number}[]} Target cells
+ */
+export function placeBlock(chunk, block, origin) {
+  const out = [];
+  for (const [x, y, z, m] of block.voxels) {
+    const px = x + origin[0], py = y + origin[1], pz = z + origin[2];
+    if (chunk.within(px, py, pz)) out.push({ id: chunk.idx3(px, py, pz), material: m });
+  }
+  return out;
+}
+
+/**
+ * Serializes a block in the voxel JSON format (see voxel-format.js), with the
+ * block's origin as an extra `origin` field so a paste can land where the
+ * copy came from.
+ *
+ * @param {{origin: number[], size: number[], voxels: number[][]}} block
+ * @param {Float32Array} colors Palette colors
+ * @returns {Object} JSON object
+ */
+export function blockToJSON(block, colors) {
+  const chunk = new VoxelChunk(1);
+  chunk.expandSize(...block.size);
+  chunk.fill(false);
+  for (const [x, y, z, m] of block.voxels) chunk.set(x, y, z, true, m);
+  return { ...exportVoxelJSON(chunk, colors), origin: block.origin.slice() };
+}
+
+/**
+ * Reads a block from voxel JSON, e.g. clipboard contents or a saved model.
+ * Materials are remapped onto the current palette (see paletteRemap), so a
+ * copy from a model with other colors pastes in the colors it showed.
+ *
+ * @param {Object} obj Parsed JSON
+ * @param {Float32Array} colors Current palette colors
+ * @returns {{origin: number[], size: number[], voxels: number[][]}} Block
+ */
+export function blockFromJSON(obj, colors) {
+  const { size, palette, voxels } = parseVoxelJSON(obj);
+  const remap = paletteRemap(palette, colors);
+  const origin = Array.isArray(obj.origin) && obj.origin.length === 3 ? obj.origin.map(v => v | 0) : [0, 0, 0];
+  return {
+    origin,
+    size,
+    voxels: voxels
+      .filter(([x, y, z]) => x < size[0] && y < size[1] && z < size[2])
+      .map(([x, y, z, m]) => [x, y, z, remap[m]])
+  };
+}
@@ -0,0 +1,18 @@
+#version 300 es
+
+precision highp float;
+
+layout(location = 0) in vec3 aPosition; // matches particle.vert so the particle VAO can be reused
+
+uniform mat4 uLightViewProj;
+uniform sampler2D uParticleData;  // Same layout as particle.vert
+uniform int uTextureWidth;
+
+void main(){
+  int particleIndex = gl_InstanceID * 2;  // 2 pixels per particle
+  vec4 data0 = texelFetch(uParticleData, ivec2(particleIndex % uTextureWidth, particleIndex / uTextureWidth), 0);
+
+  // Pixel 0: RGB = position, A = size
+  vec3 worldPos = data0.rgb + aPosition * data0.a;
+  gl_Position = uLightViewProj * vec4(worldPos, 1.0);
+}
@@ -0,0 +1,7 @@
+#version 300 es
+
+precision mediump float;
+
+// Depth-only pass: nothing to write but depth
+void main(){
+}
@@ -0,0 +1,101 @@
+/**
+ * Directional-light shadow mapping.
+ *
+ * A depth-only pass renders casters into `shadowMap.texture` from the light's
+ * point of view (orthographic, fitted to a bounding sphere of the scene).
+ * lambert.frag then compares each fragment's light-space depth against it.
+ */
+
+import { Mat4, Vec3 } from './math.js';
+
+export const SHADOW_TEXTURE_UNIT = 2;
+
+export const DEFAULT_SHADOW_SETTINGS = {
+  enabled: true,
+  resolution: 2048, // Shadow map edge length in texels
+  bias: 0.0005,     // Depth bias in shadow map depth units (0-1), fights shadow acne
+  strength: 0.6     // 0 = no darkening, 1 = shadowed areas get ambient only
+};
+
+/**
+ * Creates a depth texture and framebuffer for the shadow pass.
+ *
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {number} resolution Edge length in texels
+ * @returns {{fbo: WebGLFramebuffer, texture: WebGLTexture, resolution: number}}
+ */
+export function createShadowMap(gl, resolution) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT32F, resolution, resolution, 0, gl.DEPTH_COMPONENT, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const fbo = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, texture, 0);
+  gl.drawBuffers([gl.NONE]);
+  gl.readBuffer(gl.NONE);
+
+  const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  if (status !== gl.FRAMEBUFFER_COMPLETE) {
+    throw new Error('Shadow framebuffer incomplete: 0x' + status.toString(16));
+  }
+
+  return { fbo, texture, resolution };
+}
+
+/**
+ * Frees a shadow map created by createShadowMap.
+ */
+export function deleteShadowMap(gl, shadowMap) {
+  if (!shadowMap) return;
+  gl.deleteFramebuffer(shadowMap.fbo);
+  gl.deleteTexture(shadowMap.texture);
+}
+
+/**
+ * View-projection matrix of a directional light looking at a bounding sphere.
+ *
+ * @param {number[]} lightDir Direction the light travels (same as uLightDirWS)
+ * @param {number[]} center Sphere centre in world space
+ * @param {number} radius Sphere radius
+ * @returns {Float32Array} Light view-projection matrix
+ */
+export function lightViewProjection(lightDir, center, radius) {
+  const dir = Vec3.norm(lightDir);
+  const eye = Vec3.sub(center, Vec3.scale(dir, radius * 2));
+
+  // Avoid a degenerate basis when the light points straight up or down
+  const up = Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+
+  const view = Mat4.lookAt(eye, center, up);
+  const proj = Mat4.orthographic(-radius, radius, -radius, radius, radius * 0.5, radius * 3.5);
+  return Mat4.multiply(proj, view);
+}
+
+/**
+ * Sets the shadow uniforms of a receiving program (lambert) and binds the
+ * shadow map. With `settings.enabled` false, receivers are left unshadowed.
+ *
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {Object} prog Program wrapper from createProgram
+ * @param {Object} shadowMap Result of createShadowMap
+ * @param {Float32Array} lightViewProj Matrix from lightViewProjection
+ * @param {Object} settings Shadow settings (see DEFAULT_SHADOW_SETTINGS)
+ */
+export function bindShadowUniforms(gl, prog, shadowMap, lightViewProj, settings) {
+  prog.uLightViewProj.set(lightViewProj);
+  prog.uShadowStrength.set(settings.enabled ? settings.strength : 0);
+  prog.uShadowBias.set(settings.bias);
+  prog.uShadowTexel.set(1 / shadowMap.resolution);
+
+  gl.activeTexture(gl.TEXTURE0 + SHADOW_TEXTURE_UNIT);
+  gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture);
+  prog.uShadowMap.set(SHADOW_TEXTURE_UNIT);
+  gl.activeTexture(gl.TEXTURE0);
+}
@@ -0,0 +1,12 @@
+#version 300 es
+
+precision highp float;
+
+layout(location = 0) in vec3 aPosition; // matches lambert.vert so render VAOs can be reused
+
+uniform mat4 uModel;
+uniform mat4 uLightViewProj;
+
+void main(){
+  gl_Position = uLightViewProj * uModel * vec4(aPosition, 1.0);
+}
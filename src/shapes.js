@@ -0,0 +1,132 @@
+/**
+ * Voxel rasterization of the drag-defined shape tools.
+ *
+ * Each shape is given two corner cells (inclusive, in any order) and returns
+ * the cells it covers as [x, y, z] triples. Nothing here touches a chunk, so
+ * callers clip to bounds and decide what to do with each cell.
+ */
+
+/**
+ * Shape tool names, in toolbar order.
+ */
+export const SHAPES = ['box', 'sphere', 'cylinder', 'line'];
+
+/**
+ * Inclusive bounds of two corner cells.
+ *
+ * @param {number[]} a First corner [x, y, z]
+ * @param {number[]} b Second corner [x, y, z]
+ * @returns {{min: number[], max: number[]}}
+ */
+export function cellBounds(a, b) {
+  return {
+    min: [0, 1, 2].map(i => Math.min(a[i], b[i])),
+    max: [0, 1, 2].map(i => Math.max(a[i], b[i]))
+  };
+}
+
+/**
+ * All cells of the axis-aligned box spanned by two corners.
+ *
+ * @param {number[]} a First corner
+ * @param {number[]} b Second corner
+ * @returns {number[][]} Cells
+ */
+export function boxCells(a, b) {
+  const { min, max } = cellBounds(a, b);
+  const out = [];
+  for (let z = min[2]; z <= max[2]; z++) {
+    for (let y = min[1]; y <= max[1]; y++) {
+      for (let x = min[0]; x <= max[0]; x++) out.push([x, y, z]);
+    }
+  }
+  return out;
+}
+
+// Squared, normalized distance of a cell centre from the middle of the bounds along one axis
+function ellipseTerm(c, min, max) {
+  const r = (max - min + 1) / 2;
+  const d = (c + 0.5 - (min + r)) / r;
+  return d * d;
+}
+
+/**
+ * Cells whose centres lie inside the ellipsoid inscribed in the box.
+ * Equal extents give a sphere.
+ *
+ * @param {number[]} a First corner
+ * @param {number[]} b Second corner
+ * @returns {number[][]} Cells
+ */
+export function ellipsoidCells(a, b) {
+  const { min, max } = cellBounds(a, b);
+  return boxCells(min, max).filter(c =>
+    ellipseTerm(c[0], min[0], max[0]) + ellipseTerm(c[1], min[1], max[1]) + ellipseTerm(c[2], min[2], max[2]) <= 1
+  );
+}
+
+/**
+ * Cells of the elliptic cylinder inscribed in the box, running along `axis`.
+ *
+ * @param {number[]} a First corner
+ * @param {number[]} b Second corner
+ * @param {number} axis Cylinder axis (0 = X, 1 = Y, 2 = Z)
+ * @returns {number[][]} Cells
+ */
+export function cylinderCells(a, b, axis) {
+  const { min, max } = cellBounds(a, b);
+  const u = (axis + 1) % 3, v = (axis + 2) % 3;
+  return boxCells(min, max).filter(c =>
+    ellipseTerm(c[u], min[u], max[u]) + ellipseTerm(c[v], min[v], max[v]) <= 1
+  );
+}
+
+/**
+ * Cells on the 3D Bresenham line between two cells, both ends included.
+ *
+ * @param {number[]} a Start cell
+ * @param {number[]} b End cell
+ * @returns {number[][]} Cells in order from `a` to `b`
+ */
+export function lineCells(a, b) {
+  const d = [0, 1, 2].map(i => Math.abs(b[i] - a[i]));
+  const s = [0, 1, 2].map(i => Math.sign(b[i] - a[i]));
+  const major = d.indexOf(Math.max(...d));
+  const minors = [0, 1, 2].filter(i => i !== major);
+
+  const p = a.slice();
+  const err = minors.map(i => 2 * d[i] - d[major]);
+  const out = [p.slice()];
+  for (let step = 0; step < d[major]; step++) {
+    p[major] += s[major];
+    minors.forEach((i, k) => {
+      if (err[k] > 0) {
+        p[i] += s[i];
+        err[k] -= 2 * d[major];
+      }
+      err[k] += 2 * d[i];
+    });
+    out.push(p.slice());
+  }
+  return out;
+}
+
+/**
+ * Rasterizes a named shape.
+ *
+ * @param {string} shape One of SHAPES
+ * @param {number[]} a First corner (line start)
+ * @param {number[]} b Second corner (line end)
+ * @param {Object} [options]
+ * @param {number} [options.axis=1] Cylinder axis
+ * @returns {number[][]} Cells
+ */
+export function shapeCells(shape, a, b, options = {}) {
+  switch (shape) {
+    case 'box': return boxCells(a, b);
+    case 'sphere': return ellipsoidCells(a, b);
+    case 'cylinder': return cylinderCells(a, b, options.axis ?? 1);
+    case 'line': return lineCells(a, b);
+    default: throw new Error(`Unknown shape "${shape}"`);
+  }
+}
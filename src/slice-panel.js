@@ -0,0 +1,151 @@
+/**
+ * 2D layer editor for the slice view.
+ *
+ * Draws one layer of the chunk as a grid of palette colors and turns pointer
+ * presses and drags into per-cell callbacks. The layer below shows through
+ * faintly in empty cells to help line things up.
+ */
+
+import { SLICE_PLANES, sliceCell } from './slice.js';
+
+export class SlicePanel {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw the layer into
+   * @param {Function} onCell Called with [x, y, z] for every cell pressed or dragged over
+   * @param {Function} onStrokeEnd Called when the pointer is released
+   */
+  constructor(canvas, onCell, onStrokeEnd) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onCell = onCell;
+    this.onStrokeEnd = onStrokeEnd;
+    this.chunk = null;
+    this.colors = null;
+    this.axis = 1;
+    this.level = 0;
+    this.hover = null; // [u, v] under the pointer
+    this._stroke = false;
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      canvas.setPointerCapture(e.pointerId);
+      this._stroke = true;
+      this._press(e);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      const cell = this._cellAt(e);
+      const changed = String(cell) !== String(this.hover);
+      this.hover = cell;
+      if (this._stroke && changed) this._press(e);
+      else if (changed) this.draw();
+    });
+    const end = () => {
+      if (!this._stroke) return;
+      this._stroke = false;
+      this.onStrokeEnd();
+    };
+    canvas.addEventListener('pointerup', end);
+    canvas.addEventListener('pointercancel', end);
+    canvas.addEventListener('pointerleave', () => {
+      this.hover = null;
+      this.draw();
+    });
+  }
+
+  /**
+   * Shows a layer and redraws.
+   *
+   * @param {VoxelChunk} chunk
+   * @param {Float32Array} colors Palette colors
+   * @param {number} axis Slice axis
+   * @param {number} level Layer along the axis
+   */
+  setSlice(chunk, colors, axis, level) {
+    this.chunk = chunk;
+    this.colors = colors;
+    this.axis = axis;
+    this.level = level;
+    this.draw();
+  }
+
+  // Layer size in cells and the on-canvas cell size and offset
+  _layout() {
+    const size = [this.chunk.sizeX, this.chunk.sizeY, this.chunk.sizeZ];
+    const { u, v } = SLICE_PLANES[this.axis];
+    const cols = size[u], rows = size[v];
+    const cell = Math.max(1, Math.floor(Math.min(this.canvas.width / cols, this.canvas.height / rows)));
+    const left = Math.floor((this.canvas.width - cols * cell) / 2);
+    const top = Math.floor((this.canvas.height - rows * cell) / 2);
+    return { cols, rows, cell, left, top };
+  }
+
+  _cellAt(e) {
+    if (!this.chunk) return null;
+    const r = this.canvas.getBoundingClientRect();
+    const px = (e.clientX - r.left) * (this.canvas.width / r.width);
+    const py = (e.clientY - r.top) * (this.canvas.height / r.height);
+    const { cols, rows, cell, left, top } = this._layout();
+    const u = Math.floor((px - left) / cell);
+    const v = rows - 1 - Math.floor((py - top) / cell); // v runs upwards
+    if (u < 0 || v < 0 || u >= cols || v >= rows) return null;
+    return [u, v];
+  }
+
+  _press(e) {
+    const cell = this._cellAt(e);
+    this.hover = cell;
+    if (cell) this.onCell(sliceCell(this.axis, this.level, cell[0], cell[1]));
+    this.draw();
+  }
+
+  _color(id, alpha = 1) {
+    const m = this.chunk.material(id) * 3;
+    const c = [0, 1, 2].map(i => Math.round(this.colors[m + i] * 255));
+    return `rgba(${c[0]}, ${c[1]}, ${c[2]}, ${alpha})`;
+  }
+
+  /**
+   * Redraws the layer.
+   */
+  draw() {
+    const { ctx, chunk } = this;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!chunk) return;
+
+    const { cols, rows, cell, left, top } = this._layout();
+    for (let v = 0; v < rows; v++) {
+      for (let u = 0; u < cols; u++) {
+        const x = left + u * cell, y = top + (rows - 1 - v) * cell;
+        const id = chunk.idx3(...sliceCell(this.axis, this.level, u, v));
+        const below = sliceCell(this.axis, this.level - 1, u, v);
+
+        if (chunk.isSolid(id)) ctx.fillStyle = this._color(id);
+        else if (chunk.within(...below) && chunk.isSolid(chunk.idx3(...below))) ctx.fillStyle = this._color(chunk.idx3(...below), 0.2);
+        else ctx.fillStyle = '#11151c';
+        ctx.fillRect(x, y, cell, cell);
+      }
+    }
+
+    if (cell >= 4) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let u = 0; u <= cols; u++) {
+        ctx.moveTo(left + u * cell + 0.5, top);
+        ctx.lineTo(left + u * cell + 0.5, top + rows * cell);
+      }
+      for (let v = 0; v <= rows; v++) {
+        ctx.moveTo(left, top + v * cell + 0.5);
+        ctx.lineTo(left + cols * cell, top + v * cell + 0.5);
+      }
+      ctx.stroke();
+    }
+
+    if (this.hover) {
+      const [u, v] = this.hover;
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(left + u * cell + 1, top + (rows - 1 - v) * cell + 1, cell - 2, cell - 2);
+    }
+  }
+}
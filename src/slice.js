@@ -0,0 +1,57 @@
+/**
+ * Cross-section slicing.
+ *
+ * A slice keeps the voxels at or below `level` along one axis and hides the
+ * rest. Clipping the mesh data snapshot (rather than the rendered geometry)
+ * makes the mesher emit faces for the cut layer, so interior voxels can be
+ * seen and picked like any other surface.
+ */
+
+/**
+ * In-layer axes per slice axis: `u` runs left to right and `v` bottom to
+ * top in the 2D layer view.
+ */
+export const SLICE_PLANES = [
+  { u: 2, v: 1 }, // X slice: Z across, Y up
+  { u: 0, v: 2 }, // Y slice: X across, Z up (seen from above)
+  { u: 0, v: 1 }  // Z slice: X across, Y up
+];
+
+/**
+ * Copy of a VoxelChunk.toMeshData() snapshot with every voxel beyond the
+ * slice level made empty. Materials and regions are kept.
+ *
+ * @param {Object} data Mesh data snapshot
+ * @param {number} axis Slice axis (0 = X, 1 = Y, 2 = Z)
+ * @param {number} level Last visible layer
+ * @returns {Object} Clipped snapshot
+ */
+export function clipMeshData(data, axis, level) {
+  const { sizeX, sizeY, sizeZ } = data;
+  const solid = data.solid.slice();
+  for (let z = 0; z < sizeZ; z++) {
+    for (let y = 0; y < sizeY; y++) {
+      for (let x = 0; x < sizeX; x++) {
+        if ([x, y, z][axis] > level) solid[x + sizeX * (y + sizeY * z)] = 0;
+      }
+    }
+  }
+  return { ...data, solid };
+}
+
+/**
+ * Chunk cell of a layer coordinate.
+ *
+ * @param {number} axis Slice axis
+ * @param {number} level Layer along the axis
+ * @param {number} u Column in the layer
+ * @param {number} v Row in the layer
+ * @returns {number[]} [x, y, z]
+ */
+export function sliceCell(axis, level, u, v) {
+  const cell = [0, 0, 0];
+  cell[axis] = level;
+  cell[SLICE_PLANES[axis].u] = u;
+  cell[SLICE_PLANES[axis].v] = v;
+  return cell;
+}
@@ -1,6 +1,6 @@
 import { Mat4, Vec3, toRadians } from './math.js';
 import { OrbitCamera, createSphere, createRing } from './3d.js';
-import { createProgram } from './webgl.js';
+import { createProgram, createPaletteTexture, bindPaletteTexture } from './webgl.js';
 import { SceneNode } from './SceneNode.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
@@ -46,6 +46,7 @@ function main() {
     0.0, 0.5, 0.5,   // Material 14: Dark Cyan
     0.9, 0.9, 0.9    // Material 15: Light Gray
   ]);
+  const paletteTex = createPaletteTexture(gl, palette);
 
   // Helper function to create a VAO for a sphere with a specific material
   function createSphereVAO(materialId) {
@@ -405,7 +406,7 @@ function main() {
     gl.useProgram(renderProg.program);
     renderProg.uView.set(view);
     renderProg.uProj.set(proj);
-    renderProg.uPalette.set(palette);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uLightDirWS.set(lightDir);
     renderProg.uAmbient.set(0.3);
 
@@ -0,0 +1,46 @@
+/**
+ * Mirror-symmetry helpers for editing.
+ *
+ * Mirror planes sit on voxel boundaries or voxel centres, so positions are
+ * multiples of 0.5 in voxel units: a plane at 8 mirrors cell 7 onto cell 8,
+ * a plane at 7.5 maps cell 7 onto itself.
+ */
+
+/**
+ * Mirrors one coordinate across a plane.
+ *
+ * @param {number} c Cell coordinate
+ * @param {number} plane Plane position
+ * @returns {number} Mirrored cell coordinate
+ */
+export function mirrorCoord(c, plane) {
+  return 2 * plane - 1 - c;
+}
+
+/**
+ * A cell and all of its mirror images, without duplicates. With several
+ * planes active the images of images are included too (up to 8 cells).
+ *
+ * @param {number[]} cell [x, y, z]
+ * @param {(number|null)[]} planes Plane position per axis, null where symmetry is off
+ * @returns {number[][]} Cells, starting with `cell` itself
+ */
+export function symmetricCells(cell, planes) {
+  let cells = [cell.slice()];
+  for (let axis = 0; axis < 3; axis++) {
+    if (planes[axis] === null || planes[axis] === undefined) continue;
+    const mirrored = cells.map(c => {
+      const m = c.slice();
+      m[axis] = mirrorCoord(c[axis], planes[axis]);
+      return m;
+    });
+    cells = cells.concat(mirrored);
+  }
+  const seen = new Set();
+  return cells.filter(c => {
+    const key = c.join(',');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
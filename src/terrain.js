@@ -0,0 +1,272 @@
+/**
+ * Procedural terrain for the streaming world view.
+ *
+ * Everything here is plain JS with no WebGL dependency, so terrain can be
+ * generated and streamed headlessly (e.g. under vitest). Noise is sampled in
+ * world coordinates, so a given seed always yields the same voxels no matter
+ * which order chunks are generated in.
+ */
+
+/*** ======= Noise ======= ***/
+
+// Simple 2D Perlin-style noise function
+export function noise2D(x, y, seed = 0) {
+  // Simple hash-based pseudo-random noise
+  // Improved hash: mixes x, y, and seed for more entropy
+  const hash2D = (x, y, seed = 0) => {
+    let n = x * 374761393 + y * 668265263 + seed * 982451653;
+    n = (n ^ (n >> 13)) * 1274126177;
+    n = (n ^ (n >> 16));
+    return n & 0x7fffffff;
+  };
+
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+
+  // Smoothstep interpolation
+  const u = fx * fx * (3 - 2 * fx);
+  const v = fy * fy * (3 - 2 * fy);
+
+  // Hash corners with improved mixing
+  const a = hash2D(ix, iy, seed);
+  const b = hash2D(ix + 1, iy, seed);
+  const c = hash2D(ix, iy + 1, seed);
+  const d = hash2D(ix + 1, iy + 1, seed);
+
+  // Normalize to -1 to 1
+  const normalize = (n) => (n / 0x7fffffff) * 2 - 1;
+
+  // Bilinear interpolation
+  const x1 = normalize(a) * (1 - u) + normalize(b) * u;
+  const x2 = normalize(c) * (1 - u) + normalize(d) * u;
+
+  return x1 * (1 - v) + x2 * v;
+}
+
+// Multi-octave noise (fractal Brownian motion)
+export function fbm(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0, seed = 0) {
+  let total = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let maxValue = 0;
+  
+  for (let i = 0; i < octaves; i++) {
+    total += noise2D(x * frequency, y * frequency, seed + i) * amplitude;
+    maxValue += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+  
+  return total / maxValue;
+}
+
+/*** ======= Terrain ======= ***/
+
+// Terrain is TERRAIN_HEIGHT voxels tall, generated one chunk column at a time
+export const TERRAIN_HEIGHT = 32;
+
+// Noise units per voxel (4 noise cells across a 16-voxel chunk)
+const TERRAIN_FREQ = 0.25;
+
+/**
+ * Generates terrain columns into a sparse world.
+ * Noise is sampled in world coordinates so adjacent areas line up.
+ *
+ * @param {VoxelWorld} world Target world
+ * @param {number} seed Noise seed
+ * @param {number} minX First world X column
+ * @param {number} minZ First world Z column
+ * @param {number} sizeX Number of columns along X
+ * @param {number} sizeZ Number of columns along Z
+ * @param {number} sizeY World height in voxels
+ */
+export function generateTerrain(world, seed, minX, minZ, sizeX, sizeZ, sizeY = TERRAIN_HEIGHT) {
+  // Materials
+  const GRASS = 1;
+  const DIRT = 0;
+  const STONE = 8;
+  const SAND = 12;
+  const WATER = 11;
+
+  const waterLevel = Math.floor(sizeY * 0.25);
+
+  // Generate heightmap
+  for (let x = minX; x < minX + sizeX; x++) {
+    for (let z = minZ; z < minZ + sizeZ; z++) {
+      // Generate height using fractal noise
+      const height = fbm(x * TERRAIN_FREQ, z * TERRAIN_FREQ, 4, 0.5, 2.0, seed);
+
+      // Map height to voxel Y coordinate (0 to sizeY-1)
+      const terrainHeight = Math.floor(((height + 1) / 2) * (sizeY * 0.8)) + Math.floor(sizeY * 0.1);
+
+      // Fill column up to terrain height; empty voxels are left unallocated
+      for (let y = 0; y < Math.max(terrainHeight, waterLevel); y++) {
+        if (y < terrainHeight) {
+          let material;
+          if (y === terrainHeight - 1) {
+            // Top layer
+            if (terrainHeight <= waterLevel) {
+              material = SAND; // Beach sand
+            } else if (terrainHeight > sizeY * 0.7) {
+              material = STONE; // Mountain stone
+            } else {
+              material = GRASS; // Grass
+            }
+          } else if (y >= terrainHeight - 3) {
+            // Sub-surface layers
+            material = DIRT;
+          } else {
+            // Deep layers
+            material = STONE;
+          }
+          world.set(x, y, z, true, material);
+        } else {
+          // Water
+          world.set(x, y, z, true, WATER);
+        }
+      }
+    }
+  }
+}
+
+/*** ======= Streaming ======= ***/
+
+/**
+ * Generates terrain around a moving centre point, one chunk column
+ * (all tiles sharing cx/cz) at a time, and unloads columns that fall
+ * out of range. Mesh building is capped per call to avoid frame hitches.
+ */
+export class TerrainStreamer {
+
+  /**
+   * @param {VoxelWorld} world Target world
+   * @param {number} seed Noise seed
+   * @param {Object} options
+   * @param {number} options.viewDistance Columns kept loaded around the centre (Chebyshev radius)
+   * @param {number} options.unloadDistance Columns further than this are dropped (> viewDistance for hysteresis)
+   * @param {number} options.maxGeneratePerUpdate Columns generated per update() call
+   * @param {number} options.maxBuildsPerFrame Tile meshes built per buildMeshes() call
+   */
+  constructor(world, seed, options = {}) {
+    this.world = world;
+    this.seed = seed;
+    this.viewDistance = options.viewDistance ?? 4;
+    this.unloadDistance = options.unloadDistance ?? this.viewDistance + 2;
+    this.maxGeneratePerUpdate = options.maxGeneratePerUpdate ?? 4;
+    this.maxBuildsPerFrame = options.maxBuildsPerFrame ?? 4;
+    this.height = options.height ?? TERRAIN_HEIGHT;
+
+    this._columns = new Set(); // "cx,cz" of generated columns
+    this._center = [0, 0]; // Centre column of the last update
+  }
+
+  static columnKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  get columnCount() {
+    return this._columns.size;
+  }
+
+  hasColumn(cx, cz) {
+    return this._columns.has(TerrainStreamer.columnKey(cx, cz));
+  }
+
+  /**
+   * Generates one chunk column.
+   */
+  generateColumn(cx, cz) {
+    const key = TerrainStreamer.columnKey(cx, cz);
+    if (this._columns.has(key)) return;
+    const s = this.world.chunkSize;
+    generateTerrain(this.world, this.seed, cx * s, cz * s, s, s, this.height);
+    this._columns.add(key);
+  }
+
+  /**
+   * Drops every tile in a chunk column.
+   *
+   * @param {WebGL2RenderingContext} [gl] Context that owns the tile VAOs
+   */
+  unloadColumn(cx, cz, gl = null) {
+    const maxCy = Math.ceil(this.height / this.world.chunkSize);
+    for (let cy = 0; cy < maxCy; cy++) {
+      this.world.removeTile(cx, cy, cz, gl);
+    }
+    this._columns.delete(TerrainStreamer.columnKey(cx, cz));
+  }
+
+  /**
+   * Loads missing columns near a world-space position (nearest first, up to
+   * maxGeneratePerUpdate) and unloads columns beyond unloadDistance.
+   *
+   * @param {number[]} position World position; only X and Z are used
+   * @param {WebGL2RenderingContext} [gl] Context that owns the tile VAOs
+   * @returns {{generated: number, unloaded: number}}
+   */
+  update(position, gl = null) {
+    const s = this.world.chunkSize;
+    const ccx = Math.floor(position[0] / s);
+    const ccz = Math.floor(position[2] / s);
+    this._center = [ccx, ccz];
+
+    // Unload far columns
+    let unloaded = 0;
+    for (const key of [...this._columns]) {
+      const [cx, cz] = key.split(',').map(Number);
+      if (Math.max(Math.abs(cx - ccx), Math.abs(cz - ccz)) > this.unloadDistance) {
+        this.unloadColumn(cx, cz, gl);
+        unloaded++;
+      }
+    }
+
+    // Collect missing columns, nearest first
+    const missing = [];
+    const r = this.viewDistance;
+    for (let dz = -r; dz <= r; dz++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (!this.hasColumn(ccx + dx, ccz + dz)) missing.push([ccx + dx, ccz + dz, dx * dx + dz * dz]);
+      }
+    }
+    missing.sort((a, b) => a[2] - b[2]);
+
+    const count = Math.min(missing.length, this.maxGeneratePerUpdate);
+    for (let i = 0; i < count; i++) {
+      this.generateColumn(missing[i][0], missing[i][1]);
+    }
+
+    return { generated: count, unloaded };
+  }
+
+  /**
+   * Builds dirty tile meshes closest to the last update() centre,
+   * at most maxBuildsPerFrame per call.
+   *
+   * @returns {number} Number of tiles meshed
+   */
+  buildMeshes(gl, renderProg) {
+    const [ccx, ccz] = this._center;
+    const dirty = this.world.dirtyTiles();
+    const dist = (t) => (t.cx - ccx) ** 2 + (t.cz - ccz) ** 2;
+    dirty.sort((a, b) => dist(a) - dist(b));
+
+    const count = Math.min(dirty.length, this.maxBuildsPerFrame);
+    for (let i = 0; i < count; i++) {
+      this.world.buildTileMesh(gl, renderProg, dirty[i]);
+    }
+    return count;
+  }
+
+  /**
+   * Drops all terrain and switches to a new seed.
+   *
+   * @param {WebGL2RenderingContext} [gl] Context that owns the tile VAOs
+   */
+  reset(seed, gl = null) {
+    this.seed = seed;
+    this.world.clear(gl);
+    this._columns.clear();
+  }
+}
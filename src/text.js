@@ -0,0 +1,172 @@
+/**
+ * Bitmap font text for the text tool.
+ *
+ * A font is { name, glyphs: Map<codePoint, { advance, pixels }> } where
+ * `pixels` are [x, y] ink cells with y counting up from the baseline. The
+ * built-in 5×7 font covers printable ASCII; BDF files give any other font.
+ */
+
+// Printable ASCII from 0x20, five columns per glyph, bit 0 = top row
+const FONT_5X7_COLUMNS = [
+  [0x00, 0x00, 0x00, 0x00, 0x00], [0x00, 0x00, 0x5F, 0x00, 0x00], [0x00, 0x07, 0x00, 0x07, 0x00], [0x14, 0x7F, 0x14, 0x7F, 0x14],
+  [0x24, 0x2A, 0x7F, 0x2A, 0x12], [0x23, 0x13, 0x08, 0x64, 0x62], [0x36, 0x49, 0x55, 0x22, 0x50], [0x00, 0x05, 0x03, 0x00, 0x00],
+  [0x00, 0x1C, 0x22, 0x41, 0x00], [0x00, 0x41, 0x22, 0x1C, 0x00], [0x08, 0x2A, 0x1C, 0x2A, 0x08], [0x08, 0x08, 0x3E, 0x08, 0x08],
+  [0x00, 0x50, 0x30, 0x00, 0x00], [0x08, 0x08, 0x08, 0x08, 0x08], [0x00, 0x60, 0x60, 0x00, 0x00], [0x20, 0x10, 0x08, 0x04, 0x02],
+  [0x3E, 0x51, 0x49, 0x45, 0x3E], [0x00, 0x42, 0x7F, 0x40, 0x00], [0x42, 0x61, 0x51, 0x49, 0x46], [0x21, 0x41, 0x45, 0x4B, 0x31],
+  [0x18, 0x14, 0x12, 0x7F, 0x10], [0x27, 0x45, 0x45, 0x45, 0x39], [0x3C, 0x4A, 0x49, 0x49, 0x30], [0x01, 0x71, 0x09, 0x05, 0x03],
+  [0x36, 0x49, 0x49, 0x49, 0x36], [0x06, 0x49, 0x49, 0x29, 0x1E], [0x00, 0x36, 0x36, 0x00, 0x00], [0x00, 0x56, 0x36, 0x00, 0x00],
+  [0x00, 0x08, 0x14, 0x22, 0x41], [0x14, 0x14, 0x14, 0x14, 0x14], [0x41, 0x22, 0x14, 0x08, 0x00], [0x02, 0x01, 0x51, 0x09, 0x06],
+  [0x32, 0x49, 0x79, 0x41, 0x3E], [0x7E, 0x11, 0x11, 0x11, 0x7E], [0x7F, 0x49, 0x49, 0x49, 0x36], [0x3E, 0x41, 0x41, 0x41, 0x22],
+  [0x7F, 0x41, 0x41, 0x22, 0x1C], [0x7F, 0x49, 0x49, 0x49, 0x41], [0x7F, 0x09, 0x09, 0x01, 0x01], [0x3E, 0x41, 0x41, 0x51, 0x32],
+  [0x7F, 0x08, 0x08, 0x08, 0x7F], [0x00, 0x41, 0x7F, 0x41, 0x00], [0x20, 0x40, 0x41, 0x3F, 0x01], [0x7F, 0x08, 0x14, 0x22, 0x41],
+  [0x7F, 0x40, 0x40, 0x40, 0x40], [0x7F, 0x02, 0x04, 0x02, 0x7F], [0x7F, 0x04, 0x08, 0x10, 0x7F], [0x3E, 0x41, 0x41, 0x41, 0x3E],
+  [0x7F, 0x09, 0x09, 0x09, 0x06], [0x3E, 0x41, 0x51, 0x21, 0x5E], [0x7F, 0x09, 0x19, 0x29, 0x46], [0x46, 0x49, 0x49, 0x49, 0x31],
+  [0x01, 0x01, 0x7F, 0x01, 0x01], [0x3F, 0x40, 0x40, 0x40, 0x3F], [0x1F, 0x20, 0x40, 0x20, 0x1F], [0x7F, 0x20, 0x18, 0x20, 0x7F],
+  [0x63, 0x14, 0x08, 0x14, 0x63], [0x03, 0x04, 0x78, 0x04, 0x03], [0x61, 0x51, 0x49, 0x45, 0x43], [0x00, 0x00, 0x7F, 0x41, 0x41],
+  [0x02, 0x04, 0x08, 0x10, 0x20], [0x41, 0x41, 0x7F, 0x00, 0x00], [0x04, 0x02, 0x01, 0x02, 0x04], [0x40, 0x40, 0x40, 0x40, 0x40],
+  [0x00, 0x01, 0x02, 0x04, 0x00], [0x20, 0x54, 0x54, 0x54, 0x78], [0x7F, 0x48, 0x44, 0x44, 0x38], [0x38, 0x44, 0x44, 0x44, 0x20],
+  [0x38, 0x44, 0x44, 0x48, 0x7F], [0x38, 0x54, 0x54, 0x54, 0x18], [0x08, 0x7E, 0x09, 0x01, 0x02], [0x08, 0x14, 0x54, 0x54, 0x3C],
+  [0x7F, 0x08, 0x04, 0x04, 0x78], [0x00, 0x44, 0x7D, 0x40, 0x00], [0x20, 0x40, 0x44, 0x3D, 0x00], [0x00, 0x7F, 0x10, 0x28, 0x44],
+  [0x00, 0x41, 0x7F, 0x40, 0x00], [0x7C, 0x04, 0x18, 0x04, 0x78], [0x7C, 0x08, 0x04, 0x04, 0x78], [0x38, 0x44, 0x44, 0x44, 0x38],
+  [0x7C, 0x14, 0x14, 0x14, 0x08], [0x08, 0x14, 0x14, 0x18, 0x7C], [0x7C, 0x08, 0x04, 0x04, 0x08], [0x48, 0x54, 0x54, 0x54, 0x20],
+  [0x04, 0x3F, 0x44, 0x40, 0x20], [0x3C, 0x40, 0x40, 0x20, 0x7C], [0x1C, 0x20, 0x40, 0x20, 0x1C], [0x3C, 0x40, 0x30, 0x40, 0x3C],
+  [0x44, 0x28, 0x10, 0x28, 0x44], [0x0C, 0x50, 0x50, 0x50, 0x3C], [0x44, 0x64, 0x54, 0x4C, 0x44], [0x00, 0x08, 0x36, 0x41, 0x00],
+  [0x00, 0x00, 0x7F, 0x00, 0x00], [0x00, 0x41, 0x36, 0x08, 0x00], [0x08, 0x04, 0x08, 0x10, 0x08]
+];
+
+export const BUILTIN_FONT = {
+  name: 'Built-in 5×7',
+  glyphs: new Map(FONT_5X7_COLUMNS.map((columns, i) => {
+    const pixels = [];
+    columns.forEach((bits, x) => {
+      for (let row = 0; row < 7; row++) if (bits & (1 << row)) pixels.push([x, 6 - row]);
+    });
+    return [0x20 + i, { advance: 6, pixels }];
+  }))
+};
+
+export const TEXT_ALIGNMENTS = ['left', 'centre', 'right'];
+
+/**
+ * Reads a BDF (Glyph Bitmap Distribution Format) font. Glyphs without a
+ * BBX use the font bounding box; glyphs with a negative ENCODING are skipped.
+ *
+ * @param {string} text BDF file contents
+ * @returns {{name: string, glyphs: Map<number, {advance: number, pixels: number[][]}>}}
+ * @throws {Error} If the file is not BDF or has no glyphs
+ */
+export function parseBDF(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^STARTFONT\b/.test(lines[0] || '')) throw new Error('Not a BDF font');
+
+  let name = 'BDF font';
+  let fontBox = [0, 0, 0, 0];
+  const glyphs = new Map();
+  let glyph = null, bitmap = null;
+
+  for (const raw of lines) {
+    const parts = raw.trim().split(/\s+/);
+    const keyword = parts[0];
+    const nums = parts.slice(1).map(Number);
+
+    if (bitmap) {
+      if (keyword === 'ENDCHAR') {
+        const [w, h, xoff, yoff] = glyph.box;
+        bitmap.forEach((hex, row) => {
+          for (let col = 0; col < w; col++) {
+            const byte = parseInt(hex.substr((col >> 3) * 2, 2), 16) || 0;
+            if (byte & (0x80 >> (col & 7))) glyph.pixels.push([xoff + col, yoff + (h - 1 - row)]);
+          }
+        });
+        if (glyph.code >= 0) glyphs.set(glyph.code, { advance: glyph.advance, pixels: glyph.pixels });
+        glyph = bitmap = null;
+      } else {
+        bitmap.push(keyword);
+      }
+      continue;
+    }
+
+    if (keyword === 'FONT') name = parts.slice(1).join(' ');
+    else if (keyword === 'FONTBOUNDINGBOX') fontBox = nums.slice(0, 4);
+    else if (keyword === 'STARTCHAR') glyph = { code: -1, advance: fontBox[0], box: fontBox, pixels: [] };
+    else if (glyph && keyword === 'ENCODING') glyph.code = nums[0];
+    else if (glyph && keyword === 'DWIDTH') glyph.advance = nums[0];
+    else if (glyph && keyword === 'BBX') glyph.box = nums.slice(0, 4);
+    else if (glyph && keyword === 'BITMAP') bitmap = [];
+  }
+
+  if (glyphs.size === 0) throw new Error('BDF font has no glyphs');
+  return { name, glyphs };
+}
+
+/**
+ * Lays a string out along a baseline. Characters the font lacks use its '?'
+ * glyph, or are skipped when there is none.
+ *
+ * @param {Object} font BUILTIN_FONT or a parseBDF() result
+ * @param {string} text
+ * @returns {{pixels: number[][], minX: number, maxX: number}} Ink cells and their horizontal extent
+ */
+export function layoutText(font, text) {
+  const pixels = [];
+  let pen = 0;
+  for (const ch of text) {
+    const glyph = font.glyphs.get(ch.codePointAt(0)) || font.glyphs.get(0x3F);
+    if (!glyph) continue;
+    for (const [x, y] of glyph.pixels) pixels.push([pen + x, y]);
+    pen += glyph.advance;
+  }
+  const xs = pixels.map(([x]) => x);
+  return { pixels, minX: xs.length ? Math.min(...xs) : 0, maxX: xs.length ? Math.max(...xs) : -1 };
+}
+
+/**
+ * Reading directions for text on a face with the given outward normal, so it
+ * reads left to right when seen from outside. Text on the top and bottom
+ * faces runs along X; on side faces its up is +Y.
+ *
+ * @param {number[]} normal Axis-aligned unit normal
+ * @returns {{right: number[], up: number[]}}
+ */
+export function textFrame(normal) {
+  const up = normal[1] !== 0 ? [0, 0, -normal[1]] : [0, 1, 0];
+  const right = [
+    up[1] * normal[2] - up[2] * normal[1],
+    up[2] * normal[0] - up[0] * normal[2],
+    up[0] * normal[1] - up[1] * normal[0]
+  ];
+  return { right, up };
+}
+
+/**
+ * Cells covered by laid-out text placed on a face. The baseline passes
+ * through `anchor`; `align` puts the anchor at the left end, middle or right
+ * end of the ink. Each pixel becomes a column of `depth` cells stepping along
+ * `direction` (the normal to emboss, its opposite to engrave).
+ *
+ * @param {Object} layout From layoutText()
+ * @param {number[]} anchor Cell under the text's baseline start
+ * @param {number[]} normal Outward face normal, for the reading directions
+ * @param {Object} [options]
+ * @param {string} [options.align='left'] One of TEXT_ALIGNMENTS
+ * @param {number} [options.depth=1] Cells per pixel along `direction`
+ * @param {number[]} [options.direction] Defaults to `normal`
+ * @returns {number[][]} [x, y, z] cells, unclipped
+ * @throws {Error} If the alignment is unknown
+ */
+export function textCells(layout, anchor, normal, options = {}) {
+  const { align = 'left', depth = 1, direction = normal } = options;
+  if (!TEXT_ALIGNMENTS.includes(align)) throw new Error(`Unknown text alignment "${align}"`);
+  const { right, up } = textFrame(normal);
+  const width = layout.maxX - layout.minX + 1;
+  const start = align === 'right' ? 1 - width : align === 'centre' ? 0 - Math.floor((width - 1) / 2) : 0;
+
+  const cells = [];
+  for (const [px, py] of layout.pixels) {
+    const u = start + px - layout.minX;
+    for (let d = 0; d < depth; d++) {
+      cells.push([0, 1, 2].map(i => anchor[i] + u * right[i] + py * up[i] + d * direction[i]));
+    }
+  }
+  return cells;
+}
@@ -56,6 +56,8 @@ export function initializeUI(state) {
     setContinuousMode,
     getLastAppliedVoxel,
     setLastAppliedVoxel,
+    getAOEnabled,
+    setAOEnabled,
     
     // Functions
     buildAllMeshes,
@@ -75,15 +77,71 @@ export function initializeUI(state) {
     shrinkChunkX,
     shrinkChunkY,
     shrinkChunkZ,
+    resizeChunk,
+    setResizeAnchor,
+    rotateModel,
+    flipModel,
+    rescaleModel,
+    beginStamp,
+    cancelStamp,
+    commitStamp,
+    isStamping,
+    setStampKeepExisting,
+    setBooleanOperand,
+    applyBoolean,
+    importImage,
+    importMesh,
+    previewFilter,
+    getFilterPreview,
+    setFilterOption,
+    cancelFilter,
+    applyFilter,
     exportToJSON,
+    exportToGLB,
+    exportToVox,
+    exportToOBJ,
+    exportToSTL,
     importFromJSON,
+    importFromVox,
     decodePickAt,
     getRowSurfaceVoxels,
     getRowAddTargets,
     getPlaneSurfaceVoxels,
     getPlaneAddTargets,
+    isShapeOption,
+    beginShape,
+    finishShape,
+    cancelShape,
+    getSelectionCount,
+    selectAll,
+    clearSelection,
+    selectConnectedAt,
+    deleteSelection,
+    copySelection,
+    cutSelection,
+    pasteVoxels,
+    rotateSelection,
+    mirrorSelection,
+    beginSelectionMove,
+    updateSelectionMove,
+    finishSelectionMove,
     beginVoxelAction,
-    recordVoxelChange,
+    recordSymmetricChange,
+    floodPaintAt,
+    setBrushPattern,
+    setPatternMaterials,
+    brushMaterialAt,
+    setTextOption,
+    setTextFont,
+    applyTextAt,
+    replaceMaterial,
+    setSliceEnabled,
+    toggleSlice,
+    setSliceAxis,
+    moveSlice,
+    setSymmetryEnabled,
+    moveSymmetryPlane,
+    centreSymmetryPlanes,
     commitAction,
     getSelectedGroupName,
     setSelectedGroupName,
@@ -91,7 +149,8 @@ export function initializeUI(state) {
     setGroupOverlaysVisible,
     
     // Constants
-    FACE_DIRS
+    FACE_DIRS,
+    FLOOD_LIMIT
   } = state;
 
   // Get DOM elements
@@ -126,34 +185,24 @@ export function initializeUI(state) {
   // Close panels on escape key
   window.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
+      cancelShape();
+      if (getFilterPreview()) {
+        cancelFilter();
+        updateFilterUI();
+        return;
+      }
+      if (isStamping()) {
+        cancelStamp();
+        return;
+      }
       if (sidePanel.classList.contains('open')) {
         sidePanel.classList.remove('open');
-      }
-      if (animPanel.classList.contains('open')) {
-        animPanel.classList.remove('open');
+      } else {
+        clearSelection();
       }
     }
   });
 
-  // // Animation UI handlers
-  // document.getElementById('btnCompile').addEventListener('click', () => {
-  //   const dsl = document.getElementById('animationDSL').value;
-  //   try {
-
-  //     animSystem.parse(dsl);
-
-  //     chunk.clearGroups();
-  //     animSystem.regions.forEach((region,name) => {
-  //       chunk.addGroup(name, region.min, region.max);
-  //     });
-  //     buildAllMeshes();
-  //     updateTriggerSelect();
-
-  //   } catch(e) {
-  //     console.error('Animation compile error:', e);
-  //   }
-  // });
-
   // // Update the trigger select dropdown to show animations instead of regions
   // function updateTriggerSelect() {
   //   const select = document.getElementById('triggerSelect');
@@ -190,6 +239,13 @@ export function initializeUI(state) {
   // });
 
 
+  // Ambient occlusion toggle
+  const chkAO = document.getElementById('chkAO');
+  chkAO.checked = getAOEnabled();
+  chkAO.addEventListener('change', (e) => {
+    setAOEnabled(e.target.checked);
+  });
+
   // Mode selection
   document.querySelectorAll('input[name="modeSelect"]').forEach(radio => {
     radio.addEventListener('change', (e) => {
@@ -199,11 +255,17 @@ export function initializeUI(state) {
     });
   });
 
-  // Option selection
+  function selectPaintMode() {
+    document.getElementById('modePaint').checked = true;
+    setMode('paint');
+  }
+
+  // Option selection; the fill tools only paint, so they switch to paint mode
   document.querySelectorAll('input[name="optionSelect"]').forEach(radio => {
     radio.addEventListener('change', (e) => {
       if (e.target.checked) {
         setOption(e.target.value);
+        if (e.target.value === 'fill' || e.target.value === 'surface') selectPaintMode();
       }
     });
   });
@@ -221,15 +283,84 @@ export function initializeUI(state) {
     a.click();
     URL.revokeObjectURL(url);
   });
+
+  document.getElementById('btnExportGLB').addEventListener('click', () => {
+    const blob = new Blob([exportToGLB()], { type: 'model/gltf-binary' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'voxels.glb';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  document.getElementById('btnExportVox').addEventListener('click', () => {
+    let bytes;
+    try {
+      bytes = exportToVox();
+    } catch (err) {
+      alert('Cannot export .vox: ' + err.message);
+      return;
+    }
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'voxels.vox';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  const downloadFile = (data, type, name) => {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const getPrintScale = () => {
+    const scale = parseFloat(document.getElementById('inpPrintScale').value);
+    return scale > 0 ? scale : 1;
+  };
+
+  document.getElementById('btnExportOBJ').addEventListener('click', () => {
+    const { obj, mtl } = exportToOBJ(getPrintScale());
+    downloadFile(obj, 'model/obj', 'voxels.obj');
+    downloadFile(mtl, 'model/mtl', 'voxels.mtl');
+  });
+
+  document.getElementById('btnExportSTL').addEventListener('click', () => {
+    downloadFile(exportToSTL(getPrintScale()), 'model/stl', 'voxels.stl');
+  });
   
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0]; 
     if (!file) return;
     const reader = new FileReader();
+
+    if (/\.vox$/i.test(file.name)) {
+      reader.onload = () => {
+        try {
+          importFromVox(reader.result);
+          refreshDSL();
+        } catch (err) {
+          alert('Invalid .vox file: ' + err.message);
+        } finally {
+          fileInput.value = '';
+        }
+      };
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+
     reader.onload = () => {
       try {
         const obj = JSON.parse(reader.result); 
         importFromJSON(obj);
+        refreshDSL();
       } catch (err) {
         alert('Invalid JSON: ' + err.message);
       } finally {
@@ -239,6 +370,27 @@ export function initializeUI(state) {
     reader.readAsText(file);
   });
 
+  // Import into scene: the loaded model follows the mouse until a click merges it
+  const stampFileInput = document.getElementById('stampFileInput');
+  document.getElementById('btnImportStamp').addEventListener('click', () => stampFileInput.click());
+  document.getElementById('chkStampKeep').addEventListener('change', (e) => setStampKeepExisting(e.target.checked));
+  stampFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        beginStamp(JSON.parse(reader.result));
+        sidePanel.classList.remove('open'); // clear the view for placing
+      } catch (err) {
+        alert('Invalid JSON: ' + err.message);
+      } finally {
+        stampFileInput.value = '';
+      }
+    };
+    reader.readAsText(file);
+  });
+
   // Reset button
   document.getElementById('resetSolid').addEventListener('click', () => {
     chunk.resetSize();
@@ -260,23 +412,55 @@ export function initializeUI(state) {
     clearHistory();
   });
 
+  // Layout edits move regions, pivots and emitters, so the DSL text is rewritten after each
+  function layoutEdit(edit) {
+    return (...args) => {
+      edit(...args);
+      refreshDSL();
+    };
+  }
+
   // Shift buttons
-  document.getElementById('btnShiftXPos').addEventListener('click', () => shiftVoxels(1, 0, 0));
-  document.getElementById('btnShiftXNeg').addEventListener('click', () => shiftVoxels(-1, 0, 0));
-  document.getElementById('btnShiftYPos').addEventListener('click', () => shiftVoxels(0, 1, 0));
-  document.getElementById('btnShiftYNeg').addEventListener('click', () => shiftVoxels(0, -1, 0));
-  document.getElementById('btnShiftZPos').addEventListener('click', () => shiftVoxels(0, 0, 1));
-  document.getElementById('btnShiftZNeg').addEventListener('click', () => shiftVoxels(0, 0, -1));
+  document.getElementById('btnShiftXPos').addEventListener('click', layoutEdit(() => shiftVoxels(1, 0, 0)));
+  document.getElementById('btnShiftXNeg').addEventListener('click', layoutEdit(() => shiftVoxels(-1, 0, 0)));
+  document.getElementById('btnShiftYPos').addEventListener('click', layoutEdit(() => shiftVoxels(0, 1, 0)));
+  document.getElementById('btnShiftYNeg').addEventListener('click', layoutEdit(() => shiftVoxels(0, -1, 0)));
+  document.getElementById('btnShiftZPos').addEventListener('click', layoutEdit(() => shiftVoxels(0, 0, 1)));
+  document.getElementById('btnShiftZNeg').addEventListener('click', layoutEdit(() => shiftVoxels(0, 0, -1)));
 
   // Expand chunk size buttons
-  document.getElementById('btnExpandX').addEventListener('click', expandChunkX);
-  document.getElementById('btnExpandY').addEventListener('click', expandChunkY);
-  document.getElementById('btnExpandZ').addEventListener('click', expandChunkZ);
+  document.getElementById('btnExpandX').addEventListener('click', layoutEdit(expandChunkX));
+  document.getElementById('btnExpandY').addEventListener('click', layoutEdit(expandChunkY));
+  document.getElementById('btnExpandZ').addEventListener('click', layoutEdit(expandChunkZ));
 
   // Shrink chunk size buttons
-  document.getElementById('btnShrinkX').addEventListener('click', shrinkChunkX);
-  document.getElementById('btnShrinkY').addEventListener('click', shrinkChunkY);
-  document.getElementById('btnShrinkZ').addEventListener('click', shrinkChunkZ);
+  document.getElementById('btnShrinkX').addEventListener('click', layoutEdit(shrinkChunkX));
+  document.getElementById('btnShrinkY').addEventListener('click', layoutEdit(shrinkChunkY));
+  document.getElementById('btnShrinkZ').addEventListener('click', layoutEdit(shrinkChunkZ));
+
+  // Resize to a typed size around the chosen anchors
+  ['X', 'Y', 'Z'].forEach((a, axis) => {
+    document.querySelectorAll(`input[name="anchor${a}"]`).forEach(radio => {
+      radio.addEventListener('change', () => setResizeAnchor(axis, radio.value));
+    });
+  });
+  document.getElementById('btnResizeChunk').addEventListener('click', layoutEdit(() => {
+    const size = ['X', 'Y', 'Z'].map(a => parseInt(document.getElementById(`inpSize${a}`).value, 10));
+    if (size.some(n => !Number.isFinite(n) || n < 1)) {
+      updateChunkSizeUI();
+      return;
+    }
+    resizeChunk(size[0], size[1], size[2]);
+  }));
+
+  // Whole-model transforms
+  ['X', 'Y', 'Z'].forEach((a, axis) => {
+    document.getElementById(`btnRotateModel${a}`).addEventListener('click', layoutEdit((e) => rotateModel(axis, e.shiftKey ? -1 : 1)));
+    document.getElementById(`btnFlipModel${a}`).addEventListener('click', layoutEdit(() => flipModel(axis)));
+  });
+  const inpScaleFactor = document.getElementById('inpScaleFactor');
+  document.getElementById('btnUpscaleModel').addEventListener('click', layoutEdit(() => rescaleModel(parseInt(inpScaleFactor.value, 10), 'up')));
+  document.getElementById('btnDownscaleModel').addEventListener('click', layoutEdit(() => rescaleModel(parseInt(inpScaleFactor.value, 10), 'down')));
 
   // Camera target buttons
   document.getElementById('btnCameraXMinus').addEventListener('click', () => moveCameraTargetX(-1));
@@ -286,9 +470,56 @@ export function initializeUI(state) {
   document.getElementById('btnCameraZMinus').addEventListener('click', () => moveCameraTargetZ(-1));
   document.getElementById('btnCameraZPlus').addEventListener('click', () => moveCameraTargetZ(1));
 
+  // Replace one material with another everywhere
+  const inpReplaceFrom = document.getElementById('inpReplaceFrom');
+  const inpReplaceTo = document.getElementById('inpReplaceTo');
+  document.getElementById('btnReplaceUseBrush').addEventListener('click', () => {
+    inpReplaceTo.value = palette.getBrush();
+  });
+  document.getElementById('btnReplaceMaterial').addEventListener('click', () => {
+    const from = parseInt(inpReplaceFrom.value, 10);
+    const to = parseInt(inpReplaceTo.value, 10);
+    const valid = (m) => Number.isInteger(m) && m >= 0 && m < palette.colors.length / 3;
+    if (!valid(from) || !valid(to)) {
+      alert('Materials must be palette indices');
+      return;
+    }
+    replaceMaterial(from, to);
+  });
+
+  // Slice view
+  document.getElementById('chkSlice').addEventListener('change', (e) => setSliceEnabled(e.target.checked));
+  document.getElementById('btnCloseSlice').addEventListener('click', () => setSliceEnabled(false));
+  document.getElementById('btnSliceDown').addEventListener('click', () => moveSlice(-1));
+  document.getElementById('btnSliceUp').addEventListener('click', () => moveSlice(1));
+  document.querySelectorAll('input[name="sliceAxis"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      if (e.target.checked) setSliceAxis(parseInt(e.target.value, 10));
+    });
+  });
+
+  // Mirror symmetry
+  ['X', 'Y', 'Z'].forEach((name, axis) => {
+    document.getElementById(`chkSym${name}`).addEventListener('change', (e) => setSymmetryEnabled(axis, e.target.checked));
+    document.getElementById(`btnSym${name}Minus`).addEventListener('click', () => moveSymmetryPlane(axis, -0.5));
+    document.getElementById(`btnSym${name}Plus`).addEventListener('click', () => moveSymmetryPlane(axis, 0.5));
+  });
+  document.getElementById('btnSymCentre').addEventListener('click', centreSymmetryPlanes);
+
+  // Chunk and merge actions carry animation data, so the DSL text follows them
+  function undoEdit() {
+    const act = undo();
+    if (act && (act.type === 'chunk' || act.anim)) refreshDSL();
+  }
+
+  function redoEdit() {
+    const act = redo();
+    if (act && (act.type === 'chunk' || act.anim)) refreshDSL();
+  }
+
   // Undo/Redo buttons
-  undoBtn.addEventListener('click', undo);
-  redoBtn.addEventListener('click', redo);
+  undoBtn.addEventListener('click', undoEdit);
+  redoBtn.addEventListener('click', redoEdit);
 
   // Update hover UI
   function updateHoverUI() {
@@ -312,6 +543,9 @@ export function initializeUI(state) {
 
   // Keyboard event handler
   window.addEventListener('keydown', (e) => {
+    // Let text fields receive their own keystrokes
+    if (e.target instanceof HTMLTextAreaElement || (e.target instanceof HTMLInputElement && ['text', 'number'].includes(e.target.type))) return;
+
     const k = e.key.toLowerCase();
 
     // Mode shortcuts
@@ -328,8 +562,7 @@ export function initializeUI(state) {
     }
     
     if (k === 's') {
-      document.getElementById('modePaint').checked = true;
-      setMode('paint');
+      selectPaintMode();
       return;
     }
 
@@ -351,22 +584,83 @@ export function initializeUI(state) {
       return;
     }
 
+    // Shape tools
+    const shapeKeys = { x: 'Box', g: 'Sphere', y: 'Cylinder', l: 'Line' };
+    if (!e.ctrlKey && !e.metaKey && shapeKeys[k]) {
+      document.getElementById(`option${shapeKeys[k]}`).checked = true;
+      setOption(shapeKeys[k].toLowerCase());
+      return;
+    }
+
+    // Fill tools
+    if (!e.ctrlKey && !e.metaKey && (k === 'h' || k === 'j')) {
+      const id = k === 'h' ? 'optionFill' : 'optionSurface';
+      document.getElementById(id).checked = true;
+      setOption(k === 'h' ? 'fill' : 'surface');
+      selectPaintMode();
+      return;
+    }
+
+    if (!e.ctrlKey && !e.metaKey && k === 't') {
+      document.getElementById('optionText').checked = true;
+      setOption('text');
+      return;
+    }
+
+    // Selection tools
+    if (!e.ctrlKey && !e.metaKey && (k === 'm' || k === 'n')) {
+      const id = k === 'm' ? 'optionSelect' : 'optionWand';
+      document.getElementById(id).checked = true;
+      setOption(k === 'm' ? 'select' : 'wand');
+      return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && k === 'a') {
+      e.preventDefault();
+      selectAll();
+      return;
+    }
+
+    if ((e.key === 'Delete' || e.key === 'Backspace') && getSelectionCount() > 0) {
+      e.preventDefault();
+      deleteSelection();
+      return;
+    }
+
+    // Copy, cut and paste arrive as clipboard events below
+    if ((e.ctrlKey || e.metaKey) && (k === 'c' || k === 'x' || k === 'v')) return;
+
+    if (!e.ctrlKey && !e.metaKey && k === 'k') {
+      toggleSlice();
+      return;
+    }
+
+    if (k === 'o') {
+      setAOEnabled(!getAOEnabled());
+      chkAO.checked = getAOEnabled();
+      return;
+    }
+
     // Undo/Redo
     if ((e.ctrlKey || e.metaKey) && !e.shiftKey && (k === 'z')) {
       e.preventDefault();
-      undo();
+      undoEdit();
       return;
     }
 
     if ((e.ctrlKey || e.metaKey) && (k === 'y' || (e.shiftKey && (k === 'z')))) {
       e.preventDefault();
-      redo();
+      redoEdit();
       return;
     }
   
-    // Quick material: 0-9, A-F
-    if (/^[0-9]$/.test(k)) palette.selectBrush(parseInt(k, 10));
-    else if (/^[a-f]$/i.test(k)) palette.selectBrush(10 + parseInt(k, 16) - 10);
+    // Palette paging: [ and ]
+    if (k === '[') palette.setPage(palette.page - 1);
+    else if (k === ']') palette.setPage(palette.page + 1);
+
+    // Quick material on the current palette page: 0-9, A-F
+    if (/^[0-9]$/.test(k)) palette.selectBrushOnPage(parseInt(k, 10));
+    else if (/^[a-f]$/i.test(k)) palette.selectBrushOnPage(parseInt(k, 16));
 
     setNeedsPick(true);
   });
@@ -375,11 +669,304 @@ export function initializeUI(state) {
     setNeedsPick(true);
   });
 
+  // Clipboard: selections travel as voxel JSON text
+  const isTextField = (el) => el instanceof HTMLTextAreaElement || el instanceof HTMLInputElement;
+
+  document.addEventListener('copy', (e) => {
+    if (isTextField(e.target)) return;
+    const json = copySelection();
+    if (!json) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', JSON.stringify(json));
+  });
+
+  document.addEventListener('cut', (e) => {
+    if (isTextField(e.target)) return;
+    const json = cutSelection();
+    if (!json) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', JSON.stringify(json));
+  });
+
+  document.addEventListener('paste', (e) => {
+    if (isTextField(e.target)) return;
+    e.preventDefault();
+    pasteText(e.clipboardData.getData('text/plain'));
+  });
+
+  // Falls back to the last in-app copy when the text is not voxel JSON
+  function pasteText(text) {
+    let obj = null;
+    try {
+      obj = text ? JSON.parse(text) : null;
+    } catch (err) {
+      obj = null;
+    }
+    try {
+      pasteVoxels(obj && Array.isArray(obj.voxels) ? obj : null);
+    } catch (err) {
+      alert('Paste failed: ' + err.message);
+    }
+  }
+
+  // Selection panel buttons go through the async clipboard API where available
+  document.getElementById('btnSelCopy').addEventListener('click', () => {
+    const json = copySelection();
+    if (json) navigator.clipboard?.writeText(JSON.stringify(json)).catch(() => {});
+  });
+
+  document.getElementById('btnSelCut').addEventListener('click', () => {
+    const json = cutSelection();
+    if (json) navigator.clipboard?.writeText(JSON.stringify(json)).catch(() => {});
+  });
+
+  document.getElementById('btnSelPaste').addEventListener('click', () => {
+    if (!navigator.clipboard?.readText) {
+      pasteText('');
+      return;
+    }
+    navigator.clipboard.readText().then(pasteText, () => pasteText(''));
+  });
+
+  document.getElementById('btnSelDelete').addEventListener('click', () => deleteSelection());
+
+  // Filters preview first; Apply commits them as one undo action
+  const filterStatus = document.getElementById('filterStatus');
+  const btnFilterApply = document.getElementById('btnFilterApply');
+  const btnFilterCancel = document.getElementById('btnFilterCancel');
+
+  function updateFilterUI() {
+    const preview = getFilterPreview();
+    filterStatus.textContent = preview ? `${preview.name}: ${preview.count} voxels change` : '';
+    btnFilterApply.disabled = !preview;
+    btnFilterCancel.disabled = !preview;
+  }
+
+  ['Hollow', 'Thicken', 'Erode', 'Dilate', 'Smooth'].forEach(name => {
+    document.getElementById(`btnFilter${name}`).addEventListener('click', () => {
+      previewFilter(name.toLowerCase());
+      updateFilterUI();
+    });
+  });
+  document.getElementById('inpShellThickness').addEventListener('change', (e) => {
+    const n = parseInt(e.target.value, 10);
+    if (!Number.isFinite(n) || n < 1) {
+      e.target.value = 1;
+      return;
+    }
+    setFilterOption('thickness', n);
+    updateFilterUI();
+  });
+  document.querySelectorAll('input[name="filterNeighbours"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      setFilterOption('connectivity', parseInt(radio.value, 10));
+      updateFilterUI();
+    });
+  });
+  btnFilterApply.addEventListener('click', () => {
+    applyFilter();
+    updateFilterUI();
+  });
+  btnFilterCancel.addEventListener('click', () => {
+    cancelFilter();
+    updateFilterUI();
+  });
+
+  // Brush pattern
+  const inpPatternMaterials = document.getElementById('inpPatternMaterials');
+  document.querySelectorAll('input[name="patternKind"]').forEach(radio => {
+    radio.addEventListener('change', () => setBrushPattern({ kind: radio.value }));
+  });
+  document.querySelectorAll('input[name="gradientDirection"]').forEach(radio => {
+    radio.addEventListener('change', () => setBrushPattern({ direction: radio.value }));
+  });
+  inpPatternMaterials.addEventListener('change', () => {
+    inpPatternMaterials.value = setPatternMaterials(inpPatternMaterials.value).join(', ');
+  });
+  document.getElementById('btnPatternAddBrush').addEventListener('click', () => {
+    inpPatternMaterials.value = setPatternMaterials(`${inpPatternMaterials.value} ${palette.getBrush()}`).join(', ');
+  });
+  document.getElementById('inpPatternSeed').addEventListener('change', (e) => {
+    setBrushPattern({ seed: parseInt(e.target.value, 10) || 0 });
+  });
+  document.getElementById('inpPatternScale').addEventListener('change', (e) => {
+    setBrushPattern({ scale: Math.max(0.01, parseFloat(e.target.value) || 0.15) });
+  });
+
+  // Text tool options; the font is the built-in 5x7 one until a BDF file is loaded
+  const bdfFileInput = document.getElementById('bdfFileInput');
+  const textFontName = document.getElementById('textFontName');
+  const chkTextBrush = document.getElementById('chkTextBrush');
+  const inpTextMaterial = document.getElementById('inpTextMaterial');
+
+  function updateTextMaterial() {
+    inpTextMaterial.disabled = chkTextBrush.checked;
+    const m = parseInt(inpTextMaterial.value, 10);
+    setTextOption('material', chkTextBrush.checked ? null : Math.max(0, Math.min(255, m || 0)));
+  }
+
+  document.getElementById('inpText').addEventListener('input', (e) => setTextOption('text', e.target.value));
+  document.getElementById('inpTextDepth').addEventListener('change', (e) => {
+    setTextOption('depth', Math.max(1, parseInt(e.target.value, 10) || 1));
+  });
+  document.querySelectorAll('input[name="textAlign"]').forEach(radio => {
+    radio.addEventListener('change', () => setTextOption('align', radio.value));
+  });
+  chkTextBrush.addEventListener('change', updateTextMaterial);
+  inpTextMaterial.addEventListener('change', updateTextMaterial);
+
+  document.getElementById('btnLoadFont').addEventListener('click', () => bdfFileInput.click());
+  bdfFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text()
+      .then((text) => { textFontName.textContent = setTextFont(text); })
+      .catch((err) => alert('Font load failed: ' + err.message))
+      .finally(() => { bdfFileInput.value = ''; });
+  });
+  document.getElementById('btnBuiltinFont').addEventListener('click', () => {
+    textFontName.textContent = setTextFont(null);
+  });
+
+  // Image import: decoded through a 2D canvas, scaled down to at most MAX_IMAGE_SIZE pixels across
+  const MAX_IMAGE_SIZE = 256;
+  const imageFileInput = document.getElementById('imageFileInput');
+
+  function readImageData(file) {
+    return createImageBitmap(file).then((bitmap) => {
+      const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+      const canvas2d = document.createElement('canvas');
+      canvas2d.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas2d.height = Math.max(1, Math.round(bitmap.height * scale));
+      const ctx = canvas2d.getContext('2d');
+      ctx.imageSmoothingEnabled = scale < 1;
+      ctx.drawImage(bitmap, 0, 0, canvas2d.width, canvas2d.height);
+      bitmap.close();
+      return ctx.getImageData(0, 0, canvas2d.width, canvas2d.height);
+    });
+  }
+
+  document.getElementById('btnImportImage').addEventListener('click', () => imageFileInput.click());
+  imageFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const options = {
+      mode: document.querySelector('input[name="imageMode"]:checked').value,
+      maxHeight: Math.max(1, parseInt(document.getElementById('inpImageHeight').value, 10) || 1),
+      depth: Math.max(1, parseInt(document.getElementById('inpImageDepth').value, 10) || 1)
+    };
+    readImageData(file)
+      .then((image) => importImage(image, options))
+      .catch((err) => alert('Image import failed: ' + err.message))
+      .finally(() => { imageFileInput.value = ''; });
+  });
+
+  // Mesh import: an OBJ may come with its MTL file in the same selection
+  const meshFileInput = document.getElementById('meshFileInput');
+
+  function readMeshFile(files) {
+    const byExt = (ext) => files.find(f => f.name.toLowerCase().endsWith(ext));
+    const obj = byExt('.obj'), mtl = byExt('.mtl'), stl = byExt('.stl');
+    const gltf = byExt('.glb') || byExt('.gltf');
+    if (obj) {
+      return Promise.all([obj.text(), mtl ? mtl.text() : null]).then(([data, mtlText]) => ({ format: 'obj', data, mtl: mtlText }));
+    }
+    if (stl) return stl.arrayBuffer().then(data => ({ format: 'stl', data }));
+    if (gltf) return gltf.arrayBuffer().then(data => ({ format: 'gltf', data }));
+    return Promise.reject(new Error('Choose an .obj, .stl, .glb or .gltf file'));
+  }
+
+  document.getElementById('btnImportMesh').addEventListener('click', () => meshFileInput.click());
+  meshFileInput.addEventListener('change', (e) => {
+    const files = [...e.target.files];
+    if (files.length === 0) return;
+    const resolution = Math.max(1, Math.min(256, parseInt(document.getElementById('inpMeshResolution').value, 10) || 1));
+    const options = {
+      fill: document.getElementById('chkMeshFill').checked,
+      zUp: document.getElementById('chkMeshZUp').checked,
+      material: palette.getBrush()
+    };
+    readMeshFile(files)
+      .then((file) => importMesh(file, resolution, options))
+      .catch((err) => alert('Mesh import failed: ' + err.message))
+      .finally(() => { meshFileInput.value = ''; });
+  });
+
+  // Boolean operations with a second model from a file or the clipboard
+  const booleanFileInput = document.getElementById('booleanFileInput');
+  const booleanSource = document.getElementById('booleanSource');
+  const booleanOffsetInputs = ['X', 'Y', 'Z'].map(a => document.getElementById(`inpBoolOffset${a}`));
+
+  function loadBooleanOperand(obj, source) {
+    try {
+      const block = setBooleanOperand(obj);
+      if (!block) {
+        alert('Nothing to combine with: copy a selection or load a model first');
+        return;
+      }
+      booleanOffsetInputs.forEach((input, i) => { input.value = block.origin[i]; });
+      booleanSource.textContent = `${source}: ${block.size.join('×')}, ${block.voxels.length} voxels`;
+    } catch (err) {
+      alert('Invalid model: ' + err.message);
+    }
+  }
+
+  document.getElementById('btnBoolLoad').addEventListener('click', () => booleanFileInput.click());
+  booleanFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        loadBooleanOperand(JSON.parse(reader.result), file.name);
+      } catch (err) {
+        alert('Invalid JSON: ' + err.message);
+      } finally {
+        booleanFileInput.value = '';
+      }
+    };
+    reader.readAsText(file);
+  });
+
+  // Falls back to the last in-app copy when the clipboard holds no voxel JSON
+  function booleanFromText(text) {
+    let obj = null;
+    try {
+      obj = text ? JSON.parse(text) : null;
+    } catch (err) {
+      obj = null;
+    }
+    loadBooleanOperand(obj && Array.isArray(obj.voxels) ? obj : null, 'Clipboard');
+  }
+
+  document.getElementById('btnBoolClipboard').addEventListener('click', () => {
+    if (!navigator.clipboard?.readText) {
+      booleanFromText('');
+      return;
+    }
+    navigator.clipboard.readText().then(booleanFromText, () => booleanFromText(''));
+  });
+
+  Object.entries({ Union: 'union', Subtract: 'subtract', Intersect: 'intersect', Xor: 'xor' }).forEach(([name, op]) => {
+    document.getElementById(`btnBool${name}`).addEventListener('click', () => {
+      const offset = booleanOffsetInputs.map(input => parseInt(input.value, 10) || 0);
+      applyBoolean(op, offset);
+    });
+  });
+
+  ['X', 'Y', 'Z'].forEach((name, axis) => {
+    document.getElementById(`btnSelRotate${name}`).addEventListener('click', () => rotateSelection(axis));
+    document.getElementById(`btnSelMirror${name}`).addEventListener('click', () => mirrorSelection(axis));
+  });
+
   canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
   // Mouse event handlers
   canvas.addEventListener('mousedown', (e) => {
     canvas.focus();
+    // Selection move handles sit on top of everything
+    if (e.button === 0 && beginSelectionMove(e.clientX, e.clientY)) return;
+
     const pick = decodePickAt(e.clientX, e.clientY);
     const mode = getMode();
     const option = getOption();
@@ -394,6 +981,40 @@ export function initializeUI(state) {
       return;
     }
 
+    if (e.button === 0 && isStamping()) {
+      commitStamp();
+      refreshDSL();
+      return;
+    }
+
+    if (e.button === 0 && (option === 'fill' || option === 'surface')) {
+      // Carve or add was picked after the fill tool; fills always paint
+      if (mode !== 'paint') selectPaintMode();
+      if (floodPaintAt(pick.voxel)) {
+        alert(`Fill stopped after ${FLOOD_LIMIT} voxels; the rest of the region was left unpainted`);
+      }
+      return;
+    }
+
+    if (e.button === 0 && option === 'text') {
+      applyTextAt(pick.voxel, pick.face);
+      setNeedsPick(true);
+      return;
+    }
+
+    // Shift adds to the selection, Alt subtracts from it
+    const selectOp = e.shiftKey ? 'add' : e.altKey ? 'subtract' : 'replace';
+    if (e.button === 0 && option === 'wand') {
+      selectConnectedAt(pick.voxel, selectOp);
+      return;
+    }
+
+    // Shape tools and box selection span from here to where the mouse is released
+    if (e.button === 0 && (isShapeOption(option) || option === 'select')) {
+      beginShape(pick.voxel, pick.face, selectOp);
+      return;
+    }
+
     // Check if shift is held for continuous mode (only for voxel option)
     if (e.shiftKey && option === 'voxel' && e.button === 0) {
       setContinuousMode(true);
@@ -408,21 +1029,21 @@ export function initializeUI(state) {
         const arr = getPlaneSurfaceVoxels(pick.voxel, pick.face);
         if (arr.length > 0) {
           const act = beginVoxelAction('Paint plane');
-          for (const id of arr) recordVoxelChange(act, id, true, palette.getBrush());
+          for (const id of arr) recordSymmetricChange(act, id, true, brushMaterialAt);
           commitAction(act);
         }
       } else if (option == 'row') {
         const arr = getRowSurfaceVoxels(pick.voxel, pick.face);
         if (arr.length > 0) {
           const act = beginVoxelAction(`Paint row`);
-          for (const id of arr) recordVoxelChange(act, id, true, palette.getBrush());
+          for (const id of arr) recordSymmetricChange(act, id, true, brushMaterialAt);
           commitAction(act);
         }
       } else if (pick.voxel >= 0) {
         const id = chunk.idx3(...chunk.coordsOf(pick.voxel));
         if (chunk.isSolid(id)) {
           const act = beginVoxelAction('Paint voxel');
-          recordVoxelChange(act, pick.voxel, true, palette.getBrush());
+          recordSymmetricChange(act, pick.voxel, true, brushMaterialAt);
           commitAction(act);
         }
       }
@@ -432,14 +1053,14 @@ export function initializeUI(state) {
           const targets = getPlaneAddTargets(pick.voxel, pick.face);
           if (targets.length > 0) {
             const act = beginVoxelAction('Add plane');
-            for (const t of targets) recordVoxelChange(act, t, true, palette.getBrush());
+            for (const t of targets) recordSymmetricChange(act, t, true, brushMaterialAt);
             commitAction(act);
           }
         } else if (option == 'row') {
           const targets = getRowAddTargets(pick.voxel, pick.face);
           if (targets.length > 0) {
             const act = beginVoxelAction(`Add row`);
-            for (const t of targets) recordVoxelChange(act, t, true, palette.getBrush());
+            for (const t of targets) recordSymmetricChange(act, t, true, brushMaterialAt);
             commitAction(act);
           }
         } else if (pick.voxel >= 0 && pick.face >= 0) {
@@ -452,7 +1073,7 @@ export function initializeUI(state) {
               const id = chunk.idx3(nx, ny, nz);
               if (!chunk.isSolid(id)) {
                 const act = beginVoxelAction('Add voxel');
-                recordVoxelChange(act, id, true, palette.getBrush());
+                recordSymmetricChange(act, id, true, brushMaterialAt);
                 commitAction(act);
               }
             }
@@ -465,16 +1086,16 @@ export function initializeUI(state) {
         if (option == 'plane') {
           const arr = getPlaneSurfaceVoxels(pick.voxel, pick.face);
           const act = beginVoxelAction('Remove plane');
-          for (const id of arr) recordVoxelChange(act, id, false, chunk.material(id));
+          for (const id of arr) recordSymmetricChange(act, id, false, chunk.material(id));
           commitAction(act);
         } else if (option == 'row') {
           const arr = getRowSurfaceVoxels(pick.voxel, pick.face);
           const act = beginVoxelAction(`Remove row`);
-          for (const id of arr) recordVoxelChange(act, id, false, chunk.material(id));
+          for (const id of arr) recordSymmetricChange(act, id, false, chunk.material(id));
           commitAction(act);
         } else if (pick.voxel >= 0 && chunk.isSolid(pick.voxel)) {
             const act = beginVoxelAction('Remove voxel');
-            recordVoxelChange(act, pick.voxel, false, chunk.material(pick.voxel)); // keep existing mat on toggle
+            recordSymmetricChange(act, pick.voxel, false, chunk.material(pick.voxel)); // keep existing mat on toggle
             commitAction(act);
         }
 
@@ -483,6 +1104,8 @@ export function initializeUI(state) {
   });
 
   window.addEventListener('mouseup', () => { 
+    finishSelectionMove();
+    finishShape();
     setDragging(false);
     setContinuousMode(false);
     setLastAppliedVoxel(-1);
@@ -497,6 +1120,8 @@ export function initializeUI(state) {
       setMouseY(e.clientY);
       setNeedsPick(true); 
     }
+
+    if (updateSelectionMove(e.clientX, e.clientY)) return;
     
     // Continuous tool application when shift is held
     if (continuousMode) {
@@ -753,175 +1378,44 @@ export function initializeUI(state) {
     }
   }
 
-  // Update the region list UI
-  function updateGroupPanel() {
-    const container = document.getElementById('regionList');
-    if (!container) return;
-    
-    container.innerHTML = '';
-    
-    if (state.animSystem.regions.size === 0) {
-      container.innerHTML = '<p style="color: #888; font-size: 12px; margin: 8px 0;">No regions defined</p>';
-      return;
-    }
-    
-    const regionOverlays = state.getGroupOverlaysVisible();
-    const selectedGroup = state.getSelectedGroupName();
-    
-    for (const [name, region] of state.animSystem.regions.entries()) {
-      const item = document.createElement('div');
-      item.className = 'region-item';
-      if (selectedGroup === name) {
-        item.classList.add('selected');
-      }
-      
-      // Header with name and toggle
-      const header = document.createElement('div');
-      header.className = 'region-header';
-      
-      const nameLabel = document.createElement('span');
-      nameLabel.className = 'region-name';
-      nameLabel.textContent = name;
-      
-      const toggle = document.createElement('div');
-      toggle.className = 'region-toggle';
-      
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.id = `region-vis-${name}`;
-      checkbox.checked = regionOverlays.get(name) || false;
-      checkbox.addEventListener('change', (e) => {
-        regionOverlays.set(name, e.target.checked);
-        if (e.target.checked) {
-          state.setSelectedGroupName(name);
-          updateGroupPanel();
-        }
-      });
-      
-      const checkboxLabel = document.createElement('label');
-      checkboxLabel.htmlFor = `region-vis-${name}`;
-      checkboxLabel.textContent = 'Show';
-      
-      toggle.appendChild(checkbox);
-      toggle.appendChild(checkboxLabel);
-      
-      header.appendChild(nameLabel);
-      header.appendChild(toggle);
-      
-      // Bounds inputs
-      const boundsContainer = document.createElement('div');
-      boundsContainer.className = 'region-bounds';
-      
-      // Min column
-      const minCol = document.createElement('div');
-      minCol.className = 'bounds-col';
-      
-      const minLabel = document.createElement('div');
-      minLabel.className = 'bounds-label';
-      minLabel.textContent = 'Min';
-      minCol.appendChild(minLabel);
-      
-      ['x', 'y', 'z'].forEach((axis, idx) => {
-        const row = document.createElement('div');
-        row.className = 'bounds-row';
-        
-        const label = document.createElement('label');
-        label.textContent = axis.toUpperCase();
-        
-        const input = document.createElement('input');
-        input.type = 'number';
-        input.min = '0';
-        input.max = '15';
-        input.value = region.min[idx];
-        input.addEventListener('change', (e) => {
-          const val = Math.max(0, Math.min(15, parseInt(e.target.value) || 0));
-          region.min[idx] = val;
-          e.target.value = val;
-          
-          // Update chunk regions and rebuild meshes
-          state.chunk.clearGroups();
-          state.animSystem.regions.forEach((g, n) => {
-            state.chunk.addGroup(n, g.min, g.max);
-          });
-          state.animSystem.assignVoxelsToGroups(state.chunk);
-          state.buildAllMeshes();
-        });
-        
-        row.appendChild(label);
-        row.appendChild(input);
-        minCol.appendChild(row);
-      });
-      
-      // Max column
-      const maxCol = document.createElement('div');
-      maxCol.className = 'bounds-col';
-      
-      const maxLabel = document.createElement('div');
-      maxLabel.className = 'bounds-label';
-      maxLabel.textContent = 'Max';
-      maxCol.appendChild(maxLabel);
-      
-      ['x', 'y', 'z'].forEach((axis, idx) => {
-        const row = document.createElement('div');
-        row.className = 'bounds-row';
-        
-        const label = document.createElement('label');
-        label.textContent = axis.toUpperCase();
-        
-        const input = document.createElement('input');
-        input.type = 'number';
-        input.min = '0';
-        input.max = '15';
-        input.value = region.max[idx];
-        input.addEventListener('change', (e) => {
-          const val = Math.max(0, Math.min(15, parseInt(e.target.value) || 0));
-          region.max[idx] = val;
-          e.target.value = val;
-          
-          // Update chunk regions and rebuild meshes
-          state.chunk.clearGroups();
-          state.animSystem.regions.forEach((g, n) => {
-            state.chunk.addGroup(n, g.min, g.max);
-          });
-          state.animSystem.assignVoxelsToGroups(state.chunk);
-          state.buildAllMeshes();
-        });
-        
-        row.appendChild(label);
-        row.appendChild(input);
-        maxCol.appendChild(row);
-      });
-      
-      boundsContainer.appendChild(minCol);
-      boundsContainer.appendChild(maxCol);
-      
-      item.appendChild(header);
-      item.appendChild(boundsContainer);
-      container.appendChild(item);
-    }
+  // Animation DSL editor
+  const dslInput = document.getElementById('animationDSL');
+  const dslError = document.getElementById('dslError');
+
+  function refreshDSL() {
+    if (!dslInput) return;
+    dslInput.value = state.animSystem.toDSL();
+    dslError.textContent = '';
   }
 
-  // Compile button
   document.getElementById('btnCompile')?.addEventListener('click', () => {
-    const dsl = document.getElementById('animationDSL').value;
     try {
-      state.animSystem.parse(dsl);
-      state.animSystem.assignVoxelsToGroups(state.chunk);
+      state.animSystem.parse(dslInput.value);
+    } catch (e) {
+      dslError.textContent = e.message;
+      if (e.line) {
+        // Put the caret on the offending token
+        const lines = dslInput.value.split('\n');
+        const offset = lines.slice(0, e.line - 1).reduce((sum, l) => sum + l.length + 1, 0) + e.column - 1;
+        dslInput.focus();
+        dslInput.setSelectionRange(offset, offset + 1);
+      }
+      return;
+    }
+    dslError.textContent = '';
 
-      state.chunk.clearGroups();
-      state.animSystem.regions.forEach((region,name) => {
-        state.chunk.addGroup(name, region.min, region.max);
-      });
-      state.buildAllMeshes();
+    state.chunk.clearRegions();
+    state.animSystem.regions.forEach((region, name) => {
+      state.chunk.addRegion(name, region.min, region.max);
+    });
+    state.animSystem.assignVoxelsToRegions(state.chunk);
+    state.buildAllMeshes();
 
-      updateAnimationList();
-      updateGroupPanel();
-    } catch(e) {
-      console.error('Animation compile error:', e);
-      alert('Animation compile error: ' + e.message);
-    }
+    updateAnimationList();
   });
 
+  refreshDSL();
+
   // Play all looping animations and start all emitters
   document.getElementById('btnPlay')?.addEventListener('click', () => {
     for (const [name, anim] of state.animSystem.animations.entries()) {
@@ -0,0 +1,358 @@
+/**
+ * Reading and writing MagicaVoxel `.vox` files.
+ *
+ * A .vox file is a "VOX " header followed by a MAIN chunk whose children are
+ * SIZE/XYZI pairs (one per model), an optional RGBA palette and, in newer
+ * files, a scene graph (nTRN/nGRP/nSHP) that names and places the models.
+ *
+ * MagicaVoxel is Z-up; we are Y-up. Both are right-handed, so the mapping is
+ * a rotation about X:  ours (x, y, z) = vox (x, z, sizeY - 1 - y).
+ *
+ * Voxel color indices are 1-255 (0 is empty) and map to materials 0-254.
+ * The reader produces the same JSON model layout as exportVoxelJSON so it can
+ * go straight through the normal import path.
+ */
+
+import { encodeVoxel } from './voxel-format.js';
+import { rgbToHexF, nearestColorIndex, quantizeColors, PALETTE_SIZE } from './palette.js';
+
+const VOX_VERSION = 150;
+const MAX_VOX_SIZE = 256;
+
+/**
+ * MagicaVoxel's built-in palette, used when a file has no RGBA chunk.
+ * Entry i is the color of voxel color index i (entry 0 is unused):
+ * a 6x6x6 cube without black, then red, green, blue and grey ramps.
+ *
+ * @type {number[][]} RGB bytes
+ */
+export const DEFAULT_VOX_PALETTE = (() => {
+  const out = [[0, 0, 0]];
+  const cube = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+  for (const r of cube) {
+    for (const g of cube) {
+      for (const b of cube) {
+        if (r || g || b) out.push([r, g, b]);
+      }
+    }
+  }
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  for (const v of ramp) out.push([v, 0, 0]);
+  for (const v of ramp) out.push([0, v, 0]);
+  for (const v of ramp) out.push([0, 0, v]);
+  for (const v of ramp) out.push([v, v, v]);
+  return out;
+})();
+
+class VoxReader {
+
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  int32() {
+    const v = this.view.getInt32(this.pos, true);
+    this.pos += 4;
+    return v;
+  }
+
+  id() {
+    const s = String.fromCharCode(...this.bytes.subarray(this.pos, this.pos + 4));
+    this.pos += 4;
+    return s;
+  }
+
+  string() {
+    const len = this.int32();
+    const s = new TextDecoder().decode(this.bytes.subarray(this.pos, this.pos + len));
+    this.pos += len;
+    return s;
+  }
+
+  dict() {
+    const out = {};
+    const count = this.int32();
+    for (let i = 0; i < count; i++) {
+      const key = this.string();
+      out[key] = this.string();
+    }
+    return out;
+  }
+}
+
+/**
+ * Splits a .vox file into models, palette and scene graph nodes.
+ *
+ * @param {Uint8Array} bytes File contents
+ * @returns {{models: Object[], palette: number[][]|null, nodes: Map<number, Object>}}
+ */
+function readVoxChunks(bytes) {
+  const r = new VoxReader(bytes);
+  if (bytes.length < 8 || r.id() !== 'VOX ') throw new Error('Not a MagicaVoxel file');
+  r.int32(); // version
+
+  if (r.id() !== 'MAIN') throw new Error('Missing MAIN chunk');
+  const mainContent = r.int32();
+  const mainChildren = r.int32();
+  r.pos += mainContent;
+  const end = Math.min(bytes.length, r.pos + mainChildren);
+
+  const models = [];
+  const nodes = new Map();
+  let palette = null;
+  let size = null;
+
+  while (r.pos + 12 <= end) {
+    const id = r.id();
+    const content = r.int32();
+    const children = r.int32();
+    const next = r.pos + content + children;
+
+    switch (id) {
+      case 'SIZE':
+        size = [r.int32(), r.int32(), r.int32()];
+        break;
+
+      case 'XYZI': {
+        if (!size) throw new Error('XYZI chunk without SIZE');
+        const count = r.int32();
+        const voxels = bytes.slice(r.pos, r.pos + count * 4);
+        models.push({ size, voxels });
+        size = null;
+        break;
+      }
+
+      case 'RGBA':
+        // File entry i is color index i + 1; the 256th entry is unused
+        palette = [[0, 0, 0]];
+        for (let i = 0; i < 255; i++) {
+          const o = r.pos + i * 4;
+          palette.push([bytes[o], bytes[o + 1], bytes[o + 2]]);
+        }
+        break;
+
+      case 'nTRN': {
+        const node = { type: 'transform', id: r.int32(), attrs: r.dict() };
+        node.child = r.int32();
+        r.int32(); // reserved
+        r.int32(); // layer
+        const frames = r.int32();
+        node.frames = [];
+        for (let i = 0; i < frames; i++) node.frames.push(r.dict());
+        nodes.set(node.id, node);
+        break;
+      }
+
+      case 'nGRP': {
+        const node = { type: 'group', id: r.int32(), attrs: r.dict(), children: [] };
+        const count = r.int32();
+        for (let i = 0; i < count; i++) node.children.push(r.int32());
+        nodes.set(node.id, node);
+        break;
+      }
+
+      case 'nSHP': {
+        const node = { type: 'shape', id: r.int32(), attrs: r.dict(), models: [] };
+        const count = r.int32();
+        for (let i = 0; i < count; i++) {
+          node.models.push(r.int32());
+          r.dict();
+        }
+        nodes.set(node.id, node);
+        break;
+      }
+    }
+
+    r.pos = next;
+  }
+
+  return { models, palette, nodes };
+}
+
+/**
+ * Places models using the scene graph. Only translations are applied; model
+ * rotations (`_r`) are ignored. Without a scene graph every model sits at
+ * the origin.
+ *
+ * @returns {Array<{model: number, name: string|null, offset: number[]}>} Offsets in vox space
+ */
+function placeModels(models, nodes) {
+  if (!nodes.has(0)) {
+    return models.map((m, i) => ({ model: i, name: null, offset: [0, 0, 0] }));
+  }
+
+  const out = [];
+  const visit = (id, t, name, depth) => {
+    const node = nodes.get(id);
+    if (!node || depth > 64) return;
+
+    if (node.type === 'transform') {
+      if (node.attrs._hidden === '1') return;
+      const frame = node.frames[0] || {};
+      const d = frame._t ? frame._t.split(/\s+/).map(Number) : [0, 0, 0];
+      visit(node.child, [t[0] + d[0], t[1] + d[1], t[2] + d[2]], node.attrs._name || name, depth + 1);
+    } else if (node.type === 'group') {
+      for (const child of node.children) visit(child, t, name, depth + 1);
+    } else if (node.type === 'shape') {
+      for (const model of node.models) {
+        const size = models[model] && models[model].size;
+        if (!size) continue;
+        // A shape is centred on its transform
+        out.push({ model, name, offset: size.map((s, a) => t[a] - Math.floor(s / 2)) });
+      }
+    }
+  };
+  visit(0, [0, 0, 0], null, 0);
+  return out;
+}
+
+/**
+ * Reads a .vox file into the JSON model layout used by importFromJSON.
+ * Multi-model files become one region per model, named from the scene graph.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer File contents
+ * @param {Object} [options]
+ * @param {number} [options.maxColors] Materials available; more used colors are quantized
+ * @returns {Object} { version, size, palette, voxels, regions }
+ * @throws {Error} If the file is not a valid .vox file or has no models
+ */
+export function importVox(buffer, options = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const { models, palette: filePalette, nodes } = readVoxChunks(bytes);
+  if (models.length === 0) throw new Error('No models in .vox file');
+
+  const maxColors = Math.min(PALETTE_SIZE, options.maxColors ?? PALETTE_SIZE);
+  const voxPalette = (filePalette || DEFAULT_VOX_PALETTE).map(c => c.map(v => v / 255));
+  const placements = placeModels(models, nodes);
+  if (placements.length === 0) throw new Error('No visible models in .vox file');
+
+  // Bounds of all placed models in vox space
+  const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+  for (const p of placements) {
+    const size = models[p.model].size;
+    for (let a = 0; a < 3; a++) {
+      lo[a] = Math.min(lo[a], p.offset[a]);
+      hi[a] = Math.max(hi[a], p.offset[a] + size[a] - 1);
+    }
+  }
+
+  // Vox (x, y, z) -> ours (x, z, flipped y); cropped to what our format can address
+  const size = [hi[0] - lo[0] + 1, hi[2] - lo[2] + 1, hi[1] - lo[1] + 1].map(s => Math.min(MAX_VOX_SIZE, s));
+  const toOurs = (x, y, z) => [x - lo[0], z - lo[2], hi[1] - y];
+  const inside = (c) => c.every((v, a) => v >= 0 && v < size[a]);
+
+  // Collect voxels with their vox color index, counting usage per color
+  const raw = [];
+  const usage = new Map();
+  for (const p of placements) {
+    const data = models[p.model].voxels;
+    for (let i = 0; i + 3 < data.length; i += 4) {
+      const c = toOurs(p.offset[0] + data[i], p.offset[1] + data[i + 1], p.offset[2] + data[i + 2]);
+      const ci = data[i + 3];
+      if (ci === 0 || !inside(c)) continue;
+      raw.push([c[0], c[1], c[2], ci]);
+      usage.set(ci, (usage.get(ci) || 0) + 1);
+    }
+  }
+
+  // Color index ci -> material ci - 1, unless that runs past the palette
+  const used = [...usage.keys()].sort((a, b) => a - b);
+  let materialOf = (ci) => ci - 1;
+  let palette = voxPalette.slice(1);
+  if (used.length > 0 && used[used.length - 1] > maxColors) {
+    palette = quantizeColors(used.map(ci => voxPalette[ci]), maxColors, used.map(ci => usage.get(ci)));
+    const packed = palette.flat();
+    const remap = new Map(used.map(ci => [ci, nearestColorIndex(packed, voxPalette[ci])]));
+    materialOf = (ci) => remap.get(ci);
+  }
+
+  const regions = {};
+  if (placements.length > 1) {
+    placements.forEach((p, i) => {
+      const s = models[p.model].size;
+      const a = toOurs(p.offset[0], p.offset[1] + s[1] - 1, p.offset[2]);
+      const b = toOurs(p.offset[0] + s[0] - 1, p.offset[1], p.offset[2] + s[2] - 1);
+      let name = p.name || `model${i}`;
+      for (let n = 2; regions[name]; n++) name = `${p.name || `model${i}`}_${n}`;
+      regions[name] = {
+        min: a.map((v, k) => Math.max(0, Math.min(size[k] - 1, v))),
+        max: b.map((v, k) => Math.max(0, Math.min(size[k] - 1, v)))
+      };
+    });
+  }
+
+  return {
+    version: 2,
+    size,
+    palette: palette.map(c => rgbToHexF(c[0], c[1], c[2])),
+    voxels: raw.map(([x, y, z, ci]) => encodeVoxel(x, y, z, materialOf(ci), true, true)),
+    regions
+  };
+}
+
+/**
+ * Writes a chunk and palette as a single-model .vox file.
+ * Material 255 has no .vox color index and is written as the nearest of 0-254.
+ *
+ * @param {VoxelChunk} chunk Source chunk
+ * @param {Float32Array} colors Packed palette colors
+ * @returns {Uint8Array} File contents
+ * @throws {Error} If the chunk is larger than 256 voxels on any axis
+ */
+export function exportVox(chunk, colors) {
+  const sx = chunk.sizeX, sy = chunk.sizeY, sz = chunk.sizeZ;
+  if (Math.max(sx, sy, sz) > MAX_VOX_SIZE) {
+    throw new Error(`.vox models are limited to ${MAX_VOX_SIZE} voxels per axis`);
+  }
+
+  const lastIndex = PALETTE_SIZE - 1;
+  const lastColor = [colors[lastIndex * 3], colors[lastIndex * 3 + 1], colors[lastIndex * 3 + 2]];
+  const lastSubstitute = nearestColorIndex(colors, lastColor, lastIndex);
+
+  const voxels = [];
+  for (let z = 0; z < sz; z++) {
+    for (let y = 0; y < sy; y++) {
+      for (let x = 0; x < sx; x++) {
+        const id = chunk.idx3(x, y, z);
+        if (!chunk.isSolid(id)) continue;
+        const m = chunk.material(id);
+        voxels.push(x, sz - 1 - z, y, (m === lastIndex ? lastSubstitute : m) + 1);
+      }
+    }
+  }
+
+  const sizeBytes = 12 + 12;
+  const xyziBytes = 12 + 4 + voxels.length;
+  const rgbaBytes = 12 + 256 * 4;
+  const children = sizeBytes + xyziBytes + rgbaBytes;
+
+  const out = new Uint8Array(8 + 12 + children);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const id = (s) => { for (let i = 0; i < 4; i++) out[pos++] = s.charCodeAt(i); };
+  const int32 = (v) => { view.setInt32(pos, v, true); pos += 4; };
+
+  id('VOX '); int32(VOX_VERSION);
+  id('MAIN'); int32(0); int32(children);
+
+  id('SIZE'); int32(12); int32(0);
+  int32(sx); int32(sz); int32(sy);
+
+  id('XYZI'); int32(4 + voxels.length); int32(0);
+  int32(voxels.length / 4);
+  out.set(voxels, pos);
+  pos += voxels.length;
+
+  id('RGBA'); int32(256 * 4); int32(0);
+  for (let i = 0; i < 256; i++) {
+    const c = i < lastIndex ? [colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]] : [0, 0, 0];
+    out[pos++] = Math.round(c[0] * 255);
+    out[pos++] = Math.round(c[1] * 255);
+    out[pos++] = Math.round(c[2] * 255);
+    out[pos++] = 255;
+  }
+
+  return out;
+}
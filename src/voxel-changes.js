@@ -0,0 +1,75 @@
+/**
+ * Per-voxel undo records.
+ *
+ * A voxel action keeps a list of { idx, fromS, fromM, toS, toM } changes in
+ * the order they were made. Changes are applied to the chunk as they are
+ * recorded, so a tool sees its own earlier edits within one stroke.
+ */
+
+/**
+ * Records a change to one voxel and applies it. Does nothing when the
+ * voxel already has that state.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Object} act Voxel action with a `vox` list
+ * @param {number} idx Chunk index
+ * @param {boolean} toSolid
+ * @param {number} [toMat] Defaults to the current material
+ */
+export function recordChange(chunk, act, idx, toSolid, toMat = chunk.material(idx)) {
+  const fromS = chunk.isSolid(idx), fromM = chunk.material(idx);
+  if (fromS === toSolid && fromM === toMat) return;
+  act.vox.push({ idx, fromS, fromM, toS: toSolid, toM: toMat });
+  if (act.recorded) act.recorded.add(idx);
+  chunk.setSolid(idx, toSolid);
+  chunk.setMaterial(idx, toMat);
+}
+
+/**
+ * Records an edit and its mirror images. An image only changes when it is in
+ * the same solid state the voxel was, so adds stay on empty cells and
+ * carving or painting stays on solid ones; carved images keep their material.
+ * Cells this action has already changed are left alone, so overlapping
+ * images in one stroke are not written twice.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Object} act Voxel action with a `vox` list
+ * @param {number[]} ids The edited voxel followed by its mirror images
+ * @param {boolean} toSolid
+ * @param {number|function(number): number} toMat Material, or a function
+ *   giving the material for each cell index (patterned brushes)
+ */
+export function recordMirroredChange(chunk, act, ids, toSolid, toMat) {
+  const materialAt = typeof toMat === 'function' ? toMat : () => toMat;
+  // Built on first use, then kept up to date by recordChange()
+  if (!act.recorded) act.recorded = new Set(act.vox.map(c => c.idx));
+  const wasSolid = chunk.isSolid(ids[0]);
+  ids.forEach((id, i) => {
+    if (act.recorded.has(id)) return;
+    if (i > 0 && chunk.isSolid(id) !== wasSolid) return;
+    recordChange(chunk, act, id, toSolid, toSolid || i === 0 ? materialAt(id) : chunk.material(id));
+  });
+}
+
+/**
+ * Re-applies or reverts recorded changes. Undo walks the list backwards so
+ * a voxel changed more than once ends up in its first `from` state.
+ *
+ * @param {VoxelChunk} chunk
+ * @param {Object[]} changes An action's `vox` list
+ * @param {'do'|'undo'} mode
+ */
+export function replayChanges(chunk, changes, mode) {
+  if (mode === 'undo') {
+    for (let i = changes.length - 1; i >= 0; i--) {
+      const c = changes[i];
+      chunk.setSolid(c.idx, c.fromS);
+      chunk.setMaterial(c.idx, c.fromM);
+    }
+  } else {
+    for (const c of changes) {
+      chunk.setSolid(c.idx, c.toS);
+      chunk.setMaterial(c.idx, c.toM);
+    }
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Reading and writing the `.voxels.json` model format.
+ *
+ * Each solid voxel is stored as a hex string in the `voxels` array. The
+ * string length tells the reader which form is used:
+ *
+ *   "xyzm"      4 chars - coords 0-15,  material 0-15
+ *   "xyzmm"     5 chars - coords 0-15,  material 0-255
+ *   "xxyyzzm"   7 chars - coords 0-255, material 0-15
+ *   "xxyyzzmm"  8 chars - coords 0-255, material 0-255
+ *
+ * The writer only uses the wide material forms when a material above 15 is
+ * present, so models using the first 16 colors stay readable by older builds.
+ */
+
+import { hexToRgbF, rgbToHexF, defaultPaletteHex, PALETTE_SIZE } from './palette.js';
+
+const hex1 = (i) => (i & 15).toString(16);
+const hex2 = (i) => Math.max(0, Math.min(255, i)).toString(16).padStart(2, '0');
+
+/**
+ * Encodes one voxel as a hex string.
+ *
+ * @param {number} x X coordinate
+ * @param {number} y Y coordinate
+ * @param {number} z Z coordinate
+ * @param {number} m Material index
+ * @param {boolean} wideCoords Use 2 hex digits per coordinate
+ * @param {boolean} wideMaterial Use 2 hex digits for the material
+ * @returns {string} Encoded voxel
+ */
+export function encodeVoxel(x, y, z, m, wideCoords, wideMaterial) {
+  const coords = wideCoords ? `${hex2(x)}${hex2(y)}${hex2(z)}` : `${hex1(x)}${hex1(y)}${hex1(z)}`;
+  return coords + (wideMaterial ? hex2(m) : hex1(m));
+}
+
+/**
+ * Decodes one entry of the `voxels` array.
+ * Accepts any of the string forms or a legacy [x, y, z, m] array.
+ *
+ * @param {string|number[]} v Encoded voxel
+ * @returns {number[]|null} [x, y, z, m] or null if the entry is invalid
+ */
+export function decodeVoxel(v) {
+  if (!v) return null;
+
+  if (Array.isArray(v)) {
+    if (v.length < 4) return null;
+    return [v[0] | 0, v[1] | 0, v[2] | 0, (v[3] | 0) & (PALETTE_SIZE - 1)];
+  }
+
+  if (typeof v !== 'string' || !/^[0-9a-f]+$/i.test(v)) return null;
+
+  const at = (start, len) => parseInt(v.substr(start, len), 16);
+  switch (v.length) {
+    case 4: return [at(0, 1), at(1, 1), at(2, 1), at(3, 1)];
+    case 5: return [at(0, 1), at(1, 1), at(2, 1), at(3, 2)];
+    case 7: return [at(0, 2), at(2, 2), at(4, 2), at(6, 1)];
+    case 8: return [at(0, 2), at(2, 2), at(4, 2), at(6, 2)];
+    default: return null;
+  }
+}
+
+/**
+ * Number of palette entries worth writing: at least 16, and enough to cover
+ * every used material and every color that differs from the default.
+ *
+ * @param {Float32Array} colors Packed palette colors
+ * @param {number} maxUsed Highest material index used by the model
+ * @returns {number} Entry count
+ */
+export function paletteExportLength(colors, maxUsed = 0) {
+  let count = Math.max(16, maxUsed + 1);
+  const total = Math.min(PALETTE_SIZE, Math.floor(colors.length / 3));
+  for (let i = total - 1; i >= count; i--) {
+    const hex = rgbToHexF(colors[i * 3 + 0], colors[i * 3 + 1], colors[i * 3 + 2]);
+    if (hex !== defaultPaletteHex[i]) {
+      count = i + 1;
+      break;
+    }
+  }
+  return Math.min(count, total);
+}
+
+/**
+ * Serializes chunk voxels and palette into the JSON model layout
+ * (without animation data).
+ *
+ * @param {VoxelChunk} chunk Source chunk
+ * @param {Float32Array} colors Packed palette colors
+ * @returns {Object} { version, size, palette, voxels }
+ */
+export function exportVoxelJSON(chunk, colors) {
+  let maxMat = 0;
+  for (let i = 0; i < chunk.length; i++) {
+    if (chunk.isSolid(i) && chunk.material(i) > maxMat) maxMat = chunk.material(i);
+  }
+
+  const wideCoords = Math.max(chunk.sizeX, chunk.sizeY, chunk.sizeZ) > 16;
+  const wideMaterial = maxMat > 15;
+
+  const voxels = [];
+  for (let z = 0; z < chunk.sizeZ; z++) {
+    for (let y = 0; y < chunk.sizeY; y++) {
+      for (let x = 0; x < chunk.sizeX; x++) {
+        const id = chunk.idx3(x, y, z);
+        if (chunk.isSolid(id)) {
+          voxels.push(encodeVoxel(x, y, z, chunk.material(id), wideCoords, wideMaterial));
+        }
+      }
+    }
+  }
+
+  const palette = [];
+  const count = paletteExportLength(colors, maxMat);
+  for (let i = 0; i < count; i++) {
+    palette.push(rgbToHexF(colors[i * 3 + 0], colors[i * 3 + 1], colors[i * 3 + 2]));
+  }
+
+  return {
+    version: wideMaterial ? 2 : 1,
+    size: [chunk.sizeX, chunk.sizeY, chunk.sizeZ],
+    palette,
+    voxels
+  };
+}
+
+/**
+ * Validates and decodes the voxel part of a JSON model.
+ *
+ * @param {Object} obj Parsed JSON
+ * @returns {Object} { size: [x,y,z], palette: Array<number[]|null>, voxels: Array<number[]> }
+ * @throws {Error} If the root, size or voxels fields are malformed
+ */
+export function parseVoxelJSON(obj) {
+  if (!obj || typeof obj !== 'object') throw new Error('Root must be object');
+  if (!Array.isArray(obj.voxels)) throw new Error('Missing "voxels"');
+
+  // Handle size as either a number or [x, y, z] array
+  let size;
+  if (Array.isArray(obj.size)) {
+    if (obj.size.length !== 3) throw new Error('Size array must have 3 elements [x, y, z]');
+    size = obj.size.map(v => v | 0);
+  } else if (typeof obj.size === 'number') {
+    // Old format: single number for cubic chunk
+    size = [obj.size, obj.size, obj.size];
+  } else {
+    throw new Error('Invalid "size" field');
+  }
+
+  const palette = [];
+  if (Array.isArray(obj.palette)) {
+    for (let i = 0; i < Math.min(PALETTE_SIZE, obj.palette.length); i++) {
+      const e = obj.palette[i];
+      let rgb = null;
+
+      if (typeof e === 'string') rgb = hexToRgbF(e);
+      else if (Array.isArray(e) && e.length >= 3) rgb = [+e[0], +e[1], +e[2]];
+
+      palette.push(rgb && rgb.map(c => Math.max(0, Math.min(1, c))));
+    }
+  }
+
+  const voxels = [];
+  for (const v of obj.voxels) {
+    const decoded = decodeVoxel(v);
+    if (decoded) voxels.push(decoded);
+  }
+
+  return { size, palette, voxels };
+}
@@ -0,0 +1,260 @@
+/**
+ * Sparse voxel storage made of fixed-size VoxelChunk tiles.
+ *
+ * Tiles are keyed by chunk coordinates and allocated lazily on first write,
+ * so the world has no fixed bounds and empty space costs nothing. Each tile
+ * carries a dirty flag; only dirty tiles are re-meshed by buildDirtyMeshes().
+ *
+ * Only world.js uses it so far. The editor (carve.js) and the viewer
+ * (render.js) still keep one dense VoxelChunk, since their undo records,
+ * snapshots, region masks and picking address voxels by chunk index, so the
+ * editor's model size limit is unchanged.
+ */
+
+import { VoxelChunk, FACE_OFFSETS } from './voxel-chunk.js';
+
+class WorldTile {
+
+  constructor(cx, cy, cz, size) {
+    this.cx = cx;
+    this.cy = cy;
+    this.cz = cz;
+    this.origin = [cx * size, cy * size, cz * size];
+    this.chunk = new VoxelChunk(size);
+    this.chunk.fill(false);
+    this.dirty = true;
+    this.vao = null;
+    this.indexCount = 0;
+  }
+}
+
+export class VoxelWorld {
+
+  /**
+   * @param {number} chunkSize Edge length of each tile in voxels
+   */
+  constructor(chunkSize = 16) {
+    this.chunkSize = chunkSize;
+    this._tiles = new Map(); // "cx,cy,cz" -> WorldTile
+  }
+
+  static key(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+  }
+
+  /**
+   * Chunk coordinates containing a world-space voxel.
+   */
+  chunkCoordsOf(x, y, z) {
+    const s = this.chunkSize;
+    return [Math.floor(x / s), Math.floor(y / s), Math.floor(z / s)];
+  }
+
+  get tileCount() {
+    return this._tiles.size;
+  }
+
+  /**
+   * Iterates all allocated tiles.
+   */
+  tiles() {
+    return this._tiles.values();
+  }
+
+  getTile(cx, cy, cz) {
+    return this._tiles.get(VoxelWorld.key(cx, cy, cz)) || null;
+  }
+
+  hasTile(cx, cy, cz) {
+    return this._tiles.has(VoxelWorld.key(cx, cy, cz));
+  }
+
+  /**
+   * Returns the tile at the given chunk coordinates, allocating an empty one if needed.
+   */
+  getOrCreateTile(cx, cy, cz) {
+    const key = VoxelWorld.key(cx, cy, cz);
+    let tile = this._tiles.get(key);
+    if (!tile) {
+      tile = new WorldTile(cx, cy, cz, this.chunkSize);
+      this._tiles.set(key, tile);
+      this._markNeighborsDirty(cx, cy, cz);
+    }
+    return tile;
+  }
+
+  /**
+   * Drops a tile and its GPU resources.
+   *
+   * @param {WebGL2RenderingContext} [gl] Context that owns the tile VAO
+   */
+  removeTile(cx, cy, cz, gl = null) {
+    const key = VoxelWorld.key(cx, cy, cz);
+    const tile = this._tiles.get(key);
+    if (!tile) return false;
+    if (gl && tile.vao) gl.deleteVertexArray(tile.vao);
+    this._tiles.delete(key);
+    this._markNeighborsDirty(cx, cy, cz);
+    return true;
+  }
+
+  /**
+   * Drops all tiles.
+   *
+   * @param {WebGL2RenderingContext} [gl] Context that owns the tile VAOs
+   */
+  clear(gl = null) {
+    if (gl) {
+      for (const tile of this._tiles.values()) {
+        if (tile.vao) gl.deleteVertexArray(tile.vao);
+      }
+    }
+    this._tiles.clear();
+  }
+
+  _markNeighborsDirty(cx, cy, cz) {
+    for (const d of FACE_OFFSETS) {
+      const n = this._tiles.get(VoxelWorld.key(cx + d[0], cy + d[1], cz + d[2]));
+      if (n) n.dirty = true;
+    }
+  }
+
+  /**
+   * Solid test in world space. Unallocated space is empty.
+   */
+  isSolid(x, y, z) {
+    const s = this.chunkSize;
+    const cx = Math.floor(x / s), cy = Math.floor(y / s), cz = Math.floor(z / s);
+    const tile = this._tiles.get(VoxelWorld.key(cx, cy, cz));
+    if (!tile) return false;
+    return tile.chunk.isSolid(tile.chunk.idx3(x - cx * s, y - cy * s, z - cz * s));
+  }
+
+  /**
+   * Material in world space (0 for unallocated space).
+   */
+  material(x, y, z) {
+    const s = this.chunkSize;
+    const cx = Math.floor(x / s), cy = Math.floor(y / s), cz = Math.floor(z / s);
+    const tile = this._tiles.get(VoxelWorld.key(cx, cy, cz));
+    if (!tile) return 0;
+    return tile.chunk.material(tile.chunk.idx3(x - cx * s, y - cy * s, z - cz * s));
+  }
+
+  /**
+   * Reads a voxel in world space.
+   *
+   * @returns {number} Material index, or -1 if the voxel is empty
+   */
+  get(x, y, z) {
+    return this.isSolid(x, y, z) ? this.material(x, y, z) : -1;
+  }
+
+  /**
+   * Writes a voxel in world space, allocating its tile if needed.
+   * Marks the tile dirty, plus the neighbouring tile when the voxel sits on a
+   * tile border (its exposed faces change too).
+   *
+   * @param {number} x World X
+   * @param {number} y World Y
+   * @param {number} z World Z
+   * @param {boolean} solid Solid state
+   * @param {number} material Material index
+   */
+  set(x, y, z, solid, material = 0) {
+    const s = this.chunkSize;
+    const cx = Math.floor(x / s), cy = Math.floor(y / s), cz = Math.floor(z / s);
+
+    let tile = this._tiles.get(VoxelWorld.key(cx, cy, cz));
+    if (!tile) {
+      if (!solid) return; // Clearing unallocated space is a no-op
+      tile = this.getOrCreateTile(cx, cy, cz);
+    }
+
+    const lx = x - cx * s, ly = y - cy * s, lz = z - cz * s;
+    const idx = tile.chunk.idx3(lx, ly, lz);
+    if (tile.chunk.isSolid(idx) === solid && tile.chunk.material(idx) === material) return;
+
+    tile.chunk.setSolid(idx, solid);
+    tile.chunk.setMaterial(idx, material);
+    tile.dirty = true;
+
+    const mark = (dx, dy, dz) => {
+      const n = this._tiles.get(VoxelWorld.key(cx + dx, cy + dy, cz + dz));
+      if (n) n.dirty = true;
+    };
+    if (lx === 0) mark(-1, 0, 0);
+    if (lx === s - 1) mark(1, 0, 0);
+    if (ly === 0) mark(0, -1, 0);
+    if (ly === s - 1) mark(0, 1, 0);
+    if (lz === 0) mark(0, 0, -1);
+    if (lz === s - 1) mark(0, 0, 1);
+  }
+
+  /**
+   * Tiles whose mesh is out of date.
+   */
+  dirtyTiles() {
+    const out = [];
+    for (const tile of this._tiles.values()) {
+      if (tile.dirty) out.push(tile);
+    }
+    return out;
+  }
+
+  /**
+   * Axis-aligned bounds of all solid voxels, or null if the world is empty.
+   *
+   * @returns {{min: number[], max: number[]}|null}
+   */
+  bounds() {
+    let min = null, max = null;
+    for (const tile of this._tiles.values()) {
+      const c = tile.chunk;
+      for (let i = 0; i < c.length; i++) {
+        if (!c.isSolid(i)) continue;
+        const [lx, ly, lz] = c.coordsOf(i);
+        const p = [tile.origin[0] + lx, tile.origin[1] + ly, tile.origin[2] + lz];
+        if (!min) {
+          min = p.slice();
+          max = p.slice();
+        } else {
+          for (let a = 0; a < 3; a++) {
+            if (p[a] < min[a]) min[a] = p[a];
+            if (p[a] > max[a]) max[a] = p[a];
+          }
+        }
+      }
+    }
+    return min ? { min, max } : null;
+  }
+
+  /**
+   * Re-meshes one tile. Faces against solid voxels in neighbouring tiles are culled.
+   * Mesh positions are tile-local; draw with a translation to `tile.origin`.
+   */
+  buildTileMesh(gl, renderProg, tile) {
+    if (!tile.vao) tile.vao = gl.createVertexArray();
+    const [ox, oy, oz] = tile.origin;
+    tile.indexCount = tile.chunk.buildGreedyRenderMeshMain(gl, renderProg, tile.vao,
+      (x, y, z) => this.isSolid(ox + x, oy + y, oz + z));
+    tile.dirty = false;
+  }
+
+  /**
+   * Re-meshes dirty tiles.
+   *
+   * @param {number} limit Maximum number of tiles to mesh in this call
+   * @returns {number} Number of tiles meshed
+   */
+  buildDirtyMeshes(gl, renderProg, limit = Infinity) {
+    let built = 0;
+    for (const tile of this._tiles.values()) {
+      if (built >= limit) break;
+      if (!tile.dirty) continue;
+      this.buildTileMesh(gl, renderProg, tile);
+      built++;
+    }
+    return built;
+  }
+}
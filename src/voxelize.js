@@ -0,0 +1,189 @@
+/**
+ * Triangle mesh voxelization.
+ *
+ * Takes the triangle soup from mesh-import.js, scales it so its longest side
+ * spans `resolution` voxels and marks every cell a triangle touches
+ * (conservative surface voxelization with a triangle/box overlap test).
+ * Triangles are nudged a hair against their normal first, so a face lying
+ * exactly on a cell boundary marks only the cells behind it, and cells are
+ * shrunk a hair so grazing an edge does not count.
+ * Closed meshes can then be filled solid: cells that cannot be reached from
+ * outside the surface become voxels too.
+ */
+
+import { VoxelChunk, FACE_OFFSETS } from './voxel-chunk.js';
+import { nearestColorIndex } from './palette.js';
+
+const EPSILON = 1e-6;
+const NUDGE = 1e-4; // In voxels
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Projects the triangle and the box onto an axis; true when they are apart
+function separated(axis, v0, v1, v2, half) {
+  const p0 = dot(axis, v0), p1 = dot(axis, v1), p2 = dot(axis, v2);
+  const r = half * (Math.abs(axis[0]) + Math.abs(axis[1]) + Math.abs(axis[2]));
+  return Math.min(p0, p1, p2) > r || Math.max(p0, p1, p2) < -r;
+}
+
+/**
+ * Separating axis test between a triangle and an axis-aligned cube
+ * (Akenine-Möller): the 3 box normals, the triangle normal and the 9 edge
+ * cross products.
+ *
+ * @param {number[]} centre Cube centre
+ * @param {number} half Half the cube side
+ * @param {number[]} a First vertex
+ * @param {number[]} b Second vertex
+ * @param {number[]} c Third vertex
+ * @returns {boolean} True if they overlap
+ */
+export function triangleOverlapsBox(centre, half, a, b, c) {
+  const v0 = sub(a, centre), v1 = sub(b, centre), v2 = sub(c, centre);
+  const edges = [sub(v1, v0), sub(v2, v1), sub(v0, v2)];
+
+  for (let i = 0; i < 3; i++) {
+    const lo = Math.min(v0[i], v1[i], v2[i]), hi = Math.max(v0[i], v1[i], v2[i]);
+    if (lo > half || hi < -half) return false;
+  }
+
+  const normal = cross(edges[0], edges[1]);
+  if (dot(normal, normal) > 0 && separated(normal, v0, v1, v2, half)) return false;
+
+  for (const edge of edges) {
+    for (const box of [[1, 0, 0], [0, 1, 0], [0, 0, 1]]) {
+      const axis = cross(box, edge);
+      if (dot(axis, axis) > 0 && separated(axis, v0, v1, v2, half)) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Voxelizes a triangle soup into a new chunk just big enough to hold it.
+ * Triangle colours are matched to the nearest palette entry; meshes without
+ * colours use `material`.
+ *
+ * @param {{positions: Float32Array, colors: Float32Array|null}} mesh From mesh-import.js
+ * @param {Float32Array} colors Palette colors
+ * @param {number} resolution Voxels along the mesh's longest side
+ * @param {Object} [options]
+ * @param {boolean} [options.fill=true] Fill the inside of closed surfaces
+ * @param {boolean} [options.zUp=false] Mesh is Z-up (as STL usually is); rotate to Y-up
+ * @param {number} [options.material=1] Material for uncoloured meshes
+ * @returns {VoxelChunk}
+ * @throws {Error} If the mesh has no triangles or the resolution is not positive
+ */
+export function voxelizeTriangles(mesh, colors, resolution, options = {}) {
+  const { fill = true, zUp = false, material = 1 } = options;
+  const count = Math.floor(mesh.positions.length / 9);
+  if (count === 0) throw new Error('Mesh has no triangles');
+  if (!(resolution >= 1)) throw new Error('Resolution must be at least 1');
+
+  const orient = zUp ? (x, y, z) => [x, z, -y] : (x, y, z) => [x, y, z];
+  const points = [];
+  for (let i = 0; i < count * 3; i++) {
+    points.push(orient(mesh.positions[i * 3], mesh.positions[i * 3 + 1], mesh.positions[i * 3 + 2]));
+  }
+
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (const p of points) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], p[c]);
+      max[c] = Math.max(max[c], p[c]);
+    }
+  }
+  const extent = max.map((v, c) => v - min[c]);
+  const scale = resolution / (Math.max(...extent) || 1);
+  const size = extent.map(e => Math.max(1, Math.ceil(e * scale - 1e-9)));
+  // Flat meshes sit in the middle of their one-voxel layer
+  const grid = points.map(p => p.map((v, c) => (v - min[c]) * scale + (extent[c] === 0 ? 0.5 : 0)));
+
+  const chunk = new VoxelChunk(1);
+  chunk.expandSize(...size);
+  chunk.fill(false);
+
+  const materials = new Map(); // packed colour -> palette index
+  const materialOf = (t) => {
+    if (!mesh.colors) return material;
+    const rgb = [0, 1, 2].map(c => mesh.colors[t * 3 + c]);
+    const key = rgb.map(v => Math.round(v * 255)).join(',');
+    if (!materials.has(key)) materials.set(key, nearestColorIndex(colors, rgb));
+    return materials.get(key);
+  };
+
+  // Cells shrink by EPSILON so triangles that only graze a cell's edge skip it
+  const half = 0.5 - EPSILON;
+  for (let t = 0; t < count; t++) {
+    const normal = cross(sub(grid[t * 3 + 1], grid[t * 3]), sub(grid[t * 3 + 2], grid[t * 3]));
+    const length = Math.hypot(...normal) || 1;
+    // Clamped so faces on the mesh bounds stay in the grid whichever way they wind
+    const [a, b, c] = [0, 1, 2].map(k => grid[t * 3 + k].map((v, i) =>
+      Math.min(size[i] - NUDGE, Math.max(NUDGE, v - normal[i] / length * NUDGE))));
+    const lo = [0, 1, 2].map(i => Math.floor(Math.min(a[i], b[i], c[i])));
+    const hi = [0, 1, 2].map(i => Math.floor(Math.max(a[i], b[i], c[i])));
+    const m = materialOf(t);
+    for (let z = lo[2]; z <= hi[2]; z++) {
+      for (let y = lo[1]; y <= hi[1]; y++) {
+        for (let x = lo[0]; x <= hi[0]; x++) {
+          if (triangleOverlapsBox([x + 0.5, y + 0.5, z + 0.5], half, a, b, c)) chunk.set(x, y, z, true, m);
+        }
+      }
+    }
+  }
+
+  if (fill) fillInterior(chunk);
+  return chunk;
+}
+
+/**
+ * Fills every empty cell that cannot be reached from outside the chunk
+ * through empty face neighbours. Filled cells take the material of the
+ * nearest surface voxel before them along X.
+ *
+ * @param {VoxelChunk} chunk
+ * @returns {number} Number of cells filled
+ */
+export function fillInterior(chunk) {
+  const [sx, sy, sz] = [chunk.sizeX, chunk.sizeY, chunk.sizeZ];
+  const outside = new Uint8Array(chunk.length);
+  const queue = [];
+  const reach = (x, y, z) => {
+    const id = chunk.idx3(x, y, z);
+    if (outside[id] || chunk.isSolid(id)) return;
+    outside[id] = 1;
+    queue.push(id);
+  };
+  for (let z = 0; z < sz; z++) {
+    for (let y = 0; y < sy; y++) {
+      for (let x = 0; x < sx; x++) {
+        if (x === 0 || y === 0 || z === 0 || x === sx - 1 || y === sy - 1 || z === sz - 1) reach(x, y, z);
+      }
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const [x, y, z] = chunk.coordsOf(queue[head]);
+    for (const [dx, dy, dz] of FACE_OFFSETS) {
+      if (chunk.within(x + dx, y + dy, z + dz)) reach(x + dx, y + dy, z + dz);
+    }
+  }
+
+  let filled = 0;
+  for (let z = 0; z < sz; z++) {
+    for (let y = 0; y < sy; y++) {
+      let last = 0;
+      for (let x = 0; x < sx; x++) {
+        const id = chunk.idx3(x, y, z);
+        if (chunk.isSolid(id)) {
+          last = chunk.material(id);
+        } else if (!outside[id]) {
+          chunk.set(x, y, z, true, last);
+          filled++;
+        }
+      }
+    }
+  }
+  return filled;
+}
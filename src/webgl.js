@@ -2,6 +2,9 @@
 
 const GL_TYPES = new Map();
 
+const PALETTE_TEXTURE_WIDTH = 256;
+const PALETTE_TEXTURE_UNIT = 1;
+
 /**
  * Creates and compiles a WebGL shader.
  * 
@@ -165,6 +168,144 @@ export function createProgram(gl, vsSrc, fsSrc) {
   return res;
 }
 
+/**
+ * Creates a 256×1 RGBA8 texture used as a material palette lookup.
+ *
+ * Shaders read it with `texelFetch(uPalette, ivec2(matId, 0), 0)`.
+ * 
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {Float32Array} [colors] Optional initial [r,g,b,...] floats in [0,1]
+ * @returns {WebGLTexture} Palette texture
+ */
+export function createPaletteTexture(gl, colors) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, PALETTE_TEXTURE_WIDTH, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  if (colors) updatePaletteTexture(gl, tex, colors);
+  return tex;
+}
+
+/**
+ * Uploads palette colors into a palette texture.
+ * Entries missing from `colors` are written as black.
+ * 
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {WebGLTexture} tex Texture from createPaletteTexture
+ * @param {Float32Array} colors Packed [r,g,b,...] floats in [0,1]
+ */
+export function updatePaletteTexture(gl, tex, colors) {
+  const data = new Uint8Array(PALETTE_TEXTURE_WIDTH * 4);
+  const count = Math.min(PALETTE_TEXTURE_WIDTH, Math.floor(colors.length / 3));
+  for (let i = 0; i < count; i++) {
+    data[i * 4 + 0] = Math.round(Math.max(0, Math.min(1, colors[i * 3 + 0])) * 255);
+    data[i * 4 + 1] = Math.round(Math.max(0, Math.min(1, colors[i * 3 + 1])) * 255);
+    data[i * 4 + 2] = Math.round(Math.max(0, Math.min(1, colors[i * 3 + 2])) * 255);
+    data[i * 4 + 3] = 255;
+  }
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, PALETTE_TEXTURE_WIDTH, 1, gl.RGBA, gl.UNSIGNED_BYTE, data);
+}
+
+/**
+ * Binds a palette texture to a texture unit and points the sampler at it.
+ * 
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {Object} uniform Sampler uniform wrapper from createProgram (e.g. prog.uPalette)
+ * @param {WebGLTexture} tex Palette texture
+ * @param {number} unit Texture unit index (default 1, unit 0 is used for data textures)
+ */
+export function bindPaletteTexture(gl, uniform, tex, unit = PALETTE_TEXTURE_UNIT) {
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  uniform.set(unit);
+  gl.activeTexture(gl.TEXTURE0);
+}
+
+/**
+ * Uploads a render mesh (from mesher.js buildGreedyMesh) into a VAO
+ * using the lambert attribute layout.
+ * 
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {Object} renderProg Program wrapper with aPosition, aNormal, aMatId (and optionally aOcclusion)
+ * @param {WebGLVertexArrayObject} vao Target VAO
+ * @param {Object} mesh { positions, normals, matIds, occlusion, indices } typed arrays
+ * @returns {number} Index count to draw
+ */
+export function uploadRenderMesh(gl, renderProg, vao, mesh) {
+  gl.bindVertexArray(vao);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, gl.DYNAMIC_DRAW);
+  gl.enableVertexAttribArray(renderProg.aPosition.location);
+  gl.vertexAttribPointer(renderProg.aPosition.location, 3, gl.FLOAT, false, 0, 0);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, mesh.normals, gl.DYNAMIC_DRAW);
+  gl.enableVertexAttribArray(renderProg.aNormal.location);
+  gl.vertexAttribPointer(renderProg.aNormal.location, 3, gl.FLOAT, false, 0, 0);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, mesh.matIds, gl.DYNAMIC_DRAW);
+  gl.enableVertexAttribArray(renderProg.aMatId.location);
+  gl.vertexAttribIPointer(renderProg.aMatId.location, 1, gl.UNSIGNED_BYTE, 0, 0);
+
+  // Per-vertex ambient occlusion level 0-3 (shaders without aOcclusion skip it)
+  if (renderProg.aOcclusion && mesh.occlusion) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.occlusion, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(renderProg.aOcclusion.location);
+    gl.vertexAttribPointer(renderProg.aOcclusion.location, 1, gl.UNSIGNED_BYTE, false, 0, 0);
+  }
+
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, gl.DYNAMIC_DRAW);
+
+  gl.bindVertexArray(null);
+
+  return mesh.indices.length;
+}
+
+/**
+ * Uploads pick geometry (from mesher.js buildPickMesh) into `pickProg.vao`
+ * and `pickProg.vaoGround`, and stores the index counts in
+ * `pickProg.meta.pickVoxelCount` / `pickProg.meta.pickGroundCount`.
+ * 
+ * @param {WebGL2RenderingContext} gl WebGL context
+ * @param {Object} pickProg Program wrapper with aPosition and aPacked
+ * @param {Object} pick { voxel, ground } meshes of { positions, packed, indices }
+ */
+export function uploadPickMesh(gl, pickProg, pick) {
+  if (!pickProg.vaoGround) pickProg.vaoGround = gl.createVertexArray();
+
+  const upload = (vao, mesh, usage) => {
+    gl.bindVertexArray(vao);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, usage);
+    gl.enableVertexAttribArray(pickProg.aPosition.location);
+    gl.vertexAttribPointer(pickProg.aPosition.location, 3, gl.FLOAT, false, 0, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.packed, usage);
+    gl.enableVertexAttribArray(pickProg.aPacked.location);
+    gl.vertexAttribIPointer(pickProg.aPacked.location, 1, gl.UNSIGNED_INT, 0, 0);
+
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, mesh.indices, usage);
+  };
+
+  upload(pickProg.vao, pick.voxel, gl.DYNAMIC_DRAW);
+  upload(pickProg.vaoGround, pick.ground, gl.STATIC_DRAW);
+  gl.bindVertexArray(null);
+
+  pickProg.meta.pickVoxelCount = pick.voxel.indices.length;
+  pickProg.meta.pickGroundCount = pick.ground.indices.length;
+}
+
 function nameOf(name) {
   return name.replace(/\[.*\]/, '');
 }
\ No newline at end of file
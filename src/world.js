@@ -1,127 +1,14 @@
 import { Mat4, toRadians } from './math.js';
 import { OrbitCamera } from './3d.js';
-import { createProgram } from './webgl.js';
-import { VoxelChunk } from './voxel-chunk.js';
+import { createProgram, createPaletteTexture, bindPaletteTexture } from './webgl.js';
+import { VoxelWorld } from './voxel-world.js';
+import { TerrainStreamer, TERRAIN_HEIGHT } from './terrain.js';
 import lambertFrag from './lambert.frag';
 import lambertVert from './lambert.vert';
 
-/*** ======= Procedural World Generator ======= ***/
+/*** ======= Streaming World Viewer ======= ***/
 
-// Simple 2D Perlin-style noise function
-function noise2D(x, y, seed = 0) {
-  // Simple hash-based pseudo-random noise
-  // Improved hash: mixes x, y, and seed for more entropy
-  const hash2D = (x, y, seed = 0) => {
-    let n = x * 374761393 + y * 668265263 + seed * 982451653;
-    n = (n ^ (n >> 13)) * 1274126177;
-    n = (n ^ (n >> 16));
-    return n & 0x7fffffff;
-  };
-
-  const ix = Math.floor(x);
-  const iy = Math.floor(y);
-  const fx = x - ix;
-  const fy = y - iy;
-
-  // Smoothstep interpolation
-  const u = fx * fx * (3 - 2 * fx);
-  const v = fy * fy * (3 - 2 * fy);
-
-  // Hash corners with improved mixing
-  const a = hash2D(ix, iy, seed);
-  const b = hash2D(ix + 1, iy, seed);
-  const c = hash2D(ix, iy + 1, seed);
-  const d = hash2D(ix + 1, iy + 1, seed);
-
-  // Normalize to -1 to 1
-  const normalize = (n) => (n / 0x7fffffff) * 2 - 1;
-
-  // Bilinear interpolation
-  const x1 = normalize(a) * (1 - u) + normalize(b) * u;
-  const x2 = normalize(c) * (1 - u) + normalize(d) * u;
-
-  return x1 * (1 - v) + x2 * v;
-}
-
-// Multi-octave noise (fractal Brownian motion)
-function fbm(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0, seed = 0) {
-  let total = 0;
-  let amplitude = 1;
-  let frequency = 1;
-  let maxValue = 0;
-  
-  for (let i = 0; i < octaves; i++) {
-    total += noise2D(x * frequency, y * frequency, seed + i) * amplitude;
-    maxValue += amplitude;
-    amplitude *= persistence;
-    frequency *= lacunarity;
-  }
-  
-  return total / maxValue;
-}
-
-// Generate terrain in a voxel chunk
-function generateTerrain(chunk, seed = 0) {
-  const sizeX = chunk.sizeX;
-  const sizeY = chunk.sizeY;
-  const sizeZ = chunk.sizeZ;
-  
-  // Materials
-  const GRASS = 1;
-  const DIRT = 0;
-  const STONE = 8;
-  const SAND = 12;
-  const WATER = 11;
-  
-  // Generate heightmap
-  for (let x = 0; x < sizeX; x++) {
-    for (let z = 0; z < sizeZ; z++) {
-      // Normalize coordinates to 0-1 range
-      const nx = x / sizeX;
-      const nz = z / sizeZ;
-      
-      // Generate height using fractal noise
-      const height = fbm(nx * 4, nz * 4, 4, 0.5, 2.0, seed);
-      
-      // Map height to voxel Y coordinate (0 to sizeY-1)
-      const terrainHeight = Math.floor(((height + 1) / 2) * (sizeY * 0.8)) + Math.floor(sizeY * 0.1);
-      const waterLevel = Math.floor(sizeY * 0.25);
-      
-      // Fill column up to terrain height
-      for (let y = 0; y < sizeY; y++) {
-        const idx = chunk.idx3(x, y, z);
-        
-        if (y < terrainHeight) {
-          chunk.setSolid(idx, true);
-          
-          // Determine material based on height and position
-          if (y === terrainHeight - 1) {
-            // Top layer
-            if (terrainHeight <= waterLevel) {
-              chunk.setMaterial(idx, SAND); // Beach sand
-            } else if (terrainHeight > sizeY * 0.7) {
-              chunk.setMaterial(idx, STONE); // Mountain stone
-            } else {
-              chunk.setMaterial(idx, GRASS); // Grass
-            }
-          } else if (y >= terrainHeight - 3) {
-            // Sub-surface layers
-            chunk.setMaterial(idx, DIRT);
-          } else {
-            // Deep layers
-            chunk.setMaterial(idx, STONE);
-          }
-        } else if (y < waterLevel) {
-          // Water
-          chunk.setSolid(idx, true);
-          chunk.setMaterial(idx, WATER);
-        } else {
-          chunk.setSolid(idx, false);
-        }
-      }
-    }
-  }
-}
+const CHUNK_SIZE = 16;
 
 function main() {
     // Keyboard controls for moving camera target
@@ -150,15 +37,13 @@ function main() {
   // Create shader program
   const renderProg = createProgram(gl, lambertVert, lambertFrag);
 
-  // Create voxel chunk (16x16x16)
-  let chunk = new VoxelChunk(16, 16, 16);
-  
-  // Generate initial terrain
-  let seed = Math.floor(Math.random() * 10000);
-  generateTerrain(chunk, seed);
-
-  // Build mesh
-  renderProg.meta.renderIndexCount = chunk.buildGreedyRenderMeshMain(gl, renderProg, renderProg.vao);
+  // Sparse world made of 16x16x16 tiles, streamed around the camera target
+  const world = new VoxelWorld(CHUNK_SIZE);
+  const streamer = new TerrainStreamer(world, Math.floor(Math.random() * 10000), {
+    viewDistance: 4,
+    maxGeneratePerUpdate: 2,
+    maxBuildsPerFrame: 4
+  });
 
   // Palette with terrain colors
   const palette = new Float32Array([
@@ -179,15 +64,16 @@ function main() {
     0.0, 0.5, 0.5,   // Material 14: Dark Cyan
     0.9, 0.9, 0.9    // Material 15: Light Gray
   ]);
+  const paletteTex = createPaletteTexture(gl, palette);
 
   // Isometric camera setup (looking down at 45 degrees)
   const camera = new OrbitCamera({
-    target: [8, 4, 8],
-    radius: 30,
+    target: [CHUNK_SIZE / 2, TERRAIN_HEIGHT / 4, CHUNK_SIZE / 2],
+    radius: 90,
     theta: toRadians(45),   // 45 degrees horizontally
     phi: toRadians(60),     // 60 degrees from vertical (looking down)
     minRadius: 10,
-    maxRadius: 60
+    maxRadius: 200
   });
 
   // Mouse interaction for orbit camera
@@ -233,10 +119,7 @@ function main() {
 
   // Regenerate button
   document.getElementById('btnRegenerate').addEventListener('click', () => {
-    seed = Math.floor(Math.random() * 10000);
-    chunk = new VoxelChunk(16, 16, 16);
-    generateTerrain(chunk, seed);
-    chunk.buildGreedyRenderMeshMain(gl, renderProg);
+    streamer.reset(Math.floor(Math.random() * 10000), gl);
   });
 
   // Resize handling
@@ -271,24 +154,30 @@ function main() {
     // View matrix
     const view = camera.view();
 
-    // Model matrix (identity - chunk at origin)
-    const model = Mat4.identity();
+    // Stream terrain around the camera target; mesh builds are capped per frame
+    streamer.update(camera.target, gl);
+    streamer.buildMeshes(gl, renderProg);
 
-    // Normal matrix
-    const normalMat = Mat4.normalMatrix(model);
-
-    // Draw chunk
+    // Draw tiles
     gl.useProgram(renderProg.program);
     renderProg.uView.set(view);
     renderProg.uProj.set(proj);
-    renderProg.uModel.set(model);
-    renderProg.uNormalMat.set(normalMat);
-    renderProg.uPalette.set(palette);
+    bindPaletteTexture(gl, renderProg.uPalette, paletteTex);
     renderProg.uLightDirWS.set(lightDir);
     renderProg.uAmbient.set(0.4);
-    
-    gl.bindVertexArray(renderProg.vao);
-    gl.drawElements(gl.TRIANGLES, renderProg.meta.renderIndexCount, gl.UNSIGNED_INT, 0);
+    renderProg.uAOStrength.set(1);
+
+    for (const tile of world.tiles()) {
+      if (!tile.vao || tile.indexCount === 0) continue;
+
+      // Tile meshes are tile-local; translate to the tile origin
+      const model = Mat4.translate(tile.origin[0], tile.origin[1], tile.origin[2]);
+      renderProg.uModel.set(model);
+      renderProg.uNormalMat.set(Mat4.normalMatrix(model));
+
+      gl.bindVertexArray(tile.vao);
+      gl.drawElements(gl.TRIANGLES, tile.indexCount, gl.UNSIGNED_INT, 0);
+    }
     gl.bindVertexArray(null);
   }
 
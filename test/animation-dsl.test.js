@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { parseDSL, tokenize } from '../src/animation-dsl.js';
+import { AnimationSystem } from '../src/AnimationSystem.js';
+
+const DOOR = `
+// A door that swings open once
+region door {
+  min [0, 0, 0]
+  max [2, 4, 1]
+  state closed
+}
+
+anim door_open {
+  region door
+  rotate 0 to 90 for 2 pivot [0, 0, 0] axis [0, 1, 0] easing ease-out-back
+  wait 0.5
+  move y -1.5 for 1 easing steps 4
+}
+
+emitter dust {
+  pos [1, 0, 1]   # at the hinge
+  rate 20
+  colors [3, 4]
+}
+
+group open {
+  anim door_open
+  emitter dust
+  guard closed
+  state open
+}
+`;
+
+/**
+ * Expects parsing `source` to fail at the given position.
+ */
+function expectErrorAt(source, line, column, message) {
+  let error = null;
+  try {
+    parseDSL(source);
+  } catch (e) {
+    error = e;
+  }
+  expect(error, 'expected a parse error').not.toBe(null);
+  expect(error.line).toBe(line);
+  expect(error.column).toBe(column);
+  expect(error.message).toMatch(new RegExp(`^Line ${line}, column ${column}: .*${message}`));
+}
+
+describe('tokenize', () => {
+  it('tracks line and column and skips comments', () => {
+    const tokens = tokenize('a -1.5e2 # note\n  "b c" [');
+    expect(tokens.map(t => [t.type, t.value, t.line, t.column])).toEqual([
+      ['word', 'a', 1, 1],
+      ['number', -150, 1, 3],
+      ['string', 'b c', 2, 3],
+      ['punct', '[', 2, 9],
+      ['eof', null, 2, 10]
+    ]);
+  });
+});
+
+describe('parseDSL', () => {
+  it('parses regions, animations, emitters and groups into toJSON() layout', () => {
+    const json = parseDSL(DOOR);
+
+    expect(json.regions).toEqual({ door: { min: [0, 0, 0], max: [2, 4, 1], state: 'closed' } });
+    expect(json.animations.door_open).toEqual({
+      regionName: 'door',
+      loop: false,
+      keyframes: [
+        { type: 'rotate', from: 0, to: 90, duration: 2, pivot: [0, 0, 0], axis: [0, 1, 0], easing: 'ease-out-back' },
+        { type: 'wait', duration: 0.5 },
+        { type: 'move', axis: 'y', delta: -1.5, duration: 1, easing: 'steps', steps: 4 }
+      ]
+    });
+    expect(json.emitters.dust.position).toEqual([1, 0, 1]);
+    expect(json.emitters.dust.colorIds).toEqual([3, 4]);
+    expect(json.emitters.dust.gravity).toEqual([0, -9.8, 0]);
+    expect(json.groups.open).toEqual({ animations: ['door_open'], emitters: ['dust'], guard: 'closed', endState: 'open' });
+  });
+
+  it('turns guard and state inside an animation into a group of the same name', () => {
+    const json = parseDSL(`
+      region door { min [0, 0, 0] max [1, 1, 1] }
+      anim door_close {
+        region door
+        guard open
+        rotate 90 to 0 for 1
+        state closed
+      }
+    `);
+    expect(json.groups.door_close).toEqual({ animations: ['door_close'], emitters: [], guard: 'open', endState: 'closed' });
+  });
+
+  it('reports syntax errors with line and column', () => {
+    expectErrorAt('region a {\n  min [0, 0]\n}', 2, 7, 'Expected 3 numbers');
+    expectErrorAt('region a {\n  min [0, 0, 0]\n  max [1, 1, 1]\n  colour red\n}', 4, 3, 'Unknown region property "colour"');
+    expectErrorAt('anim a {\n  rotate 0 90 for 1\n}', 2, 12, 'Expected "to" but found "90"');
+    expectErrorAt('anim a {\n  move w 1 for 1\n}', 2, 8, 'Expected x, y or z');
+    expectErrorAt('anim a {\n  wait 1 easing bouncy\n}', 2, 10, 'Unknown animation property "easing"');
+    expectErrorAt('anim a {\n  move x 1 for 1 easing bouncy\n}', 2, 25, 'Unknown easing "bouncy"');
+    expectErrorAt('emitter e {\n  rate 1', 2, 9, 'end of input');
+    expectErrorAt('region a {\n  min [0, 0, 0] @', 2, 17, 'Unexpected character "@"');
+    expectErrorAt('  thing a {}', 1, 3, 'Expected region, anim, emitter or group');
+  });
+
+  it('reports undefined references and duplicate names at their use', () => {
+    expectErrorAt('anim a {\n  region missing\n}', 2, 10, 'Unknown region "missing"');
+    expectErrorAt('group g {\n  anim a\n  emitter e\n}\nanim a {}', 3, 11, 'Unknown emitter "e"');
+    expectErrorAt('anim a {}\nanim a {}', 2, 6, 'Duplicate animation "a"');
+    expectErrorAt('anim a {\n  guard x\n}\ngroup a {}', 2, 3, 'Duplicate group "a"');
+  });
+});
+
+describe('toDSL', () => {
+  it('round-trips through toJSON()', () => {
+    const system = new AnimationSystem();
+    system.parse(DOOR);
+    const region = system.addRegion('lid with spaces', [0, 4, 0], [2, 4, 1]);
+    region.initialState = null;
+    const spin = system.addAnimation('spin', 'lid with spaces');
+    spin.loop = true;
+    spin.keyframes.push({ type: 'rotate', from: -0.25, to: 1e-7, duration: 1 / 3 });
+    system.addGroup('empty');
+
+    const json = system.toJSON();
+    const copy = new AnimationSystem();
+    copy.parse(system.toDSL());
+    expect(copy.toJSON()).toEqual(json);
+    expect(system.toDSL()).toContain('region "lid with spaces" {');
+  });
+
+  it('keeps the system unchanged when parsing fails', () => {
+    const system = new AnimationSystem();
+    system.parse(DOOR);
+    expect(() => system.parse('region broken {')).toThrow(/^Line 1, column 16/);
+    expect([...system.regions.keys()]).toEqual(['door']);
+    expect(system.regions.get('door').state).toBe('closed');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { booleanChanges } from '../src/boolean.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+// Chunk with x = 0..1 solid on one row, and a block covering x = 1..2 of it
+function operands() {
+  const chunk = new VoxelChunk(4);
+  chunk.fill(false);
+  chunk.set(0, 0, 0, true, 1);
+  chunk.set(1, 0, 0, true, 1);
+  const block = { size: [2, 1, 1], voxels: [[0, 0, 0, 5], [1, 0, 0, 5]] };
+  return { chunk, block };
+}
+
+function result(op, offset = [1, 0, 0]) {
+  const { chunk, block } = operands();
+  for (const { id, solid, material } of booleanChanges(chunk, block, offset, op)) {
+    chunk.setSolid(id, solid);
+    chunk.setMaterial(id, material);
+  }
+  const row = [];
+  for (let x = 0; x < 4; x++) row.push(chunk.isSolid(chunk.idx3(x, 0, 0)) ? chunk.material(chunk.idx3(x, 0, 0)) : 0);
+  return row;
+}
+
+describe('boolean operations', () => {
+  it('combines the two models', () => {
+    expect(result('union')).toEqual([1, 1, 5, 0]);
+    expect(result('subtract')).toEqual([1, 0, 0, 0]);
+    expect(result('intersect')).toEqual([0, 1, 0, 0]);
+    expect(result('xor')).toEqual([1, 0, 5, 0]);
+  });
+
+  it('ignores the parts of the second model outside the chunk', () => {
+    expect(result('union', [3, 0, 0])).toEqual([1, 1, 0, 5]);
+    expect(result('intersect', [-2, 0, 0])).toEqual([0, 0, 0, 0]);
+  });
+
+  it('rejects unknown operations', () => {
+    const { chunk, block } = operands();
+    expect(() => booleanChanges(chunk, block, [0, 0, 0], 'merge')).toThrow(/Unknown boolean/);
+  });
+});
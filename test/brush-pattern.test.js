@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { patternMaterial, parseMaterialList, DEFAULT_PATTERN } from '../src/brush-pattern.js';
+
+const context = { brush: 5, size: [8, 4, 8] };
+
+function cube(n) {
+  const cells = [];
+  for (let z = 0; z < n; z++) for (let y = 0; y < n; y++) for (let x = 0; x < n; x++) cells.push([x, y, z]);
+  return cells;
+}
+
+describe('brush patterns', () => {
+  it('falls back to the brush material', () => {
+    expect(patternMaterial(DEFAULT_PATTERN, [1, 2, 3], context)).toBe(5);
+    expect(patternMaterial({ ...DEFAULT_PATTERN, kind: 'noise' }, [1, 2, 3], context)).toBe(5); // no materials
+    expect(() => patternMaterial({ kind: 'plaid', materials: [1] }, [0, 0, 0], context)).toThrow(/Unknown brush pattern/);
+  });
+
+  it('bands gradients along an axis or the drag', () => {
+    const pattern = { ...DEFAULT_PATTERN, kind: 'gradient', materials: [10, 20] };
+    expect([0, 1, 2, 3].map(y => patternMaterial(pattern, [0, y, 0], context))).toEqual([10, 10, 20, 20]);
+
+    const along = { ...pattern, materials: [1, 2, 3, 4], direction: 'drag' };
+    const drag = { from: [2, 0, 0], to: [2, 0, 6] };
+    expect([-1, 0, 2, 4, 6, 9].map(z => patternMaterial(along, [7, 3, z], { ...context, drag }))).toEqual([1, 1, 2, 3, 4, 4]);
+  });
+
+  it('dithers repeatably over the chosen materials', () => {
+    const pattern = { ...DEFAULT_PATTERN, kind: 'dither', materials: [3, 9], seed: 7 };
+    const picks = cube(6).map(c => patternMaterial(pattern, c, context));
+    expect(new Set(picks)).toEqual(new Set([3, 9]));
+    expect(picks.filter(m => m === 3).length).toBeGreaterThan(60);
+    expect(picks.filter(m => m === 9).length).toBeGreaterThan(60);
+    expect(cube(6).map(c => patternMaterial(pattern, c, context))).toEqual(picks);
+    expect(cube(6).map(c => patternMaterial({ ...pattern, seed: 8 }, c, context))).not.toEqual(picks);
+  });
+
+  it('paints fbm noise bands', () => {
+    const pattern = { ...DEFAULT_PATTERN, kind: 'noise', materials: [1, 2, 3], seed: 4, scale: 0.2 };
+    const picks = cube(12).map(c => patternMaterial(pattern, c, context));
+    expect(new Set(picks)).toEqual(new Set([1, 2, 3]));
+
+    // Smooth: face neighbours mostly share a material, unlike dither
+    let same = 0;
+    for (const [x, y, z] of cube(12)) {
+      if (patternMaterial(pattern, [x, y, z], context) === patternMaterial(pattern, [x + 1, y, z], context)) same++;
+    }
+    expect(same / picks.length).toBeGreaterThan(0.7);
+  });
+
+  it('parses material lists', () => {
+    expect(parseMaterialList('3, 7 12,,300 -1 x 4.5')).toEqual([3, 7, 12]);
+  });
+});
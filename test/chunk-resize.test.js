@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { anchorOffset, resizeAnchored } from '../src/chunk-resize.js';
+import { lidScene } from './helpers.js';
+
+describe('anchored resize', () => {
+  it('computes offsets per anchor', () => {
+    expect(anchorOffset(4, 8, 'min')).toBe(0);
+    expect(anchorOffset(4, 8, 'max')).toBe(4);
+    expect(anchorOffset(4, 8, 'centre')).toBe(2);
+    expect(anchorOffset(4, 5, 'centre')).toBe(0);
+    expect(anchorOffset(4, 3, 'centre')).toBe(0);
+    expect(anchorOffset(4, 2, 'max')).toBe(-2);
+  });
+
+  it('grows at the min side and moves regions and pivots along', () => {
+    const { chunk, animSystem } = lidScene();
+    const offset = resizeAnchored(chunk, animSystem, [4, 6, 8], ['min', 'max', 'centre']);
+
+    expect(offset).toEqual([0, 2, 2]);
+    expect([chunk.sizeX, chunk.sizeY, chunk.sizeZ]).toEqual([4, 6, 8]);
+    expect(chunk.material(chunk.idx3(0, 2, 2))).toBe(3);
+    expect(chunk.isSolid(chunk.idx3(3, 5, 5))).toBe(true);
+    expect(chunk.isSolid(chunk.idx3(0, 0, 0))).toBe(false);
+
+    const region = animSystem.regions.get('lid');
+    expect(region.min).toEqual([0, 5, 2]);
+    expect(region.max).toEqual([3, 5, 5]);
+    expect(animSystem.animations.get('open').keyframes[0].pivot).toEqual([0, 5, 2]);
+  });
+
+  it('crops from the anchored-away side when shrinking', () => {
+    const { chunk, animSystem } = lidScene();
+    resizeAnchored(chunk, animSystem, [2, 2, 2], ['max', 'max', 'max']);
+
+    expect(chunk.isSolid(chunk.idx3(1, 1, 1))).toBe(true);
+    expect(chunk.material(chunk.idx3(1, 1, 1))).toBe(7);
+    expect(chunk.isSolid(chunk.idx3(0, 0, 0))).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { snapshotChunk, restoreChunk } from '../src/chunk-snapshot.js';
+import { lidScene } from './helpers.js';
+
+describe('chunk snapshots', () => {
+  it('brings back voxels cut off by a shrink', () => {
+    const { chunk, animSystem } = lidScene();
+    const before = snapshotChunk(chunk, animSystem);
+
+    chunk.expandSize(3, 3, 3);
+    expect(chunk.get(3, 3, 3)).toBe(-1);
+
+    expect(restoreChunk(chunk, animSystem, before)).toBe(true);
+    expect([chunk.sizeX, chunk.sizeY, chunk.sizeZ]).toEqual([4, 4, 4]);
+    expect(chunk.isSolid(chunk.idx3(3, 3, 3))).toBe(true);
+    expect(chunk.material(chunk.idx3(3, 3, 3))).toBe(7);
+    expect(chunk.isSolid(chunk.idx3(1, 1, 1))).toBe(false);
+  });
+
+  it('keeps the chunk regions across a resize', () => {
+    const { chunk, animSystem } = lidScene();
+    const before = snapshotChunk(chunk, animSystem);
+
+    chunk.expandSize(5, 5, 5);
+    chunk.addRegion('lid', [0, 3, 0], [3, 3, 3]);
+
+    expect(restoreChunk(chunk, animSystem, before)).toBe(true);
+    expect(chunk.regionNames).toEqual(['lid']);
+  });
+
+  it('restores region bounds and rotate pivots', () => {
+    const { chunk, animSystem } = lidScene();
+    const before = snapshotChunk(chunk, animSystem);
+
+    const region = animSystem.regions.get('lid');
+    region.min[1] += 1;
+    region.max[1] += 1;
+    animSystem.animations.get('open').keyframes[0].pivot[1] += 1;
+
+    expect(restoreChunk(chunk, animSystem, before)).toBe(false);
+    expect(region.min).toEqual([0, 3, 0]);
+    expect(region.max).toEqual([3, 3, 3]);
+    expect(animSystem.animations.get('open').keyframes[0].pivot).toEqual([0, 3, 0]);
+  });
+
+  it('restores keyframe axes, move deltas and emitters', () => {
+    const { chunk, animSystem } = lidScene();
+    const emitter = animSystem.addEmitter('sparks');
+    emitter.position = [1, 2, 3];
+    const before = snapshotChunk(chunk, animSystem);
+
+    const kf = animSystem.animations.get('open').keyframes[0];
+    kf.axis = [0, 0, 1];
+    emitter.position[0] = 5;
+    emitter.gravity = [0, 9.8, 0];
+
+    restoreChunk(chunk, animSystem, before);
+    expect(animSystem.animations.get('open').keyframes[0].axis).toBeUndefined();
+    expect(emitter.position).toEqual([1, 2, 3]);
+    expect(emitter.gravity).toEqual([0, -9.8, 0]);
+  });
+
+  it('is not affected by later edits to the live objects', () => {
+    const { chunk, animSystem } = lidScene();
+    const before = snapshotChunk(chunk, animSystem);
+    animSystem.regions.get('lid').min[0] = 2;
+    chunk.set(0, 0, 0, false);
+
+    expect(before.regions.lid.min).toEqual([0, 3, 0]);
+    expect(before.solid[0]).toBe(1);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { floodFill, isSurfaceVoxel, materialIds } from '../src/fill.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+function solidCube(size, material = 1) {
+  const chunk = new VoxelChunk(size);
+  chunk.fill(false);
+  for (let z = 0; z < size; z++) for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) {
+    chunk.set(x, y, z, true, material);
+  }
+  return chunk;
+}
+
+describe('floodFill', () => {
+  it('fills face-connected voxels of one material', () => {
+    const chunk = solidCube(3);
+    chunk.set(1, 1, 1, true, 2);
+    expect(floodFill(chunk, chunk.idx3(0, 0, 0))).toEqual({ ids: expect.any(Array), truncated: false });
+    expect(floodFill(chunk, chunk.idx3(0, 0, 0)).ids.length).toBe(26);
+    expect(floodFill(chunk, chunk.idx3(1, 1, 1)).ids).toEqual([chunk.idx3(1, 1, 1)]);
+  });
+
+  it('does not leak across edges or other materials', () => {
+    const chunk = new VoxelChunk(3);
+    chunk.fill(false);
+    chunk.set(0, 0, 0, true, 1);
+    chunk.set(1, 1, 0, true, 1); // shares only an edge
+    chunk.set(1, 0, 0, true, 2);
+    expect(floodFill(chunk, chunk.idx3(0, 0, 0)).ids).toEqual([chunk.idx3(0, 0, 0)]);
+    expect(floodFill(chunk, chunk.idx3(2, 2, 2)).ids).toEqual([]);
+  });
+
+  it('skips the hidden core when filling the surface only', () => {
+    const chunk = solidCube(4);
+    const core = chunk.idx3(1, 1, 1);
+    expect(isSurfaceVoxel(chunk, core)).toBe(false);
+    expect(isSurfaceVoxel(chunk, chunk.idx3(0, 1, 1))).toBe(true);
+
+    const { ids } = floodFill(chunk, chunk.idx3(0, 0, 0), { surfaceOnly: true });
+    expect(ids.length).toBe(64 - 8);
+    expect(ids).not.toContain(core);
+    expect(floodFill(chunk, core, { surfaceOnly: true }).ids).toEqual([]);
+  });
+
+  it('stops at the limit and says so', () => {
+    const chunk = solidCube(4);
+    const { ids, truncated } = floodFill(chunk, 0, { limit: 10 });
+    expect(ids.length).toBe(10);
+    expect(truncated).toBe(true);
+    expect(floodFill(chunk, 0, { limit: 64 }).truncated).toBe(false);
+  });
+});
+
+describe('materialIds', () => {
+  it('finds solid voxels of a material anywhere in the chunk', () => {
+    const chunk = solidCube(3, 4);
+    chunk.set(0, 0, 0, true, 5);
+    chunk.set(2, 2, 2, false, 5);
+    expect(materialIds(chunk, 5)).toEqual([chunk.idx3(0, 0, 0)]);
+    expect(materialIds(chunk, 4).length).toBe(25);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { buildGLTF, exportGLB, parseGLB, sampleAnimation, GLB_MAGIC } from '../src/gltf-export.js';
+import { AnimationSystem } from '../src/AnimationSystem.js';
+import { PALETTE_SIZE } from '../src/palette.js';
+import { chunkWith } from './helpers.js';
+
+const paletteColors = () => new Float32Array(PALETTE_SIZE * 3).fill(1);
+
+function doorSystem() {
+  const sys = new AnimationSystem();
+  sys.fromJSON({
+    regions: { door: { min: [3, 0, 0], max: [3, 1, 0] } },
+    animations: {
+      open: {
+        regionName: 'door',
+        loop: false,
+        keyframes: [
+          { type: 'rotate', from: 0, to: 90, duration: 1, pivot: [3, 0, 0], axis: [0, 1, 0], easing: 'ease-in' },
+          { type: 'move', axis: 'y', delta: 2, duration: 0.5 }
+        ]
+      }
+    }
+  });
+  return sys;
+}
+
+const modelVoxels = [[0, 0, 0, 1], [1, 0, 0, 1], [3, 0, 0, 2], [3, 1, 0, 2]];
+
+describe('buildGLTF', () => {
+  it('writes one node per region under a root node', () => {
+    const { json, bin } = buildGLTF(chunkWith(modelVoxels), paletteColors(), doorSystem());
+
+    expect(json.asset.version).toBe('2.0');
+    expect(json.scenes[json.scene].nodes).toEqual([0]);
+    expect(json.nodes.map(n => n.name)).toEqual(['voxels', 'main', 'door']);
+    expect(json.nodes[0].children).toEqual([1, 2]);
+    expect(json.meshes.length).toBe(2);
+    expect(json.buffers[0].byteLength).toBe(bin.length);
+    expect(bin.length % 4).toBe(0);
+  });
+
+  it('writes positions, normals, vertex colours and indices with valid accessors', () => {
+    const { json, bin } = buildGLTF(chunkWith([[1, 1, 1, 3]]), paletteColors());
+    const prim = json.meshes[0].primitives[0];
+    const acc = (i) => json.accessors[i];
+
+    expect(acc(prim.attributes.POSITION).type).toBe('VEC3');
+    expect(acc(prim.attributes.POSITION).count).toBe(24);
+    expect(acc(prim.attributes.POSITION).min[0]).toBeCloseTo(1);
+    expect(acc(prim.attributes.POSITION).max[0]).toBeCloseTo(2);
+    expect(acc(prim.attributes.NORMAL).count).toBe(24);
+    expect(acc(prim.attributes.COLOR_0).count).toBe(24);
+    expect(acc(prim.indices).count).toBe(36);
+    expect(json.materials[prim.material]).toBeDefined();
+
+    for (const a of json.accessors) {
+      const view = json.bufferViews[a.bufferView];
+      expect(view.byteOffset % 4).toBe(0);
+      expect(view.byteOffset + view.byteLength).toBeLessThanOrEqual(bin.length);
+    }
+  });
+
+  it('converts palette colours to linear vertex colours', () => {
+    const colors = new Float32Array(PALETTE_SIZE * 3);
+    colors.set([1, 0.5, 0], 3 * 3);
+    const { json, bin } = buildGLTF(chunkWith([[1, 1, 1, 3]]), colors, null, { bakeAO: false });
+    const view = json.bufferViews[json.accessors[json.meshes[0].primitives[0].attributes.COLOR_0].bufferView];
+    const rgb = new Float32Array(bin.buffer, bin.byteOffset + view.byteOffset, 3);
+
+    expect(rgb[0]).toBeCloseTo(1);
+    expect(rgb[1]).toBeCloseTo(0.214, 3);
+    expect(rgb[2]).toBeCloseTo(0);
+  });
+
+  it('turns keyframes into translation and rotation channels on the region node', () => {
+    const { json } = buildGLTF(chunkWith(modelVoxels), paletteColors(), doorSystem(), { fps: 10 });
+
+    expect(json.animations.length).toBe(1);
+    const anim = json.animations[0];
+    expect(anim.name).toBe('open');
+    expect(anim.channels.map(c => c.target)).toEqual([
+      { node: 2, path: 'translation' },
+      { node: 2, path: 'rotation' }
+    ]);
+    for (const sampler of anim.samplers) {
+      expect(sampler.interpolation).toBe('LINEAR');
+      expect(json.accessors[sampler.input].max[0]).toBeCloseTo(1.5);
+      expect(json.accessors[sampler.output].count).toBe(16);
+    }
+    expect(json.accessors[anim.samplers[0].output].type).toBe('VEC3');
+    expect(json.accessors[anim.samplers[1].output].type).toBe('VEC4');
+  });
+});
+
+describe('sampleAnimation', () => {
+  it('bakes the pivot into the translation and ends on the final pose', () => {
+    const anim = doorSystem().animations.get('open');
+    const { times, translations, rotations } = sampleAnimation(anim, 10);
+    const last = times.length - 1;
+
+    expect(times[0]).toBe(0);
+    expect(times[last]).toBeCloseTo(1.5);
+
+    // 90 degrees about +Y through (3, 0, 0): the origin lands on (3, 0, 3), then moves up 2
+    expect(translations[last * 3]).toBeCloseTo(3);
+    expect(translations[last * 3 + 1]).toBeCloseTo(2);
+    expect(translations[last * 3 + 2]).toBeCloseTo(3);
+    expect(rotations[last * 4 + 1]).toBeCloseTo(Math.SQRT1_2);
+    expect(rotations[last * 4 + 3]).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it('follows the easing curve between samples', () => {
+    const anim = doorSystem().animations.get('open');
+    const { rotations } = sampleAnimation(anim, 4);
+    // ease-in (t^3) at t = 0.25 is 1/64 of the way, i.e. 1.40625 degrees
+    expect(rotations[1 * 4 + 1]).toBeCloseTo(Math.sin((1.40625 * Math.PI / 180) / 2), 6);
+  });
+});
+
+describe('GLB container', () => {
+  it('writes a valid header and round-trips through parseGLB', () => {
+    const glb = exportGLB(chunkWith(modelVoxels), paletteColors(), doorSystem());
+    const view = new DataView(glb.buffer);
+
+    expect(view.getUint32(0, true)).toBe(GLB_MAGIC);
+    expect(view.getUint32(4, true)).toBe(2);
+    expect(view.getUint32(8, true)).toBe(glb.length);
+    expect(glb.length % 4).toBe(0);
+
+    const { json, bin } = parseGLB(glb);
+    expect(json.nodes.length).toBe(3);
+    expect(bin.length).toBe(json.buffers[0].byteLength);
+  });
+
+  it('rejects files without the glTF magic', () => {
+    expect(() => parseGLB(new Uint8Array(32))).toThrow('Not a GLB file');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Fixtures shared by several test files.
+ */
+
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { AnimationSystem } from '../src/AnimationSystem.js';
+import { hexToRgbF, defaultPaletteHex, PALETTE_SIZE } from '../src/palette.js';
+
+/**
+ * An empty cubic chunk with the given voxels set.
+ *
+ * @param {number[][]} voxels [x, y, z, material] per voxel
+ * @param {number} [size=4] Chunk size
+ * @returns {VoxelChunk}
+ */
+export function chunkWith(voxels, size = 4) {
+  const chunk = new VoxelChunk(size);
+  chunk.fill(false);
+  for (const [x, y, z, m] of voxels) chunk.set(x, y, z, true, m);
+  return chunk;
+}
+
+/**
+ * A 4x4x4 chunk with voxels in two opposite corners, a `lid` region along
+ * the top layer and an `open` animation that rotates it about its edge.
+ *
+ * @returns {{chunk: VoxelChunk, animSystem: AnimationSystem}}
+ */
+export function lidScene() {
+  const chunk = new VoxelChunk(4);
+  chunk.fill(false);
+  chunk.set(0, 0, 0, true, 3);
+  chunk.set(3, 3, 3, true, 7);
+
+  const animSystem = new AnimationSystem();
+  animSystem.addRegion('lid', [0, 3, 0], [3, 3, 3]);
+  chunk.addRegion('lid', [0, 3, 0], [3, 3, 3]);
+  const anim = animSystem.addAnimation('open', 'lid');
+  anim.keyframes.push({ type: 'rotate', from: 0, to: 90, duration: 1, pivot: [0, 3, 0] });
+  anim.keyframes.push({ type: 'wait', duration: 1 });
+  return { chunk, animSystem };
+}
+
+/**
+ * Packed colors of the default palette.
+ *
+ * @param {Object<number, number[]>} [overrides] RGB floats for some indices
+ * @returns {Float32Array}
+ */
+export function defaultPaletteColors(overrides = {}) {
+  const colors = new Float32Array(PALETTE_SIZE * 3);
+  defaultPaletteHex.forEach((hex, i) => colors.set(overrides[i] || hexToRgbF(hex), i * 3));
+  return colors;
+}
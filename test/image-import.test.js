@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { imageToVoxels } from '../src/image-import.js';
+import { defaultPaletteHex } from '../src/palette.js';
+import { defaultPaletteColors } from './helpers.js';
+
+const colors = defaultPaletteColors();
+
+// 2x2 image: white, black / red (half transparent), grey
+const image = {
+  width: 2,
+  height: 2,
+  data: Uint8ClampedArray.from([
+    255, 255, 255, 255, 0, 0, 0, 255,
+    255, 0, 0, 100, 128, 128, 128, 255
+  ])
+};
+
+describe('image import', () => {
+  it('extrudes heightmap columns by brightness', () => {
+    const { size, voxels } = imageToVoxels(image, colors, { maxHeight: 4 });
+    expect(size).toEqual([2, 4, 2]);
+
+    const columns = {};
+    for (const [x, y, z] of voxels) columns[`${x},${z}`] = Math.max(columns[`${x},${z}`] ?? 0, y + 1);
+    expect(columns).toEqual({ '0,0': 4, '1,1': 2 });
+  });
+
+  it('extrudes sprites with the top row at the top', () => {
+    const { size, voxels } = imageToVoxels(image, colors, { mode: 'sprite', depth: 3 });
+    expect(size).toEqual([2, 2, 3]);
+    expect(voxels).toHaveLength(9);
+    expect(voxels.filter(([x, y]) => x === 0 && y === 1)).toHaveLength(3);
+    expect(voxels.some(([x, y]) => x === 0 && y === 0)).toBe(false); // transparent red
+  });
+
+  it('quantises pixel colours to the palette', () => {
+    const { voxels } = imageToVoxels(image, colors, { mode: 'sprite' });
+    const white = voxels.find(([x, y]) => x === 0 && y === 1)[3];
+    expect(defaultPaletteHex[white]).toBe('#ffffff');
+    expect(() => imageToVoxels(image, colors, { mode: 'relief' })).toThrow(/Unknown image import mode/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { stampFromJSON, stampCells, stampOutline, mergeAnimationData } from '../src/merge.js';
+import { exportVoxelJSON } from '../src/voxel-format.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { AnimationSystem } from '../src/AnimationSystem.js';
+import { PALETTE_SIZE, paletteRemap } from '../src/palette.js';
+import { defaultPaletteColors } from './helpers.js';
+
+describe('import into scene', () => {
+  it('remaps incoming materials to the nearest current color', () => {
+    const colors = defaultPaletteColors({ 5: [1, 0, 1] });
+    const remap = paletteRemap([null, [1, 0, 0.98]], colors);
+    expect(remap[1]).toBe(5);
+    expect(remap[2]).toBe(2); // default color, still present
+  });
+
+  it('places a stamp, optionally keeping existing voxels', () => {
+    const source = new VoxelChunk(2);
+    source.fill(false);
+    source.set(0, 0, 0, true, 1);
+    source.set(1, 0, 0, true, 1);
+    const block = stampFromJSON(exportVoxelJSON(source, defaultPaletteColors({ 1: [0, 0, 0] })), defaultPaletteColors());
+    expect(block.size).toEqual([2, 2, 2]);
+    expect(block.voxels.every(v => v[3] === 16)).toBe(true); // black is the first colour-cube entry
+
+    const chunk = new VoxelChunk(4);
+    chunk.fill(false);
+    chunk.set(3, 0, 0, true, 9);
+    expect(stampCells(chunk, block, [2, 0, 0], false).map(c => c.id)).toEqual([chunk.idx3(2, 0, 0), chunk.idx3(3, 0, 0)]);
+    expect(stampCells(chunk, block, [2, 0, 0], true).map(c => c.id)).toEqual([chunk.idx3(2, 0, 0)]);
+    expect(stampCells(chunk, block, [3, 3, 3], false)).toHaveLength(1);
+
+    const cube = new VoxelChunk(3);
+    expect(stampOutline(stampFromJSON(exportVoxelJSON(cube, defaultPaletteColors()), defaultPaletteColors()))).toHaveLength(26);
+  });
+
+  it('adds animation data under free names with references updated', () => {
+    const animSystem = new AnimationSystem();
+    animSystem.addRegion('door', [0, 0, 0], [1, 1, 1]);
+    animSystem.addAnimation('open', 'door');
+
+    const names = mergeAnimationData(animSystem, {
+      regions: { door: { min: [0, 0, 0], max: [1, 2, 0] } },
+      animations: { open: { regionName: 'door', keyframes: [{ type: 'rotate', from: 0, to: 90, duration: 1, pivot: [1, 0, 0] }] } },
+      emitters: { smoke: { position: [0, 2, 0], colorIds: [1] } },
+      groups: { go: { animations: ['open'], emitters: ['smoke'] } }
+    }, [4, 0, 2], Uint8Array.from({ length: PALETTE_SIZE }, (_, i) => i + 1));
+
+    expect(names.regions).toEqual({ door: 'door1' });
+    expect(animSystem.regions.get('door').max).toEqual([1, 1, 1]);
+    expect(animSystem.regions.get('door1').min).toEqual([4, 0, 2]);
+    expect(animSystem.regions.get('door1').max).toEqual([5, 2, 2]);
+
+    const anim = animSystem.animations.get('open1');
+    expect(anim.region).toBe(animSystem.regions.get('door1'));
+    expect(anim.keyframes[0].pivot).toEqual([5, 0, 2]);
+
+    const emitter = animSystem.emitters.get('smoke');
+    expect(emitter.position).toEqual([4, 2, 2]);
+    expect(emitter.colorIds).toEqual([2]);
+    expect(animSystem.groups.get('go').animationNames).toEqual(['open1']);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { buildSolidMesh, exportOBJ, exportSTL } from '../src/mesh-export.js';
+import { PALETTE_SIZE } from '../src/palette.js';
+import { chunkWith } from './helpers.js';
+
+const triangles = (mesh) => mesh.indices.length / 3;
+
+/**
+ * Every directed edge must appear exactly once and be matched by its reverse:
+ * the surface is closed, consistently wound and each edge has two triangles.
+ */
+function expectManifold(mesh) {
+  const directed = new Map();
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    for (let i = 0; i < 3; i++) {
+      const key = `${mesh.indices[t + i]}>${mesh.indices[t + (i + 1) % 3]}`;
+      directed.set(key, (directed.get(key) || 0) + 1);
+    }
+  }
+  for (const [key, count] of directed) {
+    const [a, b] = key.split('>');
+    expect(count, `edge ${key} used ${count} times`).toBe(1);
+    expect(directed.get(`${b}>${a}`), `edge ${key} has no twin`).toBe(1);
+  }
+}
+
+function expectNoDegenerateTriangles(mesh) {
+  const p = (i) => [0, 1, 2].map(a => mesh.positions[i * 3 + a]);
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map(i => p(mesh.indices[t + i]));
+    const ab = [0, 1, 2].map(i => b[i] - a[i]);
+    const ac = [0, 1, 2].map(i => c[i] - a[i]);
+    const cross = [ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]];
+    expect(Math.hypot(...cross)).toBeGreaterThan(0);
+  }
+}
+
+describe('buildSolidMesh', () => {
+  it('meshes a single voxel as a closed 12-triangle cube', () => {
+    const mesh = buildSolidMesh(chunkWith([[1, 1, 1, 0]]).toMeshData());
+    expect(triangles(mesh)).toBe(12);
+    expect(mesh.positions.length / 3).toBe(8);
+    expectManifold(mesh);
+  });
+
+  it('merges a bar of one material into 12 triangles', () => {
+    const mesh = buildSolidMesh(chunkWith([[0, 0, 0, 2], [1, 0, 0, 2], [2, 0, 0, 2]]).toMeshData());
+    expect(triangles(mesh)).toBe(12);
+    expectManifold(mesh);
+  });
+
+  it('has no internal faces between regions', () => {
+    const chunk = chunkWith([[0, 0, 0, 1], [1, 0, 0, 1]]);
+    chunk.addRegion('door', [1, 0, 0], [1, 0, 0]);
+    const mesh = buildSolidMesh(chunk.toMeshData());
+    expect(triangles(mesh)).toBe(12);
+    expectManifold(mesh);
+  });
+
+  it('stitches T-junctions between quads of different materials', () => {
+    // A 2x1 slab of material 1 with a single voxel of material 2 on one end
+    const mesh = buildSolidMesh(chunkWith([[0, 0, 0, 1], [1, 0, 0, 1], [0, 1, 0, 2]]).toMeshData());
+    expectManifold(mesh);
+    expectNoDegenerateTriangles(mesh);
+    expect(new Set(mesh.materials)).toEqual(new Set([1, 2]));
+
+    const merged = buildSolidMesh(chunkWith([[0, 0, 0, 1], [1, 0, 0, 1], [0, 1, 0, 2]]).toMeshData(), { byMaterial: false });
+    expectManifold(merged);
+    expect([...merged.materials].every(m => m === 0)).toBe(true);
+  });
+
+  it('splits vertices where voxels only share an edge or a corner', () => {
+    const verticesAt = (mesh, p) => {
+      let count = 0;
+      for (let i = 0; i < mesh.positions.length; i += 3) {
+        if (mesh.positions[i] === p[0] && mesh.positions[i + 1] === p[1] && mesh.positions[i + 2] === p[2]) count++;
+      }
+      return count;
+    };
+
+    // Both ends of the shared edge get one vertex per voxel, joined through the edge midpoint
+    const edge = buildSolidMesh(chunkWith([[0, 0, 0, 0], [1, 1, 0, 0]]).toMeshData());
+    expect(verticesAt(edge, [1, 1, 0])).toBe(2);
+    expect(verticesAt(edge, [1, 1, 1])).toBe(2);
+    expect(verticesAt(edge, [1, 1, 0.5])).toBe(1);
+    expectManifold(edge);
+    expectNoDegenerateTriangles(edge);
+
+    const corner = buildSolidMesh(chunkWith([[0, 0, 0, 0], [1, 1, 1, 0]]).toMeshData());
+    expect(corner.positions.length / 3).toBe(16);
+    expect(triangles(corner)).toBe(24);
+    expectManifold(corner);
+  });
+
+  it('stays manifold for every 2x2x2 pattern', () => {
+    for (let config = 1; config < 256; config++) {
+      const voxels = [];
+      for (let i = 0; i < 8; i++) {
+        if (config & (1 << i)) voxels.push([1 + (i & 1), 1 + ((i >> 1) & 1), 1 + ((i >> 2) & 1), 0]);
+      }
+      expectManifold(buildSolidMesh(chunkWith(voxels).toMeshData()));
+    }
+  });
+
+  it('stays manifold on a noisy blob', () => {
+    let seed = 12345;
+    const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+    const voxels = [];
+    for (let z = 0; z < 6; z++) for (let y = 0; y < 6; y++) for (let x = 0; x < 6; x++) {
+      if (random() < 0.55) voxels.push([x, y, z, Math.floor(random() * 3)]);
+    }
+    const mesh = buildSolidMesh(chunkWith(voxels, 6).toMeshData());
+    expect(triangles(mesh)).toBeGreaterThan(0);
+    expectManifold(mesh);
+    expectNoDegenerateTriangles(mesh);
+  });
+});
+
+describe('exportSTL', () => {
+  it('writes a binary STL with one 50-byte record per triangle', () => {
+    const stl = exportSTL(chunkWith([[0, 0, 0, 0], [1, 0, 0, 0]]), { scale: 2 });
+    const view = new DataView(stl.buffer);
+    const count = view.getUint32(80, true);
+
+    expect(count).toBe(12);
+    expect(stl.length).toBe(84 + count * 50);
+
+    // Z-up with 2 mm voxels: the 2x1x1 bar spans 4 x 2 x 2 mm, standing on z = 0
+    const coords = [[], [], []];
+    for (let t = 0; t < count; t++) {
+      for (let i = 0; i < 9; i++) coords[i % 3].push(view.getFloat32(84 + t * 50 + 12 + i * 4, true));
+    }
+    expect(Math.max(...coords[0]) - Math.min(...coords[0])).toBeCloseTo(4);
+    expect(Math.max(...coords[1]) - Math.min(...coords[1])).toBeCloseTo(2);
+    expect(Math.min(...coords[2])).toBeCloseTo(0);
+    expect(Math.max(...coords[2])).toBeCloseTo(2);
+  });
+
+  it('writes outward normals matching the winding', () => {
+    const stl = exportSTL(chunkWith([[0, 0, 0, 0]]));
+    const view = new DataView(stl.buffer);
+    const f = (o) => view.getFloat32(o, true);
+    for (let t = 0; t < 12; t++) {
+      const o = 84 + t * 50;
+      const n = [f(o), f(o + 4), f(o + 8)];
+      const v = [0, 1, 2].map(i => [0, 1, 2].map(a => f(o + 12 + i * 12 + a * 4)));
+      const ab = [0, 1, 2].map(a => v[1][a] - v[0][a]);
+      const ac = [0, 1, 2].map(a => v[2][a] - v[0][a]);
+      const cross = [ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]];
+      expect(cross[0] * n[0] + cross[1] * n[1] + cross[2] * n[2]).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('exportOBJ', () => {
+  it('writes faces grouped by palette material with a matching MTL', () => {
+    const colors = new Float32Array(PALETTE_SIZE * 3);
+    colors.set([1, 0.5, 0], 3 * 3);
+    const { obj, mtl } = exportOBJ(chunkWith([[0, 0, 0, 3], [1, 0, 0, 17]]), colors, { scale: 0.5, name: 'bar' });
+    const lines = obj.split('\n');
+
+    expect(lines).toContain('mtllib bar.mtl');
+    expect(lines.filter(l => l.startsWith('usemtl '))).toEqual(['usemtl palette_03', 'usemtl palette_11']);
+    expect(lines.filter(l => l.startsWith('f ')).length).toBeGreaterThanOrEqual(12);
+    expect(lines).toContain('v 1 0.5 0.5');
+
+    expect(mtl).toContain('newmtl palette_03\nKd 1 0.5 0');
+    expect(mtl).toContain('newmtl palette_11');
+  });
+});
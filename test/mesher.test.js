@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildGreedyMesh, buildPickMesh, buildChunkMeshes, mainSolidTest, cornerOcclusion,
+  packPickId, unpackPickId, GROUND_FACE
+} from '../src/mesher.js';
+import { chunkWith } from './helpers.js';
+
+const quads = (mesh) => mesh.indices.length / 6;
+
+describe('buildGreedyMesh', () => {
+  it('returns typed arrays with 4 vertices and 6 indices per quad', () => {
+    const data = chunkWith([[1, 1, 1, 3]]).toMeshData();
+    const mesh = buildGreedyMesh(data, mainSolidTest(data));
+
+    expect(mesh.positions).toBeInstanceOf(Float32Array);
+    expect(mesh.normals).toBeInstanceOf(Float32Array);
+    expect(mesh.matIds).toBeInstanceOf(Uint8Array);
+    expect(mesh.indices).toBeInstanceOf(Uint32Array);
+    expect(quads(mesh)).toBe(6);
+    expect(mesh.positions.length).toBe(6 * 4 * 3);
+    expect([...mesh.matIds].every(m => m === 3)).toBe(true);
+  });
+
+  it('merges coplanar faces of the same material only', () => {
+    const same = chunkWith([[0, 0, 0, 1], [1, 0, 0, 1]]).toMeshData();
+    expect(quads(buildGreedyMesh(same, mainSolidTest(same)))).toBe(6);
+
+    const mixed = chunkWith([[0, 0, 0, 1], [1, 0, 0, 2]]).toMeshData();
+    expect(quads(buildGreedyMesh(mixed, mainSolidTest(mixed)))).toBe(10);
+  });
+
+  it('culls border faces against solid neighbours outside the bounds', () => {
+    const data = chunkWith([[3, 0, 0, 1]]).toMeshData();
+    const mesh = buildGreedyMesh(data, mainSolidTest(data), (x) => x === 4);
+    expect(quads(mesh)).toBe(5);
+  });
+});
+
+describe('ambient occlusion', () => {
+  // Quads whose normal is +Y
+  const upQuads = (mesh) => {
+    let count = 0;
+    for (let q = 0; q < mesh.normals.length / 12; q++) if (mesh.normals[q * 12 + 1] === 1) count++;
+    return count;
+  };
+
+  const floor = (extra = []) => {
+    const voxels = [...extra];
+    for (let z = 0; z < 3; z++) for (let x = 0; x < 3; x++) voxels.push([x, 0, z, 1]);
+    return chunkWith(voxels).toMeshData();
+  };
+
+  it('counts edge and corner neighbours, saturating when both edges are solid', () => {
+    expect(cornerOcclusion(false, false, false)).toBe(0);
+    expect(cornerOcclusion(false, false, true)).toBe(1);
+    expect(cornerOcclusion(true, false, true)).toBe(2);
+    expect(cornerOcclusion(true, true, false)).toBe(3);
+  });
+
+  it('emits one occlusion value per vertex, zero for an open voxel', () => {
+    const data = chunkWith([[1, 1, 1, 3]]).toMeshData();
+    const mesh = buildGreedyMesh(data, mainSolidTest(data));
+    expect(mesh.occlusion).toBeInstanceOf(Uint8Array);
+    expect(mesh.occlusion.length).toBe(mesh.positions.length / 3);
+    expect([...mesh.occlusion].every(o => o === 0)).toBe(true);
+  });
+
+  it('only merges faces with matching occlusion', () => {
+    const open = floor();
+    expect(upQuads(buildGreedyMesh(open, mainSolidTest(open)))).toBe(1);
+
+    // A voxel above the centre darkens the surrounding top faces
+    const occluded = floor([[1, 1, 1, 1]]);
+    const mesh = buildGreedyMesh(occluded, mainSolidTest(occluded));
+    expect(upQuads(mesh)).toBeGreaterThan(2);
+    expect(Math.max(...mesh.occlusion)).toBeGreaterThan(0);
+  });
+});
+
+describe('buildChunkMeshes', () => {
+  it('splits region voxels out of the main mesh', () => {
+    const chunk = chunkWith([[0, 0, 0, 1], [3, 3, 3, 2]]);
+    chunk.addRegion('door', [3, 3, 3], [3, 3, 3]);
+
+    const meshes = buildChunkMeshes(chunk.toMeshData());
+    expect(quads(meshes.main)).toBe(6);
+    expect(quads(meshes.regions.door)).toBe(6);
+    expect([...meshes.regions.door.matIds].every(m => m === 2)).toBe(true);
+  });
+});
+
+describe('buildPickMesh', () => {
+  it('emits one quad per exposed face plus the ground plane', () => {
+    const chunk = chunkWith([[0, 0, 0, 1], [1, 0, 0, 1]]);
+    const pick = buildPickMesh(chunk.toMeshData());
+
+    expect(pick.voxel.indices.length / 6).toBe(10);
+    expect(pick.ground.indices.length / 6).toBe(16);
+    expect(pick.voxel.packed).toBeInstanceOf(Uint32Array);
+
+    const faces = new Set([...pick.voxel.packed].map(p => unpackPickId(p).face));
+    expect(faces).toEqual(new Set([0, 1, 2, 3, 4, 5]));
+    expect(unpackPickId(pick.ground.packed[0]).face).toBe(GROUND_FACE);
+  });
+
+  it('round-trips packed pick ids', () => {
+    expect(unpackPickId(packPickId(1234, 5))).toEqual({ voxel: 1234, face: 5 });
+    expect(unpackPickId(0)).toEqual({ voxel: -1, face: -1 });
+  });
+});
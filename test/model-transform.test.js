@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { rotationMatrix, flipMatrix, transformModel, upscaleModel, downscaleModel } from '../src/model-transform.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { AnimationSystem } from '../src/AnimationSystem.js';
+
+function scene() {
+  const chunk = new VoxelChunk(1);
+  chunk.expandSize(4, 2, 3);
+  chunk.fill(false);
+  chunk.set(0, 0, 0, true, 3);
+  chunk.set(3, 1, 0, true, 7);
+
+  const animSystem = new AnimationSystem();
+  animSystem.addRegion('arm', [3, 0, 0], [3, 1, 2]);
+  const anim = animSystem.addAnimation('wave', 'arm');
+  anim.keyframes.push({ type: 'rotate', from: 0, to: 90, duration: 1, pivot: [3, 1, 0], axis: [1, 0, 0] });
+  anim.keyframes.push({ type: 'move', axis: 'x', delta: 2, duration: 1 });
+  const emitter = animSystem.addEmitter('smoke');
+  emitter.position = [1, 2, 0.5];
+  return { chunk, animSystem, anim, emitter };
+}
+
+const solidCells = (chunk) => {
+  const cells = [];
+  for (let i = 0; i < chunk.length; i++) if (chunk.isSolid(i)) cells.push([...chunk.coordsOf(i), chunk.material(i)]);
+  return cells;
+};
+
+describe('model transforms', () => {
+  it('rotates voxels, regions and animation data about Y', () => {
+    const { chunk, animSystem, anim, emitter } = scene();
+    const size = transformModel(chunk, animSystem, rotationMatrix(1, 1));
+
+    // x' = z, z' = sizeX - 1 - x
+    expect(size).toEqual([3, 2, 4]);
+    expect(solidCells(chunk)).toEqual([[0, 1, 0, 7], [0, 0, 3, 3]]);
+    expect(animSystem.regions.get('arm').min).toEqual([0, 0, 0]);
+    expect(animSystem.regions.get('arm').max).toEqual([2, 1, 0]);
+    expect(anim.keyframes[0].pivot).toEqual([0, 1, 1]);
+    expect(anim.keyframes[0].axis.map(Math.abs)).toEqual([0, 0, 1]);
+    expect(anim.keyframes[0].axis[2]).toBe(-1);
+    expect(anim.keyframes[1]).toMatchObject({ axis: 'z', delta: -2 });
+    expect(emitter.position).toEqual([0.5, 2, 3]);
+  });
+
+  it('comes back after four quarter turns', () => {
+    const { chunk, animSystem, anim } = scene();
+    const before = solidCells(chunk);
+    for (let i = 0; i < 4; i++) transformModel(chunk, animSystem, rotationMatrix(0, -1));
+
+    expect(solidCells(chunk)).toEqual(before);
+    expect(anim.keyframes[0].pivot).toEqual([3, 1, 0]);
+    expect(animSystem.regions.get('arm').max).toEqual([3, 1, 2]);
+  });
+
+  it('mirrors and reverses the rotation sense', () => {
+    const { chunk, animSystem, anim } = scene();
+    transformModel(chunk, animSystem, flipMatrix(0));
+
+    expect(solidCells(chunk)).toEqual([[3, 0, 0, 3], [0, 1, 0, 7]]);
+    expect(animSystem.regions.get('arm').min).toEqual([0, 0, 0]);
+    expect(anim.keyframes[0].pivot).toEqual([1, 1, 0]);
+    expect(anim.keyframes[0].axis[0]).toBe(1); // the axis itself is reflected and the sense flips
+    expect(anim.keyframes[1]).toMatchObject({ axis: 'x', delta: -2 });
+  });
+
+  it('upscales and downscales back', () => {
+    const { chunk, animSystem, anim, emitter } = scene();
+    const before = solidCells(chunk);
+
+    expect(upscaleModel(chunk, animSystem, 2)).toEqual([8, 4, 6]);
+    expect(solidCells(chunk).length).toBe(16);
+    expect(animSystem.regions.get('arm').max).toEqual([7, 3, 5]);
+    expect(anim.keyframes[0].pivot).toEqual([6, 2, 0]);
+    expect(anim.keyframes[1].delta).toBe(4);
+    expect(emitter.particleSize).toBeCloseTo(0.4);
+
+    expect(downscaleModel(chunk, animSystem, 2)).toEqual([4, 2, 3]);
+    expect(solidCells(chunk)).toEqual(before);
+    expect(animSystem.regions.get('arm').min).toEqual([3, 0, 0]);
+    expect(animSystem.regions.get('arm').max).toEqual([3, 1, 2]);
+    expect(emitter.position).toEqual([1, 2, 0.5]);
+  });
+
+  it('downscales by majority vote', () => {
+    const chunk = new VoxelChunk(2);
+    chunk.fill(false);
+    chunk.set(0, 0, 0, true, 1);
+    chunk.set(1, 0, 0, true, 2);
+    chunk.set(0, 1, 0, true, 2);
+    downscaleModel(chunk, new AnimationSystem(), 2);
+    expect(chunk.isSolid(0)).toBe(false);
+
+    chunk.expandSize(2, 2, 2);
+    chunk.fill(false);
+    [[0, 0, 0, 1], [1, 0, 0, 2], [0, 1, 0, 2], [1, 1, 0, 1]].forEach(([x, y, z, m]) => chunk.set(x, y, z, true, m));
+    downscaleModel(chunk, new AnimationSystem(), 2);
+    expect(chunk.isSolid(0)).toBe(true);
+    expect(chunk.material(0)).toBe(1);
+  });
+});
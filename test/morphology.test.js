@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { hollowChanges, thickenChanges, erodeChanges, dilateChanges, smoothChanges } from '../src/morphology.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+function cube(size, chunkSize = size, material = 1) {
+  const chunk = new VoxelChunk(chunkSize);
+  chunk.fill(false);
+  chunk.setMaterialAll(0);
+  for (let z = 0; z < size; z++) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) chunk.set(x, y, z, true, material);
+    }
+  }
+  return chunk;
+}
+
+const apply = (chunk, changes) => {
+  for (const { id, solid, material } of changes) {
+    chunk.setSolid(id, solid);
+    chunk.setMaterial(id, material);
+  }
+  return chunk;
+};
+
+const count = (chunk) => {
+  let n = 0;
+  for (let i = 0; i < chunk.length; i++) if (chunk.isSolid(i)) n++;
+  return n;
+};
+
+describe('morphology', () => {
+  it('hollows to a shell of the given thickness', () => {
+    expect(count(apply(cube(5), hollowChanges(cube(5), 1)))).toBe(125 - 27);
+    expect(count(apply(cube(5), hollowChanges(cube(5), 2)))).toBe(124);
+    expect(hollowChanges(cube(5), 3)).toEqual([]);
+  });
+
+  it('thickens a shell inward without growing outside', () => {
+    const shell = () => apply(cube(5, 7, 2), hollowChanges(cube(5, 7, 2), 1));
+    const inner = thickenChanges(shell(), 1);
+    expect(inner).toHaveLength(26);
+    expect(inner.every(c => c.solid && c.material === 2)).toBe(true);
+    expect(inner.map(c => c.id)).not.toContain(shell().idx3(2, 2, 2));
+    expect(count(apply(shell(), thickenChanges(shell(), 2)))).toBe(125);
+
+    // An opening joins the inside to the outside, so nothing is enclosed
+    const open = shell();
+    open.setSolid(open.idx3(2, 2, 0), false);
+    expect(thickenChanges(open, 2)).toEqual([]);
+
+    // Growing from part of the shell only
+    const wall = shell();
+    const ids = new Set();
+    for (let z = 0; z < 5; z++) for (let y = 0; y < 5; y++) ids.add(wall.idx3(0, y, z));
+    expect(thickenChanges(wall, 1, ids)).toHaveLength(9);
+  });
+
+  it('erodes with 6 or 26 neighbours', () => {
+    // A 3x3x3 cube away from the chunk edge: 6-erosion keeps only the centre
+    const chunk = new VoxelChunk(5);
+    chunk.fill(false);
+    for (let z = 1; z < 4; z++) for (let y = 1; y < 4; y++) for (let x = 1; x < 4; x++) chunk.set(x, y, z, true, 1);
+    expect(erodeChanges(chunk, 6)).toHaveLength(26);
+    expect(erodeChanges(chunk, 26)).toHaveLength(26);
+    expect(() => erodeChanges(chunk, 8)).toThrow(/6 or 26/);
+  });
+
+  it('dilates with neighbour materials', () => {
+    const chunk = new VoxelChunk(3);
+    chunk.fill(false);
+    chunk.set(1, 1, 1, true, 4);
+    expect(dilateChanges(chunk, 6).map(c => c.material)).toEqual([4, 4, 4, 4, 4, 4]);
+    expect(dilateChanges(chunk, 26)).toHaveLength(26);
+
+    chunk.set(0, 0, 0, true, 2);
+    const grown = dilateChanges(chunk, 6, new Set([chunk.idx3(0, 0, 0)]));
+    expect(grown.map(c => c.material)).toEqual([2, 2, 2]);
+  });
+
+  it('removes spikes and fills pits', () => {
+    const chunk = new VoxelChunk(5);
+    chunk.fill(false);
+    for (let z = 0; z < 5; z++) for (let x = 0; x < 5; x++) {
+      chunk.set(x, 0, z, true, 1);
+      chunk.set(x, 1, z, true, 1);
+    }
+    chunk.set(2, 2, 2, true, 3); // spike
+    chunk.set(1, 1, 1, false); // pit
+    const changes = smoothChanges(chunk);
+
+    expect(changes).toContainEqual({ id: chunk.idx3(2, 2, 2), solid: false, material: 3 });
+    expect(changes).toContainEqual({ id: chunk.idx3(1, 1, 1), solid: true, material: 1 });
+    expect(changes).toHaveLength(2);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  selectBox, selectConnected, combineSelection, extractBlock,
+  rotateBlock, mirrorBlock, placeBlock, blockToJSON, blockFromJSON
+} from '../src/selection.js';
+import { hexToRgbF, defaultPaletteHex } from '../src/palette.js';
+import { chunkWith, defaultPaletteColors } from './helpers.js';
+
+const keys = (voxels) => new Set(voxels.map(v => v.join(',')));
+
+// An L of three voxels: two along X, one up Y, with distinct materials
+const L_SHAPE = [[1, 1, 1, 1], [2, 1, 1, 2], [1, 2, 1, 3]];
+
+describe('selection picking', () => {
+  it('selects solid voxels in a box clipped to the chunk', () => {
+    const chunk = chunkWith(L_SHAPE);
+    expect(selectBox(chunk, [-5, 1, 1], [1, 9, 1]).map(id => chunk.coordsOf(id).join(','))).toEqual(['1,1,1', '1,2,1']);
+    expect(selectBox(chunk, [3, 3, 3], [3, 3, 3])).toEqual([]);
+  });
+
+  it('grows connected selections through one material only', () => {
+    const chunk = chunkWith([[0, 0, 0, 1], [1, 0, 0, 1], [1, 1, 0, 1], [2, 0, 0, 2], [3, 0, 0, 1], [2, 2, 0, 1]]);
+    const ids = selectConnected(chunk, chunk.idx3(0, 0, 0));
+    expect(new Set(ids.map(id => chunk.coordsOf(id).join(',')))).toEqual(new Set(['0,0,0', '1,0,0', '1,1,0']));
+    expect(selectConnected(chunk, chunk.idx3(3, 3, 3))).toEqual([]);
+  });
+
+  it('combines selections with replace, add and subtract', () => {
+    const current = new Set([1, 2, 3]);
+    expect(combineSelection(current, [3, 4])).toEqual(new Set([3, 4]));
+    expect(combineSelection(current, [3, 4], 'add')).toEqual(new Set([1, 2, 3, 4]));
+    expect(combineSelection(current, [3, 4], 'subtract')).toEqual(new Set([1, 2]));
+    expect(current).toEqual(new Set([1, 2, 3]));
+    expect(() => combineSelection(current, [], 'invert')).toThrow('Unknown selection op');
+  });
+});
+
+describe('blocks', () => {
+  it('extracts voxels relative to their bounds', () => {
+    const chunk = chunkWith(L_SHAPE);
+    const block = extractBlock(chunk, selectBox(chunk, [0, 0, 0], [3, 3, 3]));
+    expect(block.origin).toEqual([1, 1, 1]);
+    expect(block.size).toEqual([2, 2, 1]);
+    expect(keys(block.voxels)).toEqual(keys([[0, 0, 0, 1], [1, 0, 0, 2], [0, 1, 0, 3]]));
+    expect(extractBlock(chunk, [0])).toBe(null);
+  });
+
+  it('rotates a quarter turn about each axis and back after four', () => {
+    const block = { origin: [0, 0, 0], size: [3, 2, 1], voxels: [[0, 0, 0, 1], [2, 0, 0, 2], [0, 1, 0, 3]] };
+
+    const aboutZ = rotateBlock(block, 2);
+    expect(aboutZ.size).toEqual([2, 3, 1]);
+    // +X rotates onto +Y, +Y onto -X
+    expect(keys(aboutZ.voxels)).toEqual(keys([[1, 0, 0, 1], [1, 2, 0, 2], [0, 0, 0, 3]]));
+
+    expect(rotateBlock(block, 0).size).toEqual([3, 1, 2]);
+    expect(rotateBlock(block, 1).size).toEqual([1, 2, 3]);
+
+    for (const axis of [0, 1, 2]) {
+      let turned = block;
+      for (let i = 0; i < 4; i++) turned = rotateBlock(turned, axis);
+      expect(turned.size).toEqual(block.size);
+      expect(turned.origin).toEqual(block.origin);
+      expect(keys(turned.voxels)).toEqual(keys(block.voxels));
+    }
+  });
+
+  it('keeps the rotated block centred on the original', () => {
+    const block = { origin: [4, 4, 4], size: [5, 1, 1], voxels: [[0, 0, 0, 0], [4, 0, 0, 0]] };
+    const rotated = rotateBlock(block, 2);
+    expect(rotated.size).toEqual([1, 5, 1]);
+    expect(rotated.origin).toEqual([6, 2, 4]);
+  });
+
+  it('mirrors along one axis', () => {
+    const block = { origin: [2, 0, 0], size: [3, 1, 2], voxels: [[0, 0, 0, 1], [2, 0, 1, 2]] };
+    const mirrored = mirrorBlock(block, 0);
+    expect(mirrored.origin).toEqual([2, 0, 0]);
+    expect(keys(mirrored.voxels)).toEqual(keys([[2, 0, 0, 1], [0, 0, 1, 2]]));
+    expect(keys(mirrorBlock(mirrored, 0).voxels)).toEqual(keys(block.voxels));
+    expect(() => mirrorBlock(block, 3)).toThrow('Invalid axis');
+  });
+
+  it('places blocks clipped to the chunk', () => {
+    const chunk = chunkWith([]);
+    const block = { origin: [0, 0, 0], size: [2, 1, 1], voxels: [[0, 0, 0, 5], [1, 0, 0, 6]] };
+    expect(placeBlock(chunk, block, [3, 0, 0])).toEqual([{ id: chunk.idx3(3, 0, 0), material: 5 }]);
+    expect(placeBlock(chunk, block, [0, -1, 0])).toEqual([]);
+  });
+
+  it('round-trips through voxel JSON with its origin', () => {
+    const colors = defaultPaletteColors();
+    const block = { origin: [5, 6, 7], size: [2, 1, 20], voxels: [[0, 0, 0, 1], [1, 0, 19, 40]] };
+    const json = blockToJSON(block, colors);
+    expect(json.size).toEqual([2, 1, 20]);
+    expect(json.origin).toEqual([5, 6, 7]);
+
+    const copy = blockFromJSON(JSON.parse(JSON.stringify(json)), colors);
+    expect(copy.origin).toEqual([5, 6, 7]);
+    expect(copy.size).toEqual(block.size);
+    expect(keys(copy.voxels)).toEqual(keys(block.voxels));
+
+    expect(blockFromJSON({ size: 4, voxels: ['1230'] }, colors).origin).toEqual([0, 0, 0]);
+    expect(() => blockFromJSON({ size: 4 }, colors)).toThrow('Missing "voxels"');
+  });
+
+  it('remaps pasted materials onto the current palette', () => {
+    const target = defaultPaletteColors();
+    const source = defaultPaletteColors({ 3: hexToRgbF(defaultPaletteHex[9]) }); // material 3 shows material 9's color
+
+    const json = blockToJSON({ origin: [0, 0, 0], size: [2, 1, 1], voxels: [[0, 0, 0, 3], [1, 0, 0, 5]] }, source);
+    const copy = blockFromJSON(json, target);
+    expect(copy.voxels).toEqual([[0, 0, 0, 9], [1, 0, 0, 5]]);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { boxCells, ellipsoidCells, cylinderCells, lineCells, shapeCells, cellBounds } from '../src/shapes.js';
+
+const keys = (cells) => new Set(cells.map(c => c.join(',')));
+
+describe('shape rasterization', () => {
+  it('fills boxes regardless of corner order', () => {
+    expect(boxCells([2, 0, 1], [0, 1, 1]).length).toBe(6);
+    expect(keys(boxCells([2, 0, 1], [0, 1, 1]))).toEqual(keys(boxCells([0, 1, 1], [2, 0, 1])));
+    expect(cellBounds([2, 0, 5], [0, 3, 1])).toEqual({ min: [0, 0, 1], max: [2, 3, 5] });
+  });
+
+  it('rounds ellipsoids and keeps single cells', () => {
+    expect(ellipsoidCells([4, 4, 4], [4, 4, 4])).toEqual([[4, 4, 4]]);
+
+    const sphere = keys(ellipsoidCells([0, 0, 0], [4, 4, 4]));
+    expect(sphere.has('2,2,2')).toBe(true);
+    expect(sphere.has('2,2,0')).toBe(true);
+    expect(sphere.has('0,0,0')).toBe(false);
+    // Symmetric about the centre
+    for (const key of sphere) {
+      expect(sphere.has(key.split(',').map(v => 4 - v).join(','))).toBe(true);
+    }
+  });
+
+  it('extrudes cylinders along the chosen axis', () => {
+    const cyl = cylinderCells([0, 0, 0], [4, 6, 4], 1);
+    const layers = [0, 1, 2, 3, 4, 5, 6].map(y => cyl.filter(c => c[1] === y).length);
+    expect(new Set(layers).size).toBe(1);
+    expect(keys(cyl).has('0,3,0')).toBe(false);
+    expect(keys(cyl).has('0,3,2')).toBe(true);
+
+    const alongX = cylinderCells([0, 0, 0], [6, 4, 4], 0);
+    expect(alongX.length).toBe(cyl.length);
+  });
+
+  it('draws connected Bresenham lines between both ends', () => {
+    const line = lineCells([0, 0, 0], [5, -2, 3]);
+    expect(line[0]).toEqual([0, 0, 0]);
+    expect(line[line.length - 1]).toEqual([5, -2, 3]);
+    expect(line.length).toBe(6);
+    for (let i = 1; i < line.length; i++) {
+      const step = line[i].map((v, a) => Math.abs(v - line[i - 1][a]));
+      expect(Math.max(...step)).toBe(1);
+    }
+    expect(lineCells([3, 3, 3], [3, 3, 3])).toEqual([[3, 3, 3]]);
+  });
+
+  it('dispatches by shape name', () => {
+    expect(shapeCells('line', [0, 0, 0], [0, 0, 3]).length).toBe(4);
+    expect(shapeCells('cylinder', [0, 0, 0], [2, 2, 2], { axis: 2 }).length).toBe(cylinderCells([0, 0, 0], [2, 2, 2], 2).length);
+    expect(() => shapeCells('cone', [0, 0, 0], [1, 1, 1])).toThrow('Unknown shape');
+  });
+});
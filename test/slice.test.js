@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { clipMeshData, sliceCell, SLICE_PLANES } from '../src/slice.js';
+import { buildPickMesh, unpackPickId } from '../src/mesher.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+describe('slice', () => {
+  it('hides voxels beyond the level and keeps the snapshot intact', () => {
+    const data = new VoxelChunk(4).toMeshData();
+    const clipped = clipMeshData(data, 1, 1);
+    const count = (solid) => solid.reduce((n, s) => n + s, 0);
+
+    expect(count(clipped.solid)).toBe(4 * 4 * 2);
+    expect(count(data.solid)).toBe(64);
+    expect(clipped.material).toBe(data.material);
+  });
+
+  it('exposes the interior of the cut layer to picking', () => {
+    const chunk = new VoxelChunk(4);
+    const inner = chunk.idx3(1, 1, 1);
+    const pickedVoxels = (data) => {
+      const ids = new Set();
+      for (const packed of buildPickMesh(data).voxel.packed) ids.add(unpackPickId(packed).voxel);
+      return ids;
+    };
+
+    expect(pickedVoxels(chunk.toMeshData()).has(inner)).toBe(false);
+    expect(pickedVoxels(clipMeshData(chunk.toMeshData(), 2, 1)).has(inner)).toBe(true);
+  });
+
+  it('maps layer coordinates back to cells', () => {
+    expect(sliceCell(0, 3, 1, 2)).toEqual([3, 2, 1]);
+    expect(sliceCell(1, 3, 1, 2)).toEqual([1, 3, 2]);
+    expect(sliceCell(2, 3, 1, 2)).toEqual([1, 2, 3]);
+    for (const [axis, { u, v }] of SLICE_PLANES.entries()) {
+      expect(new Set([axis, u, v]).size).toBe(3);
+    }
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { mirrorCoord, symmetricCells } from '../src/symmetry.js';
+
+describe('symmetry', () => {
+  it('mirrors across boundary and centre planes', () => {
+    // Default plane of a 16-wide chunk
+    expect(mirrorCoord(0, 8)).toBe(15);
+    expect(mirrorCoord(7, 8)).toBe(8);
+    // Plane through the middle of cell 7
+    expect(mirrorCoord(7, 7.5)).toBe(7);
+    expect(mirrorCoord(5, 7.5)).toBe(9);
+  });
+
+  it('returns the cell alone when no plane is active', () => {
+    expect(symmetricCells([1, 2, 3], [null, null, null])).toEqual([[1, 2, 3]]);
+  });
+
+  it('combines images across several planes', () => {
+    expect(symmetricCells([1, 2, 3], [8, null, null])).toEqual([[1, 2, 3], [14, 2, 3]]);
+
+    const all = symmetricCells([1, 2, 3], [8, 8, 8]);
+    expect(all.length).toBe(8);
+    expect(all).toContainEqual([14, 13, 12]);
+  });
+
+  it('drops duplicates for cells on a plane', () => {
+    expect(symmetricCells([7, 2, 3], [7.5, 8, null])).toEqual([[7, 2, 3], [7, 13, 3]]);
+  });
+});
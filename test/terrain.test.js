@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { generateTerrain, TerrainStreamer, TERRAIN_HEIGHT } from '../src/terrain.js';
+import { VoxelWorld } from '../src/voxel-world.js';
+
+// Voxel data of world columns [minX, minX+sizeX) x [minZ, minZ+sizeZ)
+function sample(world, minX, minZ, sizeX, sizeZ) {
+  const out = [];
+  for (let z = minZ; z < minZ + sizeZ; z++) {
+    for (let x = minX; x < minX + sizeX; x++) {
+      for (let y = 0; y < TERRAIN_HEIGHT; y++) out.push(world.get(x, y, z));
+    }
+  }
+  return out;
+}
+
+describe('TerrainStreamer', () => {
+  it('generates identical voxels across chunk boundaries regardless of load order', () => {
+    const a = new VoxelWorld(16);
+    const sa = new TerrainStreamer(a, 1234, { viewDistance: 1, maxGeneratePerUpdate: Infinity });
+    sa.update([0, 0, 0]);
+
+    const b = new VoxelWorld(16);
+    const sb = new TerrainStreamer(b, 1234, { viewDistance: 1, maxGeneratePerUpdate: Infinity });
+    sb.generateColumn(0, 0);
+    sb.generateColumn(-1, -1);
+    sb.generateColumn(-1, 0);
+    sb.generateColumn(0, -1);
+
+    // One-shot generation of the same area
+    const c = new VoxelWorld(16);
+    generateTerrain(c, 1234, -16, -16, 32, 32);
+
+    const area = sample(c, -16, -16, 32, 32);
+    expect(sample(a, -16, -16, 32, 32)).toEqual(area);
+    expect(sample(b, -16, -16, 32, 32)).toEqual(area);
+    expect(area.some(m => m >= 0)).toBe(true);
+  });
+
+  it('produces different terrain for different seeds', () => {
+    const a = new VoxelWorld(16);
+    const b = new VoxelWorld(16);
+    generateTerrain(a, 1, 0, 0, 16, 16);
+    generateTerrain(b, 2, 0, 0, 16, 16);
+    expect(sample(a, 0, 0, 16, 16)).not.toEqual(sample(b, 0, 0, 16, 16));
+  });
+
+  it('loads nearest columns first within the per-update cap', () => {
+    const world = new VoxelWorld(16);
+    const streamer = new TerrainStreamer(world, 7, { viewDistance: 2, maxGeneratePerUpdate: 1 });
+
+    expect(streamer.update([8, 0, 8]).generated).toBe(1);
+    expect(streamer.hasColumn(0, 0)).toBe(true);
+
+    while (streamer.update([8, 0, 8]).generated > 0);
+    expect(streamer.columnCount).toBe(25);
+  });
+
+  it('unloads columns beyond the unload distance', () => {
+    const world = new VoxelWorld(16);
+    const streamer = new TerrainStreamer(world, 7, {
+      viewDistance: 1, unloadDistance: 2, maxGeneratePerUpdate: Infinity
+    });
+    streamer.update([0, 0, 0]);
+    expect(streamer.columnCount).toBe(9);
+
+    const { unloaded } = streamer.update([16 * 10, 0, 0]);
+    expect(unloaded).toBe(9);
+    expect(streamer.columnCount).toBe(9);
+    expect(world.hasTile(0, 0, 0)).toBe(false);
+    for (const tile of world.tiles()) {
+      expect(Math.abs(tile.cx - 10)).toBeLessThanOrEqual(1);
+    }
+  });
+});
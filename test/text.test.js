@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { BUILTIN_FONT, parseBDF, layoutText, textFrame, textCells } from '../src/text.js';
+
+const BDF = `STARTFONT 2.1
+FONT -test-tiny
+FONTBOUNDINGBOX 3 3 0 -1
+CHARS 2
+STARTCHAR T
+ENCODING 84
+DWIDTH 4 0
+BBX 3 3 0 0
+BITMAP
+E0
+40
+40
+ENDCHAR
+STARTCHAR dot
+ENCODING 46
+DWIDTH 2 0
+BITMAP
+00
+00
+80
+ENDCHAR
+ENDFONT
+`;
+
+// Pixels as "x,y" strings for order-independent comparison
+const keys = (pixels) => pixels.map(p => p.join(',')).sort();
+
+describe('text', () => {
+  it('lays out the built-in 5x7 font on a baseline', () => {
+    const layout = layoutText(BUILTIN_FONT, 'I-');
+    // I: top and bottom bars with a stem in column 2; '-' starts one advance later
+    expect(keys(layout.pixels)).toEqual(keys([
+      [1, 6], [2, 6], [3, 6], [2, 5], [2, 4], [2, 3], [2, 2], [2, 1], [1, 0], [2, 0], [3, 0],
+      [6, 3], [7, 3], [8, 3], [9, 3], [10, 3]
+    ]));
+    expect([layout.minX, layout.maxX]).toEqual([1, 10]);
+    expect(layoutText(BUILTIN_FONT, 'é').pixels).toEqual(layoutText(BUILTIN_FONT, '?').pixels);
+  });
+
+  it('reads BDF glyphs with their boxes and advances', () => {
+    const font = parseBDF(BDF);
+    expect(font.name).toBe('-test-tiny');
+    expect(keys(font.glyphs.get(84).pixels)).toEqual(keys([[0, 2], [1, 2], [2, 2], [1, 1], [1, 0]]));
+    expect(font.glyphs.get(46)).toEqual({ advance: 2, pixels: [[0, -1]] }); // font box descends one row
+
+    const layout = layoutText(font, 'T.T');
+    expect(layout.pixels).toContainEqual([4, -1]);
+    expect(layout.maxX).toBe(8);
+    expect(() => parseBDF('hello')).toThrow(/Not a BDF font/);
+  });
+
+  it('reads left to right from outside every face', () => {
+    const normals = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    for (const n of normals) {
+      const { right, up } = textFrame(n);
+      // right × up points out of the face
+      const out = [right[1] * up[2] - right[2] * up[1], right[2] * up[0] - right[0] * up[2], right[0] * up[1] - right[1] * up[0]];
+      expect(out.map(c => c || 0)).toEqual(n);
+    }
+    expect(textFrame([0, 0, 1])).toEqual({ right: [1, 0, 0], up: [0, 1, 0] });
+  });
+
+  it('places aligned, extruded text cells on a face', () => {
+    const layout = { pixels: [[0, 0], [2, 1]], minX: 0, maxX: 2 };
+    expect(textCells(layout, [5, 5, 5], [0, 0, 1])).toEqual([[5, 5, 5], [7, 6, 5]]);
+    expect(textCells(layout, [5, 5, 5], [0, 0, 1], { align: 'right' })).toEqual([[3, 5, 5], [5, 6, 5]]);
+    expect(textCells(layout, [5, 5, 5], [0, 0, 1], { align: 'centre' })).toEqual([[4, 5, 5], [6, 6, 5]]);
+
+    // Engraved two deep into a +X face: reads along -Z, steps along -X
+    expect(textCells(layout, [5, 5, 5], [1, 0, 0], { depth: 2, direction: [-1, 0, 0] })).toEqual([
+      [5, 5, 5], [4, 5, 5], [5, 6, 3], [4, 6, 3]
+    ]);
+    expect(() => textCells(layout, [0, 0, 0], [0, 0, 1], { align: 'justify' })).toThrow(/Unknown text alignment/);
+  });
+});
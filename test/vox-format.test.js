@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { importVox, exportVox, DEFAULT_VOX_PALETTE } from '../src/vox-format.js';
+import { parseVoxelJSON } from '../src/voxel-format.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { PALETTE_SIZE, nearestColorIndex, quantizeColors } from '../src/palette.js';
+
+/**
+ * Minimal .vox writer for fixtures: chunks are [id, contentBytes] pairs.
+ */
+function voxFile(chunks) {
+  const body = [];
+  for (const [id, content] of chunks) {
+    body.push(...[...id].map(c => c.charCodeAt(0)), ...int32(content.length), ...int32(0), ...content);
+  }
+  return new Uint8Array([
+    ...[...'VOX '].map(c => c.charCodeAt(0)), ...int32(150),
+    ...[...'MAIN'].map(c => c.charCodeAt(0)), ...int32(0), ...int32(body.length),
+    ...body
+  ]);
+}
+
+function int32(v) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setInt32(0, v, true);
+  return [...b];
+}
+
+const str = (s) => [...int32(s.length), ...[...s].map(c => c.charCodeAt(0))];
+const dict = (obj) => [...int32(Object.keys(obj).length), ...Object.entries(obj).flatMap(([k, v]) => [...str(k), ...str(v)])];
+
+const sizeChunk = (x, y, z) => ['SIZE', [...int32(x), ...int32(y), ...int32(z)]];
+const xyziChunk = (voxels) => ['XYZI', [...int32(voxels.length), ...voxels.flat()]];
+const transform = (id, child, attrs, t) => ['nTRN', [...int32(id), ...dict(attrs), ...int32(child), ...int32(-1), ...int32(0), ...int32(1), ...dict(t ? { _t: t } : {})]];
+const group = (id, children) => ['nGRP', [...int32(id), ...dict({}), ...int32(children.length), ...children.flatMap(int32)]];
+const shape = (id, model) => ['nSHP', [...int32(id), ...dict({}), ...int32(1), ...int32(model), ...dict({})]];
+
+const decoded = (json) => parseVoxelJSON(json).voxels;
+
+describe('importVox', () => {
+  it('converts Z-up to Y-up and maps color index i to material i - 1', () => {
+    const file = voxFile([
+      sizeChunk(2, 3, 4),
+      xyziChunk([[0, 0, 0, 1], [1, 2, 3, 10]])
+    ]);
+    const json = importVox(file);
+
+    expect(json.size).toEqual([2, 4, 3]);
+    // vox (x, y, z) -> ours (x, z, 2 - y)
+    expect(decoded(json)).toEqual([[0, 0, 2, 0], [1, 3, 0, 9]]);
+  });
+
+  it('uses the default MagicaVoxel palette without an RGBA chunk', () => {
+    expect(DEFAULT_VOX_PALETTE.length).toBe(256);
+    expect(DEFAULT_VOX_PALETTE[1]).toEqual([0xff, 0xff, 0xff]);
+    expect(DEFAULT_VOX_PALETTE[255]).toEqual([0x11, 0x11, 0x11]);
+
+    const json = importVox(voxFile([sizeChunk(1, 1, 1), xyziChunk([[0, 0, 0, 1]])]));
+    expect(json.palette[0]).toBe('#ffffff');
+    expect(json.palette[1]).toBe('#ffffcc');
+  });
+
+  it('imports multi-model files as named regions placed by the scene graph', () => {
+    const file = voxFile([
+      sizeChunk(2, 2, 2), xyziChunk([[0, 0, 0, 1]]),
+      sizeChunk(2, 2, 2), xyziChunk([[1, 1, 1, 2]]),
+      transform(0, 1, {}),
+      group(1, [2, 4]),
+      transform(2, 3, { _name: 'body' }, '0 0 0'),
+      shape(3, 0),
+      transform(4, 5, { _name: 'head' }, '0 0 4'),
+      shape(5, 1)
+    ]);
+    const json = importVox(file);
+
+    expect(json.size).toEqual([2, 6, 2]);
+    expect(Object.keys(json.regions)).toEqual(['body', 'head']);
+    expect(json.regions.body).toEqual({ min: [0, 0, 0], max: [1, 1, 1] });
+    expect(json.regions.head).toEqual({ min: [0, 4, 0], max: [1, 5, 1] });
+    expect(decoded(json)).toEqual([[0, 0, 1, 0], [1, 5, 0, 1]]);
+  });
+
+  it('quantizes to the nearest colors when the palette is too small', () => {
+    const rgba = new Array(256 * 4).fill(255);
+    const colors = { 0: [250, 0, 0], 1: [240, 10, 0], 2: [0, 0, 250], 3: [0, 10, 240] };
+    for (const [i, c] of Object.entries(colors)) rgba.splice(i * 4, 3, ...c);
+
+    const file = voxFile([
+      sizeChunk(4, 1, 1),
+      xyziChunk([[0, 0, 0, 1], [1, 0, 0, 2], [2, 0, 0, 3], [3, 0, 0, 4]]),
+      ['RGBA', rgba]
+    ]);
+    const json = importVox(file, { maxColors: 2 });
+    const mats = decoded(json).map(v => v[3]);
+
+    expect(json.palette.length).toBe(2);
+    expect(mats[0]).toBe(mats[1]);
+    expect(mats[2]).toBe(mats[3]);
+    expect(mats[0]).not.toBe(mats[2]);
+  });
+
+  it('rejects files without the VOX header', () => {
+    expect(() => importVox(new Uint8Array(16))).toThrow('Not a MagicaVoxel file');
+  });
+});
+
+describe('exportVox', () => {
+  it('round-trips voxels and palette through importVox', () => {
+    const chunk = new VoxelChunk(16);
+    chunk.expandSize(5, 6, 7);
+    chunk.fill(false);
+    chunk.set(0, 0, 0, true, 0);
+    chunk.set(4, 5, 6, true, 200);
+    chunk.set(1, 2, 3, true, 17);
+
+    const colors = new Float32Array(PALETTE_SIZE * 3);
+    colors.set([0.2, 0.4, 0.6], 200 * 3);
+
+    const json = importVox(exportVox(chunk, colors));
+    expect(json.size).toEqual([5, 6, 7]);
+    expect(decoded(json).sort()).toEqual([[0, 0, 0, 0], [1, 2, 3, 17], [4, 5, 6, 200]].sort());
+    expect(json.palette[200]).toBe('#336699');
+  });
+
+  it('writes material 255 as the nearest representable color', () => {
+    const chunk = new VoxelChunk(2);
+    chunk.fill(false);
+    chunk.set(0, 0, 0, true, 255);
+
+    const colors = new Float32Array(PALETTE_SIZE * 3);
+    colors.set([1, 1, 1], 255 * 3);
+    colors.set([0.9, 0.9, 0.9], 42 * 3);
+
+    expect(decoded(importVox(exportVox(chunk, colors)))).toEqual([[0, 0, 0, 42]]);
+  });
+});
+
+describe('palette quantization helpers', () => {
+  it('finds the nearest palette entry', () => {
+    const colors = [0, 0, 0, 1, 1, 1, 1, 0, 0];
+    expect(nearestColorIndex(colors, [0.9, 0.1, 0.1])).toBe(2);
+    expect(nearestColorIndex(colors, [0.6, 0.6, 0.6])).toBe(1);
+    expect(nearestColorIndex(colors, [0.9, 0.1, 0.1], 2)).toBe(0);
+  });
+
+  it('keeps small sets and splits large ones along the widest channel', () => {
+    expect(quantizeColors([[0, 0, 0]], 4)).toEqual([[0, 0, 0]]);
+
+    const out = quantizeColors([[0, 0, 0], [0.1, 0, 0], [0.9, 0, 0], [1, 0, 0]], 2);
+    expect(out.length).toBe(2);
+    const reds = out.map(c => c[0]).sort();
+    expect(reds[0]).toBeCloseTo(0.05);
+    expect(reds[1]).toBeCloseTo(0.95);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { recordChange, recordMirroredChange, replayChanges } from '../src/voxel-changes.js';
+import { symmetricCells } from '../src/symmetry.js';
+import { patternMaterial, DEFAULT_PATTERN } from '../src/brush-pattern.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+// An empty 8x1x1 row with an X mirror plane through its middle
+function row() {
+  const chunk = new VoxelChunk(1);
+  chunk.expandSize(8, 1, 1);
+  chunk.fill(false);
+  chunk.setMaterialAll(0);
+  const mirrored = id => symmetricCells(chunk.coordsOf(id), [4, null, null]).map(c => chunk.idx3(...c));
+  return { chunk, mirrored };
+}
+
+function materials(chunk) {
+  return Array.from({ length: chunk.length }, (_, i) => chunk.isSolid(i) ? chunk.material(i) : '.').join(' ');
+}
+
+describe('voxel changes', () => {
+  it('skips changes that leave a voxel as it is', () => {
+    const { chunk } = row();
+    const act = { vox: [] };
+    recordChange(chunk, act, 2, true, 5);
+    recordChange(chunk, act, 2, true, 5);
+    recordChange(chunk, act, 3, false);
+    expect(act.vox).toEqual([{ idx: 2, fromS: false, fromM: 0, toS: true, toM: 5 }]);
+    expect(materials(chunk)).toBe('. . 5 . . . . .');
+  });
+
+  it('gives mirror images their own pattern material and undoes cleanly', () => {
+    const { chunk, mirrored } = row();
+    const pattern = { ...DEFAULT_PATTERN, kind: 'gradient', materials: [1, 2, 3, 4], direction: 'x' };
+    const materialAt = id => patternMaterial(pattern, chunk.coordsOf(id), { brush: 9, size: [8, 1, 1] });
+
+    const act = { vox: [] };
+    for (let id = 0; id < 8; id++) recordMirroredChange(chunk, act, mirrored(id), true, materialAt);
+    expect(materials(chunk)).toBe('1 1 2 2 3 3 4 4');
+    expect(act.vox.length).toBe(8);
+
+    replayChanges(chunk, act.vox, 'undo');
+    expect(materials(chunk)).toBe('. . . . . . . .');
+    replayChanges(chunk, act.vox, 'do');
+    expect(materials(chunk)).toBe('1 1 2 2 3 3 4 4');
+  });
+
+  it('records each cell of a mirrored stroke once and undoes cleanly', () => {
+    const { chunk, mirrored } = row();
+    for (let id = 0; id < 8; id++) chunk.set(id, 0, 0, true, 5);
+
+    const act = { vox: [] };
+    for (let id = 0; id < 8; id++) recordMirroredChange(chunk, act, mirrored(id), true, 6);
+    expect(materials(chunk)).toBe('6 6 6 6 6 6 6 6');
+    expect(act.vox.length).toBe(8);
+
+    replayChanges(chunk, act.vox, 'undo');
+    expect(materials(chunk)).toBe('5 5 5 5 5 5 5 5');
+    replayChanges(chunk, act.vox, 'do');
+    expect(materials(chunk)).toBe('6 6 6 6 6 6 6 6');
+  });
+
+  it('undoes repeated changes to one voxel back to the first state', () => {
+    const { chunk } = row();
+    const act = { vox: [] };
+    recordChange(chunk, act, 0, true, 3);
+    recordChange(chunk, act, 0, true, 4);
+    recordChange(chunk, act, 0, false, 4);
+
+    replayChanges(chunk, act.vox, 'undo');
+    expect(chunk.isSolid(0)).toBe(false);
+    expect(chunk.material(0)).toBe(0);
+  });
+
+  it('keeps carved images on their own material', () => {
+    const { chunk, mirrored } = row();
+    chunk.set(1, 0, 0, true, 2);
+    chunk.set(6, 0, 0, true, 7);
+    const act = { vox: [] };
+    recordMirroredChange(chunk, act, mirrored(1), false, chunk.material(1));
+    expect(act.vox.map(c => [c.idx, c.fromM, c.toM])).toEqual([[1, 2, 2], [6, 7, 7]]);
+  });
+});
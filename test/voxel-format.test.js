@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { encodeVoxel, decodeVoxel, exportVoxelJSON, parseVoxelJSON } from '../src/voxel-format.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { PALETTE_SIZE, hexToRgbF } from '../src/palette.js';
+
+const paletteColors = () => new Float32Array(PALETTE_SIZE * 3);
+
+describe('voxel string encoding', () => {
+  it('decodes the legacy 4-char and 7-char forms', () => {
+    expect(decodeVoxel('12af')).toEqual([1, 2, 10, 15]);
+    expect(decodeVoxel('10200f3')).toEqual([16, 32, 15, 3]);
+  });
+
+  it('round-trips materials above 15 through the wide forms', () => {
+    expect(encodeVoxel(1, 2, 3, 200, false, true)).toBe('123c8');
+    expect(encodeVoxel(17, 2, 3, 200, true, true)).toBe('110203c8');
+    expect(decodeVoxel('123c8')).toEqual([1, 2, 3, 200]);
+    expect(decodeVoxel('110203c8')).toEqual([17, 2, 3, 200]);
+  });
+
+  it('rejects malformed entries', () => {
+    expect(decodeVoxel('123')).toBeNull();
+    expect(decodeVoxel('12zz')).toBeNull();
+    expect(decodeVoxel(null)).toBeNull();
+  });
+
+  it('accepts the array form', () => {
+    expect(decodeVoxel([1, 2, 3, 4])).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('exportVoxelJSON / parseVoxelJSON', () => {
+  it('keeps the 4-char form when only the first 16 materials are used', () => {
+    const chunk = new VoxelChunk(16);
+    chunk.fill(false);
+    chunk.setSolid(chunk.idx3(1, 2, 3), true);
+    chunk.setMaterial(chunk.idx3(1, 2, 3), 7);
+
+    const json = exportVoxelJSON(chunk, paletteColors());
+    expect(json.version).toBe(1);
+    expect(json.voxels).toEqual(['1237']);
+    expect(json.palette.length).toBeGreaterThanOrEqual(16);
+  });
+
+  it('switches to 2-digit materials and writes enough palette entries', () => {
+    const chunk = new VoxelChunk(16);
+    chunk.fill(false);
+    chunk.setSolid(chunk.idx3(0, 0, 0), true);
+    chunk.setMaterial(chunk.idx3(0, 0, 0), 1);
+    chunk.setSolid(chunk.idx3(4, 5, 6), true);
+    chunk.setMaterial(chunk.idx3(4, 5, 6), 130);
+
+    const colors = paletteColors();
+    colors.set(hexToRgbF('#336699'), 130 * 3);
+
+    const json = exportVoxelJSON(chunk, colors);
+    expect(json.version).toBe(2);
+    expect(json.voxels).toEqual(['00001', '45682']);
+    expect(json.palette.length).toBeGreaterThanOrEqual(131);
+    expect(json.palette[130]).toBe('#336699');
+
+    const parsed = parseVoxelJSON(json);
+    expect(parsed.size).toEqual([16, 16, 16]);
+    expect(parsed.voxels).toEqual([[0, 0, 0, 1], [4, 5, 6, 130]]);
+    expect(parsed.palette[130].map(c => Math.round(c * 255))).toEqual([0x33, 0x66, 0x99]);
+  });
+
+  it('accepts a numeric size and rejects missing voxels', () => {
+    expect(parseVoxelJSON({ size: 8, voxels: [] }).size).toEqual([8, 8, 8]);
+    expect(() => parseVoxelJSON({ size: 8 })).toThrow('Missing "voxels"');
+  });
+});
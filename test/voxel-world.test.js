@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { VoxelWorld } from '../src/voxel-world.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+
+describe('VoxelWorld', () => {
+  it('allocates tiles lazily on first solid write', () => {
+    const world = new VoxelWorld(16);
+    world.set(3, 4, 5, false);
+    expect(world.tileCount).toBe(0);
+
+    world.set(3, 4, 5, true, 7);
+    expect(world.tileCount).toBe(1);
+    expect(world.get(3, 4, 5)).toBe(7);
+    expect(world.get(3, 4, 6)).toBe(-1);
+    expect(world.get(100, 0, 0)).toBe(-1);
+  });
+
+  it('maps negative coordinates to the right tile', () => {
+    const world = new VoxelWorld(16);
+    world.set(-1, -16, -17, true, 2);
+    expect(world.hasTile(-1, -1, -2)).toBe(true);
+    expect(world.getTile(-1, -1, -2).origin).toEqual([-16, -16, -32]);
+    expect(world.get(-1, -16, -17)).toBe(2);
+    expect(world.bounds()).toEqual({ min: [-1, -16, -17], max: [-1, -16, -17] });
+  });
+
+  it('dirties the neighbouring tile only for border writes', () => {
+    const world = new VoxelWorld(16);
+    world.set(0, 0, 0, true, 1);
+    world.set(16, 0, 0, true, 1);
+    const a = world.getTile(0, 0, 0);
+    const b = world.getTile(1, 0, 0);
+    a.dirty = false;
+    b.dirty = false;
+
+    world.set(8, 8, 8, true, 1);
+    expect(a.dirty).toBe(true);
+    expect(b.dirty).toBe(false);
+
+    a.dirty = false;
+    world.set(15, 3, 3, true, 1);
+    expect(a.dirty).toBe(true);
+    expect(b.dirty).toBe(true);
+    expect(world.dirtyTiles().length).toBe(2);
+  });
+
+  it('does not dirty tiles when a write changes nothing', () => {
+    const world = new VoxelWorld(16);
+    world.set(1, 1, 1, true, 4);
+    const tile = world.getTile(0, 0, 0);
+    tile.dirty = false;
+    world.set(1, 1, 1, true, 4);
+    expect(tile.dirty).toBe(false);
+  });
+
+  it('removes tiles and dirties their neighbours', () => {
+    const world = new VoxelWorld(16);
+    world.set(0, 0, 0, true, 1);
+    world.set(0, 16, 0, true, 1);
+    world.getTile(0, 0, 0).dirty = false;
+
+    expect(world.removeTile(0, 1, 0)).toBe(true);
+    expect(world.removeTile(0, 1, 0)).toBe(false);
+    expect(world.getTile(0, 0, 0).dirty).toBe(true);
+    expect(world.get(0, 16, 0)).toBe(-1);
+  });
+});
+
+describe('VoxelChunk get/set', () => {
+  it('shares the VoxelWorld coordinate API', () => {
+    const chunk = new VoxelChunk(16);
+    chunk.fill(false);
+    chunk.set(2, 3, 4, true, 9);
+    expect(chunk.get(2, 3, 4)).toBe(9);
+    expect(chunk.get(2, 3, 5)).toBe(-1);
+    expect(chunk.get(-1, 0, 0)).toBe(-1);
+    chunk.set(99, 0, 0, true, 1); // ignored
+    chunk.set(2, 3, 4, false);
+    expect(chunk.get(2, 3, 4)).toBe(-1);
+  });
+});
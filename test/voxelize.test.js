@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { voxelizeTriangles, triangleOverlapsBox } from '../src/voxelize.js';
+import { parseOBJ, parseSTL, parseGLTF } from '../src/mesh-import.js';
+import { exportOBJ, exportSTL } from '../src/mesh-export.js';
+import { exportGLB } from '../src/gltf-export.js';
+import { VoxelChunk } from '../src/voxel-chunk.js';
+import { defaultPaletteHex } from '../src/palette.js';
+import { defaultPaletteColors } from './helpers.js';
+
+const colors = defaultPaletteColors();
+
+// 3×3×3 block of material 9 with a material 12 nub sticking out along +X
+function sampleChunk() {
+  const chunk = new VoxelChunk(1);
+  chunk.expandSize(4, 3, 3);
+  for (let z = 0; z < 3; z++) {
+    for (let y = 0; y < 3; y++) {
+      for (let x = 0; x < 3; x++) chunk.set(x, y, z, true, 9);
+    }
+  }
+  chunk.set(3, 1, 1, true, 12);
+  return chunk;
+}
+
+// Solid cells as "x,y,z:#hex"
+function cells(chunk, withColor = true) {
+  const out = [];
+  for (let id = 0; id < chunk.length; id++) {
+    if (!chunk.isSolid(id)) continue;
+    const hex = withColor ? `:${defaultPaletteHex[chunk.material(id)]}` : '';
+    out.push(chunk.coordsOf(id).join(',') + hex);
+  }
+  return out;
+}
+
+const UNIT_CUBE = `
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+v 0 0 1
+v 1 0 1
+v 1 1 1
+v 0 1 1
+f 1 4 3 2
+f 5 6 7 8
+f 1 2 6 5
+f 4 8 7 3
+f 1 5 8 4
+f 2 3 7 6
+`;
+
+// Touches its bounding box only at the six face centres
+const OCTAHEDRON = `
+v 1 0 0
+v -1 0 0
+v 0 1 0
+v 0 -1 0
+v 0 0 1
+v 0 0 -1
+f 1 3 5
+f 3 2 5
+f 2 4 5
+f 4 1 5
+f 3 1 6
+f 2 3 6
+f 4 2 6
+f 1 4 6
+`;
+
+describe('voxelize', () => {
+  it('tests triangle/box overlap by separating axes', () => {
+    const tri = [[0, 0, 0], [2, 0, 0], [0, 2, 0]];
+    expect(triangleOverlapsBox([0.5, 0.5, 0.5], 0.5, ...tri)).toBe(true);
+    expect(triangleOverlapsBox([1.6, 1.6, 0], 0.5, ...tri)).toBe(false); // beyond the hypotenuse
+    expect(triangleOverlapsBox([0.5, 0.5, 1.6], 0.5, ...tri)).toBe(false);
+  });
+
+  it('voxelizes a closed cube as a shell or solid', () => {
+    const mesh = parseOBJ(UNIT_CUBE);
+    expect(mesh.positions).toHaveLength(12 * 9);
+    expect(mesh.colors).toBeNull();
+
+    const solid = voxelizeTriangles(mesh, colors, 4, { material: 3 });
+    expect([solid.sizeX, solid.sizeY, solid.sizeZ]).toEqual([4, 4, 4]);
+    expect(cells(solid, false)).toHaveLength(64);
+    expect(solid.material(0)).toBe(3);
+
+    const shell = voxelizeTriangles(mesh, colors, 4, { fill: false });
+    expect(cells(shell, false)).toHaveLength(64 - 8);
+  });
+
+  it('leaves cells outside the mesh empty', () => {
+    const mesh = parseOBJ(OCTAHEDRON);
+    for (const fill of [false, true]) {
+      const chunk = voxelizeTriangles(mesh, colors, 8, { fill });
+      expect([chunk.sizeX, chunk.sizeY, chunk.sizeZ]).toEqual([8, 8, 8]);
+      for (const corner of [[0, 0, 0], [7, 0, 0], [0, 7, 7], [7, 7, 7]]) {
+        expect(chunk.isSolid(chunk.idx3(...corner))).toBe(false);
+      }
+      expect(chunk.isSolid(chunk.idx3(4, 4, 0))).toBe(true);
+    }
+  });
+
+  it('round-trips OBJ materials and STL shapes', () => {
+    const chunk = sampleChunk();
+    const { obj, mtl } = exportOBJ(chunk, colors, { scale: 2.5 });
+    expect(cells(voxelizeTriangles(parseOBJ(obj, mtl), colors, 4))).toEqual(cells(chunk));
+
+    const stl = exportSTL(chunk, { zUp: true });
+    const fromStl = voxelizeTriangles(parseSTL(stl), colors, 4, { zUp: true });
+    expect(cells(fromStl, false)).toEqual(cells(chunk, false));
+  });
+
+  it('round-trips glTF vertex colours', () => {
+    const chunk = sampleChunk();
+    const glb = exportGLB(chunk, colors, null, { bakeAO: false });
+    expect(cells(voxelizeTriangles(parseGLTF(glb), colors, 4))).toEqual(cells(chunk));
+    expect(() => voxelizeTriangles({ positions: new Float32Array(0), colors: null }, colors, 4)).toThrow(/no triangles/);
+  });
+});